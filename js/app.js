@@ -14,7 +14,37 @@ const App = {
   activeEditorIdx: null,   // Índice da imagem aberta no modal
   activeEditor:    null,   // Instância do ImageEditor atual
   theme:          'light',
-  lockAspectRatio: true
+  lockAspectRatio: true,
+  expandedAdjustments: new Set(),  // ids dos nós abertos na pilha de ajustes
+  selectedLayerId: null,           // camada selecionada na aba "Camadas"
+  selectedTextId:  null,           // texto selecionado (painel e guias no canvas)
+  selectedMaskId:  null,           // ajuste local selecionado (painel e alças no canvas)
+  tool:            null,           // ferramenta ativa no canvas (ver CANVAS_TOOLS)
+  toolDrag:        null,           // estado do arraste em andamento na ferramenta
+  toolHover:       null,           // ponto (quadro final) sob o ponteiro
+  eyedropper:      null,           // { button, onPick } do conta-gotas ativo
+  kernels: {                       // convolução (ver CONVOLUÇÃO E BORDAS)
+    draft: null,                   // kernel em edição na aba Filtros
+    saved: []                      // kernels salvos ({ name, size, values, divisor, bias })
+  },
+  picker: {                        // inspetor de pixels (ver CANVAS_TOOLS.picker)
+    size:     1,                   // amostra size×size
+    sample:   null,                // última leitura (ver editor.samplePixel)
+    swatches: []                   // cores coletadas nesta sessão ('#rrggbb')
+  },
+  histogram: {                     // histograma ao vivo da barra de informações
+    mode:     'overlay',           // chave de HISTOGRAM_MODES
+    clipping: false,               // áreas cortadas pintadas sobre a imagem
+    frame:    null                 // requestAnimationFrame pendente
+  },
+  brush:           {},             // configurações do pincel (ver BRUSH_PARAMS)
+  cropOptions: {                   // preferências da ferramenta de recorte
+    aspect:  'free',               // free | original | custom | chave de CROP_RATIOS
+    swapped: false,                // proporção invertida (retrato ↔ paisagem)
+    customW: 2,
+    customH: 1,
+    guides:  'thirds'              // thirds | golden | none
+  }
 };
 
 /* =============================================================
@@ -251,11 +281,20 @@ function openEditor(idx) {
   // Inicializar o editor
   const canvas = document.getElementById('editorCanvas');
   App.activeEditor = new window.ImageEditor(record, canvas);
+  App.activeEditor.onHistoryChange = onEditorChange;
+  App.activeEditor.onDrawOverlay   = drawToolOverlay;
+  App.activeEditor.onRender        = onEditorRender;
+  App.activeEditor.setShowClipping(App.histogram.clipping);
+  App.selectedLayerId = null;
+  App.selectedTextId  = null;
+  App.selectedMaskId  = null;
+  populateLayerSources(record);
 
   // Restaurar estado de edição salvo
   if (record.editorState) {
     App.activeEditor.restoreState(record.editorState);
   }
+  onEditorChange(App.activeEditor);
 
   // Sincronizar UI com o estado do editor
   syncUIToEditor(App.activeEditor);
@@ -288,6 +327,7 @@ function closeModal() {
   modal.classList.remove('open');
   modal.setAttribute('aria-hidden', 'true');
   document.body.style.overflow = '';
+  setTool(null);
 
   // Salvar estado
   if (App.activeEditor && App.activeEditorIdx !== null) {
@@ -326,27 +366,58 @@ function syncUIToEditor(editor) {
   setSlider('ctrlSaturation',  'valSaturation',   s.saturation,  '');
   setSlider('ctrlExposure',    'valExposure',     s.exposure,    '');
   setSlider('ctrlHue',         'valHue',          s.hue,         '°');
-  setSlider('ctrlSharpness',   'valSharpness',    s.sharpness,   '');
+  setSlider('ctrlSharpness',   'valSharpness',    s.sharpness,   '%');
   setSlider('ctrlNoise',       'valNoise',        s.noise,       '');
   setSlider('ctrlBlur',        'valBlur',         s.blur,        '');
   setSlider('ctrlVignette',    'valVignette',     s.vignette,    '');
-  setSlider('ctrlTemperature', 'valTemperature',  s.temperature, '');
+  setSlider('ctrlTemperature', 'valTemperature',  s.temperature, ' K');
+  const wb = window.PixelFilters.findPrimaryAdjustment(editor.adjustments, 'temperature');
+  setSlider('ctrlTint',        'valTint',         wb?.enabled ? wb.params.tint : 0, '');
+  const sharp = window.PixelFilters.findPrimaryAdjustment(editor.adjustments, 'sharpness');
+  const sharpParams = sharp?.enabled ? sharp.params : window.PixelFilters.defaultParams('sharpness');
+  setSlider('ctrlSharpenRadius',    'valSharpenRadius',    sharpParams.radius,    ' px');
+  setSlider('ctrlSharpenThreshold', 'valSharpenThreshold', sharpParams.threshold, '');
+  const denoise = window.PixelFilters.findPrimaryAdjustment(editor.adjustments, 'denoise');
+  const denoiseParams = denoise?.enabled ? denoise.params : window.PixelFilters.defaultParams('denoise');
+  setSlider('ctrlDenoiseLuma',   'valDenoiseLuma',   denoiseParams.luminance, '');
+  setSlider('ctrlDenoiseColor',  'valDenoiseColor',  denoiseParams.color,     '');
+  setSlider('ctrlDenoiseDetail', 'valDenoiseDetail', denoiseParams.detail,    '');
+  const vignette = vignetteParams(editor);
+  setSlider('ctrlVignetteMidpoint',   'valVignetteMidpoint',   vignette.midpoint,   '');
+  setSlider('ctrlVignetteFeather',    'valVignetteFeather',    vignette.feather,    '');
+  setSlider('ctrlVignetteRoundness',  'valVignetteRoundness',  vignette.roundness,  '');
+  setSlider('ctrlVignetteHighlights', 'valVignetteHighlights', vignette.highlights, '');
+  document.getElementById('ctrlVignetteColor').value = vignette.color;
+  const grain = window.PixelFilters.findPrimaryAdjustment(editor.adjustments, 'noise');
+  const grainParams = grain?.enabled ? grain.params : window.PixelFilters.defaultParams('noise');
+  setSlider('ctrlGrainSize',      'valGrainSize',      grainParams.size,      '');
+  setSlider('ctrlGrainRoughness', 'valGrainRoughness', grainParams.roughness, '');
+  setSlider('ctrlGrainColor',     'valGrainColor',     grainParams.color,     '');
+  setSlider('ctrlGrainMidtones',  'valGrainMidtones',  grainParams.midtones,  '');
+  document.getElementById('ctrlGrainSeed').value = grainParams.seed;
+  syncBlackWhiteControls(editor);
+  syncGradientMapControls(editor);
 
   // Toggles
+  setToggle('ctrlSharpenEdges', sharpParams.edgeMask);
+  setToggle('ctrlVignettePostCrop', vignette.postCrop);
   setToggle('ctrlGrayscale',  s.grayscale);
   setToggle('ctrlBlackWhite', s.blackwhite);
+  setToggle('ctrlGradientMap', s.gradientMap);
   setToggle('ctrlSepia',      s.sepia);
   setToggle('ctrlInvert',     s.invert);
 
   // Dimensões
-  if (exp.width)  document.getElementById('ctrlWidth').value  = exp.width;
-  if (exp.height) document.getElementById('ctrlHeight').value = exp.height;
+  document.getElementById('ctrlWidth').value  = exp.width  || '';
+  document.getElementById('ctrlHeight').value = exp.height || '';
 
-  // Crop
-  document.getElementById('ctrlCropTop').value    = exp.cropTop    || 0;
-  document.getElementById('ctrlCropBottom').value = exp.cropBottom || 0;
-  document.getElementById('ctrlCropLeft').value   = exp.cropLeft   || 0;
-  document.getElementById('ctrlCropRight').value  = exp.cropRight  || 0;
+  // Perspectiva, endireitar e recorte
+  syncPerspectiveControls(editor);
+  syncStraightenControls(editor);
+  syncCropInputs(editor);
+
+  // Níveis
+  renderLevelsPanel(editor);
 
   // Qualidade
   const qualityPct = Math.round((exp.quality || 0.92) * 100);
@@ -362,6 +433,42 @@ function syncUIToEditor(editor) {
   updateQualityGroupVisibility(exp.format || 'image/jpeg');
 }
 
+/**
+ * Opções de preto e branco: mostra só as linhas que o método usa
+ * (limiar adaptativo → raio/tolerância; pontilhado → paleta)
+ */
+function syncBlackWhiteControls(editor) {
+  const PF = window.PixelFilters;
+  const node = PF.findPrimaryAdjustment(editor.adjustments, 'blackwhite');
+  const p = node?.enabled ? node.params : PF.defaultParams('blackwhite');
+  document.getElementById('ctrlBwMethod').value  = p.method;
+  document.getElementById('ctrlBwPalette').value = p.palette;
+  setSlider('ctrlBwThreshold', 'valBwThreshold', p.threshold, '');
+  setSlider('ctrlBwRadius',    'valBwRadius',    p.radius,    ' px');
+  setSlider('ctrlBwOffset',    'valBwOffset',    p.offset,    '');
+  setSlider('ctrlBwColors',    'valBwColors',    p.colors,    '');
+
+  const dither = !['fixed', 'otsu', 'adaptive'].includes(p.method);
+  document.getElementById('bwThresholdRow').hidden = p.method === 'otsu' || p.method === 'adaptive';
+  document.getElementById('bwAdaptiveRows').hidden = p.method !== 'adaptive';
+  document.getElementById('bwPaletteRows').hidden  = !dither;
+  document.getElementById('bwColorsRow').hidden    = !['gray', 'image'].includes(p.palette);
+}
+
+/**
+ * Grupo "Mapa de gradiente" da aba Filtros (nó principal do tipo,
+ * ou o padrão enquanto não existe)
+ */
+function syncGradientMapControls(editor) {
+  const PF = window.PixelFilters;
+  const node = PF.findPrimaryAdjustment(editor.adjustments, 'gradientMap');
+  const p = node?.enabled ? node.params : PF.defaultParams('gradientMap');
+  const wrap = document.querySelector('#gradientMapEditor .gradient-editor');
+  if (wrap) syncGradientEditor(wrap, p.gradient);
+  setSlider('ctrlGradientOpacity', 'valGradientOpacity', p.opacity, '%');
+  setToggle('ctrlGradientReverse', p.reverse);
+}
+
 function setSlider(sliderId, valueId, value, suffix) {
   const slider = document.getElementById(sliderId);
   const label  = document.getElementById(valueId);
@@ -386,8 +493,8 @@ function updateRangeFill(rangeEl) {
   const value = parseFloat(rangeEl.value) || 0;
   const pct   = ((value - min) / (max - min)) * 100;
 
-  // Não aplica fill em hue/temp (gradient custom)
-  if (!rangeEl.classList.contains('range-input--hue') && !rangeEl.classList.contains('range-input--temp')) {
+  // Não aplica fill em hue/temp/tint (gradient custom)
+  if (!['range-input--hue', 'range-input--temp', 'range-input--tint'].some(c => rangeEl.classList.contains(c))) {
     rangeEl.style.background = `linear-gradient(to right, var(--color-primary) ${pct}%, var(--color-border) ${pct}%)`;
   }
 }
@@ -447,7 +554,8 @@ function renderPresets(record) {
     // Aplicar filtro do preset no thumbnail
     if (key !== 'none') {
       const imgData = thumbCtx.getImageData(0, 0, 80, 60);
-      const processed = window.PixelFilters.processImage(imgData, preset.settings, 80, 60);
+      const stack     = window.PixelFilters.presetToStack(preset);
+      const processed = window.PixelFilters.processImage(imgData, stack, 80, 60);
       thumbCtx.putImageData(processed, 0, 0);
     }
 
@@ -465,301 +573,3819 @@ function renderPresets(record) {
       if (!App.activeEditor) return;
       App.activeEditor.applyPreset(key);
       syncUIToEditor(App.activeEditor);
-      // Marcar card ativo
-      grid.querySelectorAll('.preset-card').forEach(c => c.classList.remove('active'));
-      card.classList.add('active');
+      markActivePreset(key);
     });
 
     grid.appendChild(card);
   });
 }
 
-/* =============================================================
-   DOWNLOAD EM LOTE
-   ============================================================= */
-
-async function downloadAll() {
-  const selected = getSelectedIndices();
-  const targets  = selected.length > 0 ? selected : App.images.map((_, i) => i);
-
-  if (targets.length === 0) {
-    Toast.show('Nenhuma imagem para baixar.', 'warning');
-    return;
-  }
-
-  Progress.show(`Baixando ${targets.length} imagem(ns)...`);
-
-  for (let i = 0; i < targets.length; i++) {
-    const idx    = targets[i];
-    const record = App.images[idx];
-    if (!record) continue;
-
-    try {
-      // Criar editor temporário com estado salvo
-      const tempCanvas  = document.createElement('canvas');
-      const tempEditor  = new window.ImageEditor(record, tempCanvas);
-      if (record.editorState) tempEditor.restoreState(record.editorState);
-
-      const blob = await tempEditor.toBlob();
-      const ext  = tempEditor._getExtension(record.editorState?.exportSettings?.format || 'image/jpeg');
-      const name = tempEditor._sanitizeFilename(record.name) + '_editado.' + ext;
-
-      tempEditor._triggerDownload(URL.createObjectURL(blob), name);
-      Progress.update(i + 1, targets.length);
-
-      // Pequeno delay para não sobrecarregar
-      await new Promise(r => setTimeout(r, 200));
-    } catch (err) {
-      console.error('[PixelCraft] Erro ao baixar:', record.name, err);
-      Toast.show(`Erro ao processar ${record.name}`, 'error');
-    }
-  }
-
-  Progress.hide();
-  Toast.show(`${targets.length} imagem(ns) baixada(s)!`, 'success');
+function markActivePreset(key) {
+  document.querySelectorAll('.preset-card').forEach(c => {
+    c.classList.toggle('active', c.dataset.preset === key);
+  });
 }
 
 /* =============================================================
-   SELEÇÃO DE IMAGENS
+   PILHA DE AJUSTES
    ============================================================= */
 
-function getSelectedIndices() {
-  const checkboxes = document.querySelectorAll('.image-card__checkbox:checked');
-  return Array.from(checkboxes).map(cb => parseInt(cb.dataset.idx, 10));
+/**
+ * Chamado a cada passo registrado pelo editor
+ */
+function onEditorChange(editor) {
+  renderHistory(editor);
+  renderAdjustmentStack(editor);
+  renderLevelsPanel(editor);
+  renderLayers(editor);
+  renderTexts(editor);
+  renderMasks(editor);
+  syncCropInputs(editor);
+  syncPerspectiveControls(editor);
+  syncStraightenControls(editor);
+  syncGradientMapControls(editor);
 }
 
-function selectAll(select) {
-  document.querySelectorAll('.image-card__checkbox').forEach(cb => {
-    cb.checked = select;
-  });
-  document.querySelectorAll('.image-card').forEach(card => {
-    card.classList.toggle('selected', select);
-  });
+/**
+ * Chamado após cada render: atualiza o que depende da imagem processada
+ */
+function onEditorRender(editor) {
+  if (editor !== App.activeEditor) return;
+  document.querySelectorAll('#adjustmentStack .curve-editor').forEach(drawCurveEditor);
+  document.querySelectorAll('.levels-editor').forEach(syncLevelsEditor);
+  scheduleHistogram();
 }
 
-/* =============================================================
-   APLICAR FILTROS ATUAIS A TODAS
-   ============================================================= */
+function populateAdjustmentTypes() {
+  const select = document.getElementById('adjAddType');
+  if (!select) return;
+  select.innerHTML = Object.entries(window.PixelFilters.ADJUSTMENTS)
+    .map(([type, def]) => `<option value="${type}">${def.name}</option>`)
+    .join('');
+}
 
-async function applyCurrentFiltersToAll() {
-  if (!App.activeEditor) {
-    Toast.show('Abra uma imagem no editor primeiro.', 'warning');
+/**
+ * Redesenha a lista da pilha. Se só os valores mudaram (mesmos nós,
+ * mesma ordem), atualiza os controles no lugar para não interromper
+ * um slider que está sendo arrastado.
+ */
+function renderAdjustmentStack(editor) {
+  if (!editor || editor !== App.activeEditor) return;
+  const list = document.getElementById('adjustmentStack');
+  if (!list) return;
+
+  const signature = editor.adjustments.map(n => `${n.id}:${n.enabled}`).join('|');
+  if (list.dataset.signature === signature) {
+    updateAdjustmentValues(editor, list);
     return;
   }
+  list.dataset.signature = signature;
+  list.innerHTML = '';
 
-  const currentState = App.activeEditor.getState();
-  const selected     = getSelectedIndices();
-  const targets      = selected.length > 0 ? selected : App.images.map((_, i) => i);
-
-  if (targets.length === 0) return;
+  editor.adjustments.forEach((node, idx) => {
+    list.appendChild(createAdjustmentItem(node, idx, editor.adjustments.length));
+  });
+}
 
-  Progress.show('Aplicando filtros a todas...');
+function createAdjustmentItem(node, idx, total) {
+  const def      = window.PixelFilters.ADJUSTMENTS[node.type];
+  const expanded = App.expandedAdjustments.has(node.id);
+
+  const li = document.createElement('li');
+  li.className = `adj-node${node.enabled ? '' : ' adj-node--disabled'}`;
+  li.dataset.id = node.id;
+
+  li.innerHTML = `
+    <div class="adj-node__header">
+      <span class="adj-node__handle" draggable="true" tabindex="0" role="button"
+            aria-label="Mover ${def.name} (posição ${idx + 1} de ${total})" title="Arraste ou use ↑/↓">
+        <i class="fas fa-grip-vertical"></i>
+      </span>
+      <button type="button" class="adj-node__title" data-action="expand" aria-expanded="${expanded}">
+        <i class="fas ${def.icon}"></i> ${def.name}
+      </button>
+      <label class="adj-node__switch" title="Ativar/desativar">
+        <input type="checkbox" class="toggle-input" data-action="toggle" ${node.enabled ? 'checked' : ''}
+               aria-label="Ativar ${def.name}" />
+        <span class="toggle-track"></span>
+      </label>
+      <button type="button" class="btn btn--ghost btn--sm" data-action="duplicate" aria-label="Duplicar ${def.name}" title="Duplicar">
+        <i class="fas fa-clone"></i>
+      </button>
+      <button type="button" class="btn btn--ghost btn--sm" data-action="remove" aria-label="Remover ${def.name}" title="Remover">
+        <i class="fas fa-trash"></i>
+      </button>
+    </div>
+    <div class="adj-node__body" ${expanded ? '' : 'hidden'}></div>
+  `;
 
-  for (let i = 0; i < targets.length; i++) {
-    const idx    = targets[i];
-    const record = App.images[idx];
-    if (!record) continue;
-    record.editorState = { ...currentState };
-    record.edited      = true;
-    Progress.update(i + 1, targets.length);
-    await new Promise(r => setTimeout(r, 10));
+  const body   = li.querySelector('.adj-node__body');
+  const params = Object.entries(def.params).filter(([, spec]) => spec.type !== 'custom');
+  if (params.length === 0) {
+    body.innerHTML = '<p class="adj-node__empty">Este ajuste não tem parâmetros.</p>';
+  } else {
+    params.forEach(([key, spec]) => body.appendChild(createParamControl(node, key, spec)));
   }
 
-  Progress.hide();
-  renderGallery();
-  Toast.show(`Filtros aplicados a ${targets.length} imagem(ns)!`, 'success');
+  return li;
 }
 
-/* =============================================================
-   REMOÇÃO
-   ============================================================= */
-
-function removeImage(idx) {
-  App.images.splice(idx, 1);
-  renderGallery();
-  if (App.images.length === 0) showWorkspace(false);
-  Toast.show('Imagem removida.', 'info');
+/**
+ * Cria o controle de um parâmetro a partir da sua especificação
+ * (range numérico, checkbox, select ou cor)
+ */
+function createParamControl(node, key, spec) {
+  const wrap  = document.createElement('div');
+  wrap.className = 'adj-param';
+  const id    = `adjp_${node.id}_${key}`;
+  const value = node.params[key];
+  const attrs = `id="${id}" data-id="${node.id}" data-param="${key}"`;
+
+  switch (spec.type) {
+    case 'curves':
+      return createCurveEditor(node, key);
+    case 'levels':
+      return createLevelsEditor(node, key);
+    case 'hsl':
+      return createHslEditor(node, key);
+    case 'mixer':
+      return createMixerEditor(node, key);
+    case 'gradient':
+      return createGradientEditor(node.params[key], (stops, done) => {
+        App.activeEditor?.setAdjustmentParam(node.id, key, stops);
+        if (done) App.activeEditor?.sealHistory();
+      }, { id: node.id, key });
+    case 'wheel':
+      return createColorWheel(node, key, spec);
+    case 'kernel':
+      return createKernelEditor(node.params[key], (kernel, done) => {
+        App.activeEditor?.setAdjustmentParam(node.id, key, kernel);
+        if (done) App.activeEditor?.sealHistory();
+      }, { id: node.id, key });
+    case 'boolean':
+      wrap.innerHTML = `
+        <label class="toggle-item">
+          <input type="checkbox" class="toggle-input" ${attrs} ${value ? 'checked' : ''} />
+          <span class="toggle-track"></span>
+          <span class="toggle-label">${spec.label}</span>
+        </label>`;
+      break;
+    case 'select':
+      wrap.innerHTML = `
+        <label class="control-label" for="${id}">${spec.label}</label>
+        <select class="select-input" ${attrs}>
+          ${spec.options.map(o => `<option value="${o.value}" ${o.value === value ? 'selected' : ''}>${o.label}</option>`).join('')}
+        </select>`;
+      break;
+    case 'color':
+      wrap.innerHTML = `
+        <label class="control-label" for="${id}">${spec.label}
+          <input type="color" ${attrs} value="${value}" />
+        </label>`;
+      break;
+    case 'seed':
+      wrap.innerHTML = `
+        <label class="control-label" for="${id}">${spec.label}</label>
+        <div class="seed-field">
+          <input type="number" class="text-input" min="1" max="999999" step="1" ${attrs} value="${value}" />
+          <button type="button" class="btn btn--outline btn--sm" aria-label="Sortear nova semente" title="Sortear nova semente">
+            <i class="fas fa-dice"></i>
+          </button>
+        </div>`;
+      wrap.querySelector('button').addEventListener('click', () => {
+        App.activeEditor?.setAdjustmentParam(node.id, key, window.PixelFilters.grainSeed());
+        App.activeEditor?.sealHistory();
+      });
+      break;
+    case 'textarea':
+      wrap.innerHTML = `
+        <label class="control-label" for="${id}">${spec.label}</label>
+        <textarea class="text-input" rows="2" ${attrs}></textarea>`;
+      wrap.querySelector('textarea').value = value;
+      break;
+    default:
+      wrap.innerHTML = `
+        <label class="control-label" for="${id}">${spec.label}
+          <span class="control-value" data-value-for="${id}">${value}${spec.suffix || ''}</span>
+        </label>
+        <input type="range" class="range-input${spec.track ? ` range-input--${spec.track}` : ''}" ${attrs}
+               min="${spec.min}" max="${spec.max}" step="${spec.step}" value="${value}" />`;
+      updateRangeFill(wrap.querySelector('input'));
+  }
+  return wrap;
 }
 
-function clearAll() {
-  if (App.images.length === 0) return;
-  if (!confirm(`Remover todas as ${App.images.length} imagens?`)) return;
-  App.images = [];
-  renderGallery();
-  showWorkspace(false);
-  Toast.show('Galeria limpa.', 'info');
+function updateAdjustmentValues(editor, list) {
+  list.querySelectorAll('.curve-editor').forEach(drawCurveEditor);
+  list.querySelectorAll('.levels-editor').forEach(syncLevelsEditor);
+  list.querySelectorAll('.hsl-editor').forEach(syncHslEditor);
+  list.querySelectorAll('.mixer-editor').forEach(wrap => syncMixerEditor(wrap));
+  list.querySelectorAll('.gradient-editor').forEach(wrap => {
+    const node = editor.adjustments.find(n => n.id === wrap.dataset.id);
+    if (node) syncGradientEditor(wrap, node.params[wrap.dataset.key]);
+  });
+  list.querySelectorAll('.color-wheel').forEach(syncColorWheel);
+  list.querySelectorAll('.kernel-editor').forEach(wrap => {
+    const node = editor.adjustments.find(n => n.id === wrap.dataset.id);
+    if (node) syncKernelEditor(wrap, node.params[wrap.dataset.key]);
+  });
+  updateParamControls(list, (input) => {
+    const node = editor.adjustments.find(n => n.id === input.dataset.id);
+    if (!node) return null;
+    const param = input.dataset.param;
+    return { value: node.params[param], spec: window.PixelFilters.ADJUSTMENTS[node.type].params[param] };
+  });
 }
 
-/* =============================================================
-   TEMA CLARO / ESCURO
-   ============================================================= */
-
-function toggleTheme() {
-  App.theme = App.theme === 'light' ? 'dark' : 'light';
-  document.documentElement.dataset.theme = App.theme;
-  const icon = document.getElementById('themeIcon');
-  if (icon) {
-    icon.className = App.theme === 'dark' ? 'fas fa-sun' : 'fas fa-moon';
-  }
-  localStorage.setItem('pixelcraft_theme', App.theme);
+/**
+ * Atualiza no lugar os controles criados por createParamControl
+ * @param {HTMLElement} container
+ * @param {(input: HTMLElement) => ({ value, spec }|null)} resolve
+ */
+function updateParamControls(container, resolve) {
+  container.querySelectorAll('[data-param]').forEach(input => {
+    const current = resolve(input);
+    if (!current) return;
+    const { value, spec } = current;
+    if (input.type === 'checkbox') {
+      input.checked = !!value;
+    } else if (String(input.value) !== String(value)) {
+      input.value = value;
+    }
+    if (input.type === 'range') {
+      const label = container.querySelector(`[data-value-for="${input.id}"]`);
+      if (label) label.textContent = value + (spec.suffix || '');
+      updateRangeFill(input);
+    }
+  });
 }
 
-function loadTheme() {
-  const saved = localStorage.getItem('pixelcraft_theme');
-  const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-  App.theme = saved || (prefersDark ? 'dark' : 'light');
-  document.documentElement.dataset.theme = App.theme;
-  const icon = document.getElementById('themeIcon');
-  if (icon) icon.className = App.theme === 'dark' ? 'fas fa-sun' : 'fas fa-moon';
+function readParamInput(input) {
+  if (input.type === 'checkbox') return input.checked;
+  if (input.type === 'range')    return parseFloat(input.value);
+  if (input.type === 'number')   return parseInt(input.value, 10) || 1;
+  return input.value;
 }
 
-/* =============================================================
-   TABS DO MODAL
-   ============================================================= */
+function initAdjustmentStackEvents() {
+  const list = document.getElementById('adjustmentStack');
+  if (!list) return;
 
-function initTabs() {
-  const tabBtns = document.querySelectorAll('.tab-btn');
-  tabBtns.forEach(btn => {
-    btn.addEventListener('click', () => {
-      const tabId = btn.dataset.tab;
+  populateAdjustmentTypes();
 
-      // Desativar todos
-      tabBtns.forEach(b => {
-        b.classList.remove('tab-btn--active');
-        b.setAttribute('aria-selected', 'false');
-      });
-      document.querySelectorAll('.tab-panel').forEach(p => {
-        p.hidden = true;
-        p.classList.remove('tab-panel--active');
-      });
+  document.getElementById('btnAddAdjustment').addEventListener('click', () => {
+    const editor = App.activeEditor;
+    if (!editor) return;
+    const node = editor.addAdjustment(document.getElementById('adjAddType').value);
+    App.expandedAdjustments.add(node.id);
+    renderAdjustmentStack(editor);
+    syncUIToEditor(editor);
+  });
 
-      // Ativar selecionado
-      btn.classList.add('tab-btn--active');
-      btn.setAttribute('aria-selected', 'true');
-      const panel = document.getElementById('tab' + tabId.charAt(0).toUpperCase() + tabId.slice(1));
-      if (panel) {
-        panel.hidden = false;
-        panel.classList.add('tab-panel--active');
+  // Ações dos cabeçalhos
+  list.addEventListener('click', (e) => {
+    const editor = App.activeEditor;
+    const btn    = e.target.closest('[data-action]');
+    const item   = e.target.closest('.adj-node');
+    if (!editor || !btn || !item || btn.dataset.action === 'toggle') return;
+    const id = item.dataset.id;
+
+    switch (btn.dataset.action) {
+      case 'expand': {
+        const body = item.querySelector('.adj-node__body');
+        body.hidden = !body.hidden;
+        btn.setAttribute('aria-expanded', String(!body.hidden));
+        if (body.hidden) App.expandedAdjustments.delete(id);
+        else             App.expandedAdjustments.add(id);
+        return;
       }
-    });
+      case 'duplicate': {
+        const copy = editor.duplicateAdjustment(id);
+        if (copy && App.expandedAdjustments.has(id)) App.expandedAdjustments.add(copy.id);
+        break;
+      }
+      case 'remove':
+        App.expandedAdjustments.delete(id);
+        editor.removeAdjustment(id);
+        break;
+    }
+    syncUIToEditor(editor);
   });
-}
 
-/* =============================================================
-   EVENT LISTENERS — UPLOAD
-   ============================================================= */
-
-function initUpload() {
-  const zone      = document.getElementById('uploadZone');
-  const fileInput = document.getElementById('fileInput');
-
-  // Click na zona
-  zone.addEventListener('click', (e) => {
-    if (!e.target.closest('label')) fileInput.click();
+  // Parâmetros (contínuos) e liga/desliga
+  list.addEventListener('input', (e) => {
+    const input = e.target.closest('[data-param]');
+    if (!input || !App.activeEditor || input.type === 'checkbox' || input.tagName === 'SELECT') return;
+    App.activeEditor.setAdjustmentParam(input.dataset.id, input.dataset.param, readParamInput(input));
+    syncUIToEditor(App.activeEditor);
   });
 
-  // Keyboard na zona
-  zone.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter' || e.key === ' ') {
-      e.preventDefault();
-      fileInput.click();
+  list.addEventListener('change', (e) => {
+    const editor = App.activeEditor;
+    if (!editor) return;
+
+    if (e.target.dataset.action === 'toggle') {
+      editor.toggleAdjustment(e.target.closest('.adj-node').dataset.id, e.target.checked);
+      syncUIToEditor(editor);
+      return;
     }
-  });
 
-  // Seleção de arquivo
-  fileInput.addEventListener('change', () => {
-    if (fileInput.files.length) {
-      loadFiles(fileInput.files);
-      fileInput.value = ''; // Reset para permitir re-upload do mesmo arquivo
+    const input = e.target.closest('[data-param]');
+    if (!input) return;
+    if (input.type === 'checkbox' || input.tagName === 'SELECT') {
+      editor.setAdjustmentParam(input.dataset.id, input.dataset.param, readParamInput(input));
+      syncUIToEditor(editor);
     }
+    editor.sealHistory();
   });
 
-  // Drag and drop
-  ['dragenter', 'dragover'].forEach(evt => {
-    zone.addEventListener(evt, (e) => {
-      e.preventDefault();
-      e.stopPropagation();
-      zone.classList.add('drag-over');
-    });
+  // Reordenar pelo teclado (alça focada + setas)
+  list.addEventListener('keydown', (e) => {
+    const handle = e.target.closest('.adj-node__handle');
+    const editor = App.activeEditor;
+    if (!handle || !editor || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+    e.preventDefault();
+    const id  = handle.closest('.adj-node').dataset.id;
+    const idx = editor.adjustments.findIndex(n => n.id === id);
+    editor.moveAdjustment(id, idx + (e.key === 'ArrowUp' ? -1 : 1));
+    syncUIToEditor(editor);
+    list.querySelector(`[data-id="${id}"] .adj-node__handle`)?.focus();
   });
 
-  ['dragleave', 'dragend'].forEach(evt => {
-    zone.addEventListener(evt, (e) => {
-      e.preventDefault();
-      zone.classList.remove('drag-over');
+  // Reordenar arrastando
+  let dragId = null;
+
+  const clearDropMarks = () => {
+    list.querySelectorAll('.adj-node--drop-before, .adj-node--drop-after').forEach(el => {
+      el.classList.remove('adj-node--drop-before', 'adj-node--drop-after');
     });
+  };
+
+  // Só a alça é arrastável, para não competir com os sliders do corpo
+  list.addEventListener('dragstart', (e) => {
+    const item = e.target.closest('.adj-node');
+    if (!item) return;
+    dragId = item.dataset.id;
+    item.classList.add('adj-node--dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', dragId);
+    e.dataTransfer.setDragImage(item, 16, 16);
   });
 
-  zone.addEventListener('drop', (e) => {
+  list.addEventListener('dragover', (e) => {
+    const item = e.target.closest('.adj-node');
+    if (!dragId || !item) return;
     e.preventDefault();
     e.stopPropagation();
-    zone.classList.remove('drag-over');
-    const files = e.dataTransfer?.files;
-    if (files?.length) loadFiles(files);
+    clearDropMarks();
+    const rect  = item.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+    item.classList.add(after ? 'adj-node--drop-after' : 'adj-node--drop-before');
   });
 
-  // Drop na página toda
-  document.addEventListener('dragover',  (e) => e.preventDefault());
-  document.addEventListener('drop', (e) => {
+  list.addEventListener('drop', (e) => {
+    const item   = e.target.closest('.adj-node');
+    const editor = App.activeEditor;
+    if (!dragId || !item || !editor) return;
     e.preventDefault();
-    const files = e.dataTransfer?.files;
-    if (files?.length) loadFiles(files);
+    e.stopPropagation();
+
+    const from   = editor.adjustments.findIndex(n => n.id === dragId);
+    let   to     = editor.adjustments.findIndex(n => n.id === item.dataset.id);
+    const after  = item.classList.contains('adj-node--drop-after');
+    if (after) to += 1;
+    if (from < to) to -= 1;
+    clearDropMarks();
+    editor.moveAdjustment(dragId, to);
+    syncUIToEditor(editor);
+  });
+
+  list.addEventListener('dragend', () => {
+    dragId = null;
+    clearDropMarks();
+    list.querySelectorAll('.adj-node--dragging').forEach(el => el.classList.remove('adj-node--dragging'));
   });
 }
 
 /* =============================================================
-   EVENT LISTENERS — GALERIA (Event Delegation)
+   EDITOR DE CURVAS
+   Canvas 256×256 em valores de pixel: clique adiciona ponto, arrastar
+   move, duplo clique ou arrastar para fora remove (exceto extremos)
    ============================================================= */
 
-function initGalleryEvents() {
-  const grid = document.getElementById('imagesGrid');
+const CURVE_COLORS = { rgb: null, r: '#ff4757', g: '#2ed573', b: '#1e90ff' };
+
+/* Distância (px do canvas) para pegar um ponto; além dela fora do canvas remove */
+const CURVE_HIT_RADIUS = 10;
+const CURVE_REMOVE_DISTANCE = 24;
+
+function createCurveEditor(node, key) {
+  const PF   = window.PixelFilters;
+  const wrap = document.createElement('div');
+  wrap.className = 'adj-param curve-editor';
+  wrap.dataset.id      = node.id;
+  wrap.dataset.key     = key;
+  wrap.dataset.channel = 'rgb';
+
+  wrap.innerHTML = `
+    <div class="stack-add">
+      <select class="select-input" data-curve="channel" aria-label="Canal da curva">
+        ${Object.entries(PF.CURVE_CHANNELS).map(([ch, label]) => `<option value="${ch}">${label}</option>`).join('')}
+      </select>
+      <select class="select-input" data-curve="preset" aria-label="Predefinição de curva">
+        <option value="">Predefinição…</option>
+        ${Object.entries(PF.CURVE_PRESETS).map(([k, p]) => `<option value="${k}">${p.name}</option>`).join('')}
+      </select>
+    </div>
+    <canvas class="curve-editor__canvas" width="256" height="256" tabindex="0"
+            aria-label="Curva: clique para adicionar pontos, arraste para mover, duplo clique remove"></canvas>
+    <p class="adj-node__empty">Clique adiciona um ponto; duplo clique ou arrastar para fora remove.</p>`;
+
+  const canvas = wrap.querySelector('canvas');
+  const getCurves = () => {
+    const n = App.activeEditor?.adjustments.find(a => a.id === node.id);
+    return n ? PF.normalizeCurves(n.params[key]) : null;
+  };
+  const commit = (points) => {
+    const curves = getCurves();
+    if (!curves) return;
+    curves[wrap.dataset.channel] = points.map(p => [...p]);
+    App.activeEditor.setAdjustmentParam(node.id, key, curves);
+  };
+  const toValue = (e) => {
+    const r = canvas.getBoundingClientRect();
+    return [((e.clientX - r.left) / r.width) * 255, 255 - ((e.clientY - r.top) / r.height) * 255];
+  };
+  const pointAt = (points, [x, y]) => {
+    const tol = (CURVE_HIT_RADIUS / canvas.getBoundingClientRect().width) * 255;
+    let best = -1;
+    let bestDist = tol;
+    points.forEach(([px, py], i) => {
+      const d = Math.hypot(px - x, py - y);
+      if (d <= bestDist) { best = i; bestDist = d; }
+    });
+    return best;
+  };
 
-  grid.addEventListener('click', (e) => {
-    // Botão Editar
-    const editBtn = e.target.closest('.card-edit-btn');
-    if (editBtn) {
-      openEditor(parseInt(editBtn.dataset.idx, 10));
-      return;
-    }
+  wrap.querySelector('[data-curve="channel"]').addEventListener('change', (e) => {
+    wrap.dataset.channel = e.target.value;
+    drawCurveEditor(wrap);
+  });
 
-    // Botão Deletar
-    const deleteBtn = e.target.closest('.card-delete-btn');
-    if (deleteBtn) {
-      e.stopPropagation();
-      removeImage(parseInt(deleteBtn.dataset.idx, 10));
-      return;
+  wrap.querySelector('[data-curve="preset"]').addEventListener('change', (e) => {
+    const preset = PF.CURVE_PRESETS[e.target.value];
+    e.target.value = '';
+    if (!preset) return;
+    commit(preset.points.map(p => [...p]));
+    App.activeEditor.sealHistory();
+  });
+
+  let drag = null;
+  canvas.addEventListener('pointerdown', (e) => {
+    const curves = getCurves();
+    if (!curves || e.button !== 0) return;
+    const points = curves[wrap.dataset.channel];
+    const v = toValue(e);
+    let index = pointAt(points, v);
+    if (index === -1) {
+      const x = Math.round(Math.min(Math.max(v[0], 0), 255));
+      if (points.some(p => p[0] === x)) return;
+      points.push([x, Math.round(Math.min(Math.max(v[1], 0), 255))]);
+      points.sort((a, b) => a[0] - b[0]);
+      index = points.findIndex(p => p[0] === x);
+      commit(points);
     }
+    drag = { index, points };
+    canvas.setPointerCapture(e.pointerId);
+    e.preventDefault();
+  });
 
-    // Checkbox de seleção
-    const checkbox = e.target.closest('.image-card__checkbox');
-    if (checkbox) {
-      const card = checkbox.closest('.image-card');
-      if (card) card.classList.toggle('selected', checkbox.checked);
+  canvas.addEventListener('pointermove', (e) => {
+    if (!drag) return;
+    const { points, index } = drag;
+    const [vx, vy] = toValue(e);
+    const last     = points.length - 1;
+    const interior = index > 0 && index < last;
+
+    // Arrastar um ponto interno para bem fora do canvas o remove
+    const out = Math.max(-vx, vx - 255, -vy, vy - 255) / 255 * canvas.getBoundingClientRect().width;
+    if (interior && out > CURVE_REMOVE_DISTANCE) {
+      points.splice(index, 1);
+      drag = null;
+      commit(points);
       return;
     }
+
+    const minX = index > 0 ? points[index - 1][0] + 1 : 0;
+    const maxX = index < last ? points[index + 1][0] - 1 : 255;
+    points[index] = [
+      Math.round(Math.min(Math.max(vx, minX), maxX)),
+      Math.round(Math.min(Math.max(vy, 0), 255))
+    ];
+    commit(points);
   });
-}
 
-/* =============================================================
-   EVENT LISTENERS — MODAL / EDITOR
-   ============================================================= */
+  const endDrag = () => {
+    if (!drag) return;
+    drag = null;
+    App.activeEditor?.sealHistory();
+  };
+  canvas.addEventListener('pointerup', endDrag);
+  canvas.addEventListener('pointercancel', endDrag);
+
+  canvas.addEventListener('dblclick', (e) => {
+    const curves = getCurves();
+    if (!curves) return;
+    const points = curves[wrap.dataset.channel];
+    const index  = pointAt(points, toValue(e));
+    if (index <= 0 || index >= points.length - 1) return;
+    points.splice(index, 1);
+    commit(points);
+    App.activeEditor.sealHistory();
+  });
 
-function initEditorEvents() {
+  requestAnimationFrame(() => drawCurveEditor(wrap));
+  return wrap;
+}
 
-  // Fechar modal
-  document.getElementById('btnCloseModal').addEventListener('click', closeModal);
+/**
+ * Desenha grade, histograma da entrada do nó, curva e pontos
+ */
+function drawCurveEditor(wrap) {
+  const PF     = window.PixelFilters;
+  const editor = App.activeEditor;
+  const node   = editor?.adjustments.find(a => a.id === wrap.dataset.id);
+  const canvas = wrap.querySelector('canvas');
+  if (!node || !canvas) return;
+
+  const ctx     = canvas.getContext('2d');
+  const size    = canvas.width;
+  const channel = wrap.dataset.channel;
+  const points  = PF.normalizeCurves(node.params[wrap.dataset.key])[channel];
+  const styles  = getComputedStyle(document.documentElement);
+  const color   = CURVE_COLORS[channel] || styles.getPropertyValue('--color-primary').trim();
+  const muted   = styles.getPropertyValue('--color-text-muted').trim();
+  const toY     = v => size - (v / 255) * size;
+
+  ctx.clearRect(0, 0, size, size);
+
+  // Histograma (canal escolhido, ou luminância no RGB)
+  const hist = editor.inputHistogram(node.id);
+  if (hist && hist.total) {
+    const bins = hist[channel === 'rgb' ? 'l' : channel];
+    const max  = Math.max(...bins) || 1;
+    ctx.fillStyle = muted;
+    ctx.globalAlpha = 0.25;
+    for (let i = 0; i < 256; i++) {
+      const h = (bins[i] / max) * size;
+      ctx.fillRect((i / 256) * size, size - h, size / 256 + 0.5, h);
+    }
+    ctx.globalAlpha = 1;
+  }
+
+  // Grade em quartos e diagonal de referência
+  ctx.strokeStyle = muted;
+  ctx.globalAlpha = 0.35;
+  ctx.lineWidth   = 1;
+  ctx.beginPath();
+  for (let i = 1; i < 4; i++) {
+    ctx.moveTo((size * i) / 4, 0);
+    ctx.lineTo((size * i) / 4, size);
+    ctx.moveTo(0, (size * i) / 4);
+    ctx.lineTo(size, (size * i) / 4);
+  }
+  ctx.moveTo(0, size);
+  ctx.lineTo(size, 0);
+  ctx.stroke();
+  ctx.globalAlpha = 1;
+
+  // Curva
+  const lut = PF.curveLUT(points);
+  ctx.strokeStyle = color;
+  ctx.lineWidth   = 2;
+  ctx.beginPath();
+  for (let x = 0; x < 256; x++) {
+    const px = (x / 255) * size;
+    if (x === 0) ctx.moveTo(px, toY(lut[x]));
+    else         ctx.lineTo(px, toY(lut[x]));
+  }
+  ctx.stroke();
+
+  // Pontos de controle
+  ctx.fillStyle = color;
+  points.forEach(([x, y]) => {
+    ctx.beginPath();
+    ctx.arc((x / 255) * size, toY(y), 4, 0, Math.PI * 2);
+    ctx.fill();
+  });
+}
+
+/* =============================================================
+   EDITOR DE NÍVEIS
+   Usado no nó da pilha e na seção "Níveis" da aba Ajustes (que edita
+   o primeiro nó de níveis, criando-o se necessário)
+   ============================================================= */
+
+const LEVELS_PICKERS = [
+  { point: 'black', label: 'Ponto preto',  color: '#000000' },
+  { point: 'gray',  label: 'Ponto cinza',  color: '#808080' },
+  { point: 'white', label: 'Ponto branco', color: '#ffffff' }
+];
+
+function createLevelsEditor(node, key) {
+  const PF   = window.PixelFilters;
+  const wrap = document.createElement('div');
+  wrap.className = 'adj-param levels-editor';
+  wrap.dataset.id      = node.id;
+  wrap.dataset.key     = key;
+  wrap.dataset.channel = 'rgb';
+
+  wrap.innerHTML = `
+    <div class="stack-add">
+      <select class="select-input" data-levels="channel" aria-label="Canal dos níveis">
+        ${Object.entries(PF.CURVE_CHANNELS).map(([ch, label]) => `<option value="${ch}">${label}</option>`).join('')}
+      </select>
+      ${LEVELS_PICKERS.map(p => `
+        <button type="button" class="btn btn--ghost btn--sm" data-levels-pick="${p.point}" aria-pressed="false"
+                aria-label="Conta-gotas: ${p.label.toLowerCase()}" title="${p.label}: clique na imagem">
+          <i class="fas fa-eye-dropper" style="color: ${p.color}; -webkit-text-stroke: 1px var(--color-text-muted)"></i>
+        </button>`).join('')}
+    </div>
+    <canvas class="levels-editor__histogram" width="256" height="80" aria-hidden="true"></canvas>
+    ${Object.entries(PF.LEVELS_FIELDS).map(([field, spec]) => `
+      <label class="control-label">${spec.label}
+        <span class="control-value" data-levels-value="${field}"></span>
+      </label>
+      <input type="range" class="range-input" data-levels-field="${field}" aria-label="${spec.label}"
+             min="${spec.min}" max="${spec.max}" step="${spec.step}" />`).join('')}`;
+
+  const current = () => {
+    const n = App.activeEditor?.adjustments.find(a => a.id === node.id);
+    return n ? PF.normalizeLevels(n.params[key]) : null;
+  };
+
+  wrap.querySelector('[data-levels="channel"]').addEventListener('change', (e) => {
+    wrap.dataset.channel = e.target.value;
+    syncLevelsEditor(wrap);
+  });
+
+  wrap.querySelectorAll('[data-levels-field]').forEach(input => {
+    input.addEventListener('input', () => {
+      const levels = current();
+      if (!levels) return;
+      levels[wrap.dataset.channel][input.dataset.levelsField] = parseFloat(input.value);
+      App.activeEditor.setAdjustmentParam(node.id, key, PF.normalizeLevels(levels));
+    });
+    input.addEventListener('change', () => App.activeEditor?.sealHistory());
+  });
+
+  wrap.querySelectorAll('[data-levels-pick]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      startEyedropper(btn, (editor, pt) => editor.setLevelsFromPoint(node.id, btn.dataset.levelsPick, pt.x, pt.y));
+    });
+  });
+
+  requestAnimationFrame(() => syncLevelsEditor(wrap));
+  return wrap;
+}
+
+/**
+ * Atualiza os sliders e o histograma (com marcas de preto, gama e branco)
+ */
+function syncLevelsEditor(wrap) {
+  const PF     = window.PixelFilters;
+  const editor = App.activeEditor;
+  const node   = editor?.adjustments.find(a => a.id === wrap.dataset.id);
+  if (!node) return;
+  const channel = wrap.dataset.channel;
+  const l = PF.normalizeLevels(node.params[wrap.dataset.key])[channel];
+
+  wrap.querySelectorAll('[data-levels-field]').forEach(input => {
+    const field = input.dataset.levelsField;
+    if (document.activeElement !== input) input.value = l[field];
+    wrap.querySelector(`[data-levels-value="${field}"]`).textContent = l[field];
+    updateRangeFill(input);
+  });
+
+  const canvas = wrap.querySelector('canvas');
+  const ctx    = canvas.getContext('2d');
+  const W      = canvas.width;
+  const H      = canvas.height;
+  const styles = getComputedStyle(document.documentElement);
+  ctx.clearRect(0, 0, W, H);
+
+  const hist = editor.inputHistogram(node.id);
+  if (hist && hist.total) {
+    const bins = hist[channel === 'rgb' ? 'l' : channel];
+    const max  = Math.max(...bins) || 1;
+    ctx.fillStyle = CURVE_COLORS[channel] || styles.getPropertyValue('--color-text-muted').trim();
+    ctx.globalAlpha = 0.6;
+    for (let i = 0; i < 256; i++) {
+      const h = (bins[i] / max) * H;
+      ctx.fillRect((i / 256) * W, H - h, W / 256 + 0.5, h);
+    }
+    ctx.globalAlpha = 1;
+  }
+
+  // Marcas: entrada preto, tom médio (gama) e entrada branco
+  const mid = l.inBlack + (l.inWhite - l.inBlack) * Math.pow(0.5, l.gamma);
+  ctx.lineWidth = 1.5;
+  [[l.inBlack, '#000000'], [mid, '#808080'], [l.inWhite, '#ffffff']].forEach(([v, color]) => {
+    const x = (v / 255) * W;
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, H);
+    ctx.stroke();
+  });
+}
+
+/**
+ * Seção "Níveis" da aba Ajustes: edita o primeiro nó de níveis da pilha
+ */
+function renderLevelsPanel(editor) {
+  if (!editor || editor !== App.activeEditor) return;
+  const panel = document.getElementById('levelsPanel');
+  if (!panel) return;
+  const node = window.PixelFilters.findPrimaryAdjustment(editor.adjustments, 'levels');
+  document.getElementById('btnAddLevels').hidden = !!node;
+
+  const current = panel.querySelector('.levels-editor');
+  if (!node) {
+    panel.innerHTML = '';
+    return;
+  }
+  if (current?.dataset.id === node.id) {
+    syncLevelsEditor(current);
+    return;
+  }
+  panel.innerHTML = '';
+  panel.appendChild(createLevelsEditor(node, 'levels'));
+}
+
+function initLevelsPanelEvents() {
+  document.getElementById('btnAddLevels')?.addEventListener('click', () => {
+    const editor = App.activeEditor;
+    if (!editor) return;
+    editor.addAdjustment('levels');
+    syncUIToEditor(editor);
+  });
+}
+
+/* =============================================================
+   EDITOR HSL
+   Como nos painéis de cor das câmeras: escolhe-se a propriedade
+   (matiz, saturação ou luminância) e cada faixa tem o seu slider
+   ============================================================= */
+
+function createHslEditor(node, key) {
+  const PF   = window.PixelFilters;
+  const wrap = document.createElement('div');
+  wrap.className = 'adj-param hsl-editor';
+  wrap.dataset.id    = node.id;
+  wrap.dataset.key   = key;
+  wrap.dataset.field = 'hue';
+
+  wrap.innerHTML = `
+    <select class="select-input" data-hsl="field" aria-label="Propriedade ajustada por faixa">
+      ${Object.entries(PF.HSL_FIELDS).map(([field, spec]) => `<option value="${field}">${spec.label}</option>`).join('')}
+    </select>
+    ${Object.entries(PF.HSL_BANDS).map(([band, def]) => `
+      <label class="control-label">
+        <span><span class="hsl-editor__swatch" style="background: ${def.color}"></span> ${def.label}</span>
+        <span class="control-value" data-hsl-value="${band}"></span>
+      </label>
+      <input type="range" class="range-input" data-hsl-band="${band}" aria-label="${def.label}" />`).join('')}`;
+
+  const current = () => {
+    const n = App.activeEditor?.adjustments.find(a => a.id === node.id);
+    return n ? PF.normalizeHsl(n.params[key]) : null;
+  };
+
+  wrap.querySelector('[data-hsl="field"]').addEventListener('change', (e) => {
+    wrap.dataset.field = e.target.value;
+    syncHslEditor(wrap);
+  });
+
+  wrap.querySelectorAll('[data-hsl-band]').forEach(input => {
+    input.addEventListener('input', () => {
+      const hsl = current();
+      if (!hsl) return;
+      hsl[input.dataset.hslBand][wrap.dataset.field] = parseFloat(input.value);
+      App.activeEditor.setAdjustmentParam(node.id, key, hsl);
+    });
+    input.addEventListener('change', () => App.activeEditor?.sealHistory());
+  });
+
+  syncHslEditor(wrap, node);
+  return wrap;
+}
+
+/**
+ * Atualiza os sliders das faixas para a propriedade escolhida
+ * @param {HTMLElement} wrap
+ * @param {object} [node]  nó recém-criado (antes de estar no DOM)
+ */
+function syncHslEditor(wrap, node) {
+  const PF = window.PixelFilters;
+  node = node || App.activeEditor?.adjustments.find(a => a.id === wrap.dataset.id);
+  if (!node) return;
+  const hsl   = PF.normalizeHsl(node.params[wrap.dataset.key]);
+  const field = wrap.dataset.field;
+  const spec  = PF.HSL_FIELDS[field];
+
+  wrap.querySelectorAll('[data-hsl-band]').forEach(input => {
+    const band  = input.dataset.hslBand;
+    const value = hsl[band][field];
+    input.min  = spec.min;
+    input.max  = spec.max;
+    input.step = spec.step;
+    if (String(input.value) !== String(value)) input.value = value;
+    wrap.querySelector(`[data-hsl-value="${band}"]`).textContent = value + (spec.suffix || '');
+    updateRangeFill(input);
+  });
+}
+
+/* =============================================================
+   MISTURADOR DE CANAIS
+   Uma saída por vez (R, G ou B; "Monocromático" quando o nó está
+   em modo monocromático), com os filtros de filme P&B como atalho
+   ============================================================= */
+
+function createMixerEditor(node, key) {
+  const PF   = window.PixelFilters;
+  const wrap = document.createElement('div');
+  wrap.className = 'adj-param mixer-editor';
+  wrap.dataset.id      = node.id;
+  wrap.dataset.key     = key;
+  wrap.dataset.channel = 'red';
+
+  wrap.innerHTML = `
+    <label class="control-label" for="mixerPreset_${node.id}">Filtro de cor (P&amp;B)</label>
+    <select class="select-input" id="mixerPreset_${node.id}" data-mixer="preset">
+      <option value="">Escolher…</option>
+      ${Object.entries(PF.MIXER_PRESETS).map(([k, p]) => `<option value="${k}">${p.label}</option>`).join('')}
+    </select>
+    <select class="select-input" data-mixer="channel" aria-label="Canal de saída">
+      ${['red', 'green', 'blue'].map(ch => `<option value="${ch}">Saída: ${PF.MIXER_OUTPUTS[ch].label}</option>`).join('')}
+    </select>
+    <p class="control-label" data-mixer="mono-title" hidden>Saída: ${PF.MIXER_OUTPUTS.gray.label}</p>
+    ${Object.entries(PF.MIXER_FIELDS).map(([field, spec]) => `
+      <label class="control-label">
+        ${spec.label}
+        <span class="control-value" data-mixer-value="${field}"></span>
+      </label>
+      <input type="range" class="range-input" data-mixer-field="${field}" aria-label="${spec.label}"
+             min="${spec.min}" max="${spec.max}" step="${spec.step}" />`).join('')}
+    <p class="adj-node__empty mixer-editor__total" data-mixer="total"></p>`;
+
+  const current = () => {
+    const n = App.activeEditor?.adjustments.find(a => a.id === node.id);
+    return n ? { mixer: PF.normalizeMixer(n.params[key]), monochrome: n.params.monochrome } : null;
+  };
+
+  wrap.querySelector('[data-mixer="channel"]').addEventListener('change', (e) => {
+    wrap.dataset.channel = e.target.value;
+    syncMixerEditor(wrap);
+  });
+
+  wrap.querySelector('[data-mixer="preset"]').addEventListener('change', (e) => {
+    const preset = PF.MIXER_PRESETS[e.target.value];
+    const state  = current();
+    e.target.value = '';
+    if (!preset || !state) return;
+    state.mixer.gray = { ...preset.gray, constant: 0 };
+    App.activeEditor.setAdjustmentParam(node.id, key, state.mixer);
+    if (!state.monochrome) App.activeEditor.setAdjustmentParam(node.id, 'monochrome', true);
+    App.activeEditor.sealHistory();
+  });
+
+  wrap.querySelectorAll('[data-mixer-field]').forEach(input => {
+    input.addEventListener('input', () => {
+      const state = current();
+      if (!state) return;
+      const channel = state.monochrome ? 'gray' : wrap.dataset.channel;
+      state.mixer[channel][input.dataset.mixerField] = parseFloat(input.value);
+      App.activeEditor.setAdjustmentParam(node.id, key, state.mixer);
+    });
+    input.addEventListener('change', () => App.activeEditor?.sealHistory());
+  });
+
+  syncMixerEditor(wrap, node);
+  return wrap;
+}
+
+/**
+ * Atualiza os sliders para a saída visível e o total da linha
+ * (fora de 100% a saída clareia ou escurece)
+ * @param {HTMLElement} wrap
+ * @param {object} [node]  nó recém-criado (antes de estar no DOM)
+ */
+function syncMixerEditor(wrap, node) {
+  const PF = window.PixelFilters;
+  node = node || App.activeEditor?.adjustments.find(a => a.id === wrap.dataset.id);
+  if (!node) return;
+  const mixer   = PF.normalizeMixer(node.params[wrap.dataset.key]);
+  const mono    = !!node.params.monochrome;
+  const channel = mono ? 'gray' : wrap.dataset.channel;
+  const row     = mixer[channel];
+
+  wrap.querySelector('[data-mixer="channel"]').hidden    = mono;
+  wrap.querySelector('[data-mixer="mono-title"]').hidden = !mono;
+  wrap.querySelectorAll('[data-mixer-field]').forEach(input => {
+    const field = input.dataset.mixerField;
+    if (String(input.value) !== String(row[field])) input.value = row[field];
+    wrap.querySelector(`[data-mixer-value="${field}"]`).textContent = row[field] + PF.MIXER_FIELDS[field].suffix;
+    updateRangeFill(input);
+  });
+  const total = row.r + row.g + row.b;
+  const hint  = wrap.querySelector('[data-mixer="total"]');
+  hint.textContent = `Total: ${total}%`;
+  hint.classList.toggle('mixer-editor__total--warn', total !== 100);
+}
+
+/* =============================================================
+   MAPA DE GRADIENTE
+   Editor de paradas usado pelo nó da pilha e pelo grupo da aba
+   Filtros: clique na barra adiciona uma cor, arrastar a parada a
+   move (sem passar das vizinhas), setas ajustam, Delete remove
+   ============================================================= */
+
+/* Passo das setas no teclado (posição, %; Shift = ×10) */
+const GRADIENT_KEY_STEP = 1;
+
+/**
+ * @param {Array} stops  ver PixelFilters.normalizeGradient()
+ * @param {(stops: Array, done: boolean) => void} onChange  `done` = fim do gesto
+ * @param {{ id?: string, key?: string }} [bind]  nó da pilha editado (para sincronizar)
+ */
+function createGradientEditor(stops, onChange, bind = {}) {
+  const PF   = window.PixelFilters;
+  const wrap = document.createElement('div');
+  wrap.className = 'adj-param gradient-editor';
+  wrap.dataset.selected = '0';
+  if (bind.id) {
+    wrap.dataset.id  = bind.id;
+    wrap.dataset.key = bind.key;
+  }
+
+  wrap.innerHTML = `
+    <select class="select-input" data-gradient="preset" aria-label="Carregar gradiente predefinido">
+      <option value="">Duotone / tritone…</option>
+      ${Object.entries(PF.GRADIENT_PRESETS).map(([key, g]) => `<option value="${key}">${g.label}</option>`).join('')}
+    </select>
+    <div class="gradient-editor__bar" data-gradient="bar" title="Clique para adicionar uma cor">
+      <div class="gradient-editor__stops" role="group" aria-label="Cores do gradiente"></div>
+    </div>
+    <div class="gradient-editor__fields">
+      <label class="control-label">Cor
+        <input type="color" data-gradient="color" />
+      </label>
+      <label class="control-label">Posição
+        <input type="number" class="text-input" data-gradient="position" min="0" max="100" step="1" />
+      </label>
+      <button type="button" class="btn btn--ghost btn--sm" data-gradient="remove" aria-label="Remover cor" title="Remover cor">
+        <i class="fas fa-trash"></i>
+      </button>
+    </div>`;
+
+  const bar      = wrap.querySelector('[data-gradient="bar"]');
+  const selected = () => Math.min(parseInt(wrap.dataset.selected, 10) || 0, wrap._stops.length - 1);
+  const copy     = () => wrap._stops.map(s => ({ ...s }));
+
+  const commit = (next, done, select) => {
+    const sorted = PF.normalizeGradient(next);
+    if (select) wrap.dataset.selected = String(Math.max(0, sorted.findIndex(s => s.position === select.position && s.color === select.color)));
+    syncGradientEditor(wrap, sorted);
+    onChange(sorted, done);
+  };
+
+  // Mover mantém a ordem: a parada fica entre as vizinhas
+  const moveTo = (idx, position) => {
+    const next = copy();
+    const lo = idx > 0 ? next[idx - 1].position : 0;
+    const hi = idx < next.length - 1 ? next[idx + 1].position : 100;
+    next[idx].position = Math.round(Math.max(lo, Math.min(hi, position)) * 10) / 10;
+    return next;
+  };
+  const positionAt = (e) => {
+    const r = bar.getBoundingClientRect();
+    return Math.max(0, Math.min(100, ((e.clientX - r.left) / r.width) * 100));
+  };
+  const remove = (idx) => {
+    if (wrap._stops.length <= 2) return;
+    const next = copy();
+    next.splice(idx, 1);
+    wrap.dataset.selected = String(Math.max(0, idx - 1));
+    commit(next, true);
+  };
+
+  let dragging = -1;
+  bar.addEventListener('pointerdown', (e) => {
+    if (e.button !== 0) return;
+    const handle = e.target.closest('[data-stop]');
+    if (handle) {
+      dragging = parseInt(handle.dataset.stop, 10);
+      wrap.dataset.selected = String(dragging);
+      bar.setPointerCapture(e.pointerId);
+      syncGradientEditor(wrap, wrap._stops);
+      handle.focus();
+      e.preventDefault();
+      return;
+    }
+    if (wrap._stops.length >= PF.GRADIENT_MAX_STOPS) return;
+    const position = Math.round(positionAt(e));
+    const stop = { position, color: PF.rgbToHex(...PF.gradientColorAt(wrap._stops, position)) };
+    commit([...copy(), stop], true, stop);
+  });
+  bar.addEventListener('pointermove', (e) => {
+    if (dragging !== -1) commit(moveTo(dragging, positionAt(e)), false);
+  });
+  const endDrag = () => {
+    if (dragging === -1) return;
+    dragging = -1;
+    onChange(wrap._stops, true);
+  };
+  bar.addEventListener('pointerup', endDrag);
+  bar.addEventListener('pointercancel', endDrag);
+
+  bar.addEventListener('keydown', (e) => {
+    const handle = e.target.closest('[data-stop]');
+    if (!handle) return;
+    const idx  = parseInt(handle.dataset.stop, 10);
+    const step = GRADIENT_KEY_STEP * (e.shiftKey ? 10 : 1);
+    if (e.key === 'Delete' || e.key === 'Backspace') {
+      e.preventDefault();
+      remove(idx);
+    } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      e.preventDefault();
+      commit(moveTo(idx, wrap._stops[idx].position + (e.key === 'ArrowLeft' ? -step : step)), false);
+    }
+  });
+  bar.addEventListener('keyup', (e) => {
+    if (e.key.startsWith('Arrow')) onChange(wrap._stops, true);
+  });
+  bar.addEventListener('focusin', (e) => {
+    const handle = e.target.closest('[data-stop]');
+    if (!handle || handle.dataset.stop === wrap.dataset.selected) return;
+    wrap.dataset.selected = handle.dataset.stop;
+    syncGradientEditor(wrap, wrap._stops);
+  });
+
+  const color = wrap.querySelector('[data-gradient="color"]');
+  color.addEventListener('input', () => {
+    const next = copy();
+    next[selected()].color = color.value;
+    commit(next, false);
+  });
+  color.addEventListener('change', () => onChange(wrap._stops, true));
+
+  const position = wrap.querySelector('[data-gradient="position"]');
+  position.addEventListener('change', () => {
+    const value = parseFloat(position.value);
+    if (!Number.isFinite(value)) return syncGradientEditor(wrap, wrap._stops);
+    const next = copy();
+    const stop = next[selected()];
+    stop.position = Math.max(0, Math.min(100, value));
+    commit(next, true, stop);
+  });
+
+  wrap.querySelector('[data-gradient="remove"]').addEventListener('click', () => remove(selected()));
+
+  wrap.querySelector('[data-gradient="preset"]').addEventListener('change', (e) => {
+    const preset = PF.GRADIENT_PRESETS[e.target.value];
+    e.target.value = '';
+    if (!preset) return;
+    wrap.dataset.selected = '0';
+    commit(preset.stops, true);
+  });
+
+  syncGradientEditor(wrap, stops);
+  return wrap;
+}
+
+/**
+ * Desenha a barra e as paradas; atualiza no lugar quando o número de
+ * paradas não muda (não perde o arraste nem o foco)
+ */
+function syncGradientEditor(wrap, stops) {
+  const PF = window.PixelFilters;
+  const g  = PF.normalizeGradient(stops);
+  wrap._stops = g;
+  const sel = Math.min(parseInt(wrap.dataset.selected, 10) || 0, g.length - 1);
+
+  wrap.querySelector('[data-gradient="bar"]').style.background =
+    `linear-gradient(to right, ${g.map(s => `${s.color} ${s.position}%`).join(', ')})`;
+
+  const list = wrap.querySelector('.gradient-editor__stops');
+  if (list.children.length !== g.length) {
+    list.innerHTML = g.map((s, i) => `
+      <button type="button" class="gradient-editor__stop" data-stop="${i}"></button>`).join('');
+  }
+  [...list.children].forEach((btn, i) => {
+    const s = g[i];
+    btn.style.left = `${s.position}%`;
+    btn.style.setProperty('--stop-color', s.color);
+    btn.classList.toggle('gradient-editor__stop--active', i === sel);
+    btn.setAttribute('aria-label', `Cor ${i + 1}: ${s.color} em ${s.position}% (setas movem, Delete remove)`);
+  });
+
+  const color    = wrap.querySelector('[data-gradient="color"]');
+  const position = wrap.querySelector('[data-gradient="position"]');
+  if (color.value !== g[sel].color) color.value = g[sel].color;
+  if (document.activeElement !== position) position.value = g[sel].position;
+  wrap.querySelector('[data-gradient="remove"]').disabled = g.length <= 2;
+}
+
+/* =============================================================
+   RODAS DE COR (balanço de três vias)
+   Ângulo = matiz, distância ao centro = intensidade
+   ============================================================= */
+
+/* Passo das setas no teclado (matiz em graus, intensidade) */
+const WHEEL_KEY_STEP = 5;
+
+function createColorWheel(node, key, spec) {
+  const PF   = window.PixelFilters;
+  const wrap = document.createElement('div');
+  wrap.className = 'adj-param color-wheel';
+  wrap.dataset.id  = node.id;
+  wrap.dataset.key = key;
+
+  wrap.innerHTML = `
+    <label class="control-label">${spec.label}
+      <span class="control-value" data-wheel-value></span>
+    </label>
+    <canvas class="color-wheel__canvas" width="120" height="120" tabindex="0"
+            aria-label="${spec.label}: arraste para escolher a cor (setas ajustam, duplo clique zera)"></canvas>
+    <label class="control-label">Luminância
+      <span class="control-value" data-wheel-lum></span>
+    </label>
+    <input type="range" class="range-input" data-wheel="luminance" min="-100" max="100" step="1"
+           aria-label="${spec.label}: luminância" />`;
+
+  const canvas  = wrap.querySelector('canvas');
+  const current = () => {
+    const n = App.activeEditor?.adjustments.find(a => a.id === node.id);
+    return n ? PF.normalizeWheel(n.params[key]) : null;
+  };
+  const commit = (changes) => {
+    const wheel = current();
+    if (!wheel) return;
+    App.activeEditor.setAdjustmentParam(node.id, key, PF.normalizeWheel({ ...wheel, ...changes }));
+  };
+  const fromPointer = (e) => {
+    const r  = canvas.getBoundingClientRect();
+    const dx = e.clientX - (r.left + r.width / 2);
+    const dy = e.clientY - (r.top + r.height / 2);
+    return {
+      hue:    Math.round((Math.atan2(dy, dx) * 180 / Math.PI + 360) % 360),
+      amount: Math.round(Math.min(1, Math.hypot(dx, dy) / (r.width / 2)) * 100)
+    };
+  };
+
+  let dragging = false;
+  canvas.addEventListener('pointerdown', (e) => {
+    if (e.button !== 0) return;
+    dragging = true;
+    canvas.setPointerCapture(e.pointerId);
+    commit(fromPointer(e));
+    e.preventDefault();
+  });
+  canvas.addEventListener('pointermove', (e) => {
+    if (dragging) commit(fromPointer(e));
+  });
+  const endDrag = () => {
+    if (!dragging) return;
+    dragging = false;
+    App.activeEditor?.sealHistory();
+  };
+  canvas.addEventListener('pointerup', endDrag);
+  canvas.addEventListener('pointercancel', endDrag);
+
+  canvas.addEventListener('dblclick', () => {
+    commit({ amount: 0 });
+    App.activeEditor?.sealHistory();
+  });
+
+  canvas.addEventListener('keydown', (e) => {
+    const wheel = current();
+    if (!wheel) return;
+    const moves = {
+      ArrowLeft:  { hue: wheel.hue - WHEEL_KEY_STEP },
+      ArrowRight: { hue: wheel.hue + WHEEL_KEY_STEP },
+      ArrowUp:    { amount: wheel.amount + WHEEL_KEY_STEP },
+      ArrowDown:  { amount: wheel.amount - WHEEL_KEY_STEP }
+    };
+    if (!moves[e.key]) return;
+    e.preventDefault();
+    commit(moves[e.key]);
+  });
+  canvas.addEventListener('keyup', (e) => {
+    if (e.key.startsWith('Arrow')) App.activeEditor?.sealHistory();
+  });
+
+  const lum = wrap.querySelector('[data-wheel="luminance"]');
+  lum.addEventListener('input', () => commit({ luminance: parseFloat(lum.value) }));
+  lum.addEventListener('change', () => App.activeEditor?.sealHistory());
+
+  syncColorWheel(wrap, node);
+  return wrap;
+}
+
+/**
+ * Redesenha a roda (anel de matizes, centro neutro e marcador) e o slider
+ * @param {HTMLElement} wrap
+ * @param {object} [node]  nó recém-criado (antes de estar no DOM)
+ */
+function syncColorWheel(wrap, node) {
+  const PF = window.PixelFilters;
+  node = node || App.activeEditor?.adjustments.find(a => a.id === wrap.dataset.id);
+  if (!node) return;
+  const wheel  = PF.normalizeWheel(node.params[wrap.dataset.key]);
+  const canvas = wrap.querySelector('canvas');
+  const ctx    = canvas.getContext('2d');
+  const size   = canvas.width;
+  const c      = size / 2;
+  const R      = c - 1;
+  ctx.clearRect(0, 0, size, size);
+
+  for (let a = 0; a < 360; a += 2) {
+    ctx.fillStyle = `hsl(${a}, 100%, 50%)`;
+    ctx.beginPath();
+    ctx.moveTo(c, c);
+    ctx.arc(c, c, R, (a - 1.5) * Math.PI / 180, (a + 1.5) * Math.PI / 180);
+    ctx.closePath();
+    ctx.fill();
+  }
+  const fade = ctx.createRadialGradient(c, c, 0, c, c, R);
+  fade.addColorStop(0, 'rgba(128, 128, 128, 1)');
+  fade.addColorStop(1, 'rgba(128, 128, 128, 0)');
+  ctx.fillStyle = fade;
+  ctx.beginPath();
+  ctx.arc(c, c, R, 0, Math.PI * 2);
+  ctx.fill();
+
+  const angle = wheel.hue * Math.PI / 180;
+  const dist  = (wheel.amount / 100) * R;
+  ctx.lineWidth   = 2;
+  ctx.strokeStyle = '#ffffff';
+  ctx.fillStyle   = 'rgba(0, 0, 0, 0.35)';
+  ctx.beginPath();
+  ctx.arc(c + Math.cos(angle) * dist, c + Math.sin(angle) * dist, 5, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.stroke();
+
+  wrap.querySelector('[data-wheel-value]').textContent = wheel.amount ? `${wheel.hue}° · ${wheel.amount}` : 'neutro';
+  wrap.querySelector('[data-wheel-lum]').textContent   = wheel.luminance;
+  const lum = wrap.querySelector('[data-wheel="luminance"]');
+  if (String(lum.value) !== String(wheel.luminance)) lum.value = wheel.luminance;
+  updateRangeFill(lum);
+}
+
+/* =============================================================
+   CONVOLUÇÃO E BORDAS
+   Editor de kernel (grade N×N) usado no nó da pilha e no rascunho
+   da aba Filtros; kernels salvos ficam no localStorage
+   ============================================================= */
+
+const KERNEL_STORAGE_KEY = 'pixelcraft_kernels';
+
+/**
+ * Editor de kernel
+ * @param {object} kernel
+ * @param {(kernel: object, done: boolean) => void} onChange  done = fim do gesto
+ * @param {{ id?: string, key?: string }} [bind]  nó da pilha editado (para syncKernelEditor)
+ */
+function createKernelEditor(kernel, onChange, bind = {}) {
+  const PF   = window.PixelFilters;
+  const wrap = document.createElement('div');
+  wrap.className = 'adj-param kernel-editor';
+  if (bind.id) {
+    wrap.dataset.id  = bind.id;
+    wrap.dataset.key = bind.key;
+  }
+
+  wrap.innerHTML = `
+    <label class="control-label">Tamanho
+      <select class="select-input" data-kernel="size" aria-label="Tamanho do kernel">
+        ${PF.KERNEL_SIZES.map(n => `<option value="${n}">${n}×${n}</option>`).join('')}
+      </select>
+    </label>
+    <div class="kernel-editor__grid" role="group" aria-label="Valores do kernel"></div>
+    <div class="kernel-editor__fields">
+      <label class="control-label">Divisor
+        <input type="number" class="text-input" data-kernel="divisor" step="any" />
+      </label>
+      <label class="control-label">Bias
+        <input type="number" class="text-input" data-kernel="bias" step="any" />
+      </label>
+      <label class="control-label">Preset
+        <select class="select-input" data-kernel="preset" aria-label="Carregar kernel predefinido">
+          <option value="">—</option>
+          ${Object.entries(PF.KERNEL_PRESETS).map(([key, k]) => `<option value="${key}">${k.label}</option>`).join('')}
+        </select>
+      </label>
+    </div>`;
+
+  const read = () => {
+    const k = PF.normalizeKernel({
+      ...wrap._kernel,
+      values:  [...wrap.querySelectorAll('[data-kernel-cell]')].map(input => parseFloat(input.value)),
+      divisor: parseFloat(wrap.querySelector('[data-kernel="divisor"]').value),
+      bias:    parseFloat(wrap.querySelector('[data-kernel="bias"]').value)
+    });
+    delete k.label; // editado à mão deixa de ser o preset
+    return k;
+  };
+
+  const commit = (k, done) => {
+    wrap._kernel = k;
+    syncKernelEditor(wrap, k);
+    onChange(k, done);
+  };
+
+  wrap.addEventListener('input', (e) => {
+    if (e.target.matches('[data-kernel-cell], [data-kernel="divisor"], [data-kernel="bias"]')) {
+      wrap._kernel = read();
+      onChange(wrap._kernel, false);
+    }
+  });
+
+  wrap.addEventListener('change', (e) => {
+    const field = e.target.dataset.kernel;
+    if (field === 'size') {
+      commit(PF.resizeKernel(read(), parseInt(e.target.value, 10)), true);
+    } else if (field === 'preset') {
+      if (e.target.value) commit(PF.normalizeKernel(PF.KERNEL_PRESETS[e.target.value]), true);
+      e.target.value = '';
+    } else {
+      commit(read(), true);
+    }
+  });
+
+  syncKernelEditor(wrap, kernel);
+  return wrap;
+}
+
+/**
+ * Atualiza a grade (recriada só se o tamanho mudar; o campo com foco
+ * não é reescrito enquanto se digita)
+ */
+function syncKernelEditor(wrap, kernel) {
+  const k    = window.PixelFilters.normalizeKernel(kernel);
+  const grid = wrap.querySelector('.kernel-editor__grid');
+  wrap._kernel = k;
+
+  if (grid.children.length !== k.values.length) {
+    grid.style.setProperty('--kernel-size', k.size);
+    grid.innerHTML = k.values.map((_, i) => `
+      <input type="number" class="text-input kernel-editor__cell" data-kernel-cell="${i}" step="any"
+             aria-label="Linha ${Math.floor(i / k.size) + 1}, coluna ${i % k.size + 1}" />`).join('');
+  }
+
+  const set = (input, value) => {
+    if (input !== document.activeElement && String(input.value) !== String(value)) input.value = value;
+  };
+  grid.querySelectorAll('[data-kernel-cell]').forEach((input, i) => set(input, k.values[i]));
+  set(wrap.querySelector('[data-kernel="divisor"]'), k.divisor);
+  set(wrap.querySelector('[data-kernel="bias"]'), k.bias);
+  wrap.querySelector('[data-kernel="size"]').value = k.size;
+}
+
+function loadSavedKernels() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(KERNEL_STORAGE_KEY) || '[]');
+    App.kernels.saved = Array.isArray(saved)
+      ? saved.filter(k => k && k.name).map(k => ({ ...window.PixelFilters.normalizeKernel(k), name: String(k.name) }))
+      : [];
+  } catch (err) {
+    App.kernels.saved = [];
+  }
+}
+
+function storeSavedKernels() {
+  try {
+    localStorage.setItem(KERNEL_STORAGE_KEY, JSON.stringify(App.kernels.saved));
+  } catch (err) {
+    Toast.show('Não foi possível salvar o kernel neste navegador.', 'error');
+  }
+}
+
+function renderSavedKernels() {
+  const list = document.getElementById('savedKernels');
+  if (!list) return;
+  list.innerHTML = App.kernels.saved.map((k, idx) => `
+    <li class="kernel-list__item" data-idx="${idx}">
+      <button type="button" class="btn btn--ghost btn--sm" data-action="apply" title="Aplicar à imagem">
+        <i class="fas fa-border-all"></i> <span class="kernel-list__name"></span> <small>${k.size}×${k.size}</small>
+      </button>
+      <button type="button" class="btn btn--ghost btn--sm" data-action="edit" aria-label="Editar kernel" title="Abrir no editor">
+        <i class="fas fa-pen"></i>
+      </button>
+      <button type="button" class="btn btn--ghost btn--sm" data-action="remove" aria-label="Excluir kernel" title="Excluir">
+        <i class="fas fa-trash"></i>
+      </button>
+    </li>`).join('');
+
+  // Nome digitado pelo usuário entra como texto, nunca como HTML
+  list.querySelectorAll('.kernel-list__name').forEach((el, idx) => {
+    el.textContent = App.kernels.saved[idx].name;
+  });
+}
+
+/**
+ * Adiciona o kernel à pilha de ajustes da imagem aberta
+ */
+function applyKernel(kernel, label) {
+  const editor = App.activeEditor;
+  if (!editor) return;
+  const { size, values, divisor, bias } = window.PixelFilters.normalizeKernel(kernel);
+  editor.addAdjustment('convolution', { kernel: { size, values, divisor, bias, ...(label ? { label } : {}) } });
+}
+
+function initConvolutionEvents() {
+  const PF      = window.PixelFilters;
+  const filters = document.getElementById('convolutionFilters');
+  const draft   = document.getElementById('kernelDraft');
+  if (!filters || !draft) return;
+
+  // Filtros prontos: detectores de borda e kernels predefinidos (menos a identidade)
+  filters.innerHTML = [
+    ...Object.entries(PF.EDGE_OPERATORS).map(([key, op]) => `
+      <button type="button" class="btn btn--outline btn--sm" data-edge="${key}">
+        <i class="fas fa-draw-polygon"></i> ${op.label}
+      </button>`),
+    ...Object.entries(PF.KERNEL_PRESETS).filter(([key]) => key !== 'identity').map(([key, k]) => `
+      <button type="button" class="btn btn--outline btn--sm" data-kernel-preset="${key}">
+        <i class="fas fa-border-all"></i> ${k.label}
+      </button>`)
+  ].join('');
+
+  filters.addEventListener('click', (e) => {
+    const btn    = e.target.closest('button');
+    const editor = App.activeEditor;
+    if (!btn || !editor) return;
+    if (btn.dataset.edge) {
+      editor.addAdjustment('edges', { operator: btn.dataset.edge });
+    } else if (btn.dataset.kernelPreset) {
+      const preset = PF.KERNEL_PRESETS[btn.dataset.kernelPreset];
+      applyKernel(preset, preset.label);
+    }
+  });
+
+  // Rascunho do kernel personalizado
+  App.kernels.draft = PF.normalizeKernel(PF.KERNEL_PRESETS.identity);
+  draft.appendChild(createKernelEditor(App.kernels.draft, (k) => { App.kernels.draft = k; }));
+
+  document.getElementById('btnApplyKernel').addEventListener('click', () => {
+    const name = document.getElementById('kernelName').value.trim();
+    applyKernel(App.kernels.draft, name || App.kernels.draft.label);
+  });
+
+  document.getElementById('btnSaveKernel').addEventListener('click', () => {
+    const input = document.getElementById('kernelName');
+    const name  = input.value.trim();
+    if (!name) {
+      Toast.show('Dê um nome ao kernel para salvá-lo.', 'warning');
+      input.focus();
+      return;
+    }
+    const saved = { ...App.kernels.draft, name };
+    delete saved.label;
+    const idx = App.kernels.saved.findIndex(k => k.name === name);
+    if (idx >= 0) App.kernels.saved[idx] = saved;
+    else          App.kernels.saved.push(saved);
+    storeSavedKernels();
+    renderSavedKernels();
+    Toast.show(`Kernel "${name}" salvo!`, 'success');
+  });
+
+  document.getElementById('savedKernels').addEventListener('click', (e) => {
+    const btn  = e.target.closest('[data-action]');
+    const item = e.target.closest('.kernel-list__item');
+    if (!btn || !item) return;
+    const idx    = parseInt(item.dataset.idx, 10);
+    const kernel = App.kernels.saved[idx];
+    if (!kernel) return;
+
+    switch (btn.dataset.action) {
+      case 'apply':
+        applyKernel(kernel, kernel.name);
+        break;
+      case 'edit':
+        App.kernels.draft = PF.normalizeKernel(kernel);
+        syncKernelEditor(draft.querySelector('.kernel-editor'), App.kernels.draft);
+        document.getElementById('kernelName').value = kernel.name;
+        break;
+      case 'remove':
+        App.kernels.saved.splice(idx, 1);
+        storeSavedKernels();
+        renderSavedKernels();
+        break;
+    }
+  });
+
+  loadSavedKernels();
+  renderSavedKernels();
+}
+
+/* =============================================================
+   HISTOGRAMA AO VIVO
+   Calculado do resultado final após cada render, no quadro seguinte
+   (renders em sequência durante um arraste viram um só desenho)
+   ============================================================= */
+
+const HISTOGRAM_MODES = {
+  overlay:   'Sobreposto',
+  channels:  'Por canal',
+  luminance: 'Luminância'
+};
+
+/* Fração de pixels cortados a partir da qual o aviso acende */
+const CLIP_WARN_RATIO = 0.001;
+
+function scheduleHistogram() {
+  if (App.histogram.frame) return;
+  App.histogram.frame = requestAnimationFrame(() => {
+    App.histogram.frame = null;
+    drawHistogram(App.activeEditor);
+  });
+}
+
+function drawHistogram(editor) {
+  const canvas = document.getElementById('histogramCanvas');
+  const hist   = editor?.outputHistogram();
+  if (!canvas || !hist) return;
+  const ctx = canvas.getContext('2d');
+  const W   = canvas.width;
+  const H   = canvas.height;
+  const styles = getComputedStyle(document.documentElement);
+  const text   = styles.getPropertyValue('--color-text-muted').trim();
+  ctx.clearRect(0, 0, W, H);
+
+  // Escala pelo maior bin interno: picos em 0/255 (cortes) não achatam o resto
+  const peak = bins => {
+    let max = 1;
+    for (let i = 1; i < 255; i++) max = Math.max(max, bins[i]);
+    return max;
+  };
+  const bars = (bins, color, top, height, max = peak(bins)) => {
+    ctx.fillStyle = color;
+    for (let i = 0; i < 256; i++) {
+      const h = Math.min(1, bins[i] / max) * height;
+      ctx.fillRect((i / 256) * W, top + height - h, W / 256 + 0.5, h);
+    }
+  };
+
+  const mode = App.histogram.mode;
+  if (mode === 'channels') {
+    const rows = [['r', CURVE_COLORS.r], ['g', CURVE_COLORS.g], ['b', CURVE_COLORS.b], ['l', text]];
+    const h = H / rows.length;
+    rows.forEach(([ch, color], i) => bars(hist[ch], color, i * h, h - 1));
+  } else if (mode === 'luminance') {
+    bars(hist.l, text, 0, H);
+  } else {
+    const max = Math.max(peak(hist.r), peak(hist.g), peak(hist.b));
+    ctx.globalCompositeOperation = 'lighter';
+    ctx.globalAlpha = 0.7;
+    ['r', 'g', 'b'].forEach(ch => bars(hist[ch], CURVE_COLORS[ch], 0, H, max));
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.globalAlpha = 1;
+
+    // Luminância como contorno
+    const lmax = peak(hist.l);
+    ctx.strokeStyle = text;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let i = 0; i < 256; i++) {
+      const y = H - Math.min(1, hist.l[i] / lmax) * H;
+      if (i === 0) ctx.moveTo(0, y);
+      else ctx.lineTo((i / 255) * W, y);
+    }
+    ctx.stroke();
+  }
+
+  updateClippingWarnings(hist);
+}
+
+function updateClippingWarnings(hist) {
+  [['histClipShadows', hist.shadows], ['histClipHighlights', hist.highlights]].forEach(([id, count]) => {
+    const btn = document.getElementById(id);
+    if (!btn) return;
+    const ratio = hist.total ? count / hist.total : 0;
+    btn.classList.toggle('hist-clip--warn', ratio >= CLIP_WARN_RATIO);
+    btn.querySelector('span').textContent = `${+(ratio * 100).toFixed(1)}%`;
+  });
+}
+
+/**
+ * Liga/desliga as áreas cortadas sobre a imagem (vale para todas as imagens)
+ */
+function toggleClippingOverlay(force) {
+  App.histogram.clipping = force ?? !App.histogram.clipping;
+  ['histClipShadows', 'histClipHighlights'].forEach(id => {
+    document.getElementById(id)?.setAttribute('aria-pressed', String(App.histogram.clipping));
+  });
+  App.activeEditor?.setShowClipping(App.histogram.clipping);
+}
+
+function initHistogramEvents() {
+  const select = document.getElementById('histogramMode');
+  if (!select) return;
+  select.innerHTML = Object.entries(HISTOGRAM_MODES)
+    .map(([mode, label]) => `<option value="${mode}">${label}</option>`)
+    .join('');
+  select.value = App.histogram.mode;
+  select.addEventListener('change', () => {
+    App.histogram.mode = select.value;
+    drawHistogram(App.activeEditor);
+  });
+
+  ['histClipShadows', 'histClipHighlights'].forEach(id => {
+    document.getElementById(id).addEventListener('click', () => toggleClippingOverlay());
+  });
+
+  // J: aviso de corte na imagem
+  document.addEventListener('keydown', (e) => {
+    if (!App.activeEditor || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.matches('input, textarea, select')) return;
+    if (e.key.toLowerCase() === 'j') toggleClippingOverlay();
+  });
+}
+
+/* =============================================================
+   CAMADAS
+   ============================================================= */
+
+/* Controles de propriedade da camada selecionada (valor exibido ↔ valor salvo) */
+const LAYER_SLIDERS = [
+  { id: 'layerOpacity', val: 'valLayerOpacity', key: 'opacity', toLayer: v => v / 100, fromLayer: v => Math.round(v * 100) },
+  { id: 'layerX',       val: 'valLayerX',       key: 'x',       toLayer: v => v / 100, fromLayer: v => +(v * 100).toFixed(1) },
+  { id: 'layerY',       val: 'valLayerY',       key: 'y',       toLayer: v => v / 100, fromLayer: v => +(v * 100).toFixed(1) },
+  { id: 'layerScale',   val: 'valLayerScale',   key: 'scale',   toLayer: v => v / 100, fromLayer: v => Math.round(v * 100) }
+];
+
+/**
+ * Preenche o seletor de imagens da galeria disponíveis como camada
+ */
+function populateLayerSources(currentRecord) {
+  const select = document.getElementById('layerSourceSelect');
+  if (!select) return;
+  const others = App.images.filter(r => r !== currentRecord);
+  select.innerHTML = others.length
+    ? others.map(r => `<option value="${r.id}">${r.name}</option>`).join('')
+    : '<option value="">Nenhuma outra imagem na galeria</option>';
+  select.disabled = others.length === 0;
+  document.getElementById('btnAddImageLayer').disabled = others.length === 0;
+}
+
+function layerThumbHTML(layer) {
+  if (layer.type === 'image') {
+    const rec = App.images.find(r => r.id === layer.source);
+    return rec
+      ? `<img class="layer-item__thumb" src="${rec.thumbnail || rec.dataURL}" alt="" />`
+      : '<span class="layer-item__thumb" title="Imagem removida da galeria"></span>';
+  }
+  if (layer.type === 'solid') {
+    return `<span class="layer-item__thumb" style="background:${layer.color}"></span>`;
+  }
+  return '<span class="layer-item__thumb"></span>';
+}
+
+/**
+ * Lista as camadas da superior para a base e atualiza o painel de propriedades
+ */
+function renderLayers(editor) {
+  if (!editor || editor !== App.activeEditor) return;
+  const list = document.getElementById('layerList');
+  if (!list) return;
+
+  if (!editor.layers.some(l => l.id === App.selectedLayerId)) App.selectedLayerId = null;
+
+  const blendNames = window.PixelFilters.BLEND_MODES;
+  const items = editor.layers.map((layer, idx) => {
+    const active = layer.id === App.selectedLayerId;
+    return `
+      <li class="layer-item${active ? ' layer-item--active' : ''}${layer.visible ? '' : ' layer-item--hidden'}" data-id="${layer.id}">
+        <button type="button" class="btn btn--ghost btn--sm" data-action="visible"
+                aria-label="${layer.visible ? 'Ocultar' : 'Mostrar'} ${layer.name}" aria-pressed="${layer.visible}">
+          <i class="fas ${layer.visible ? 'fa-eye' : 'fa-eye-slash'}"></i>
+        </button>
+        <button type="button" class="layer-item__select" data-action="select" aria-current="${active}">
+          ${layerThumbHTML(layer)}
+          <span class="layer-item__name">${layer.name}</span>
+          <span class="layer-item__meta">${Math.round(layer.opacity * 100)}% · ${blendNames[layer.blendMode] || ''}</span>
+        </button>
+        <button type="button" class="btn btn--ghost btn--sm" data-action="up" aria-label="Subir camada"
+                ${idx === editor.layers.length - 1 ? 'disabled' : ''}><i class="fas fa-arrow-up"></i></button>
+        <button type="button" class="btn btn--ghost btn--sm" data-action="down" aria-label="Descer camada"
+                ${idx === 0 ? 'disabled' : ''}><i class="fas fa-arrow-down"></i></button>
+        <button type="button" class="btn btn--ghost btn--sm" data-action="remove" aria-label="Remover ${layer.name}">
+          <i class="fas fa-trash"></i>
+        </button>
+      </li>`;
+  }).reverse();
+
+  items.push(`
+    <li class="layer-item layer-item--base">
+      <img class="layer-item__thumb" src="${editor.record.dataURL}" alt="" />
+      <span class="layer-item__select"><span class="layer-item__name">Fundo (imagem original)</span></span>
+    </li>`);
+
+  list.innerHTML = items.join('');
+  syncLayerProps(editor);
+  syncPaintTarget(editor);
+}
+
+function syncLayerProps(editor) {
+  const panel = document.getElementById('layerProps');
+  const layer = editor.layers.find(l => l.id === App.selectedLayerId);
+  panel.hidden = !layer;
+  if (!layer) return;
+
+  const nameInput = document.getElementById('layerName');
+  if (document.activeElement !== nameInput) nameInput.value = layer.name;
+  document.getElementById('layerBlend').value = layer.blendMode;
+  document.getElementById('layerColor').value = layer.color;
+  document.getElementById('layerColorGroup').hidden = layer.type !== 'solid';
+
+  LAYER_SLIDERS.forEach(({ id, val, key, fromLayer }) => {
+    setSlider(id, val, fromLayer(layer[key]), '%');
+  });
+}
+
+function initLayerEvents() {
+  const list = document.getElementById('layerList');
+  if (!list) return;
+
+  // Resolver de imagens da galeria usadas como camada
+  window.ImageEditor.imageResolver = (id) => App.images.find(r => r.id === id)?.element || null;
+
+  document.getElementById('layerBlend').innerHTML = Object.entries(window.PixelFilters.BLEND_MODES)
+    .map(([mode, label]) => `<option value="${mode}">${label}</option>`)
+    .join('');
+
+  const addLayer = (type, props) => {
+    const editor = App.activeEditor;
+    if (!editor) return;
+    App.selectedLayerId = editor.addLayer(type, props).id;
+    renderLayers(editor);
+  };
+
+  document.getElementById('btnAddImageLayer').addEventListener('click', () => {
+    const rec = App.images.find(r => r.id === document.getElementById('layerSourceSelect').value);
+    if (rec) addLayer('image', { source: rec.id, name: rec.name });
+  });
+  document.getElementById('btnAddSolidLayer').addEventListener('click', () => {
+    addLayer('solid', { color: '#6c63ff', opacity: 0.5 });
+  });
+  document.getElementById('btnAddBlankLayer').addEventListener('click', () => addLayer('blank'));
+
+  list.addEventListener('click', (e) => {
+    const editor = App.activeEditor;
+    const btn    = e.target.closest('[data-action]');
+    const item   = e.target.closest('.layer-item');
+    if (!editor || !btn || !item?.dataset.id) return;
+    const id    = item.dataset.id;
+    const layer = editor.layers.find(l => l.id === id);
+
+    switch (btn.dataset.action) {
+      case 'select':
+        App.selectedLayerId = App.selectedLayerId === id ? null : id;
+        renderLayers(editor);
+        break;
+      case 'visible': editor.updateLayer(id, 'visible', !layer.visible); break;
+      case 'up':      editor.moveLayer(id, +1); break;
+      case 'down':    editor.moveLayer(id, -1); break;
+      case 'remove':  editor.removeLayer(id); break;
+    }
+  });
+
+  // Propriedades da camada selecionada
+  const updateSelected = (key, value) => {
+    if (App.activeEditor && App.selectedLayerId) {
+      App.activeEditor.updateLayer(App.selectedLayerId, key, value);
+    }
+  };
+
+  LAYER_SLIDERS.forEach(({ id, val, key, toLayer }) => {
+    const slider = document.getElementById(id);
+    slider.addEventListener('input', () => {
+      const value = parseFloat(slider.value);
+      document.getElementById(val).textContent = value + '%';
+      updateRangeFill(slider);
+      updateSelected(key, toLayer(value));
+    });
+    slider.addEventListener('change', () => App.activeEditor?.sealHistory());
+  });
+
+  document.getElementById('layerBlend').addEventListener('change', (e) => updateSelected('blendMode', e.target.value));
+  document.getElementById('layerColor').addEventListener('input',  (e) => updateSelected('color', e.target.value));
+  document.getElementById('layerColor').addEventListener('change', () => App.activeEditor?.sealHistory());
+  document.getElementById('layerName').addEventListener('input',   (e) => {
+    updateSelected('name', e.target.value.trim() || 'Camada');
+  });
+}
+
+/* =============================================================
+   TEXTOS
+   ============================================================= */
+
+/**
+ * Lista os textos (o mais recente no topo) e atualiza o painel de propriedades
+ */
+function renderTexts(editor) {
+  if (!editor || editor !== App.activeEditor) return;
+  const list = document.getElementById('textList');
+  if (!list) return;
+
+  if (!editor.texts.some(t => t.id === App.selectedTextId)) App.selectedTextId = null;
+
+  list.innerHTML = editor.texts.map(t => {
+    const active = t.id === App.selectedTextId;
+    return `
+      <li class="layer-item${active ? ' layer-item--active' : ''}" data-id="${t.id}">
+        <button type="button" class="layer-item__select" data-action="select" aria-current="${active}">
+          <span class="layer-item__thumb layer-item__thumb--text" style="color:${t.color}"><i class="fas fa-font"></i></span>
+          <span class="layer-item__name"></span>
+          <span class="layer-item__meta">${t.font} · ${t.size}%</span>
+        </button>
+        <button type="button" class="btn btn--ghost btn--sm" data-action="remove" aria-label="Remover texto">
+          <i class="fas fa-trash"></i>
+        </button>
+      </li>`;
+  }).reverse().join('');
+
+  // Conteúdo digitado pelo usuário entra como texto, nunca como HTML
+  list.querySelectorAll('.layer-item').forEach(item => {
+    const text = editor.texts.find(t => t.id === item.dataset.id);
+    item.querySelector('.layer-item__name').textContent = text.text.split('\n')[0] || '(vazio)';
+  });
+
+  syncTextProps(editor);
+}
+
+/**
+ * Monta o painel do texto selecionado (ou só atualiza os valores, se já
+ * for o mesmo texto, para não perder o foco de quem está digitando)
+ */
+function syncTextProps(editor) {
+  const panel = document.getElementById('textProps');
+  const body  = document.getElementById('textPropsBody');
+  const text  = editor.texts.find(t => t.id === App.selectedTextId);
+  panel.hidden = !text;
+  if (!text) {
+    body.dataset.textId = '';
+    return;
+  }
+
+  const specs = window.PixelFilters.TEXT_PARAMS;
+  if (body.dataset.textId === text.id) {
+    updateParamControls(body, (input) => ({ value: text[input.dataset.param], spec: specs[input.dataset.param] }));
+    return;
+  }
+
+  body.dataset.textId = text.id;
+  body.innerHTML = '';
+  Object.entries(specs).forEach(([key, spec]) => {
+    body.appendChild(createParamControl({ id: text.id, params: text }, key, spec));
+  });
+}
+
+function selectText(id) {
+  App.selectedTextId = id;
+  if (!App.activeEditor) return;
+  renderTexts(App.activeEditor);
+  App.activeEditor.redrawDisplay();
+}
+
+/**
+ * Foca o campo de conteúdo do texto selecionado, com o texto marcado
+ */
+function focusTextContent() {
+  const field = document.querySelector('#textPropsBody textarea[data-param="text"]');
+  if (!field) return;
+  field.focus();
+  field.select();
+}
+
+function initTextEvents() {
+  const list = document.getElementById('textList');
+  const body = document.getElementById('textPropsBody');
+  if (!list || !body) return;
+
+  document.getElementById('btnAddText').addEventListener('click', () => {
+    const editor = App.activeEditor;
+    if (!editor) return;
+    setTool('text');
+    selectText(editor.addText().id);
+    focusTextContent();
+  });
+
+  list.addEventListener('click', (e) => {
+    const editor = App.activeEditor;
+    const btn    = e.target.closest('[data-action]');
+    const item   = e.target.closest('.layer-item');
+    if (!editor || !btn || !item) return;
+
+    if (btn.dataset.action === 'select') {
+      setTool('text');
+      selectText(App.selectedTextId === item.dataset.id ? null : item.dataset.id);
+    } else if (btn.dataset.action === 'remove') {
+      editor.removeText(item.dataset.id);
+    }
+  });
+
+  // Propriedades (mesmo esquema de eventos da pilha de ajustes)
+  body.addEventListener('input', (e) => {
+    const input = e.target.closest('[data-param]');
+    if (!input || !App.activeEditor || input.tagName === 'SELECT') return;
+    App.activeEditor.updateText(input.dataset.id, { [input.dataset.param]: readParamInput(input) });
+  });
+
+  body.addEventListener('change', (e) => {
+    const input  = e.target.closest('[data-param]');
+    const editor = App.activeEditor;
+    if (!input || !editor) return;
+    if (input.tagName === 'SELECT') {
+      editor.updateText(input.dataset.id, { [input.dataset.param]: readParamInput(input) });
+    }
+    editor.sealHistory();
+  });
+}
+
+/* =============================================================
+   PINCEL E BORRACHA
+   ============================================================= */
+
+/**
+ * Superfície que recebe a pintura: a camada vazia selecionada ou a base
+ * @returns {string|null}
+ */
+function paintTarget(editor) {
+  const layer = editor.layers.find(l => l.id === App.selectedLayerId);
+  return layer?.type === 'blank' ? layer.id : null;
+}
+
+function syncPaintTarget(editor) {
+  const label = document.getElementById('paintTarget');
+  if (!label) return;
+  const target = paintTarget(editor);
+  label.textContent = target ? editor.layers.find(l => l.id === target).name : 'Fundo';
+}
+
+function setBrushParam(key, value) {
+  App.brush[key] = value;
+  const specs = window.PixelFilters.BRUSH_PARAMS;
+  updateParamControls(document.getElementById('brushParams'),
+    (input) => ({ value: App.brush[input.dataset.param], spec: specs[input.dataset.param] }));
+}
+
+function initPaintEvents() {
+  const container = document.getElementById('brushParams');
+  if (!container) return;
+
+  const specs = window.PixelFilters.BRUSH_PARAMS;
+  Object.entries(specs).forEach(([key, spec]) => { App.brush[key] = spec.default; });
+  Object.entries(specs).forEach(([key, spec]) => {
+    container.appendChild(createParamControl({ id: 'brush', params: App.brush }, key, spec));
+  });
+
+  container.addEventListener('input', (e) => {
+    const input = e.target.closest('[data-param]');
+    if (input) setBrushParam(input.dataset.param, readParamInput(input));
+  });
+
+  document.getElementById('btnClearPaint').addEventListener('click', () => {
+    const editor = App.activeEditor;
+    if (editor) editor.clearStrokes(paintTarget(editor));
+  });
+}
+
+/* =============================================================
+   FERRAMENTAS DO CANVAS
+   ============================================================= */
+
+/**
+ * Ferramentas que interagem com o canvas de pré-visualização. Os pontos
+ * chegam em pixels do quadro final ({ x, y, nx, ny }, ver clientToFrame).
+ * down() devolve o estado do arraste (ou null se não houver arraste).
+ */
+const CANVAS_TOOLS = {
+  text: {
+    tab:    'layers',
+    cursor: 'text',
+
+    down(editor, pt) {
+      const hit = editor.textAt(pt.x, pt.y);
+      if (hit) {
+        selectText(hit.id);
+        return { id: hit.id, dx: pt.nx - hit.x, dy: pt.ny - hit.y };
+      }
+      selectText(editor.addText({ x: pt.nx, y: pt.ny }).id);
+      focusTextContent();
+      return null;
+    },
+
+    move(editor, pt, drag) {
+      editor.updateText(drag.id, { x: pt.nx - drag.dx, y: pt.ny - drag.dy });
+    },
+
+    up(editor) {
+      editor.sealHistory();
+    },
+
+    hover(editor, pt) {
+      return editor.textAt(pt.x, pt.y) ? 'move' : 'text';
+    },
+
+    // Delete remove o texto selecionado
+    keydown(editor, e) {
+      if ((e.key !== 'Delete' && e.key !== 'Backspace') || !App.selectedTextId) return false;
+      editor.removeText(App.selectedTextId);
+      return true;
+    },
+
+    // Caixa de cada texto; a do selecionado em destaque
+    overlay(ctx, editor) {
+      const { w, h }  = editor.frameSize;
+      const s         = editor.displayScale;
+      const highlight = getComputedStyle(document.documentElement).getPropertyValue('--color-primary').trim();
+
+      editor.texts.forEach(t => {
+        const L   = window.PixelFilters.layoutText(t, w, h);
+        const pad = L.px * 0.15;
+        const selected = t.id === App.selectedTextId;
+        ctx.save();
+        ctx.translate(L.cx * s, L.cy * s);
+        ctx.rotate(L.angle);
+        ctx.setLineDash(selected ? [] : [4, 4]);
+        ctx.lineWidth   = selected ? 2 : 1;
+        ctx.strokeStyle = selected ? highlight : 'rgba(255, 255, 255, 0.8)';
+        ctx.strokeRect((L.box.x - pad) * s, (L.box.y - pad) * s, (L.box.w + pad * 2) * s, (L.box.h + pad * 2) * s);
+        ctx.restore();
+      });
+    }
+  }
+};
+
+/**
+ * Pincel e borracha compartilham a mesma lógica; muda só o modo do traço
+ */
+function createPaintTool(kind) {
+  return {
+    tab:    'layers',
+    cursor: 'crosshair',
+
+    down(editor, pt, e) {
+      const target  = paintTarget(editor);
+      const surface = editor.surfaceTransform(target);
+      const stroke  = {
+        tool:     kind,
+        target,
+        color:    App.brush.color,
+        size:     App.brush.size / surface.w,
+        hardness: App.brush.hardness,
+        opacity:  App.brush.opacity,
+        flow:     App.brush.flow,
+        points:   []
+      };
+      const drag = { stroke, surface };
+      addStrokePoint(drag, pt, e);
+      editor.redrawDisplay();
+      return drag;
+    },
+
+    move(editor, pt, drag, e) {
+      // Eventos agrupados pelo navegador deixam o traço mais fiel
+      const events = e.getCoalescedEvents?.() || [];
+      if (events.length) {
+        events.forEach(ev => addStrokePoint(drag, editor.clientToFrame(ev.clientX, ev.clientY), ev));
+      } else {
+        addStrokePoint(drag, pt, e);
+      }
+      requestOverlayRedraw(editor);
+    },
+
+    up(editor, drag) {
+      editor.addStroke(drag.stroke);
+    },
+
+    hover(editor) {
+      requestOverlayRedraw(editor);
+      return 'crosshair';
+    },
+
+    // [ e ] mudam o tamanho do pincel
+    keydown(editor, e) {
+      if (e.key !== '[' && e.key !== ']') return false;
+      const spec = window.PixelFilters.BRUSH_PARAMS.size;
+      const dir  = e.key === ']' ? 1 : -1;
+      const next = Math.round(App.brush.size * (dir > 0 ? 1.2 : 1 / 1.2));
+      setBrushParam('size', Math.min(spec.max, Math.max(spec.min, next === App.brush.size ? next + dir : next)));
+      editor.redrawDisplay();
+      return true;
+    },
+
+    overlay(ctx, editor, drag) {
+      const PF = window.PixelFilters;
+      const s  = editor.displayScale;
+
+      // Traço em andamento, convertido para o quadro exibido (a borracha
+      // aparece como um véu claro)
+      if (drag) {
+        const { w: fw, h: fh } = editor.frameSize;
+        const sf = drag.surface;
+        const preview = {
+          ...drag.stroke,
+          size:   (drag.stroke.size * sf.w * sf.scale) / fw,
+          points: drag.stroke.points.map(([x, y, p]) => {
+            const f = sf.toFrame(x * sf.w, y * sf.h);
+            return [f.x / fw, f.y / fh, p];
+          })
+        };
+        if (kind === 'eraser') Object.assign(preview, { tool: 'brush', color: '#ffffff', opacity: 50 });
+        ctx.save();
+        ctx.setTransform(s, 0, 0, s, 0, 0);
+        PF.drawStroke(ctx, preview, fw, fh);
+        ctx.restore();
+      }
+
+      // Contorno do pincel
+      if (App.toolHover) {
+        const scale = (drag?.surface || editor.surfaceTransform(paintTarget(editor))).scale;
+        const r = (App.brush.size / 2) * scale * s;
+        ctx.save();
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.beginPath();
+        ctx.arc(App.toolHover.x * s, App.toolHover.y * s, Math.max(r, 1), 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.beginPath();
+        ctx.arc(App.toolHover.x * s, App.toolHover.y * s, Math.max(r - 1, 0.5), 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+      }
+    }
+  };
+}
+
+CANVAS_TOOLS.brush  = createPaintTool('brush');
+CANVAS_TOOLS.eraser = createPaintTool('eraser');
+
+/**
+ * Conta-gotas genérico: um clique no quadro final chama onPick e solta
+ * a ferramenta. Cada controle que o usa passa o próprio botão.
+ */
+CANVAS_TOOLS.eyedropper = {
+  tab:    null,
+  cursor: 'crosshair',
+
+  exit() {
+    const button = App.eyedropper?.button;
+    if (button) {
+      button.classList.remove('tool-btn--active');
+      button.setAttribute('aria-pressed', 'false');
+    }
+    App.eyedropper = null;
+  },
+
+  down(editor, pt) {
+    const pick = App.eyedropper;
+    setTool(null);
+    pick?.onPick(editor, pt);
+    return null;
+  }
+};
+
+/**
+ * Ativa o conta-gotas para um botão (clicar de novo no mesmo botão cancela)
+ * @param {HTMLElement} button
+ * @param {(editor, pt) => void} onPick  pt em pixels do quadro final
+ */
+function startEyedropper(button, onPick) {
+  const same = App.tool === 'eyedropper' && App.eyedropper?.button === button;
+  setTool(null);
+  if (same) return;
+  App.eyedropper = { button, onPick };
+  button.classList.add('tool-btn--active');
+  button.setAttribute('aria-pressed', 'true');
+  setTool('eyedropper');
+}
+
+/**
+ * Acrescenta um ponto (normalizado na superfície) ao traço em andamento.
+ * Sem caneta, a pressão é sempre 1.
+ */
+function addStrokePoint(drag, pt, e) {
+  if (!pt) return;
+  const { x, y }   = drag.surface.toSurface(pt.x, pt.y);
+  const pressure   = e.pointerType === 'pen' ? e.pressure : 1;
+  drag.stroke.points.push([
+    +(x / drag.surface.w).toFixed(5),
+    +(y / drag.surface.h).toFixed(5),
+    +pressure.toFixed(3)
+  ]);
+}
+
+/**
+ * Redesenha as guias no próximo quadro de animação (uma vez por quadro)
+ */
+let overlayFrame = null;
+function requestOverlayRedraw(editor) {
+  if (overlayFrame) return;
+  overlayFrame = requestAnimationFrame(() => {
+    overlayFrame = null;
+    editor.redrawDisplay();
+  });
+}
+
+/**
+ * Ativa uma ferramenta do canvas (null desativa)
+ */
+function setTool(name) {
+  const prev = CANVAS_TOOLS[App.tool] || null;
+  const tool = CANVAS_TOOLS[name] || null;
+  App.tool     = tool ? name : null;
+  App.toolDrag = null;
+
+  if (prev !== tool && App.activeEditor) {
+    prev?.exit?.(App.activeEditor);
+    tool?.enter?.(App.activeEditor);
+  }
+
+  document.querySelectorAll('.tool-btn').forEach(btn => {
+    const active = btn.dataset.tool === App.tool;
+    btn.classList.toggle('tool-btn--active', active);
+    btn.setAttribute('aria-pressed', String(active));
+  });
+
+  const canvas = document.getElementById('editorCanvas');
+  canvas.classList.toggle('has-tool', !!tool);
+  canvas.style.cursor = tool?.cursor || '';
+  if (tool?.tab) activateTab(tool.tab);
+
+  App.activeEditor?.redrawDisplay();
+}
+
+/**
+ * Chamado pelo editor após cada desenho do canvas de exibição
+ */
+function drawToolOverlay(ctx, editor) {
+  if (editor !== App.activeEditor) return;
+  CANVAS_TOOLS[App.tool]?.overlay?.(ctx, editor, App.toolDrag);
+}
+
+function initCanvasTools() {
+  const canvas = document.getElementById('editorCanvas');
+
+  document.querySelectorAll('.tool-btn').forEach(btn => {
+    btn.addEventListener('click', () => setTool(App.tool === btn.dataset.tool ? null : btn.dataset.tool));
+  });
+
+  canvas.addEventListener('pointerdown', (e) => {
+    const tool   = CANVAS_TOOLS[App.tool];
+    const editor = App.activeEditor;
+    if (!tool || !editor || e.button !== 0) return;
+    const pt = editor.clientToFrame(e.clientX, e.clientY);
+    if (!pt) return;
+    e.preventDefault();
+    App.toolDrag = tool.down(editor, pt, e);
+    if (App.toolDrag) canvas.setPointerCapture(e.pointerId);
+  });
+
+  canvas.addEventListener('pointermove', (e) => {
+    const tool   = CANVAS_TOOLS[App.tool];
+    const editor = App.activeEditor;
+    if (!tool || !editor) return;
+    const pt = editor.clientToFrame(e.clientX, e.clientY);
+    if (!pt) return;
+    App.toolHover = pt;
+    if (App.toolDrag) tool.move(editor, pt, App.toolDrag, e);
+    else if (tool.hover) canvas.style.cursor = tool.hover(editor, pt) || tool.cursor;
+  });
+
+  canvas.addEventListener('pointerleave', () => {
+    App.toolHover = null;
+    if (!App.toolDrag) App.activeEditor?.redrawDisplay();
+  });
+
+  const endDrag = (e) => {
+    const drag = App.toolDrag;
+    if (!drag) return;
+    App.toolDrag = null;
+    const tool = CANVAS_TOOLS[App.tool];
+    if (App.activeEditor) tool?.up?.(App.activeEditor, drag, e);
+  };
+  canvas.addEventListener('pointerup', endDrag);
+  canvas.addEventListener('pointercancel', endDrag);
+
+  // Atalhos: teclas da ferramenta ativa (keydown) e letra de cada ferramenta
+  const shortcuts = { t: 'text', b: 'brush', e: 'eraser', c: 'crop', h: 'straighten', p: 'perspective', i: 'picker', m: 'mask', v: 'vignette' };
+  document.addEventListener('keydown', (e) => {
+    const editor = App.activeEditor;
+    if (!editor || e.ctrlKey || e.metaKey) return;
+    if (e.target.matches('input, textarea, select')) return;
+
+    if (CANVAS_TOOLS[App.tool]?.keydown?.(editor, e)) {
+      e.preventDefault();
+      return;
+    }
+
+    const name = shortcuts[e.key.toLowerCase()];
+    if (name && !e.altKey) setTool(App.tool === name ? null : name);
+  });
+}
+
+/* =============================================================
+   RECORTE
+   Coordenadas no quadro orientado (flip/rotação aplicados, sem
+   redimensionar); o editor converte para pixels do quadro endireitado
+   ============================================================= */
+
+const CROP_RATIOS = { '1:1': 1, '4:5': 4 / 5, '16:9': 16 / 9, '3:2': 3 / 2 };
+
+const CROP_CURSORS = {
+  n: 'ns-resize',    s: 'ns-resize',
+  e: 'ew-resize',    w: 'ew-resize',
+  nw: 'nwse-resize', se: 'nwse-resize',
+  ne: 'nesw-resize', sw: 'nesw-resize',
+  move: 'move'
+};
+
+/* Linhas-guia (frações da largura/altura do recorte) */
+const CROP_GUIDES = {
+  thirds: [1 / 3, 2 / 3],
+  golden: [0.382, 0.618],
+  none:   []
+};
+
+/**
+ * Proporção largura/altura travada (null = livre)
+ */
+function cropRatio(editor) {
+  const o = App.cropOptions;
+  let ratio = null;
+  if (o.aspect === 'original') {
+    const f = editor.fullFrameSize;
+    ratio = f.w / f.h;
+  } else if (o.aspect === 'custom') {
+    ratio = o.customW > 0 && o.customH > 0 ? o.customW / o.customH : null;
+  } else {
+    ratio = CROP_RATIOS[o.aspect] || null;
+  }
+  return ratio && o.swapped ? 1 / ratio : ratio;
+}
+
+/**
+ * Maior retângulo com a proporção, centrado em `center` e contido no quadro
+ */
+function fitCropRatio(ratio, center, maxW, maxH, W, H) {
+  let w = maxW;
+  let h = maxH;
+  if (w / h > ratio) w = h * ratio;
+  else               h = w / ratio;
+  return moveCropRect({ x: center.x - w / 2, y: center.y - h / 2, w, h }, 0, 0, W, H);
+}
+
+function moveCropRect(r, dx, dy, W, H) {
+  return {
+    x: Math.min(Math.max(r.x + dx, 0), W - r.w),
+    y: Math.min(Math.max(r.y + dy, 0), H - r.h),
+    w: r.w,
+    h: r.h
+  };
+}
+
+/**
+ * Redimensiona pelo canto/borda `handle` (n, s, e, w, ne…) até o ponto,
+ * mantendo fixo o lado oposto e respeitando a proporção e o quadro W×H
+ */
+function resizeCropRect(r0, handle, pt, ratio, W, H) {
+  const px     = Math.min(Math.max(pt.x, 0), W);
+  const py     = Math.min(Math.max(pt.y, 0), H);
+  const right  = r0.x + r0.w;
+  const bottom = r0.y + r0.h;
+
+  // Cantos: o canto oposto fica fixo
+  if (handle.length === 2) {
+    const ax = handle.includes('w') ? right  : r0.x;
+    const ay = handle.includes('n') ? bottom : r0.y;
+    const sx = px < ax ? -1 : 1;
+    const sy = py < ay ? -1 : 1;
+    let w = Math.abs(px - ax);
+    let h = Math.abs(py - ay);
+    if (ratio) {
+      if (w / ratio > h) h = w / ratio;
+      else               w = h * ratio;
+      const maxW = sx > 0 ? W - ax : ax;
+      const maxH = sy > 0 ? H - ay : ay;
+      if (w > maxW) { w = maxW; h = w / ratio; }
+      if (h > maxH) { h = maxH; w = h * ratio; }
+    }
+    return { x: sx > 0 ? ax : ax - w, y: sy > 0 ? ay : ay - h, w, h };
+  }
+
+  // Bordas: a borda oposta fica fixa; com proporção, o outro eixo acompanha centrado
+  const vertical = handle === 'n' || handle === 's';
+  const a    = vertical ? (handle === 'n' ? bottom : r0.y) : (handle === 'w' ? right : r0.x);
+  const p    = vertical ? py : px;
+  const sign = p < a ? -1 : 1;
+  let size   = Math.abs(p - a);
+  let cross  = vertical ? r0.w : r0.h;
+  let start  = vertical ? r0.x : r0.y;
+
+  if (ratio) {
+    const center   = start + cross / 2;
+    const limit    = vertical ? W : H;
+    const maxCross = 2 * Math.min(center, limit - center);
+    cross = vertical ? size * ratio : size / ratio;
+    if (cross > maxCross) {
+      cross = maxCross;
+      size  = vertical ? cross / ratio : cross * ratio;
+    }
+    start = center - cross / 2;
+  }
+
+  const from = sign > 0 ? a : a - size;
+  return vertical
+    ? { x: start, y: from, w: cross, h: size }
+    : { x: from, y: start, w: size, h: cross };
+}
+
+/**
+ * Alça sob o ponto (tolerância em pixels de tela), 'move' dentro do
+ * retângulo ou null fora dele
+ */
+function cropHandleAt(r, pt, displayScale) {
+  const tol = Math.min(10 / displayScale, r.w / 4, r.h / 4);
+  const inX = pt.x >= r.x - tol && pt.x <= r.x + r.w + tol;
+  const inY = pt.y >= r.y - tol && pt.y <= r.y + r.h + tol;
+  const v = !inX ? '' : Math.abs(pt.y - r.y) <= tol ? 'n' : Math.abs(pt.y - (r.y + r.h)) <= tol ? 's' : '';
+  const h = !inY ? '' : Math.abs(pt.x - r.x) <= tol ? 'w' : Math.abs(pt.x - (r.x + r.w)) <= tol ? 'e' : '';
+  if (v || h) return v + h;
+  if (pt.x > r.x && pt.x < r.x + r.w && pt.y > r.y && pt.y < r.y + r.h) return 'move';
+  return null;
+}
+
+CANVAS_TOOLS.crop = {
+  tab:    'transform',
+  cursor: 'crosshair',
+
+  enter(editor) {
+    editor.setCropEditing(true);
+  },
+
+  exit(editor) {
+    editor.setCropEditing(false);
+    editor.sealHistory();
+  },
+
+  down(editor, pt) {
+    const rect   = editor.getCropFrameRect();
+    const handle = cropHandleAt(rect, pt, editor.displayScale);
+    if (handle === 'move') return { handle, rect, start: pt };
+    if (handle)            return { handle, rect };
+    // Fora do recorte: desenha um novo a partir do ponto
+    return { handle: 'se', rect: { x: pt.x, y: pt.y, w: 0, h: 0 } };
+  },
+
+  move(editor, pt, drag) {
+    const { w, h } = editor.fullFrameSize;
+    editor.setCropFromFrame(drag.handle === 'move'
+      ? moveCropRect(drag.rect, pt.x - drag.start.x, pt.y - drag.start.y, w, h)
+      : resizeCropRect(drag.rect, drag.handle, pt, cropRatio(editor), w, h));
+  },
+
+  up(editor) {
+    editor.sealHistory();
+  },
+
+  hover(editor, pt) {
+    return CROP_CURSORS[cropHandleAt(editor.getCropFrameRect(), pt, editor.displayScale)] || 'crosshair';
+  },
+
+  // Setas movem (Shift: 10 px), Alt+setas redimensionam, Enter conclui
+  keydown(editor, e) {
+    if (e.key === 'Enter' && !e.target.closest('button')) {
+      setTool(null);
+      return true;
+    }
+    const dirs = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+    const dir  = dirs[e.key];
+    if (!dir) return false;
+
+    const step = e.shiftKey ? 10 : 1;
+    const r    = editor.getCropFrameRect();
+    const { w: W, h: H } = editor.fullFrameSize;
+    if (!e.altKey) {
+      editor.setCropFromFrame(moveCropRect(r, dir[0] * step, dir[1] * step, W, H));
+      return true;
+    }
+
+    const ratio = cropRatio(editor);
+    let w = Math.max(1, r.w + dir[0] * step);
+    let h = Math.max(1, r.h + dir[1] * step);
+    if (ratio && dir[0]) h = w / ratio;
+    if (ratio && dir[1]) w = h * ratio;
+    editor.setCropFromFrame({ x: r.x, y: r.y, w: Math.min(w, W - r.x), h: Math.min(h, H - r.y) });
+    return true;
+  },
+
+  overlay(ctx, editor) {
+    const s = editor.displayScale;
+    const r = editor.getCropFrameRect();
+    const x = r.x * s;
+    const y = r.y * s;
+    const w = r.w * s;
+    const h = r.h * s;
+
+    ctx.save();
+
+    // Escurecer o que fica de fora
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+    ctx.beginPath();
+    ctx.rect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    ctx.rect(x, y, w, h);
+    ctx.fill('evenodd');
+
+    // Guias de composição
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.55)';
+    ctx.lineWidth   = 1;
+    ctx.beginPath();
+    (CROP_GUIDES[App.cropOptions.guides] || []).forEach(f => {
+      ctx.moveTo(x + w * f, y);
+      ctx.lineTo(x + w * f, y + h);
+      ctx.moveTo(x, y + h * f);
+      ctx.lineTo(x + w, y + h * f);
+    });
+    ctx.stroke();
+
+    // Borda e alças
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth   = 1.5;
+    ctx.strokeRect(x, y, w, h);
+    const size = 8;
+    ctx.fillStyle = '#ffffff';
+    [[x, y], [x + w / 2, y], [x + w, y], [x, y + h / 2], [x + w, y + h / 2], [x, y + h], [x + w / 2, y + h], [x + w, y + h]]
+      .forEach(([hx, hy]) => ctx.fillRect(hx - size / 2, hy - size / 2, size, size));
+
+    ctx.restore();
+  }
+};
+
+/**
+ * Aplica a proporção escolhida ao recorte atual (maior área possível dentro dele)
+ */
+function applyCropRatio(editor, useFullFrame = false) {
+  const ratio = cropRatio(editor);
+  if (!ratio) return;
+  const r = editor.getCropFrameRect();
+  const { w: W, h: H } = editor.fullFrameSize;
+  const center = { x: r.x + r.w / 2, y: r.y + r.h / 2 };
+  editor.setCropFromFrame(useFullFrame
+    ? fitCropRatio(ratio, center, W, H, W, H)
+    : fitCropRatio(ratio, center, r.w, r.h, W, H));
+  editor.sealHistory();
+}
+
+const CROP_INPUTS = [
+  { id: 'cropX', key: 'x' },
+  { id: 'cropY', key: 'y' },
+  { id: 'cropW', key: 'w' },
+  { id: 'cropH', key: 'h' }
+];
+
+function syncCropInputs(editor) {
+  if (!editor || editor !== App.activeEditor) return;
+  const r = editor.getCropFrameRect();
+  const { w: W, h: H } = editor.fullFrameSize;
+  CROP_INPUTS.forEach(({ id, key }) => {
+    const input = document.getElementById(id);
+    if (!input) return;
+    input.max = key === 'x' || key === 'w' ? W : H;
+    if (document.activeElement !== input) input.value = Math.round(r[key]);
+  });
+}
+
+function initCropEvents() {
+  const aspect = document.getElementById('cropAspect');
+  if (!aspect) return;
+
+  aspect.addEventListener('change', () => {
+    App.cropOptions.aspect = aspect.value;
+    document.getElementById('cropCustomRatio').hidden = aspect.value !== 'custom';
+    if (App.activeEditor) applyCropRatio(App.activeEditor);
+  });
+
+  document.getElementById('btnCropSwap').addEventListener('click', () => {
+    App.cropOptions.swapped = !App.cropOptions.swapped;
+    if (App.activeEditor) applyCropRatio(App.activeEditor, true);
+  });
+
+  ['cropRatioW', 'cropRatioH'].forEach(id => {
+    document.getElementById(id).addEventListener('change', (e) => {
+      const key = id === 'cropRatioW' ? 'customW' : 'customH';
+      App.cropOptions[key] = Math.max(1, parseFloat(e.target.value) || 1);
+      if (App.activeEditor) applyCropRatio(App.activeEditor);
+    });
+  });
+
+  document.getElementById('cropGuides').addEventListener('change', (e) => {
+    App.cropOptions.guides = e.target.value;
+    App.activeEditor?.redrawDisplay();
+  });
+
+  document.getElementById('btnCropReset').addEventListener('click', () => {
+    App.activeEditor?.setCrop(null);
+    App.activeEditor?.sealHistory();
+  });
+
+  // Valores numéricos (pixels); com proporção travada, largura e altura andam juntas
+  CROP_INPUTS.forEach(({ id, key }) => {
+    document.getElementById(id).addEventListener('change', (e) => {
+      const editor = App.activeEditor;
+      if (!editor) return;
+      const r     = { ...editor.getCropFrameRect() };
+      const ratio = cropRatio(editor);
+      r[key] = Math.max(key === 'w' || key === 'h' ? 1 : 0, parseInt(e.target.value, 10) || 0);
+      if (ratio && key === 'w') r.h = r.w / ratio;
+      if (ratio && key === 'h') r.w = r.h * ratio;
+      editor.setCropFromFrame(r);
+      editor.sealHistory();
+      syncCropInputs(editor);
+    });
+  });
+}
+
+/* =============================================================
+   PERSPECTIVA
+   A ferramenta mostra a composição sem correções (só flip/rotação);
+   os cantos marcados nela viram o retângulo da imagem final
+   ============================================================= */
+
+/* Tolerância (px de tela) para pegar um canto */
+const PERSPECTIVE_HANDLE_TOL = 14;
+
+const KEYSTONE_SLIDERS = [
+  { id: 'ctrlKeystoneV', val: 'valKeystoneV', key: 'vertical' },
+  { id: 'ctrlKeystoneH', val: 'valKeystoneH', key: 'horizontal' }
+];
+
+/**
+ * Índice do canto sob o ponto (-1 se nenhum)
+ */
+function perspectiveHandleAt(corners, pt, displayScale) {
+  const tol = PERSPECTIVE_HANDLE_TOL / displayScale;
+  let best = -1;
+  let bestDist = tol;
+  corners.forEach((c, i) => {
+    const d = Math.hypot(c.x - pt.x, c.y - pt.y);
+    if (d <= bestDist) { best = i; bestDist = d; }
+  });
+  return best;
+}
+
+CANVAS_TOOLS.perspective = {
+  tab:    'transform',
+  cursor: 'default',
+
+  enter(editor) {
+    editor.setPerspectiveEditing(true);
+  },
+
+  exit(editor) {
+    editor.setPerspectiveEditing(false);
+    editor.sealHistory();
+  },
+
+  down(editor, pt) {
+    const index = perspectiveHandleAt(editor.getPerspectiveFrameCorners(), pt, editor.displayScale);
+    return index < 0 ? null : { index };
+  },
+
+  move(editor, pt, drag) {
+    editor.setPerspectiveCornerFromFrame(drag.index, pt.x, pt.y);
+  },
+
+  up(editor) {
+    editor.sealHistory();
+  },
+
+  hover(editor, pt) {
+    return perspectiveHandleAt(editor.getPerspectiveFrameCorners(), pt, editor.displayScale) < 0 ? 'default' : 'move';
+  },
+
+  // Enter conclui
+  keydown(editor, e) {
+    if (e.key !== 'Enter' || e.target.closest('button')) return false;
+    setTool(null);
+    return true;
+  },
+
+  // Quadrilátero com grade interna para alinhar às linhas da foto
+  overlay(ctx, editor) {
+    const s  = editor.displayScale;
+    const q  = editor.getPerspectiveFrameCorners().map(c => ({ x: c.x * s, y: c.y * s }));
+    const at = (a, b, t) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+    ctx.beginPath();
+    ctx.rect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    q.forEach((c, i) => (i ? ctx.lineTo(c.x, c.y) : ctx.moveTo(c.x, c.y)));
+    ctx.closePath();
+    ctx.fill('evenodd');
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.lineWidth   = 1;
+    ctx.beginPath();
+    for (let i = 1; i < 4; i++) {
+      const t = i / 4;
+      const top = at(q[0], q[1], t), bottom = at(q[3], q[2], t);
+      const left = at(q[0], q[3], t), right = at(q[1], q[2], t);
+      ctx.moveTo(top.x, top.y);
+      ctx.lineTo(bottom.x, bottom.y);
+      ctx.moveTo(left.x, left.y);
+      ctx.lineTo(right.x, right.y);
+    }
+    ctx.stroke();
+
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth   = 1.5;
+    ctx.beginPath();
+    q.forEach((c, i) => (i ? ctx.lineTo(c.x, c.y) : ctx.moveTo(c.x, c.y)));
+    ctx.closePath();
+    ctx.stroke();
+
+    ctx.fillStyle = '#ffffff';
+    q.forEach(c => {
+      ctx.beginPath();
+      ctx.arc(c.x, c.y, 6, 0, Math.PI * 2);
+      ctx.fill();
+    });
+    ctx.restore();
+  }
+};
+
+function syncPerspectiveControls(editor) {
+  if (!editor || editor !== App.activeEditor) return;
+  KEYSTONE_SLIDERS.forEach(({ id, val, key }) => setSlider(id, val, editor.perspective[key], ''));
+}
+
+function initPerspectiveEvents() {
+  KEYSTONE_SLIDERS.forEach(({ id, val, key }) => {
+    const slider = document.getElementById(id);
+    if (!slider) return;
+    slider.addEventListener('input', () => {
+      const value = parseFloat(slider.value);
+      document.getElementById(val).textContent = value;
+      updateRangeFill(slider);
+      App.activeEditor?.setPerspective({ [key]: value });
+    });
+    slider.addEventListener('change', () => App.activeEditor?.sealHistory());
+  });
+
+  document.getElementById('btnPerspectiveReset')?.addEventListener('click', () => {
+    App.activeEditor?.setPerspective({ corners: null, vertical: 0, horizontal: 0 });
+    App.activeEditor?.sealHistory();
+  });
+}
+
+/* =============================================================
+   ENDIREITAR (rotação livre)
+   ============================================================= */
+
+/* Linhas muito curtas (px de tela) são ignoradas: ângulo impreciso */
+const STRAIGHTEN_MIN_LINE = 12;
+
+/**
+ * Inclinação em graus de uma linha no quadro exibido (y para baixo)
+ */
+function lineAngle(a, b) {
+  return (Math.atan2(b.y - a.y, b.x - a.x) * 180) / Math.PI;
+}
+
+CANVAS_TOOLS.straighten = {
+  tab:    'transform',
+  cursor: 'crosshair',
+
+  down(editor, pt) {
+    return { start: pt, end: pt };
+  },
+
+  move(editor, pt, drag) {
+    drag.end = pt;
+    requestOverlayRedraw(editor);
+  },
+
+  up(editor, drag) {
+    const len = Math.hypot(drag.end.x - drag.start.x, drag.end.y - drag.start.y) * editor.displayScale;
+    if (len >= STRAIGHTEN_MIN_LINE) {
+      editor.straightenByLine(lineAngle(drag.start, drag.end));
+      editor.sealHistory();
+    }
+    editor.redrawDisplay();
+  },
+
+  // Grade de referência e a linha sendo traçada
+  overlay(ctx, editor, drag) {
+    const { width: W, height: H } = ctx.canvas;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+    ctx.lineWidth   = 1;
+    ctx.beginPath();
+    for (let i = 1; i < 8; i++) {
+      ctx.moveTo((W * i) / 8, 0);
+      ctx.lineTo((W * i) / 8, H);
+      ctx.moveTo(0, (H * i) / 8);
+      ctx.lineTo(W, (H * i) / 8);
+    }
+    ctx.stroke();
+
+    if (drag) {
+      const s = editor.displayScale;
+      ctx.strokeStyle = getComputedStyle(document.documentElement).getPropertyValue('--color-primary').trim();
+      ctx.lineWidth   = 2;
+      ctx.beginPath();
+      ctx.moveTo(drag.start.x * s, drag.start.y * s);
+      ctx.lineTo(drag.end.x * s, drag.end.y * s);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+};
+
+function syncStraightenControls(editor) {
+  if (!editor || editor !== App.activeEditor) return;
+  const { angle, mode, color } = editor.straighten;
+  setSlider('ctrlStraighten', 'valStraighten', angle, '°');
+  document.getElementById('straightenMode').value = mode;
+  const colorInput = document.getElementById('straightenColor');
+  colorInput.value  = color;
+  colorInput.hidden = mode !== 'color';
+}
+
+function initStraightenEvents() {
+  const slider = document.getElementById('ctrlStraighten');
+  if (!slider) return;
+
+  const modeSelect = document.getElementById('straightenMode');
+  Object.entries(window.PixelFilters.STRAIGHTEN_MODES).forEach(([value, label]) => {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = label;
+    modeSelect.appendChild(opt);
+  });
+
+  slider.addEventListener('input', () => {
+    document.getElementById('valStraighten').textContent = parseFloat(slider.value) + '°';
+    updateRangeFill(slider);
+    App.activeEditor?.setStraighten({ angle: parseFloat(slider.value) });
+  });
+  slider.addEventListener('change', () => App.activeEditor?.sealHistory());
+
+  document.getElementById('btnStraightenReset').addEventListener('click', () => {
+    App.activeEditor?.setStraighten({ angle: 0 });
+    App.activeEditor?.sealHistory();
+  });
+
+  modeSelect.addEventListener('change', () => {
+    App.activeEditor?.setStraighten({ mode: modeSelect.value });
+    App.activeEditor?.sealHistory();
+  });
+
+  const colorInput = document.getElementById('straightenColor');
+  colorInput.addEventListener('input', () => App.activeEditor?.setStraighten({ color: colorInput.value }));
+  colorInput.addEventListener('change', () => App.activeEditor?.sealHistory());
+}
+
+/* =============================================================
+   INSPETOR DE PIXELS
+   Lê o resultado em resolução total (clientToFrame já desconta zoom
+   e escala da exibição); clicar coleta a cor na lista da sessão
+   ============================================================= */
+
+const PICKER_SIZES = [1, 3, 5];
+
+/* Lado (px da imagem) da área ampliada na lupa */
+const LOUPE_PIXELS = 11;
+
+const MAX_SWATCHES = 24;
+
+CANVAS_TOOLS.picker = {
+  tab:    null,
+  cursor: 'crosshair',
+
+  enter() {
+    document.getElementById('pixelInspector').hidden = false;
+  },
+
+  exit() {
+    document.getElementById('pixelInspector').hidden = true;
+  },
+
+  down(editor, pt) {
+    inspectPixel(editor, pt);
+    const sample = App.picker.sample;
+    if (sample) addSwatch(window.PixelFilters.rgbToHex(...sample.rgb));
+    return null;
+  },
+
+  hover(editor, pt) {
+    inspectPixel(editor, pt);
+    return null;
+  }
+};
+
+function inspectPixel(editor, pt) {
+  App.picker.sample = editor.samplePixel(pt.x, pt.y, App.picker.size);
+  renderPickerReadout();
+  drawLoupe(editor);
+}
+
+function renderPickerReadout() {
+  const PF     = window.PixelFilters;
+  const sample = App.picker.sample;
+  const out    = document.getElementById('pickerValues');
+  if (!out) return;
+  if (!sample) {
+    out.innerHTML = '<p class="adj-node__empty">Passe o cursor sobre a imagem.</p>';
+    return;
+  }
+  const [r, g, b] = sample.rgb;
+  const [h, s, l] = PF.rgbToHsl(r, g, b).map(Math.round);
+  const luma = Math.round(0.2126 * r + 0.7152 * g + 0.0722 * b);
+  const rows = [
+    ['Posição',    `${sample.x}, ${sample.y}`],
+    ['RGB',        `${r}, ${g}, ${b}`],
+    ['HEX',        PF.rgbToHex(r, g, b)],
+    ['HSL',        `${h}°, ${s}%, ${l}%`],
+    ['Luminância', `${luma} (${Math.round(luma / 2.55)}%)`]
+  ];
+  if (sample.alpha < 255) rows.push(['Alfa', sample.alpha]);
+  out.innerHTML = rows.map(([k, v]) => `<dt>${k}</dt><dd>${v}</dd>`).join('');
+  document.getElementById('pickerSwatch').style.background = PF.rgbToHex(r, g, b);
+}
+
+/**
+ * Lupa: vizinhança do ponto ampliada sem suavização, com a área
+ * da amostra marcada no centro
+ */
+function drawLoupe(editor) {
+  const canvas = document.getElementById('pickerLoupe');
+  const sample = App.picker.sample;
+  if (!canvas || !sample) return;
+  const half   = Math.floor(LOUPE_PIXELS / 2);
+  const pixels = editor.readOutputPixels(sample.x - half, sample.y - half, LOUPE_PIXELS, LOUPE_PIXELS);
+  if (!pixels) return;
+
+  const tmp = document.createElement('canvas');
+  tmp.width = tmp.height = LOUPE_PIXELS;
+  tmp.getContext('2d').putImageData(pixels, 0, 0);
+
+  const ctx  = canvas.getContext('2d');
+  const cell = canvas.width / LOUPE_PIXELS;
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(tmp, 0, 0, canvas.width, canvas.height);
+
+  const size = App.picker.size;
+  const off  = (half - Math.floor(size / 2)) * cell;
+  ctx.lineWidth = 2;
+  ctx.strokeStyle = '#ffffff';
+  ctx.strokeRect(off, off, size * cell, size * cell);
+  ctx.lineWidth = 1;
+  ctx.strokeStyle = '#000000';
+  ctx.strokeRect(off - 1.5, off - 1.5, size * cell + 3, size * cell + 3);
+}
+
+function addSwatch(hex) {
+  const list = App.picker.swatches;
+  if (list[0] === hex) return;
+  list.unshift(hex);
+  list.length = Math.min(list.length, MAX_SWATCHES);
+  renderSwatches();
+}
+
+function renderSwatches() {
+  const list = document.getElementById('pickerSwatches');
+  if (!list) return;
+  list.innerHTML = App.picker.swatches.map(hex => `
+    <li><button type="button" class="picker-swatch" style="background: ${hex}" data-hex="${hex}"
+                title="${hex} — clique para copiar" aria-label="Copiar ${hex}"></button></li>`).join('');
+  document.getElementById('btnClearSwatches').hidden = App.picker.swatches.length === 0;
+}
+
+async function copyHex(hex) {
+  try {
+    await navigator.clipboard.writeText(hex);
+    Toast.show(`${hex} copiado!`, 'success');
+  } catch (err) {
+    Toast.show('Não foi possível copiar para o clipboard.', 'error');
+  }
+}
+
+function initPickerEvents() {
+  const size = document.getElementById('pickerSize');
+  if (!size) return;
+  size.innerHTML = PICKER_SIZES.map(n => `<option value="${n}">${n}×${n}</option>`).join('');
+  size.value = App.picker.size;
+  size.addEventListener('change', () => {
+    App.picker.size = parseInt(size.value, 10);
+    const editor = App.activeEditor;
+    const sample = App.picker.sample;
+    if (editor && sample) inspectPixel(editor, sample);
+  });
+
+  document.getElementById('btnCopyHex').addEventListener('click', () => {
+    const sample = App.picker.sample;
+    if (sample) copyHex(window.PixelFilters.rgbToHex(...sample.rgb));
+  });
+
+  document.getElementById('pickerSwatches').addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-hex]');
+    if (btn) copyHex(btn.dataset.hex);
+  });
+
+  document.getElementById('btnClearSwatches').addEventListener('click', () => {
+    App.picker.swatches = [];
+    renderSwatches();
+  });
+
+  renderPickerReadout();
+  renderSwatches();
+}
+
+/* =============================================================
+   AJUSTES LOCAIS (máscaras de gradiente)
+   Geometria normalizada no quadro final; a ferramenta "mask" edita
+   a máscara selecionada pelas alças no canvas
+   ============================================================= */
+
+/* Tolerância (px de tela) para pegar uma alça */
+const MASK_HANDLE_TOL = 14;
+
+/**
+ * Lista as máscaras (a mais recente no topo) e atualiza o painel de propriedades
+ */
+function renderMasks(editor) {
+  if (!editor || editor !== App.activeEditor) return;
+  const list = document.getElementById('maskList');
+  if (!list) return;
+
+  if (!editor.masks.some(m => m.id === App.selectedMaskId)) App.selectedMaskId = null;
+
+  const types = window.PixelFilters.MASK_TYPES;
+  list.innerHTML = editor.masks.map(m => {
+    const active = m.id === App.selectedMaskId;
+    const name   = editor.maskName(m);
+    return `
+      <li class="layer-item${active ? ' layer-item--active' : ''}${m.enabled ? '' : ' layer-item--hidden'}" data-id="${m.id}">
+        <button type="button" class="btn btn--ghost btn--sm" data-action="visible"
+                aria-label="${m.enabled ? 'Desativar' : 'Ativar'} ${name}" aria-pressed="${m.enabled}">
+          <i class="fas ${m.enabled ? 'fa-eye' : 'fa-eye-slash'}"></i>
+        </button>
+        <button type="button" class="layer-item__select" data-action="select" aria-current="${active}">
+          <span class="layer-item__thumb layer-item__thumb--text"><i class="fas ${types[m.type].icon}"></i></span>
+          <span class="layer-item__name">${name}</span>
+          <span class="layer-item__meta">${describeMask(m)}</span>
+        </button>
+        <button type="button" class="btn btn--ghost btn--sm" data-action="remove" aria-label="Remover ${name}">
+          <i class="fas fa-trash"></i>
+        </button>
+      </li>`;
+  }).reverse().join('');
+
+  syncMaskProps(editor);
+}
+
+/**
+ * Resumo dos efeitos ativos (ex.: "Exposição −40 · Temperatura 5500 K")
+ */
+function describeMask(mask) {
+  const specs = window.PixelFilters.MASK_PARAMS;
+  const parts = Object.entries(specs)
+    .filter(([key, spec]) => spec.type !== 'boolean' && key !== 'feather' && mask[key] !== spec.default)
+    // O raio só conta quando há nitidez
+    .filter(([key]) => key !== 'sharpenRadius' || mask.sharpen > 0)
+    .map(([key, spec]) => spec.min < 0
+      ? `${spec.label} ${mask[key] > 0 ? '+' : '−'}${Math.abs(mask[key])}${spec.suffix || ''}`
+      : `${spec.label} ${mask[key]}${spec.suffix || ''}`);
+  return parts.join(' · ') || 'sem efeito';
+}
+
+/**
+ * Monta o painel da máscara selecionada (ou só atualiza os valores)
+ */
+function syncMaskProps(editor) {
+  const panel = document.getElementById('maskProps');
+  const body  = document.getElementById('maskPropsBody');
+  const mask  = editor.masks.find(m => m.id === App.selectedMaskId);
+  panel.hidden = !mask;
+  if (!mask) {
+    body.dataset.maskId = '';
+    return;
+  }
+
+  const specs = window.PixelFilters.MASK_PARAMS;
+  if (body.dataset.maskId === mask.id) {
+    updateParamControls(body, (input) => ({ value: mask[input.dataset.param], spec: specs[input.dataset.param] }));
+    return;
+  }
+
+  body.dataset.maskId = mask.id;
+  body.innerHTML = '';
+  Object.entries(specs).forEach(([key, spec]) => {
+    body.appendChild(createParamControl({ id: mask.id, params: mask }, key, spec));
+  });
+}
+
+function selectMask(id) {
+  App.selectedMaskId = id;
+  if (!App.activeEditor) return;
+  renderMasks(App.activeEditor);
+  App.activeEditor.redrawDisplay();
+}
+
+/**
+ * Alças da máscara em pixels do quadro final
+ * @returns {Array<{ name: string, x: number, y: number }>}
+ */
+function maskHandles(mask, w, h) {
+  if (mask.type === 'linear') {
+    return [
+      { name: 'start',  x: mask.x1 * w, y: mask.y1 * h },
+      { name: 'end',    x: mask.x2 * w, y: mask.y2 * h },
+      { name: 'center', x: (mask.x1 + mask.x2) / 2 * w, y: (mask.y1 + mask.y2) / 2 * h }
+    ];
+  }
+  return [
+    { name: 'center', x: mask.cx * w, y: mask.cy * h },
+    { name: 'rx',     x: (mask.cx + mask.rx) * w, y: mask.cy * h },
+    { name: 'ry',     x: mask.cx * w, y: (mask.cy - mask.ry) * h }
+  ];
+}
+
+/**
+ * Alça (ou corpo da elipse) sob o ponto; a máscara selecionada tem prioridade
+ * @returns {{ mask: object, handle: string }|null}
+ */
+function maskHandleAt(editor, pt) {
+  const { w, h } = editor.frameSize;
+  const tol   = MASK_HANDLE_TOL / editor.displayScale;
+  const order = [...editor.masks].reverse()
+    .sort((a, b) => (b.id === App.selectedMaskId) - (a.id === App.selectedMaskId));
+
+  for (const mask of order) {
+    const handle = maskHandles(mask, w, h).find(hd => Math.hypot(hd.x - pt.x, hd.y - pt.y) <= tol);
+    if (handle) return { mask, handle: handle.name };
+  }
+  const inside = order.find(m => m.type === 'radial' &&
+    Math.hypot((pt.nx - m.cx) / m.rx, (pt.ny - m.cy) / m.ry) <= 1);
+  return inside ? { mask: inside, handle: 'center' } : null;
+}
+
+CANVAS_TOOLS.mask = {
+  tab:    'adjust',
+  cursor: 'default',
+
+  down(editor, pt) {
+    const hit = maskHandleAt(editor, pt);
+    if (!hit) {
+      selectMask(null);
+      return null;
+    }
+    if (hit.mask.id !== App.selectedMaskId) selectMask(hit.mask.id);
+    const geometry = {};
+    window.PixelFilters.MASK_GEOMETRY[hit.mask.type].forEach(k => { geometry[k] = hit.mask[k]; });
+    return { id: hit.mask.id, handle: hit.handle, from: pt, geometry };
+  },
+
+  move(editor, pt, drag) {
+    const g  = drag.geometry;
+    const dx = pt.nx - drag.from.nx;
+    const dy = pt.ny - drag.from.ny;
+    let props;
+
+    switch (drag.handle) {
+      case 'start':  props = { x1: pt.nx, y1: pt.ny }; break;
+      case 'end':    props = { x2: pt.nx, y2: pt.ny }; break;
+      case 'rx':     props = { rx: Math.max(0.005, Math.abs(pt.nx - g.cx)) }; break;
+      case 'ry':     props = { ry: Math.max(0.005, Math.abs(pt.ny - g.cy)) }; break;
+      default:
+        props = 'cx' in g
+          ? { cx: g.cx + dx, cy: g.cy + dy }
+          : { x1: g.x1 + dx, y1: g.y1 + dy, x2: g.x2 + dx, y2: g.y2 + dy };
+    }
+    editor.updateMask(drag.id, props);
+  },
+
+  up(editor) {
+    editor.sealHistory();
+  },
+
+  hover(editor, pt) {
+    return maskHandleAt(editor, pt) ? 'move' : 'default';
+  },
+
+  // Delete remove a máscara selecionada
+  keydown(editor, e) {
+    if ((e.key !== 'Delete' && e.key !== 'Backspace') || !App.selectedMaskId) return false;
+    editor.removeMask(App.selectedMaskId);
+    return true;
+  },
+
+  // Guias de todas as máscaras; alças só na selecionada
+  overlay(ctx, editor) {
+    const { w, h }  = editor.frameSize;
+    const s         = editor.displayScale;
+    const highlight = getComputedStyle(document.documentElement).getPropertyValue('--color-primary').trim();
+
+    editor.masks.forEach(mask => {
+      const selected = mask.id === App.selectedMaskId;
+      const f        = mask.feather / 100;
+      ctx.save();
+      ctx.lineWidth   = selected ? 1.5 : 1;
+      ctx.strokeStyle = selected ? highlight : 'rgba(255, 255, 255, 0.7)';
+      if (!mask.enabled) ctx.globalAlpha = 0.4;
+
+      if (mask.type === 'linear') {
+        // Retas perpendiculares à direção: início, fim e limites da transição (tracejados)
+        const ax = mask.x1 * w * s, ay = mask.y1 * h * s;
+        const dx = (mask.x2 - mask.x1) * w * s, dy = (mask.y2 - mask.y1) * h * s;
+        const len = Math.hypot(dx, dy) || 1;
+        const reach = Math.hypot(ctx.canvas.width, ctx.canvas.height);
+        const px = -dy / len * reach, py = dx / len * reach;
+        const line = (t, dashed) => {
+          ctx.setLineDash(dashed ? [4, 4] : []);
+          ctx.beginPath();
+          ctx.moveTo(ax + dx * t - px, ay + dy * t - py);
+          ctx.lineTo(ax + dx * t + px, ay + dy * t + py);
+          ctx.stroke();
+        };
+        line(0, false);
+        line(1, false);
+        if (f < 1) {
+          line(0.5 - f / 2, true);
+          line(0.5 + f / 2, true);
+        }
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        ctx.moveTo(ax, ay);
+        ctx.lineTo(ax + dx, ay + dy);
+        ctx.stroke();
+      } else {
+        // Elipse externa (fim do efeito) e interna (efeito total, tracejada)
+        const cx = mask.cx * w * s, cy = mask.cy * h * s;
+        const rx = mask.rx * w * s, ry = mask.ry * h * s;
+        ctx.beginPath();
+        ctx.ellipse(cx, cy, rx, ry, 0, 0, Math.PI * 2);
+        ctx.stroke();
+        if (f < 1) {
+          ctx.setLineDash([4, 4]);
+          ctx.beginPath();
+          ctx.ellipse(cx, cy, rx * (1 - f), ry * (1 - f), 0, 0, Math.PI * 2);
+          ctx.stroke();
+        }
+      }
+
+      if (selected) {
+        ctx.fillStyle = '#ffffff';
+        maskHandles(mask, w, h).forEach(hd => {
+          ctx.beginPath();
+          ctx.arc(hd.x * s, hd.y * s, hd.name === 'center' ? 6 : 5, 0, Math.PI * 2);
+          ctx.fill();
+        });
+      }
+      ctx.restore();
+    });
+  }
+};
+
+function initMaskEvents() {
+  const list = document.getElementById('maskList');
+  const body = document.getElementById('maskPropsBody');
+  if (!list || !body) return;
+
+  const add = (type) => {
+    const editor = App.activeEditor;
+    if (!editor) return;
+    const mask = editor.addMask(type);
+    setTool('mask');
+    selectMask(mask.id);
+  };
+  document.getElementById('btnAddMaskLinear').addEventListener('click', () => add('linear'));
+  document.getElementById('btnAddMaskRadial').addEventListener('click', () => add('radial'));
+
+  list.addEventListener('click', (e) => {
+    const editor = App.activeEditor;
+    const btn    = e.target.closest('[data-action]');
+    const item   = e.target.closest('.layer-item');
+    if (!editor || !btn || !item) return;
+    const id = item.dataset.id;
+
+    if (btn.dataset.action === 'select') {
+      setTool('mask');
+      selectMask(App.selectedMaskId === id ? null : id);
+    } else if (btn.dataset.action === 'visible') {
+      const mask = editor.masks.find(m => m.id === id);
+      editor.updateMask(id, { enabled: !mask.enabled });
+      editor.sealHistory();
+    } else if (btn.dataset.action === 'remove') {
+      editor.removeMask(id);
+    }
+  });
+
+  // Propriedades (mesmo esquema de eventos da pilha de ajustes)
+  body.addEventListener('input', (e) => {
+    const input = e.target.closest('[data-param]');
+    if (!input || !App.activeEditor) return;
+    App.activeEditor.updateMask(input.dataset.id, { [input.dataset.param]: readParamInput(input) });
+  });
+
+  body.addEventListener('change', () => App.activeEditor?.sealHistory());
+}
+
+/* =============================================================
+   VINHETA (centro arrastável no canvas)
+   ============================================================= */
+
+/**
+ * Parâmetros do nó de vinheta que os controles rápidos editam
+ */
+function vignetteParams(editor) {
+  const PF   = window.PixelFilters;
+  const node = PF.findPrimaryAdjustment(editor.adjustments, 'vignette');
+  return node?.enabled ? { ...PF.defaultParams('vignette'), ...node.params } : PF.defaultParams('vignette');
+}
+
+/**
+ * Quadro de referência do centro: a imagem recortada no modo pós-recorte,
+ * senão o quadro original
+ */
+function vignetteFrame(editor, params) {
+  return params.postCrop ? window.PixelFilters.FULL_FRAME : editor.cropFrame;
+}
+
+CANVAS_TOOLS.vignette = {
+  tab:    'filters',
+  cursor: 'crosshair',
+
+  // Clicar leva o centro ao ponto; arrastar continua movendo
+  down(editor, pt) {
+    CANVAS_TOOLS.vignette.move(editor, pt);
+    return {};
+  },
+
+  move(editor, pt) {
+    const f = vignetteFrame(editor, vignetteParams(editor));
+    editor.setVignette({
+      centerX: Math.round((f.x + pt.nx * f.w) * 200) / 2,
+      centerY: Math.round((f.y + pt.ny * f.h) * 200) / 2
+    });
+  },
+
+  up(editor) {
+    editor.sealHistory();
+  },
+
+  // Contornos do início, do meio (tracejado) e do fim da transição
+  overlay(ctx, editor) {
+    const params = vignetteParams(editor);
+    const { w, h } = editor.frameSize;
+    const s = editor.displayScale;
+    const g = window.PixelFilters.vignetteGeometry(params, w, h, vignetteFrame(editor, params));
+    const highlight = getComputedStyle(document.documentElement).getPropertyValue('--color-primary').trim();
+
+    const contour = (dist) => {
+      ctx.beginPath();
+      for (let k = 0; k <= 96; k++) {
+        const a = (k / 96) * Math.PI * 2;
+        const c = Math.cos(a), sn = Math.sin(a);
+        const x = g.cx + g.rx * dist * Math.sign(c) * Math.pow(Math.abs(c), 2 / g.p);
+        const y = g.cy + g.ry * dist * Math.sign(sn) * Math.pow(Math.abs(sn), 2 / g.p);
+        if (k === 0) ctx.moveTo(x * s, y * s);
+        else         ctx.lineTo(x * s, y * s);
+      }
+      ctx.stroke();
+    };
+
+    ctx.save();
+    ctx.lineWidth   = 1;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+    if (g.start > 0) contour(g.start);
+    contour(g.start + g.span);
+    ctx.setLineDash([4, 4]);
+    ctx.strokeStyle = highlight;
+    contour(g.mid);
+
+    ctx.setLineDash([]);
+    ctx.fillStyle = '#ffffff';
+    ctx.beginPath();
+    ctx.arc(g.cx * s, g.cy * s, 6, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+  }
+};
+
+/* =============================================================
+   HISTÓRICO (UNDO / REDO)
+   ============================================================= */
+
+function renderHistory(editor) {
+  if (!editor || editor !== App.activeEditor) return;
+
+  document.getElementById('btnUndo').disabled = !editor.canUndo;
+  document.getElementById('btnRedo').disabled = !editor.canRedo;
+
+  const list = document.getElementById('historyList');
+  if (!list) return;
+  list.innerHTML = '';
+
+  editor.history.forEach((entry, idx) => {
+    const li  = document.createElement('li');
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'history-item';
+    btn.dataset.idx = idx;
+    btn.textContent = entry.label;
+    if (idx === editor.historyIndex) {
+      btn.classList.add('history-item--active');
+      btn.setAttribute('aria-current', 'step');
+    } else if (idx > editor.historyIndex) {
+      btn.classList.add('history-item--future');
+    }
+    li.appendChild(btn);
+    list.appendChild(li);
+  });
+}
+
+/**
+ * Move o editor no histórico e ressincroniza os controles
+ * @param {'undo'|'redo'|number} target
+ */
+function travelHistory(target) {
+  const editor = App.activeEditor;
+  if (!editor) return;
+
+  if (target === 'undo')      editor.undo();
+  else if (target === 'redo') editor.redo();
+  else                        editor.goToHistory(target);
+
+  syncUIToEditor(editor);
+  markActivePreset(editor.settings.preset);
+}
+
+/* =============================================================
+   DOWNLOAD EM LOTE
+   ============================================================= */
+
+async function downloadAll() {
+  const selected = getSelectedIndices();
+  const targets  = selected.length > 0 ? selected : App.images.map((_, i) => i);
+
+  if (targets.length === 0) {
+    Toast.show('Nenhuma imagem para baixar.', 'warning');
+    return;
+  }
+
+  Progress.show(`Baixando ${targets.length} imagem(ns)...`);
+
+  for (let i = 0; i < targets.length; i++) {
+    const idx    = targets[i];
+    const record = App.images[idx];
+    if (!record) continue;
+
+    try {
+      // Criar editor temporário com estado salvo
+      const tempCanvas  = document.createElement('canvas');
+      const tempEditor  = new window.ImageEditor(record, tempCanvas);
+      if (record.editorState) tempEditor.restoreState(record.editorState);
+
+      const blob = await tempEditor.toBlob();
+      const ext  = tempEditor._getExtension(record.editorState?.exportSettings?.format || 'image/jpeg');
+      const name = tempEditor._sanitizeFilename(record.name) + '_editado.' + ext;
+
+      tempEditor._triggerDownload(URL.createObjectURL(blob), name);
+      Progress.update(i + 1, targets.length);
+
+      // Pequeno delay para não sobrecarregar
+      await new Promise(r => setTimeout(r, 200));
+    } catch (err) {
+      console.error('[PixelCraft] Erro ao baixar:', record.name, err);
+      Toast.show(`Erro ao processar ${record.name}`, 'error');
+    }
+  }
+
+  Progress.hide();
+  Toast.show(`${targets.length} imagem(ns) baixada(s)!`, 'success');
+}
+
+/* =============================================================
+   SELEÇÃO DE IMAGENS
+   ============================================================= */
+
+function getSelectedIndices() {
+  const checkboxes = document.querySelectorAll('.image-card__checkbox:checked');
+  return Array.from(checkboxes).map(cb => parseInt(cb.dataset.idx, 10));
+}
+
+function selectAll(select) {
+  document.querySelectorAll('.image-card__checkbox').forEach(cb => {
+    cb.checked = select;
+  });
+  document.querySelectorAll('.image-card').forEach(card => {
+    card.classList.toggle('selected', select);
+  });
+}
+
+/* =============================================================
+   APLICAR FILTROS ATUAIS A TODAS
+   ============================================================= */
+
+async function applyCurrentFiltersToAll() {
+  if (!App.activeEditor) {
+    Toast.show('Abra uma imagem no editor primeiro.', 'warning');
+    return;
+  }
+
+  // O histórico pertence à imagem de origem; as demais recebem só o estado,
+  // com o recorte em frações do quadro (reescalado para cada imagem)
+  const currentState = App.activeEditor.getState();
+  delete currentState.history;
+  const { crop, ...sharedState } = currentState;
+  const batchState = { ...sharedState, cropFraction: App.activeEditor.cropFraction };
+  const selected     = getSelectedIndices();
+  const targets      = selected.length > 0 ? selected : App.images.map((_, i) => i);
+  const auto         = document.getElementById('batchAuto').checked;
+
+  if (targets.length === 0) return;
+
+  Progress.show(auto ? 'Aplicando filtros e auto ajuste...' : 'Aplicando filtros a todas...');
+
+  for (let i = 0; i < targets.length; i++) {
+    const idx    = targets[i];
+    const record = App.images[idx];
+    if (!record) continue;
+    if (idx === App.activeEditorIdx) {
+      // A imagem aberta mantém o próprio estado; no modo auto recebe o
+      // ajuste no próprio editor (desfazível)
+      if (auto) {
+        App.activeEditor.autoEnhance();
+        syncUIToEditor(App.activeEditor);
+      } else {
+        record.editorState = { ...currentState };
+      }
+    } else {
+      record.editorState = auto ? autoEnhancedState(record, batchState) : { ...batchState };
+    }
+    record.edited = true;
+    Progress.update(i + 1, targets.length);
+    await new Promise(r => setTimeout(r, 10));
+  }
+
+  Progress.hide();
+  renderGallery();
+  Toast.show(`Filtros aplicados a ${targets.length} imagem(ns)!`, 'success');
+}
+
+/**
+ * Estado `state` com o auto ajuste calculado para a imagem de `record`
+ * (cada imagem tem a própria análise, em vez de valores copiados)
+ */
+function autoEnhancedState(record, state) {
+  const tempEditor = new window.ImageEditor(record, document.createElement('canvas'), { headless: true });
+  tempEditor.restoreState(state);
+  tempEditor.autoEnhance();
+  const result = tempEditor.getState();
+  delete result.history;
+  return result;
+}
+
+/* =============================================================
+   REMOÇÃO
+   ============================================================= */
+
+function removeImage(idx) {
+  App.images.splice(idx, 1);
+  renderGallery();
+  if (App.images.length === 0) showWorkspace(false);
+  Toast.show('Imagem removida.', 'info');
+}
+
+function clearAll() {
+  if (App.images.length === 0) return;
+  if (!confirm(`Remover todas as ${App.images.length} imagens?`)) return;
+  App.images = [];
+  renderGallery();
+  showWorkspace(false);
+  Toast.show('Galeria limpa.', 'info');
+}
+
+/* =============================================================
+   TEMA CLARO / ESCURO
+   ============================================================= */
+
+function toggleTheme() {
+  App.theme = App.theme === 'light' ? 'dark' : 'light';
+  document.documentElement.dataset.theme = App.theme;
+  const icon = document.getElementById('themeIcon');
+  if (icon) {
+    icon.className = App.theme === 'dark' ? 'fas fa-sun' : 'fas fa-moon';
+  }
+  localStorage.setItem('pixelcraft_theme', App.theme);
+}
+
+function loadTheme() {
+  const saved = localStorage.getItem('pixelcraft_theme');
+  const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+  App.theme = saved || (prefersDark ? 'dark' : 'light');
+  document.documentElement.dataset.theme = App.theme;
+  const icon = document.getElementById('themeIcon');
+  if (icon) icon.className = App.theme === 'dark' ? 'fas fa-sun' : 'fas fa-moon';
+}
+
+/* =============================================================
+   TABS DO MODAL
+   ============================================================= */
+
+function initTabs() {
+  document.querySelectorAll('.tab-btn').forEach(btn => {
+    btn.addEventListener('click', () => activateTab(btn.dataset.tab));
+  });
+}
+
+/**
+ * Mostra o painel de uma aba (ex.: 'layers' → #tabLayers)
+ */
+function activateTab(tabId) {
+  const btn = document.querySelector(`.tab-btn[data-tab="${tabId}"]`);
+  if (!btn) return;
+
+  // Desativar todos
+  document.querySelectorAll('.tab-btn').forEach(b => {
+    b.classList.remove('tab-btn--active');
+    b.setAttribute('aria-selected', 'false');
+  });
+  document.querySelectorAll('.tab-panel').forEach(p => {
+    p.hidden = true;
+    p.classList.remove('tab-panel--active');
+  });
+
+  // Ativar selecionado
+  btn.classList.add('tab-btn--active');
+  btn.setAttribute('aria-selected', 'true');
+  const panel = document.getElementById('tab' + tabId.charAt(0).toUpperCase() + tabId.slice(1));
+  if (panel) {
+    panel.hidden = false;
+    panel.classList.add('tab-panel--active');
+  }
+}
+
+/* =============================================================
+   EVENT LISTENERS — UPLOAD
+   ============================================================= */
+
+function initUpload() {
+  const zone      = document.getElementById('uploadZone');
+  const fileInput = document.getElementById('fileInput');
+
+  // Click na zona
+  zone.addEventListener('click', (e) => {
+    if (!e.target.closest('label')) fileInput.click();
+  });
+
+  // Keyboard na zona
+  zone.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      fileInput.click();
+    }
+  });
+
+  // Seleção de arquivo
+  fileInput.addEventListener('change', () => {
+    if (fileInput.files.length) {
+      loadFiles(fileInput.files);
+      fileInput.value = ''; // Reset para permitir re-upload do mesmo arquivo
+    }
+  });
+
+  // Drag and drop
+  ['dragenter', 'dragover'].forEach(evt => {
+    zone.addEventListener(evt, (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      zone.classList.add('drag-over');
+    });
+  });
+
+  ['dragleave', 'dragend'].forEach(evt => {
+    zone.addEventListener(evt, (e) => {
+      e.preventDefault();
+      zone.classList.remove('drag-over');
+    });
+  });
+
+  zone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    zone.classList.remove('drag-over');
+    const files = e.dataTransfer?.files;
+    if (files?.length) loadFiles(files);
+  });
+
+  // Drop na página toda
+  document.addEventListener('dragover',  (e) => e.preventDefault());
+  document.addEventListener('drop', (e) => {
+    e.preventDefault();
+    const files = e.dataTransfer?.files;
+    if (files?.length) loadFiles(files);
+  });
+}
+
+/* =============================================================
+   EVENT LISTENERS — GALERIA (Event Delegation)
+   ============================================================= */
+
+function initGalleryEvents() {
+  const grid = document.getElementById('imagesGrid');
+
+  grid.addEventListener('click', (e) => {
+    // Botão Editar
+    const editBtn = e.target.closest('.card-edit-btn');
+    if (editBtn) {
+      openEditor(parseInt(editBtn.dataset.idx, 10));
+      return;
+    }
+
+    // Botão Deletar
+    const deleteBtn = e.target.closest('.card-delete-btn');
+    if (deleteBtn) {
+      e.stopPropagation();
+      removeImage(parseInt(deleteBtn.dataset.idx, 10));
+      return;
+    }
+
+    // Checkbox de seleção
+    const checkbox = e.target.closest('.image-card__checkbox');
+    if (checkbox) {
+      const card = checkbox.closest('.image-card');
+      if (card) card.classList.toggle('selected', checkbox.checked);
+      return;
+    }
+  });
+}
+
+/* =============================================================
+   EVENT LISTENERS — MODAL / EDITOR
+   ============================================================= */
+
+function initEditorEvents() {
+
+  // Fechar modal
+  document.getElementById('btnCloseModal').addEventListener('click', closeModal);
 
   document.getElementById('editorModal').addEventListener('click', (e) => {
     if (e.target === document.getElementById('editorModal')) closeModal();
   });
 
   document.addEventListener('keydown', (e) => {
+    const modal = document.getElementById('editorModal');
+    if (!modal.classList.contains('open')) return;
+
     if (e.key === 'Escape') {
-      const modal = document.getElementById('editorModal');
-      if (modal.classList.contains('open')) closeModal();
+      // Primeiro solta a ferramenta ativa; depois fecha o modal
+      if (App.tool) setTool(null);
+      else          closeModal();
+      return;
+    }
+
+    // Undo / Redo (campos de texto mantêm o undo nativo)
+    if ((e.ctrlKey || e.metaKey) && !e.altKey) {
+      if (e.target.matches('input[type="text"], input[type="number"], textarea')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z') {
+        e.preventDefault();
+        travelHistory(e.shiftKey ? 'redo' : 'undo');
+      } else if (key === 'y') {
+        e.preventDefault();
+        travelHistory('redo');
+      }
     }
   });
 
+  // ── HISTÓRICO ──
+  document.getElementById('btnUndo').addEventListener('click', () => travelHistory('undo'));
+  document.getElementById('btnRedo').addEventListener('click', () => travelHistory('redo'));
+  document.getElementById('historyList').addEventListener('click', (e) => {
+    const item = e.target.closest('.history-item');
+    if (item) travelHistory(parseInt(item.dataset.idx, 10));
+  });
+
   // ── AJUSTES (Sliders) ──
   const sliderMap = [
     { id: 'ctrlBrightness',  val: 'valBrightness',  key: 'brightness',  suffix: '' },
@@ -767,11 +4393,12 @@ function initEditorEvents() {
     { id: 'ctrlSaturation',  val: 'valSaturation',   key: 'saturation',  suffix: '' },
     { id: 'ctrlExposure',    val: 'valExposure',     key: 'exposure',    suffix: '' },
     { id: 'ctrlHue',         val: 'valHue',          key: 'hue',         suffix: '°' },
-    { id: 'ctrlSharpness',   val: 'valSharpness',    key: 'sharpness',   suffix: '' },
+    { id: 'ctrlSharpness',   val: 'valSharpness',    key: 'sharpness',   suffix: '%' },
     { id: 'ctrlNoise',       val: 'valNoise',        key: 'noise',       suffix: '' },
+    { id: 'ctrlDenoiseLuma', val: 'valDenoiseLuma',  key: 'denoise',     suffix: '' },
     { id: 'ctrlBlur',        val: 'valBlur',         key: 'blur',        suffix: '' },
     { id: 'ctrlVignette',    val: 'valVignette',     key: 'vignette',    suffix: '' },
-    { id: 'ctrlTemperature', val: 'valTemperature',  key: 'temperature', suffix: '' }
+    { id: 'ctrlTemperature', val: 'valTemperature',  key: 'temperature', suffix: ' K' }
   ];
 
   sliderMap.forEach(({ id, val, key, suffix }) => {
@@ -784,6 +4411,150 @@ function initEditorEvents() {
       updateRangeFill(slider);
       App.activeEditor?.setSetting(key, value);
     });
+
+    // Soltar o slider encerra o passo do histórico
+    slider.addEventListener('change', () => App.activeEditor?.sealHistory());
+  });
+
+  // ── BALANÇO DE BRANCO (matiz e conta-gotas; a temperatura está nos sliders acima) ──
+  const tint = document.getElementById('ctrlTint');
+  tint.addEventListener('input', () => {
+    const value = parseFloat(tint.value);
+    document.getElementById('valTint').textContent = value;
+    updateRangeFill(tint);
+    App.activeEditor?.setWhiteBalance({ tint: value });
+  });
+  tint.addEventListener('change', () => App.activeEditor?.sealHistory());
+
+  const wbPick = document.getElementById('btnWhiteBalancePick');
+  wbPick.addEventListener('click', () => {
+    startEyedropper(wbPick, (editor, pt) => {
+      editor.setWhiteBalanceFromPoint(pt.x, pt.y);
+      syncUIToEditor(editor);
+    });
+  });
+
+  // ── NITIDEZ, REDUÇÃO DE RUÍDO, GRÃO E VINHETA (parâmetros além do principal, que está nos sliders acima) ──
+  [
+    { id: 'ctrlSharpenRadius',    val: 'valSharpenRadius',    key: 'radius',    suffix: ' px', set: 'setSharpening' },
+    { id: 'ctrlSharpenThreshold', val: 'valSharpenThreshold', key: 'threshold', suffix: '',    set: 'setSharpening' },
+    { id: 'ctrlDenoiseColor',     val: 'valDenoiseColor',     key: 'color',     suffix: '',    set: 'setNoiseReduction' },
+    { id: 'ctrlDenoiseDetail',    val: 'valDenoiseDetail',    key: 'detail',    suffix: '',    set: 'setNoiseReduction' },
+    { id: 'ctrlVignetteMidpoint',   val: 'valVignetteMidpoint',   key: 'midpoint',   suffix: '', set: 'setVignette' },
+    { id: 'ctrlVignetteFeather',    val: 'valVignetteFeather',    key: 'feather',    suffix: '', set: 'setVignette' },
+    { id: 'ctrlVignetteRoundness',  val: 'valVignetteRoundness',  key: 'roundness',  suffix: '', set: 'setVignette' },
+    { id: 'ctrlVignetteHighlights', val: 'valVignetteHighlights', key: 'highlights', suffix: '', set: 'setVignette' },
+    { id: 'ctrlGrainSize',          val: 'valGrainSize',          key: 'size',       suffix: '', set: 'setGrain' },
+    { id: 'ctrlGrainRoughness',     val: 'valGrainRoughness',     key: 'roughness',  suffix: '', set: 'setGrain' },
+    { id: 'ctrlGrainColor',         val: 'valGrainColor',         key: 'color',      suffix: '', set: 'setGrain' },
+    { id: 'ctrlGrainMidtones',      val: 'valGrainMidtones',      key: 'midtones',   suffix: '', set: 'setGrain' }
+  ].forEach(({ id, val, key, suffix, set }) => {
+    const slider = document.getElementById(id);
+    slider.addEventListener('input', () => {
+      const value = parseFloat(slider.value);
+      document.getElementById(val).textContent = value + suffix;
+      updateRangeFill(slider);
+      App.activeEditor?.[set]({ [key]: value });
+    });
+    slider.addEventListener('change', () => App.activeEditor?.sealHistory());
+  });
+
+  const sharpenEdges = document.getElementById('ctrlSharpenEdges');
+  sharpenEdges.addEventListener('change', () => {
+    sharpenEdges.setAttribute('aria-checked', String(sharpenEdges.checked));
+    App.activeEditor?.setSharpening({ edgeMask: sharpenEdges.checked });
+    App.activeEditor?.sealHistory();
+  });
+
+  const grainSeed = document.getElementById('ctrlGrainSeed');
+  grainSeed.addEventListener('change', () => {
+    const seed = parseInt(grainSeed.value, 10);
+    if (!Number.isInteger(seed)) return;
+    App.activeEditor?.setGrain({ seed });
+    App.activeEditor?.sealHistory();
+  });
+  document.getElementById('btnGrainSeed').addEventListener('click', () => {
+    const seed = window.PixelFilters.grainSeed();
+    grainSeed.value = seed;
+    App.activeEditor?.setGrain({ seed });
+    App.activeEditor?.sealHistory();
+  });
+
+  const vignetteColor = document.getElementById('ctrlVignetteColor');
+  vignetteColor.addEventListener('input', () => App.activeEditor?.setVignette({ color: vignetteColor.value }));
+  vignetteColor.addEventListener('change', () => App.activeEditor?.sealHistory());
+
+  const vignettePostCrop = document.getElementById('ctrlVignettePostCrop');
+  vignettePostCrop.addEventListener('change', () => {
+    vignettePostCrop.setAttribute('aria-checked', String(vignettePostCrop.checked));
+    App.activeEditor?.setVignette({ postCrop: vignettePostCrop.checked });
+    App.activeEditor?.sealHistory();
+  });
+
+  document.getElementById('btnVignetteCenter').addEventListener('click', () => {
+    App.activeEditor?.setVignette({ centerX: 50, centerY: 50 });
+    App.activeEditor?.sealHistory();
+  });
+
+  // ── PRETO & BRANCO (método, limiar e paleta — editar liga o filtro) ──
+  const bwSpec = window.PixelFilters.ADJUSTMENTS.blackwhite.params;
+  [['ctrlBwMethod', bwSpec.method], ['ctrlBwPalette', bwSpec.palette]].forEach(([id, spec]) => {
+    const select = document.getElementById(id);
+    spec.options.forEach(({ value, label }) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = label;
+      select.appendChild(opt);
+    });
+  });
+  const setBlackWhite = (props) => {
+    if (!App.activeEditor) return;
+    const wasOn = document.getElementById('ctrlBlackWhite').checked;
+    App.activeEditor.setBlackWhite(props);
+    if (wasOn) syncBlackWhiteControls(App.activeEditor);
+    else       syncUIToEditor(App.activeEditor);
+  };
+  [['ctrlBwMethod', 'method'], ['ctrlBwPalette', 'palette']].forEach(([id, key]) => {
+    const select = document.getElementById(id);
+    select.addEventListener('change', () => {
+      setBlackWhite({ [key]: select.value });
+      App.activeEditor?.sealHistory();
+    });
+  });
+  [
+    { id: 'ctrlBwThreshold', key: 'threshold' },
+    { id: 'ctrlBwRadius',    key: 'radius' },
+    { id: 'ctrlBwOffset',    key: 'offset' },
+    { id: 'ctrlBwColors',    key: 'colors' }
+  ].forEach(({ id, key }) => {
+    const slider = document.getElementById(id);
+    slider.addEventListener('input', () => setBlackWhite({ [key]: parseFloat(slider.value) }));
+    slider.addEventListener('change', () => App.activeEditor?.sealHistory());
+  });
+
+  // ── MAPA DE GRADIENTE (editar liga o filtro) ──
+  const setGradientMap = (props, done) => {
+    if (!App.activeEditor) return;
+    App.activeEditor.setGradientMap(props);
+    setToggle('ctrlGradientMap', true);
+    if (done) App.activeEditor.sealHistory();
+  };
+  document.getElementById('gradientMapEditor').appendChild(createGradientEditor(
+    window.PixelFilters.defaultParams('gradientMap').gradient,
+    (gradient, done) => setGradientMap({ gradient }, done)
+  ));
+  const gradientOpacity = document.getElementById('ctrlGradientOpacity');
+  gradientOpacity.addEventListener('input', () => {
+    const value = parseFloat(gradientOpacity.value);
+    document.getElementById('valGradientOpacity').textContent = value + '%';
+    updateRangeFill(gradientOpacity);
+    setGradientMap({ opacity: value });
+  });
+  gradientOpacity.addEventListener('change', () => App.activeEditor?.sealHistory());
+  const gradientReverse = document.getElementById('ctrlGradientReverse');
+  gradientReverse.addEventListener('change', () => {
+    gradientReverse.setAttribute('aria-checked', String(gradientReverse.checked));
+    setGradientMap({ reverse: gradientReverse.checked }, true);
   });
 
   // ── TOGGLES ──
@@ -791,7 +4562,8 @@ function initEditorEvents() {
     { id: 'ctrlGrayscale',  key: 'grayscale' },
     { id: 'ctrlBlackWhite', key: 'blackwhite' },
     { id: 'ctrlSepia',      key: 'sepia' },
-    { id: 'ctrlInvert',     key: 'invert' }
+    { id: 'ctrlInvert',     key: 'invert' },
+    { id: 'ctrlGradientMap', key: 'gradientMap' }
   ];
 
   toggleMap.forEach(({ id, key }) => {
@@ -799,7 +4571,10 @@ function initEditorEvents() {
     if (!el) return;
     el.addEventListener('change', () => {
       el.setAttribute('aria-checked', String(el.checked));
-      App.activeEditor?.setSetting(key, el.checked);
+      if (!App.activeEditor) return;
+      App.activeEditor.setSetting(key, el.checked);
+      // Modos de cor são exclusivos: os outros toggles podem ter desligado
+      syncUIToEditor(App.activeEditor);
     });
   });
 
@@ -807,15 +4582,19 @@ function initEditorEvents() {
   document.getElementById('btnZoomIn') .addEventListener('click', () => App.activeEditor?.zoomIn());
   document.getElementById('btnZoomOut').addEventListener('click', () => App.activeEditor?.zoomOut());
   document.getElementById('btnZoomFit').addEventListener('click', () => App.activeEditor?.zoomFit());
+  document.getElementById('btnAutoEnhance').addEventListener('click', () => {
+    if (!App.activeEditor) return;
+    App.activeEditor.autoEnhance();
+    syncUIToEditor(App.activeEditor);
+    Toast.show('Auto ajuste aplicado. Refine nos controles ou use Ctrl+Z.', 'success');
+  });
+
   document.getElementById('btnResetFilters').addEventListener('click', () => {
     if (!App.activeEditor) return;
     App.activeEditor.resetAll();
     syncUIToEditor(App.activeEditor);
-    // Resetar presets
-    document.querySelectorAll('.preset-card').forEach(c => c.classList.remove('active'));
-    const noneCard = document.querySelector('[data-preset="none"]');
-    if (noneCard) noneCard.classList.add('active');
-    Toast.show('Ajustes redefinidos.', 'info');
+    markActivePreset('none');
+    Toast.show('Edições redefinidas. Use Ctrl+Z para desfazer.', 'info');
   });
 
   // ── TRANSFORMAÇÕES ──
@@ -838,7 +4617,8 @@ function initEditorEvents() {
 
   ctrlWidth.addEventListener('input', () => {
     if (App.lockAspectRatio && App.activeEditor && ctrlWidth.value) {
-      const ratio = App.activeEditor.origH / App.activeEditor.origW;
+      const { w, h } = App.activeEditor.geometrySize;
+      const ratio = h / w;
       ctrlHeight.value = Math.round(parseInt(ctrlWidth.value) * ratio) || '';
     }
     debounceDimension();
@@ -846,7 +4626,8 @@ function initEditorEvents() {
 
   ctrlHeight.addEventListener('input', () => {
     if (App.lockAspectRatio && App.activeEditor && ctrlHeight.value) {
-      const ratio = App.activeEditor.origW / App.activeEditor.origH;
+      const { w, h } = App.activeEditor.geometrySize;
+      const ratio = w / h;
       ctrlWidth.value = Math.round(parseInt(ctrlHeight.value) * ratio) || '';
     }
     debounceDimension();
@@ -876,21 +4657,6 @@ function initEditorEvents() {
     });
   });
 
-  // Crop
-  const cropFields = [
-    { id: 'ctrlCropTop',    key: 'cropTop' },
-    { id: 'ctrlCropBottom', key: 'cropBottom' },
-    { id: 'ctrlCropLeft',   key: 'cropLeft' },
-    { id: 'ctrlCropRight',  key: 'cropRight' }
-  ];
-  cropFields.forEach(({ id, key }) => {
-    const el = document.getElementById(id);
-    if (!el) return;
-    el.addEventListener('input', debounce(() => {
-      App.activeEditor?.setExportSetting(key, parseInt(el.value) || 0);
-    }, 400));
-  });
-
   // ── EXPORTAÇÃO ──
 
   // Formato
@@ -921,6 +4687,7 @@ function initEditorEvents() {
     updateRangeFill(ctrlQuality);
     App.activeEditor?.setExportSetting('quality', pct / 100);
   });
+  ctrlQuality.addEventListener('change', () => App.activeEditor?.sealHistory());
 
   // Nome do arquivo
   document.getElementById('ctrlFilename').addEventListener('input', (e) => {
@@ -975,6 +4742,9 @@ function initHeaderEvents() {
   document.getElementById('btnDownloadAll').addEventListener('click', downloadAll);
   document.getElementById('btnSelectAll')  .addEventListener('click', () => selectAll(true));
   document.getElementById('btnApplyToAll') .addEventListener('click', applyCurrentFiltersToAll);
+  document.getElementById('batchAuto').addEventListener('change', (e) => {
+    e.target.setAttribute('aria-checked', String(e.target.checked));
+  });
 }
 
 /* =============================================================
@@ -1048,6 +4818,19 @@ function init() {
 
   // Eventos do editor
   initEditorEvents();
+  initAdjustmentStackEvents();
+  initLevelsPanelEvents();
+  initConvolutionEvents();
+  initHistogramEvents();
+  initLayerEvents();
+  initTextEvents();
+  initPaintEvents();
+  initCropEvents();
+  initPerspectiveEvents();
+  initStraightenEvents();
+  initPickerEvents();
+  initMaskEvents();
+  initCanvasTools();
 
   // Header
   initHeaderEvents();
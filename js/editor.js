@@ -6,14 +6,76 @@
 
 'use strict';
 
+/* Limite de entradas mantidas no histórico de edições */
+const HISTORY_LIMIT = 100;
+
+/* Janela (ms) em que alterações seguidas do mesmo controle viram um só passo */
+const HISTORY_COALESCE_MS = 1200;
+
+/* Nome padrão de uma camada nova, por tipo */
+const LAYER_NAMES = {
+  image: 'Imagem',
+  solid: 'Cor sólida',
+  blank: 'Camada vazia'
+};
+
+/* Rótulos exibidos na lista de histórico */
+const LAYER_PROP_LABELS = {
+  name:      'Nome',
+  x:         'Posição X',
+  y:         'Posição Y',
+  scale:     'Escala',
+  opacity:   'Opacidade',
+  visible:   'Visibilidade',
+  blendMode: 'Mesclagem',
+  color:     'Cor'
+};
+
+const EXPORT_LABELS = {
+  format:   'Formato',
+  quality:  'Qualidade',
+  filename: 'Nome do arquivo',
+  dims:     'Dimensões'
+};
+
+/* Lado maior da miniatura usada nos histogramas dos ajustes */
+const ADJUST_SAMPLE_SIZE = 256;
+
+/* Lado maior da amostra do resultado usada no histograma ao vivo */
+const HISTOGRAM_SAMPLE_SIZE = 512;
+
+/* Pixels da cópia reduzida em que a prévia calcula os ajustes pesados */
+const PREVIEW_HEAVY_PIXELS = 1000000;
+
+/* Seções do estado editável e seus campos. Cada seção tem uma revisão,
+   trocada a cada alteração (ver _touch): as chaves de cache partem dela
+   em vez de serializar o estado, que pode ter milhares de pontos de pincel */
+const STATE_SECTIONS = {
+  adjustments:    ['adjustments', 'preset'],
+  layers:         ['layers'],
+  texts:          ['texts'],
+  masks:          ['masks'],
+  strokes:        ['strokes'],
+  exportSettings: ['exportSettings'],
+  geometry:       ['perspective', 'straighten', 'rotation', 'flipH', 'flipV'],
+  crop:           ['crop']
+};
+
+/* Campos do recorte percentual antigo (exportSettings), migrados para `crop` */
+const LEGACY_CROP_KEYS = ['cropTop', 'cropBottom', 'cropLeft', 'cropRight'];
+
 class ImageEditor {
   /**
    * @param {object} imageRecord  — registro da imagem na galeria
    * @param {HTMLCanvasElement} canvas  — canvas do modal
+   * @param {object} [options]
+   * @param {boolean} [options.headless]  sem tela: nunca renderiza nem toca
+   *        na UI (ex.: calcular o auto ajuste de outra imagem)
    */
-  constructor(imageRecord, canvas) {
+  constructor(imageRecord, canvas, { headless = false } = {}) {
     this.record   = imageRecord;
     this.canvas   = canvas;
+    this.headless = headless;
     this.ctx      = canvas.getContext('2d', { willReadFrequently: true });
 
     // Imagem original (não modificada)
@@ -32,24 +94,36 @@ class ImageEditor {
     this.flipH      = false;
     this.flipV      = false;
 
-    // Configurações atuais de filtros
-    this.settings = {
-      brightness:  0,
-      contrast:    0,
-      saturation:  0,
-      exposure:    0,
-      hue:         0,
-      sharpness:   0,
-      noise:       0,
-      blur:        0,
-      grayscale:   false,
-      blackwhite:  false,
-      sepia:       false,
-      invert:      false,
-      vignette:    0,
-      temperature: 0,
-      preset:      'none'
-    };
+    // Correção de perspectiva: cantos normalizados na composição
+    // (sup. esq., sup. dir., inf. dir., inf. esq.; null = sem) e keystone ±100
+    this.perspective = { corners: null, vertical: 0, horizontal: 0 };
+
+    // Rotação livre (endireitar), aplicada após a perspectiva e antes do recorte.
+    // mode: 'crop' (maior retângulo interno) | 'color' | 'transparent'
+    this.straighten = { angle: 0, mode: 'crop', color: '#ffffff' };
+
+    // Recorte em pixels do quadro endireitado ({ x, y, w, h }) — igual à
+    // original sem endireitamento; null = inteira. Aplicado antes de
+    // flip/rotação/redimensionamento, que não o afetam.
+    this.crop        = null;
+    this.cropEditing = false; // preview mostra o quadro inteiro (ferramenta de recorte)
+    this.perspectiveEditing = false; // preview mostra a composição sem correções (ferramenta de perspectiva)
+
+    // Pilha de ajustes (aplicada na ordem) e preset de origem
+    this.adjustments = [];
+    this.preset      = 'none';
+
+    // Camadas sobre a imagem base (índice 0 = logo acima da base)
+    this.layers = [];
+
+    // Textos desenhados sobre o resultado final, em resolução total
+    this.texts = [];
+
+    // Ajustes locais (máscaras de gradiente, geometria normalizada no quadro final)
+    this.masks = [];
+
+    // Traços de pincel/borracha (target null = imagem base, ou id de camada vazia)
+    this.strokes = [];
 
     // Configurações de exportação
     this.exportSettings = {
@@ -57,15 +131,12 @@ class ImageEditor {
       quality:  0.92,
       filename: '',
       width:    null,
-      height:   null,
-      cropTop:    0,
-      cropBottom: 0,
-      cropLeft:   0,
-      cropRight:  0
+      height:   null
     };
 
-    // Zoom
+    // Zoom e aviso de corte sobre a exibição (não entram no histórico)
     this.zoom = 1.0;
+    this.showClipping = false;
 
     // Debounce timer
     this._renderTimer = null;
@@ -77,6 +148,32 @@ class ImageEditor {
     this._origImageData = null;
     this._cacheReady    = false;
 
+    // Resultado antes dos textos, reaproveitado enquanto o restante não mudar
+    this._baseCache  = null; // { key, canvas }
+    this._heavyCache = null; // { inputKey, prefix, rev, imageData } da pilha até o último ajuste pesado
+    this._adjustSample = null; // miniatura da entrada da pilha de ajustes (histogramas)
+    this._adjustInput  = null; // ImageData da entrada da pilha (conta-gotas)
+    this._lastOutput = null; // último canvas final exibido
+    this._histogram  = null; // { source, hist } do resultado (ver outputHistogram)
+    this._clipping   = null; // { source, w, h, canvas } máscara de corte exibida
+
+    // Escala quadro final → canvas de exibição e desenho de guias da UI
+    this.displayScale  = 1;
+    this.onDrawOverlay = null; // (ctx, editor) => void
+
+    // Revisão de cada seção do estado (STATE_SECTIONS)
+    this._revisions   = Object.fromEntries(Object.keys(STATE_SECTIONS).map(k => [k, 0]));
+    this._revisionSeq = 0;
+    this._sectionCopies = {}; // seção → { rev, fields } compartilhados pelos snapshots
+
+    // Histórico de edições (undo/redo)
+    this.history         = [];
+    this.historyIndex    = -1;
+    this._historySealed  = false;
+    this.onHistoryChange = null; // callback opcional da UI
+    this.onRender        = null; // chamado após cada render concluído
+    this._resetHistory();
+
     // Inicializar
     this._init();
   }
@@ -94,259 +191,1821 @@ class ImageEditor {
     this._origImageData = this.workCtx.getImageData(0, 0, this.origW, this.origH);
     this._cacheReady    = true;
 
-    // Render inicial
-    this.render();
+    // Render inicial
+    this.render();
+  }
+
+  /* -------------------------------------------------------
+     RENDER PRINCIPAL
+  ------------------------------------------------------- */
+
+  /**
+   * Agenda o render com debounce para evitar travamentos
+   * @param {number} delay  ms
+   */
+  scheduleRender(delay = 40) {
+    clearTimeout(this._renderTimer);
+    if (this.headless) return;
+    this._renderTimer = setTimeout(() => this.render(), delay);
+  }
+
+  /**
+   * Pipeline completo de renderização
+   */
+  async render() {
+    if (!this._cacheReady || this.processing || this.headless) return;
+    this.processing = true;
+    this._showLoading(true);
+
+    try {
+      // 1–6. Composição, recorte, geometria, dimensões, ajustes e textos
+      const view = this.editingView;
+      const processCanvas = this._buildProcessedCanvas(view, true);
+      this._lastOutput = processCanvas;
+      if (!view && this._histogram?.source !== processCanvas) this._histogram = { source: processCanvas, hist: null };
+
+      // 7. Renderizar no canvas visível com zoom
+      this._drawToDisplay(processCanvas);
+
+      // 8. Atualizar informações (o quadro das ferramentas de edição não é o resultado)
+      if (!view) this._updateInfoBar(processCanvas);
+
+      if (typeof this.onRender === 'function') this.onRender(this);
+
+    } catch (err) {
+      console.error('[PixelCraft] Erro no render:', err);
+    } finally {
+      this.processing = false;
+      this._showLoading(false);
+    }
+  }
+
+  /**
+   * Pipeline compartilhado por render() e getExportCanvas(), em resolução
+   * total — garante que preview e arquivo exportado sejam idênticos (exceto
+   * ajustes pesados em imagens grandes, aproximados na prévia)
+   * @param {null|'crop'|'perspective'} [view]  quadro de uma ferramenta:
+   *        'crop' sem recorte, redimensionamento, máscaras e textos; 'perspective'
+   *        também sem perspectiva e endireitamento (ver editingView)
+   * @param {boolean} [preview]  prévia na tela (ver _processHeavyPreview)
+   * @returns {HTMLCanvasElement}
+   */
+  _buildProcessedCanvas(view = null, preview = false) {
+    const base = this._buildBaseCanvas(view, preview);
+    if (view || !this.texts.length) return base;
+
+    // 6. Textos, desenhados vetorialmente na resolução final
+    const canvas = document.createElement('canvas');
+    canvas.width  = base.width;
+    canvas.height = base.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(base, 0, 0);
+    this.texts.forEach(t => window.PixelFilters.drawText(ctx, t, canvas.width, canvas.height));
+    return canvas;
+  }
+
+  /**
+   * Etapas 1–5 do pipeline. O resultado fica em cache enquanto a chave
+   * (tudo que o afeta) não mudar — editar textos ou mudar o zoom não
+   * reprocessa a imagem. O canvas retornado não deve ser modificado.
+   * @param {null|'crop'|'perspective'} [view]
+   * @param {boolean} [preview]  aproxima os ajustes pesados (ver _processHeavyPreview)
+   * @returns {HTMLCanvasElement}
+   */
+  _buildBaseCanvas(view = null, preview = false) {
+    const split = this._heavyPrefixLength();
+    // A prévia só difere da exportação quando há ajuste pesado
+    const key = this._pipelineKey(view) + (preview && split > 0 ? ':preview' : '');
+    if (this._baseCache?.key === key) return this._baseCache.canvas;
+
+    // 1–4. Entrada da pilha de ajustes
+    const processCanvas = this._buildStackInputCanvas(view);
+
+    // Miniatura do que entra na pilha (histogramas dos controles de ajuste)
+    if (!view) this._adjustSample = this._stackSample(processCanvas);
+
+    // 5. Processar filtros de pixel. Os nós até o último ajuste pesado
+    //    (ex.: redução de ruído) ficam em cache: mexer nos seguintes não
+    //    os recalcula
+    const PF      = window.PixelFilters;
+    const pCtx    = processCanvas.getContext('2d', { willReadFrequently: true });
+    const imgData = pCtx.getImageData(0, 0, processCanvas.width, processCanvas.height);
+    const { width: w, height: h } = processCanvas;
+    const frame = view ? PF.FULL_FRAME : this.cropFrame;
+    if (!view) this._adjustInput = imgData;
+
+    let input = imgData;
+    if (split > 0) {
+      const prefix    = this.adjustments.slice(0, split);
+      const proxy    = preview && w * h > PREVIEW_HEAVY_PIXELS;
+      const inputKey = this._inputKey(view) + (proxy ? ':preview' : '');
+      const rev      = this._revisions.adjustments;
+      // O prefixo (poucos nós) só é serializado quando a pilha mudou
+      let cache = this._heavyCache;
+      if (cache?.inputKey !== inputKey || (cache.rev !== rev && cache.prefix !== JSON.stringify(prefix))) {
+        const imageData = proxy
+          ? this._processHeavyPreview(imgData, prefix, frame)
+          : PF.processImage(imgData, prefix, w, h, [], frame);
+        cache = this._heavyCache = { inputKey, prefix: JSON.stringify(prefix), imageData };
+      }
+      cache.rev = rev;
+      input = cache.imageData;
+    }
+    const processed = PF.processImage(input, this.adjustments.slice(split), w, h, view ? [] : this.masks, frame);
+    pCtx.putImageData(processed, 0, 0);
+
+    this._baseCache = { key, canvas: processCanvas };
+    return processCanvas;
+  }
+
+  /**
+   * Etapas 1–4: camadas compostas, perspectiva, endireitamento, recorte,
+   * transformações geométricas e redimensionamento
+   * @returns {HTMLCanvasElement}  canvas novo (pode ser modificado)
+   */
+  _buildStackInputCanvas(view = null) {
+    const srcCanvas = this._buildGeometryCanvas(view);
+    if (view) return srcCanvas;
+
+    const dims = window.PixelFilters.calcAspectRatio(
+      srcCanvas.width,
+      srcCanvas.height,
+      this.exportSettings.width  || null,
+      this.exportSettings.height || null
+    );
+    if (dims.w === srcCanvas.width && dims.h === srcCanvas.height) return srcCanvas;
+    return window.PixelFilters.resizeImage(srcCanvas, dims.w, dims.h);
+  }
+
+  /**
+   * Miniatura (lado maior ADJUST_SAMPLE_SIZE) da entrada da pilha
+   * @returns {HTMLCanvasElement}
+   */
+  _stackSample(canvas) {
+    const scale = Math.min(1, ADJUST_SAMPLE_SIZE / Math.max(canvas.width, canvas.height));
+    return window.PixelFilters.resizeImage(
+      canvas,
+      Math.max(1, Math.round(canvas.width * scale)),
+      Math.max(1, Math.round(canvas.height * scale))
+    );
+  }
+
+  /**
+   * Prévia dos nós até o último ajuste pesado: só os pesados rodam numa
+   * cópia reduzida a PREVIEW_HEAVY_PIXELS, ampliada de volta; os demais
+   * (grão, vinheta, nitidez...) dependem da escala e rodam em tamanho
+   * total, como na exportação. Numa foto de 12 MP a redução de ruído leva
+   * segundos em resolução total; na tela a diferença quase não aparece.
+   * @param {ImageData} imageData  entrada da pilha (etapas 1–4)
+   * @returns {ImageData}  no mesmo tamanho
+   */
+  _processHeavyPreview(imageData, nodes, frame) {
+    const PF = window.PixelFilters;
+    const { width: w, height: h } = imageData;
+    const scale = Math.sqrt(PREVIEW_HEAVY_PIXELS / (w * h));
+    const sw = Math.max(1, Math.round(w * scale));
+    const sh = Math.max(1, Math.round(h * scale));
+    const canvas = document.createElement('canvas');
+    canvas.width  = w;
+    canvas.height = h;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+    let data  = imageData;
+    let light = [];
+    const flush = () => {
+      if (light.length) data = PF.processImage(data, light, w, h, [], frame);
+      light = [];
+    };
+    nodes.forEach(node => {
+      if (!node.enabled || !PF.ADJUSTMENTS[node.type]?.heavy) { light.push(node); return; }
+      flush();
+      ctx.putImageData(data, 0, 0);
+      const small = PF.resizeImage(canvas, sw, sh);
+      const sCtx  = small.getContext('2d', { willReadFrequently: true });
+      sCtx.putImageData(PF.processImage(sCtx.getImageData(0, 0, sw, sh), [node], sw, sh, [], frame), 0, 0);
+      data = PF.resizeImage(small, w, h).getContext('2d', { willReadFrequently: true }).getImageData(0, 0, w, h);
+    });
+    flush();
+    return data;
+  }
+
+  /**
+   * Chave do que afeta as etapas 1–5 (exclui textos, preset e opções de
+   * arquivo), a partir das revisões das seções
+   */
+  _pipelineKey(view = null) {
+    const { adjustments, masks } = this._revisions;
+    return `${this._inputKey(view)}|${adjustments}|${masks}`;
+  }
+
+  /**
+   * Chave da entrada da pilha (etapas 1–4): a do pipeline sem ajustes e máscaras
+   */
+  _inputKey(view = null) {
+    const { layers, strokes, geometry, crop } = this._revisions;
+    const { width, height } = this.exportSettings;
+    return [layers, strokes, geometry, view || `${crop}|${width}|${height}`].join('|');
+  }
+
+  /**
+   * Marca seções do estado como alteradas (ver STATE_SECTIONS). Todo
+   * método que muda o estado editável deve chamá-lo antes do histórico.
+   * @param {...string} sections
+   */
+  _touch(...sections) {
+    sections.forEach(section => { this._revisions[section] = ++this._revisionSeq; });
+  }
+
+  /**
+   * Quantos nós iniciais da pilha vão até o último ajuste pesado ativo
+   * (0 se não houver nenhum)
+   */
+  _heavyPrefixLength() {
+    const { ADJUSTMENTS } = window.PixelFilters;
+    for (let i = this.adjustments.length - 1; i >= 0; i--) {
+      const node = this.adjustments[i];
+      if (node.enabled && ADJUSTMENTS[node.type]?.heavy) return i + 1;
+    }
+    return 0;
+  }
+
+  /**
+   * Compõe a imagem base com as camadas visíveis (de baixo para cima),
+   * na resolução original
+   * @returns {HTMLCanvasElement}
+   */
+  _buildCompositeCanvas() {
+    const canvas = document.createElement('canvas');
+    canvas.width  = this.origW;
+    canvas.height = this.origH;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(this.originalImage, 0, 0);
+
+    // Pintura direto na base (a borracha só remove pintura → volta o original)
+    const basePaint = this._renderPaint(null);
+    if (basePaint) ctx.drawImage(basePaint, 0, 0);
+
+    this.layers.forEach(layer => {
+      if (!layer.visible || layer.opacity <= 0) return;
+      let source = null;
+      if (layer.type === 'image') {
+        source = this._resolveLayerImage(layer);
+        if (!source) return;
+      } else if (layer.type === 'blank') {
+        source = this._renderPaint(layer.id);
+      }
+      window.PixelFilters.drawLayer(ctx, layer, source, this.origW, this.origH);
+    });
+
+    return canvas;
+  }
+
+  /**
+   * Pintura de uma superfície na sua resolução (null se não houver traços)
+   */
+  _renderPaint(target) {
+    const strokes = this.strokes.filter(st => st.target === target);
+    if (!strokes.length) return null;
+    const { w, h } = this.surfaceTransform(target);
+    return window.PixelFilters.renderStrokes(strokes, w, h);
+  }
+
+  /**
+   * Constrói canvas com perspectiva, endireitamento, recorte e
+   * transformações geométricas (flip, rotação)
+   */
+  _buildGeometryCanvas(view = null) {
+    // Começar da composição (imagem original + camadas)
+    let canvas = this._buildCompositeCanvas();
+
+    if (view !== 'perspective') {
+      // Corrigir perspectiva
+      const warp = this._perspectiveTransform();
+      if (warp) canvas = window.PixelFilters.warpPerspective(canvas, warp);
+
+      // Endireitar (rotação livre)
+      const { angle, mode, color } = this.straighten;
+      if (angle) {
+        canvas = window.PixelFilters.rotateFree(canvas, angle, mode, color);
+      }
+    }
+
+    // Recortar em coordenadas do quadro endireitado
+    const crop = view ? null : this.activeCrop;
+    if (crop) {
+      canvas = window.PixelFilters.cropToRect(canvas, crop);
+    }
+
+    // Aplicar flip
+    if (this.flipH || this.flipV) {
+      if (this.flipH) canvas = window.PixelFilters.flipCanvas(canvas, 'h');
+      if (this.flipV) canvas = window.PixelFilters.flipCanvas(canvas, 'v');
+    }
+
+    // Aplicar rotação
+    if (this.rotation !== 0) {
+      canvas = window.PixelFilters.rotateCanvas(canvas, this.rotation);
+    }
+
+    return canvas;
+  }
+
+  /**
+   * Renderiza o canvas processado no canvas de exibição com zoom
+   */
+  _drawToDisplay(sourceCanvas) {
+    const maxW = this.canvas.parentElement?.clientWidth  || 800;
+    const maxH = this.canvas.parentElement?.clientHeight || 600;
+
+    // Calcular escala para caber na área de preview
+    const scaleX = maxW / sourceCanvas.width;
+    const scaleY = maxH / sourceCanvas.height;
+    const baseScale = Math.min(scaleX, scaleY, 1);
+    const scale = baseScale * this.zoom;
+
+    this.canvas.width  = Math.round(sourceCanvas.width  * scale);
+    this.canvas.height = Math.round(sourceCanvas.height * scale);
+
+    this.ctx.imageSmoothingEnabled = true;
+    this.ctx.imageSmoothingQuality = 'high';
+    this.ctx.drawImage(sourceCanvas, 0, 0, this.canvas.width, this.canvas.height);
+    if (this.showClipping && sourceCanvas === this._histogram?.source) this._drawClipping(sourceCanvas);
+
+    this.displayScale = this.canvas.width / sourceCanvas.width;
+    if (typeof this.onDrawOverlay === 'function') this.onDrawOverlay(this.ctx, this);
+  }
+
+  /**
+   * Pinta as áreas cortadas sobre a exibição; a máscara é calculada na
+   * resolução de exibição e reaproveitada enquanto imagem e zoom não mudam
+   */
+  _drawClipping(sourceCanvas) {
+    const { width: w, height: h } = this.canvas;
+    const cache = this._clipping;
+    if (!cache || cache.source !== sourceCanvas || cache.w !== w || cache.h !== h) {
+      const mask   = window.PixelFilters.clippingMask(this.ctx.getImageData(0, 0, w, h));
+      const canvas = document.createElement('canvas');
+      canvas.width  = w;
+      canvas.height = h;
+      canvas.getContext('2d').putImageData(mask, 0, 0);
+      this._clipping = { source: sourceCanvas, w, h, canvas };
+    }
+    this.ctx.drawImage(this._clipping.canvas, 0, 0);
+  }
+
+  /**
+   * Liga/desliga o aviso de corte sobre a imagem exibida
+   */
+  setShowClipping(show) {
+    this.showClipping = !!show;
+    this.redrawDisplay();
+  }
+
+  /**
+   * Histograma do resultado final (com textos), calculado sob demanda
+   * numa amostra por vizinho mais próximo — preserva os valores 0/255
+   * exatos para o aviso de corte
+   * @returns {object|null}  ver PixelFilters.computeHistogram()
+   */
+  outputHistogram() {
+    const entry = this._histogram;
+    if (!entry) return null;
+    if (!entry.hist) {
+      const src   = entry.source;
+      const scale = Math.min(1, HISTOGRAM_SAMPLE_SIZE / Math.max(src.width, src.height));
+      const c     = document.createElement('canvas');
+      c.width  = Math.max(1, Math.round(src.width  * scale));
+      c.height = Math.max(1, Math.round(src.height * scale));
+      const ctx = c.getContext('2d', { willReadFrequently: true });
+      ctx.imageSmoothingEnabled = false;
+      ctx.drawImage(src, 0, 0, c.width, c.height);
+      entry.hist = window.PixelFilters.computeHistogram(ctx.getImageData(0, 0, c.width, c.height).data);
+    }
+    return entry.hist;
+  }
+
+  /**
+   * Redesenha o último resultado (ex.: só as guias da ferramenta mudaram)
+   */
+  redrawDisplay() {
+    if (this._lastOutput) this._drawToDisplay(this._lastOutput);
+  }
+
+  /**
+   * Converte coordenadas do ponteiro em pixels do quadro final
+   * @returns {{ x: number, y: number, nx: number, ny: number }|null}
+   */
+  clientToFrame(clientX, clientY) {
+    const out = this._lastOutput;
+    if (!out) return null;
+    const rect = this.canvas.getBoundingClientRect();
+    const nx = (clientX - rect.left) / rect.width;
+    const ny = (clientY - rect.top)  / rect.height;
+    return { x: nx * out.width, y: ny * out.height, nx, ny };
+  }
+
+  /**
+   * Pixels do último resultado exibido (resolução total); o que cair
+   * fora da imagem vem transparente
+   * @returns {ImageData|null}
+   */
+  readOutputPixels(x, y, w, h) {
+    const out = this._lastOutput;
+    if (!out) return null;
+    return out.getContext('2d').getImageData(Math.floor(x), Math.floor(y), w, h);
+  }
+
+  /**
+   * Cor média de uma amostra size×size centrada em (x, y) do último
+   * resultado, ponderada pelo alfa
+   * @param {number} [size]  1, 3 ou 5
+   * @returns {{ x: number, y: number, rgb: number[], alpha: number }|null}
+   */
+  samplePixel(x, y, size = 1) {
+    const out = this._lastOutput;
+    if (!out) return null;
+    const cx = Math.min(Math.max(Math.floor(x), 0), out.width - 1);
+    const cy = Math.min(Math.max(Math.floor(y), 0), out.height - 1);
+    const half = Math.floor(size / 2);
+    const d = this.readOutputPixels(cx - half, cy - half, size, size).data;
+
+    const sum = [0, 0, 0];
+    let weight = 0, count = 0;
+    for (let i = 0; i < d.length; i += 4) {
+      const px = cx - half + (i / 4) % size;
+      const py = cy - half + Math.floor(i / 4 / size);
+      if (px < 0 || py < 0 || px >= out.width || py >= out.height) continue;
+      const a = d[i + 3];
+      sum[0] += d[i] * a;
+      sum[1] += d[i + 1] * a;
+      sum[2] += d[i + 2] * a;
+      weight += a;
+      count++;
+    }
+    return {
+      x: cx,
+      y: cy,
+      rgb:   weight ? sum.map(v => Math.round(v / weight)) : [0, 0, 0],
+      alpha: count ? Math.round(weight / count) : 0
+    };
+  }
+
+  /** Quadro exibido pela ferramenta ativa (ver _buildProcessedCanvas) */
+  get editingView() {
+    if (this.perspectiveEditing) return 'perspective';
+    return this.cropEditing ? 'crop' : null;
+  }
+
+  /**
+   * Matriz que leva pixels da imagem retificada (composição após a
+   * perspectiva) ao quadro final — espelha as etapas afins de
+   * _buildBaseCanvas(). No quadro 'perspective' parte da composição.
+   */
+  _frameMatrix(view = this.editingView) {
+    const PF = window.PixelFilters;
+    if (view === 'perspective') return this._orientation(this.origW, this.origH).matrix;
+
+    const straight = this._straightenTransform();
+    const crop     = view ? null : this.activeCrop;
+    let m = crop ? PF.affineMultiply([1, 0, 0, 1, -crop.x, -crop.y], straight.matrix) : straight.matrix;
+
+    const orient = this._orientation(crop ? crop.w : straight.w, crop ? crop.h : straight.h);
+    m = PF.affineMultiply(orient.matrix, m);
+    if (view) return m;
+
+    const dims = PF.calcAspectRatio(orient.w, orient.h, this.exportSettings.width || null, this.exportSettings.height || null);
+    return PF.affineMultiply([dims.w / orient.w, 0, 0, dims.h / orient.h, 0, 0], m);
+  }
+
+  /**
+   * Flip + rotação de um canvas w×h (mesma ordem de _buildGeometryCanvas)
+   * @returns {{ matrix: number[], w: number, h: number }}  w/h já rotacionados
+   */
+  _orientation(w, h, rotation = this.rotation, flipH = this.flipH, flipV = this.flipV) {
+    const PF = window.PixelFilters;
+    let m = PF.AFFINE_IDENTITY;
+    if (flipH) m = PF.affineMultiply([-1, 0, 0, 1, w, 0], m);
+    if (flipV) m = PF.affineMultiply([1, 0, 0, -1, 0, h], m);
+    if (rotation !== 0) {
+      m = PF.affineMultiply(PF.rotationMatrix(w, h, rotation), m);
+      if (rotation % 180 !== 0) [w, h] = [h, w];
+    }
+    return { matrix: m, w, h };
+  }
+
+  /**
+   * Mapeamento completo composição ↔ quadro (perspectiva + etapas afins)
+   * @returns {{ toFrame: Function, toSource: Function }}  (x, y) => { x, y }
+   */
+  _sourceMapping(view = this.editingView) {
+    const PF   = window.PixelFilters;
+    const m    = this._frameMatrix(view);
+    const inv  = PF.affineInvert(m);
+    const warp = view === 'perspective' ? null : this._perspectiveTransform();
+    if (!warp) {
+      return {
+        toFrame:  (x, y) => PF.affineApply(m, x, y),
+        toSource: (x, y) => PF.affineApply(inv, x, y)
+      };
+    }
+    const back = PF.homographyInvert(warp.matrix);
+    return {
+      toFrame(x, y) {
+        const p = PF.homographyApply(warp.matrix, x, y);
+        return PF.affineApply(m, p.x, p.y);
+      },
+      toSource(x, y) {
+        const p = PF.affineApply(inv, x, y);
+        return PF.homographyApply(back, p.x, p.y);
+      }
+    };
+  }
+
+  /** Homografia da perspectiva (null sem correção) */
+  _perspectiveTransform() {
+    return window.PixelFilters.perspectiveTransform(this.origW, this.origH, this.perspective);
+  }
+
+  /** Tamanho da composição após a perspectiva */
+  get warpedSize() {
+    const warp = this._perspectiveTransform();
+    return warp ? { w: warp.w, h: warp.h } : { w: this.origW, h: this.origH };
+  }
+
+  /**
+   * Matriz retificada → quadro endireitado e seu tamanho
+   * @returns {{ matrix: number[], w: number, h: number }}
+   */
+  _straightenTransform(straighten = this.straighten) {
+    const PF = window.PixelFilters;
+    const { w, h } = this.warpedSize;
+    if (!straighten || !straighten.angle) {
+      return { matrix: PF.AFFINE_IDENTITY, w, h };
+    }
+    return PF.straightenTransform(w, h, straighten.angle, straighten.mode);
+  }
+
+  /** Quadro endireitado (espaço de coordenadas do recorte) */
+  get straightenedSize() {
+    const { w, h } = this._straightenTransform();
+    return { w, h };
+  }
+
+  /** Recorte limitado ao quadro endireitado atual (null = inteiro) */
+  get activeCrop() {
+    return this.crop ? this._clampCrop(this.crop) : null;
+  }
+
+  /** Quadro orientado inteiro (sem recorte nem redimensionamento) */
+  get fullFrameSize() {
+    const { w, h } = this.straightenedSize;
+    const orient = this._orientation(w, h);
+    return { w: orient.w, h: orient.h };
+  }
+
+  /** Tamanho após recorte e rotação, antes do redimensionamento */
+  get geometrySize() {
+    const crop = this.activeCrop;
+    const { w, h } = crop || this.straightenedSize;
+    return this.rotation % 180 !== 0 ? { w: h, h: w } : { w, h };
+  }
+
+  /**
+   * Superfície pintável: a base (target null) ou uma camada vazia.
+   * Com perspectiva o mapeamento não é afim, por isso é dado por funções.
+   * @returns {{ w: number, h: number, toFrame: Function, toSurface: Function, scale: number }}
+   *          tamanho em px, conversões de ponto superfície ↔ quadro final e
+   *          escala local (px do quadro por px da superfície, no centro)
+   */
+  surfaceTransform(target) {
+    const layer = target ? this._findLayer(target) : null;
+    const rect  = layer
+      ? window.PixelFilters.layerRect(layer, null, this.origW, this.origH)
+      : { x: 0, y: 0, w: this.origW, h: this.origH };
+    const map = this._sourceMapping();
+
+    const toFrame   = (x, y) => map.toFrame(x + rect.x, y + rect.y);
+    const toSurface = (x, y) => {
+      const p = map.toSource(x, y);
+      return { x: p.x - rect.x, y: p.y - rect.y };
+    };
+    const c0 = toFrame(rect.w / 2, rect.h / 2);
+    const c1 = toFrame(rect.w / 2 + 1, rect.h / 2);
+    return { w: rect.w, h: rect.h, toFrame, toSurface, scale: Math.hypot(c1.x - c0.x, c1.y - c0.y) };
+  }
+
+  /** Dimensões do quadro final exibido */
+  get frameSize() {
+    const out = this._lastOutput;
+    return out ? { w: out.width, h: out.height } : { w: this.origW, h: this.origH };
+  }
+
+  /* -------------------------------------------------------
+     TRANSFORMAÇÕES
+  ------------------------------------------------------- */
+
+  rotate(degrees) {
+    this.rotation = (this.rotation + degrees + 360) % 360;
+    this._touch('geometry');
+    this._pushHistory(`Rotação ${degrees > 0 ? '+' : ''}${degrees}°`);
+    this.scheduleRender(0);
+  }
+
+  flip(direction) {
+    if (direction === 'h') this.flipH = !this.flipH;
+    else                   this.flipV = !this.flipV;
+    this._touch('geometry');
+    this._pushHistory(direction === 'h' ? 'Espelhar horizontal' : 'Espelhar vertical');
+    this.scheduleRender(0);
+  }
+
+  /**
+   * Atualiza o endireitamento (ângulo, tratamento dos cantos, cor)
+   * @param {{ angle?: number, mode?: string, color?: string }} props
+   */
+  setStraighten(props) {
+    const next = { ...this.straighten, ...props };
+    const limit = window.PixelFilters.STRAIGHTEN_LIMIT;
+    next.angle = Math.round(Math.min(Math.max(+next.angle || 0, -limit), limit) * 10) / 10;
+    const keys = Object.keys(props).filter(k => next[k] !== this.straighten[k]);
+    if (!keys.length) return;
+
+    this.straighten = next;
+    const label = keys.includes('angle')
+      ? `Endireitar: ${next.angle}°`
+      : `Endireitar: ${window.PixelFilters.STRAIGHTEN_MODES[next.mode].toLowerCase()}`;
+    this._touch('geometry');
+    this._pushHistory(label, `straighten:${keys.sort().join(',')}`);
+    this.scheduleRender();
+  }
+
+  /**
+   * Soma uma correção ao ângulo atual a partir de uma linha traçada no
+   * quadro final (horizonte ou vertical), compensando o espelhamento
+   * @param {number} lineDegrees  inclinação da linha no quadro exibido
+   */
+  straightenByLine(lineDegrees) {
+    let a = lineDegrees;
+    while (a > 45)   a -= 90;
+    while (a <= -45) a += 90;
+    const mirrored = this.flipH !== this.flipV;
+    this.setStraighten({ angle: this.straighten.angle + (mirrored ? a : -a) });
+  }
+
+  /* -------------------------------------------------------
+     PERSPECTIVA
+  ------------------------------------------------------- */
+
+  /**
+   * Atualiza a correção de perspectiva
+   * @param {{ corners?: number[][]|null, vertical?: number, horizontal?: number }} props
+   */
+  setPerspective(props) {
+    const next = { ...this.perspective, ...props };
+    if (next.corners) {
+      next.corners = next.corners.map(([x, y]) => [
+        +Math.min(Math.max(x, 0), 1).toFixed(5),
+        +Math.min(Math.max(y, 0), 1).toFixed(5)
+      ]);
+      const identity = window.PixelFilters.PERSPECTIVE_CORNERS;
+      if (next.corners.every((c, i) => c[0] === identity[i][0] && c[1] === identity[i][1])) next.corners = null;
+    }
+    const keys = Object.keys(props)
+      .filter(k => JSON.stringify(next[k]) !== JSON.stringify(this.perspective[k]));
+    if (!keys.length) return;
+
+    this.perspective = next;
+    const label = keys.length === 1 && keys[0] !== 'corners'
+      ? `Perspectiva ${window.PixelFilters.PERSPECTIVE_PARAMS[keys[0]].label.toLowerCase()}: ${next[keys[0]]}`
+      : (next.corners || next.vertical || next.horizontal ? 'Perspectiva' : 'Perspectiva: removida');
+    this._touch('geometry');
+    this._pushHistory(label, `perspective:${keys.sort().join(',')}`);
+    if (this.perspectiveEditing) this.redrawDisplay();
+    else                         this.scheduleRender();
+  }
+
+  /** Cantos atuais (normalizados), com o padrão se não houver */
+  getPerspectiveCorners() {
+    return (this.perspective.corners || window.PixelFilters.PERSPECTIVE_CORNERS).map(c => [...c]);
+  }
+
+  /** Move um canto (0–3) para um ponto do quadro da ferramenta */
+  setPerspectiveCornerFromFrame(index, x, y) {
+    const PF = window.PixelFilters;
+    const p = PF.affineApply(PF.affineInvert(this._frameMatrix('perspective')), x, y);
+    const corners = this.getPerspectiveCorners();
+    corners[index] = [p.x / this.origW, p.y / this.origH];
+    this.setPerspective({ corners });
+  }
+
+  /** Cantos no quadro da ferramenta de perspectiva (px) */
+  getPerspectiveFrameCorners() {
+    const m = this._frameMatrix('perspective');
+    return this.getPerspectiveCorners()
+      .map(([x, y]) => window.PixelFilters.affineApply(m, x * this.origW, y * this.origH));
+  }
+
+  /**
+   * Liga/desliga o preview sem correções usado pela ferramenta de perspectiva
+   */
+  setPerspectiveEditing(on) {
+    if (this.perspectiveEditing === on) return;
+    this.perspectiveEditing = on;
+    this.scheduleRender(0);
+  }
+
+  /* -------------------------------------------------------
+     PRESETS
+  ------------------------------------------------------- */
+  applyPreset(presetName) {
+    const preset = window.PixelFilters.PRESETS[presetName];
+    if (!preset) return;
+
+    // Substitui apenas a pilha de ajustes (não as configurações geométricas)
+    this.adjustments = window.PixelFilters.presetToStack(preset);
+    this.preset      = presetName;
+
+    this._touch('adjustments');
+    this._pushHistory(`Filtro: ${preset.name}`);
+    this.scheduleRender(0);
+  }
+
+  /* -------------------------------------------------------
+     GETTERS/SETTERS de configurações
+  ------------------------------------------------------- */
+
+  /**
+   * Visão plana (somente leitura) da pilha, no formato antigo de `settings`.
+   * Para alterar valores use setSetting() ou os métodos da pilha.
+   */
+  get settings() {
+    return {
+      ...window.PixelFilters.stackToSettings(this.adjustments),
+      preset: this.preset
+    };
+  }
+
+  /**
+   * Controles rápidos: altera o nó principal do tipo `key`, criando-o
+   * na posição clássica se ainda não existir na pilha
+   */
+  setSetting(key, value) {
+    const { ADJUSTMENTS, findPrimaryAdjustment, createAdjustment } = window.PixelFilters;
+    const def = ADJUSTMENTS[key];
+    if (!def) return;
+
+    let node = findPrimaryAdjustment(this.adjustments, key);
+
+    if (def.primary === null) {
+      // Ajustes liga/desliga: ligar cria/ativa o nó principal, desligar
+      // remove só ele (cópias adicionadas na pilha ficam)
+      if (value) {
+        this._exclusiveColorMode(key);
+        if (node) node.enabled = true;
+        else      this._insertAdjustment(createAdjustment(key));
+      } else if (node) {
+        this.adjustments = this.adjustments.filter(n => n !== node);
+      }
+    } else {
+      if (!node) {
+        node = createAdjustment(key);
+        this._insertAdjustment(node);
+      }
+      node.params[def.primary] = value;
+      node.enabled = true;
+    }
+
+    this._touch('adjustments');
+    this._pushHistory(this._describeSetting(key, value), 'setting:' + key);
+    this.scheduleRender();
+  }
+
+  /**
+   * Balanço de branco no nó principal de temperatura (criado se preciso)
+   * @param {{ kelvin?: number, tint?: number }} props
+   */
+  setWhiteBalance(props) {
+    const node = this._primaryNode('temperature');
+    Object.assign(node.params, props);
+    node.enabled = true;
+    const { kelvin, tint } = node.params;
+    this._touch('adjustments');
+    this._pushHistory(`Balanço de branco: ${kelvin} K${tint ? `, matiz ${tint > 0 ? '+' : ''}${tint}` : ''}`, 'setting:temperature');
+    this.scheduleRender();
+  }
+
+  /**
+   * Conta-gotas: torna neutra a cor média em volta de (x, y) no quadro
+   * final, medida na entrada do nó de balanço de branco
+   */
+  setWhiteBalanceFromPoint(x, y) {
+    if (!this._adjustInput) return;
+    const node = this._primaryNode('temperature');
+    const rgb  = this.inputColorAt(node.id, x, y, 2);
+    if (!rgb) return;
+    this.setWhiteBalance(window.PixelFilters.whiteBalanceFromSample(rgb));
+    this.sealHistory();
+  }
+
+  /**
+   * Parâmetros secundários da nitidez (raio, limiar, só bordas) no nó
+   * principal — a quantidade usa setSetting('sharpness', …)
+   * @param {{ radius?: number, threshold?: number, edgeMask?: boolean }} props
+   */
+  setSharpening(props) {
+    this._setPrimaryParams('sharpness', props);
+  }
+
+  /**
+   * Ruído de cor e preservação de detalhe no nó principal de redução de
+   * ruído — a luminância usa setSetting('denoise', …)
+   * @param {{ color?: number, detail?: number }} props
+   */
+  setNoiseReduction(props) {
+    this._setPrimaryParams('denoise', props);
+  }
+
+  /**
+   * Parâmetros além da intensidade no nó principal de grão de filme
+   * (tamanho, aspereza, cor, tons médios, semente) — a intensidade usa
+   * setSetting('noise', …)
+   * @param {object} props  ver PixelFilters.ADJUSTMENTS.noise.params
+   */
+  setGrain(props) {
+    this._setPrimaryParams('noise', props);
+  }
+
+  /**
+   * Método (limiar, Otsu, adaptativo, pontilhado) e paleta do nó de
+   * preto e branco — ligar/desligar usa setSetting('blackwhite', …)
+   * @param {object} props  ver PixelFilters.ADJUSTMENTS.blackwhite.params
+   */
+  setBlackWhite(props) {
+    const node = window.PixelFilters.findPrimaryAdjustment(this.adjustments, 'blackwhite');
+    if (!node?.enabled) this._exclusiveColorMode('blackwhite');
+    this._setPrimaryParams('blackwhite', props);
+  }
+
+  /**
+   * Gradiente, opacidade e inversão do nó principal de mapa de
+   * gradiente — ligar/desligar usa setSetting('gradientMap', …)
+   * @param {object} props  ver PixelFilters.ADJUSTMENTS.gradientMap.params
+   */
+  setGradientMap(props) {
+    this._setPrimaryParams('gradientMap', props);
+  }
+
+  /**
+   * Parâmetros além da intensidade no nó principal de vinheta (centro,
+   * forma, cor, modo pós-recorte…) — a intensidade usa setSetting('vignette', …)
+   * @param {object} props  ver PixelFilters.ADJUSTMENTS.vignette.params
+   */
+  setVignette(props) {
+    this._setPrimaryParams('vignette', props);
+  }
+
+  /**
+   * Auto ajuste: analisa a imagem que entra na pilha e define os nós
+   * principais de níveis, exposição, contraste, balanço de branco e
+   * saturação (ver PixelFilters.autoEnhance). Os demais nós ficam como estão.
+   * @returns {object}  params aplicados, por tipo
+   */
+  autoEnhance() {
+    const PF = window.PixelFilters;
+    // Só a entrada da pilha: não processa os ajustes (editores sem tela nunca renderizam)
+    const sample = this._stackSample(this._buildStackInputCanvas());
+    const result = PF.autoEnhance(sample.getContext('2d').getImageData(0, 0, sample.width, sample.height));
+
+    PF.AUTO_ENHANCE_TYPES.forEach(type => {
+      const node = PF.findPrimaryAdjustment(this.adjustments, type);
+      const params = PF.createAdjustment(type, result[type]).params;
+      // Não cria nós que ficariam neutros
+      if (!node && JSON.stringify(params) === JSON.stringify(PF.defaultParams(type))) return;
+      const target = this._primaryNode(type);
+      target.params  = params;
+      target.enabled = true;
+    });
+
+    this._touch('adjustments');
+    this._pushHistory('Auto ajuste');
+    this.scheduleRender();
+    return result;
+  }
+
+  /**
+   * Modos de cor antigos (P&B, escala de cinza, sépia) são exclusivos
+   * nos controles rápidos: ligar um remove o nó principal dos outros
+   */
+  _exclusiveColorMode(key) {
+    const { LEGACY_COLOR_MODES, findPrimaryAdjustment } = window.PixelFilters;
+    if (!LEGACY_COLOR_MODES.includes(key)) return;
+    LEGACY_COLOR_MODES.filter(mode => mode !== key).forEach(mode => {
+      const other = findPrimaryAdjustment(this.adjustments, mode);
+      if (other) this.adjustments = this.adjustments.filter(n => n !== other);
+    });
+  }
+
+  /**
+   * Altera parâmetros do nó principal de um tipo, no mesmo passo de
+   * histórico do controle rápido (setSetting)
+   */
+  _setPrimaryParams(type, props) {
+    const def  = window.PixelFilters.ADJUSTMENTS[type];
+    const node = this._primaryNode(type);
+    Object.assign(node.params, props);
+    node.enabled = true;
+    const label = Object.entries(props)
+      .map(([key, value]) => `${def.params[key].label.toLowerCase()} ${this._formatValue(value, def.params[key])}`)
+      .join(', ');
+    this._touch('adjustments');
+    this._pushHistory(`${def.name}: ${label}`, `setting:${type}`);
+    this.scheduleRender();
+  }
+
+  /**
+   * Nó que os controles rápidos editam (criado na posição clássica se preciso)
+   */
+  _primaryNode(type) {
+    const { findPrimaryAdjustment, createAdjustment } = window.PixelFilters;
+    let node = findPrimaryAdjustment(this.adjustments, type);
+    if (!node) {
+      node = createAdjustment(type);
+      this._insertAdjustment(node);
+    }
+    return node;
+  }
+
+  /* -------------------------------------------------------
+     PILHA DE AJUSTES
+  ------------------------------------------------------- */
+
+  /**
+   * Insere um nó respeitando a ordem clássica dos tipos já presentes
+   */
+  _insertAdjustment(node) {
+    const order = window.PixelFilters.DEFAULT_ORDER;
+    const rank  = order.indexOf(node.type);
+    const idx   = this.adjustments.findIndex(n => order.indexOf(n.type) > rank);
+    if (idx === -1) this.adjustments.push(node);
+    else            this.adjustments.splice(idx, 0, node);
+  }
+
+  _findAdjustment(id) {
+    return this.adjustments.find(n => n.id === id) || null;
+  }
+
+  _adjustmentName(node) {
+    return window.PixelFilters.ADJUSTMENTS[node.type]?.name || node.type;
+  }
+
+  /**
+   * Adiciona um novo ajuste ao topo da pilha (aplicado por último)
+   * @param {string} type
+   * @param {object} [params]  valores iniciais (o resto vem do padrão)
+   * @returns {object} nó criado
+   */
+  addAdjustment(type, params = {}) {
+    const node = window.PixelFilters.createAdjustment(type, params);
+    this.adjustments.push(node);
+    this._touch('adjustments');
+    this._pushHistory(`Adicionar: ${this._adjustmentName(node)}`);
+    this.scheduleRender(0);
+    return node;
+  }
+
+  removeAdjustment(id) {
+    const node = this._findAdjustment(id);
+    if (!node) return;
+    this.adjustments = this.adjustments.filter(n => n !== node);
+    this._touch('adjustments');
+    this._pushHistory(`Remover: ${this._adjustmentName(node)}`);
+    this.scheduleRender(0);
+  }
+
+  duplicateAdjustment(id) {
+    const idx = this.adjustments.findIndex(n => n.id === id);
+    if (idx === -1) return null;
+    const src  = this.adjustments[idx];
+    const copy = window.PixelFilters.createAdjustment(src.type, src.params);
+    copy.enabled = src.enabled;
+    this.adjustments.splice(idx + 1, 0, copy);
+    this._touch('adjustments');
+    this._pushHistory(`Duplicar: ${this._adjustmentName(src)}`);
+    this.scheduleRender(0);
+    return copy;
+  }
+
+  toggleAdjustment(id, enabled) {
+    const node = this._findAdjustment(id);
+    if (!node) return;
+    node.enabled = enabled === undefined ? !node.enabled : !!enabled;
+    this._touch('adjustments');
+    this._pushHistory(`${node.enabled ? 'Ativar' : 'Desativar'}: ${this._adjustmentName(node)}`);
+    this.scheduleRender(0);
+  }
+
+  /**
+   * Move um nó para outra posição da pilha
+   * @param {string} id
+   * @param {number} toIndex  posição final (0 = aplicado primeiro)
+   */
+  moveAdjustment(id, toIndex) {
+    const from = this.adjustments.findIndex(n => n.id === id);
+    if (from === -1) return;
+    const to = Math.max(0, Math.min(this.adjustments.length - 1, toIndex));
+    if (to === from) return;
+    const [node] = this.adjustments.splice(from, 1);
+    this.adjustments.splice(to, 0, node);
+    this._touch('adjustments');
+    this._pushHistory(`Reordenar: ${this._adjustmentName(node)}`);
+    this.scheduleRender(0);
+  }
+
+  setAdjustmentParam(id, param, value) {
+    const node = this._findAdjustment(id);
+    if (!node) return;
+    node.params[param] = value;
+    const spec  = window.PixelFilters.ADJUSTMENTS[node.type].params[param];
+    const label = `${this._adjustmentName(node)} · ${spec?.label || param}`;
+    this._touch('adjustments');
+    this._pushHistory(`${label}: ${this._formatValue(value, spec)}`, `param:${id}:${param}`);
+    this.scheduleRender();
+  }
+
+  /**
+   * Histograma da imagem que chega ao nó `id` (nós ativos anteriores
+   * aplicados sobre a miniatura do último render)
+   * @returns {object|null}  ver PixelFilters.computeHistogram()
+   */
+  inputHistogram(id) {
+    const PF     = window.PixelFilters;
+    const sample = this._adjustSample;
+    if (!sample) return null;
+    const idx    = this.adjustments.findIndex(n => n.id === id);
+    const before = idx === -1 ? this.adjustments : this.adjustments.slice(0, idx);
+    const data   = sample.getContext('2d').getImageData(0, 0, sample.width, sample.height);
+    return PF.computeHistogram(PF.processImage(data, before, sample.width, sample.height, [], this.cropFrame).data);
+  }
+
+  /**
+   * Cor média (raio em px) que chega ao nó `id` num ponto do quadro
+   * final — os nós anteriores são aplicados só sobre a vizinhança
+   * @returns {number[]|null}  [r, g, b]
+   */
+  inputColorAt(id, x, y, radius = 1) {
+    const src = this._adjustInput;
+    if (!src) return null;
+    const PF  = window.PixelFilters;
+    const idx = this.adjustments.findIndex(n => n.id === id);
+    const before = idx === -1 ? this.adjustments : this.adjustments.slice(0, idx);
+
+    // Margem extra para filtros de vizinhança (desfoque, nitidez)
+    const pad = radius + 8;
+    const cx  = Math.min(Math.max(Math.floor(x), 0), src.width - 1);
+    const cy  = Math.min(Math.max(Math.floor(y), 0), src.height - 1);
+    const x0  = Math.max(0, cx - pad);
+    const y0  = Math.max(0, cy - pad);
+    const w   = Math.min(src.width, cx + pad + 1) - x0;
+    const h   = Math.min(src.height, cy + pad + 1) - y0;
+    const patch = new ImageData(w, h);
+    for (let row = 0; row < h; row++) {
+      const from = ((y0 + row) * src.width + x0) * 4;
+      patch.data.set(src.data.subarray(from, from + w * 4), row * w * 4);
+    }
+    const d = PF.processImage(patch, before, w, h).data;
+
+    const sum = [0, 0, 0];
+    let count = 0;
+    for (let py = cy - radius; py <= cy + radius; py++) {
+      for (let px = cx - radius; px <= cx + radius; px++) {
+        if (px < x0 || py < y0 || px >= x0 + w || py >= y0 + h) continue;
+        const i = ((py - y0) * w + (px - x0)) * 4;
+        sum[0] += d[i]; sum[1] += d[i + 1]; sum[2] += d[i + 2];
+        count++;
+      }
+    }
+    return sum.map(v => v / count);
+  }
+
+  /**
+   * Conta-gotas dos níveis: define o ponto preto, cinza ou branco do nó
+   * `id` a partir da cor amostrada no quadro final
+   */
+  setLevelsFromPoint(id, point, x, y) {
+    const node = this._findAdjustment(id);
+    const rgb  = this.inputColorAt(id, x, y, 2);
+    if (!node || !rgb) return;
+    const PF = window.PixelFilters;
+    this.setAdjustmentParam(id, 'levels', PF.levelsFromSample(node.params.levels, point, rgb));
+    this.sealHistory();
+  }
+
+  setExportSetting(key, value) {
+    this.exportSettings[key] = value;
+    const group = this._exportGroup(key);
+    this._touch('exportSettings');
+    this._pushHistory(this._describeExport(group), 'export:' + group);
+    this.scheduleRender(100);
+  }
+
+  setZoom(zoom) {
+    this.zoom = Math.max(0.1, Math.min(5, zoom));
+    this.scheduleRender(0);
   }
 
+  zoomIn()  { this.setZoom(this.zoom * 1.25); }
+  zoomOut() { this.setZoom(this.zoom * 0.8); }
+  zoomFit() { this.zoom = 1.0; this.scheduleRender(0); }
+
   /* -------------------------------------------------------
-     RENDER PRINCIPAL
+     CAMADAS
   ------------------------------------------------------- */
 
   /**
-   * Agenda o render com debounce para evitar travamentos
-   * @param {number} delay  ms
+   * Adiciona uma camada acima das demais
+   * @param {'image'|'solid'|'blank'} type
+   * @param {object} [props]  ex.: { source: recordId, name, color }
+   * @returns {object} camada criada
    */
-  scheduleRender(delay = 40) {
-    clearTimeout(this._renderTimer);
-    this._renderTimer = setTimeout(() => this.render(), delay);
+  addLayer(type, props = {}) {
+    ImageEditor._layerSeq += 1;
+    const layer = {
+      name:      LAYER_NAMES[type],
+      source:    null,
+      color:     '#ffffff',
+      x:         0.5,
+      y:         0.5,
+      scale:     type === 'image' ? 0.5 : 1,
+      opacity:   1,
+      visible:   true,
+      blendMode: 'normal',
+      ...props,
+      id:        `layer_${Date.now().toString(36)}_${ImageEditor._layerSeq}`,
+      type
+    };
+    this.layers.push(layer);
+    this._touch('layers');
+    this._pushHistory(`Camada: adicionar ${layer.name}`);
+    this.scheduleRender(0);
+    return layer;
+  }
+
+  removeLayer(id) {
+    const layer = this._findLayer(id);
+    if (!layer) return;
+    this.layers  = this.layers.filter(l => l !== layer);
+    this.strokes = this.strokes.filter(st => st.target !== id);
+    this._touch('layers', 'strokes');
+    this._pushHistory(`Camada: remover ${layer.name}`);
+    this.scheduleRender(0);
   }
 
   /**
-   * Pipeline completo de renderização
+   * Altera uma propriedade da camada (posição, escala, opacidade, mesclagem…)
    */
-  async render() {
-    if (!this._cacheReady || this.processing) return;
-    this.processing = true;
-    this._showLoading(true);
+  updateLayer(id, key, value) {
+    const layer = this._findLayer(id);
+    if (!layer) return;
+    layer[key] = value;
+    const label = LAYER_PROP_LABELS[key] || key;
+    this._touch('layers');
+    this._pushHistory(`${layer.name} · ${label}`, `layer:${id}:${key}`);
+    this.scheduleRender(key === 'visible' || key === 'blendMode' ? 0 : 40);
+  }
 
-    try {
-      // 1. Reconstruir workCanvas com imagem original + transformações geométricas
-      let srcCanvas = this._buildGeometryCanvas();
-
-      // 2. Calcular dimensões de destino
-      const dims = window.PixelFilters.calcAspectRatio(
-        srcCanvas.width,
-        srcCanvas.height,
-        this.exportSettings.width  || null,
-        this.exportSettings.height || null
-      );
-
-      // 3. Redimensionar se necessário
-      let processCanvas = srcCanvas;
-      if (dims.w !== srcCanvas.width || dims.h !== srcCanvas.height) {
-        processCanvas = window.PixelFilters.resizeImage(srcCanvas, dims.w, dims.h);
-      }
+  /**
+   * Sobe (+1) ou desce (-1) a camada na ordem de composição
+   */
+  moveLayer(id, direction) {
+    const from = this.layers.findIndex(l => l.id === id);
+    const to   = from + direction;
+    if (from === -1 || to < 0 || to >= this.layers.length) return;
+    const [layer] = this.layers.splice(from, 1);
+    this.layers.splice(to, 0, layer);
+    this._touch('layers');
+    this._pushHistory(`Camada: ${direction > 0 ? 'subir' : 'descer'} ${layer.name}`);
+    this.scheduleRender(0);
+  }
 
-      // 4. Recorte
-      const crop = {
-        top:    this.exportSettings.cropTop,
-        bottom: this.exportSettings.cropBottom,
-        left:   this.exportSettings.cropLeft,
-        right:  this.exportSettings.cropRight
-      };
-      const hasCrop = Object.values(crop).some(v => v > 0);
-      if (hasCrop) {
-        processCanvas = window.PixelFilters.cropImage(processCanvas, crop);
-      }
+  _findLayer(id) {
+    return this.layers.find(l => l.id === id) || null;
+  }
 
-      // 5. Processar filtros de pixel
-      const pCtx    = processCanvas.getContext('2d', { willReadFrequently: true });
-      const imgData = pCtx.getImageData(0, 0, processCanvas.width, processCanvas.height);
-      const processed = window.PixelFilters.processImage(
-        imgData,
-        this.settings,
-        processCanvas.width,
-        processCanvas.height
-      );
-      pCtx.putImageData(processed, 0, 0);
-
-      // 6. Renderizar no canvas visível com zoom
-      this._drawToDisplay(processCanvas);
+  /**
+   * Imagem de uma camada do tipo 'image' (via ImageEditor.imageResolver)
+   */
+  _resolveLayerImage(layer) {
+    const resolver = ImageEditor.imageResolver;
+    return typeof resolver === 'function' ? resolver(layer.source) : null;
+  }
 
-      // 7. Atualizar informações
-      this._updateInfoBar(processCanvas);
+  /* -------------------------------------------------------
+     RECORTE
+  ------------------------------------------------------- */
 
-    } catch (err) {
-      console.error('[PixelCraft] Erro no render:', err);
-    } finally {
-      this.processing = false;
-      this._showLoading(false);
-    }
+  /**
+   * Define o recorte em pixels do quadro endireitado (null remove)
+   * @param {{ x, y, w, h }|null} rect
+   */
+  setCrop(rect) {
+    const crop = rect ? this._clampCrop(rect) : null;
+    const size = this.straightenedSize;
+    const full = !crop || (crop.w === size.w && crop.h === size.h);
+    this.crop = full ? null : crop;
+    this._touch('crop');
+    this._pushHistory(
+      this.crop ? `Recorte: ${this.crop.w}×${this.crop.h}` : 'Recorte: removido',
+      'crop'
+    );
+    if (this.cropEditing) this.redrawDisplay();
+    else                  this.scheduleRender(0);
   }
 
   /**
-   * Constrói canvas com transformações geométricas (rotação, flip)
+   * Recorte atual no quadro orientado (flip/rotação aplicados, sem
+   * redimensionar) — o sistema de coordenadas da ferramenta de recorte
    */
-  _buildGeometryCanvas() {
-    // Começar do canvas de trabalho com imagem original
-    let canvas = document.createElement('canvas');
-    canvas.width  = this.origW;
-    canvas.height = this.origH;
-    const ctx = canvas.getContext('2d');
-    ctx.drawImage(this.originalImage, 0, 0);
+  getCropFrameRect() {
+    const PF   = window.PixelFilters;
+    const size = this.straightenedSize;
+    const rect = this.activeCrop || { x: 0, y: 0, ...size };
+    return PF.affineRect(this._orientation(size.w, size.h).matrix, rect);
+  }
 
-    // Aplicar flip
-    if (this.flipH || this.flipV) {
-      if (this.flipH) canvas = window.PixelFilters.flipCanvas(canvas, 'h');
-      if (this.flipV) canvas = window.PixelFilters.flipCanvas(canvas, 'v');
-    }
+  /**
+   * Posição do quadro final dentro do quadro orientado inteiro, em
+   * frações (0–1) — referência dos efeitos que ignoram o recorte
+   */
+  get cropFrame() {
+    const rect = this.getCropFrameRect();
+    const { w, h } = this.fullFrameSize;
+    return { x: rect.x / w, y: rect.y / h, w: rect.w / w, h: rect.h / h };
+  }
 
-    // Aplicar rotação
-    if (this.rotation !== 0) {
-      canvas = window.PixelFilters.rotateCanvas(canvas, this.rotation);
-    }
+  /**
+   * Define o recorte a partir de um retângulo no quadro orientado
+   */
+  setCropFromFrame(rect) {
+    const PF  = window.PixelFilters;
+    const { w, h } = this.straightenedSize;
+    const inv = PF.affineInvert(this._orientation(w, h).matrix);
+    this.setCrop(PF.affineRect(inv, rect));
+  }
 
-    return canvas;
+  /**
+   * Liga/desliga o preview do quadro inteiro usado pela ferramenta de recorte
+   */
+  setCropEditing(on) {
+    if (this.cropEditing === on) return;
+    this.cropEditing = on;
+    this.scheduleRender(0);
   }
 
   /**
-   * Renderiza o canvas processado no canvas de exibição com zoom
+   * Recorte em frações (0–1) do quadro endireitado (null = inteiro) —
+   * forma independente do tamanho, usada ao copiar o estado para outras
+   * imagens (ver `cropFraction` em restoreState)
    */
-  _drawToDisplay(sourceCanvas) {
-    const maxW = this.canvas.parentElement?.clientWidth  || 800;
-    const maxH = this.canvas.parentElement?.clientHeight || 600;
+  get cropFraction() {
+    const crop = this.activeCrop;
+    if (!crop) return null;
+    const { w, h } = this.straightenedSize;
+    return { x: crop.x / w, y: crop.y / h, w: crop.w / w, h: crop.h / h };
+  }
 
-    // Calcular escala para caber na área de preview
-    const scaleX = maxW / sourceCanvas.width;
-    const scaleY = maxH / sourceCanvas.height;
-    const baseScale = Math.min(scaleX, scaleY, 1);
-    const scale = baseScale * this.zoom;
+  _cropFromFraction(f) {
+    const { w, h } = this.straightenedSize;
+    return this._clampCrop({ x: f.x * w, y: f.y * h, w: f.w * w, h: f.h * h });
+  }
 
-    this.canvas.width  = Math.round(sourceCanvas.width  * scale);
-    this.canvas.height = Math.round(sourceCanvas.height * scale);
+  _clampCrop(rect, bounds = this.straightenedSize) {
+    const x = Math.min(Math.max(Math.round(rect.x), 0), bounds.w - 1);
+    const y = Math.min(Math.max(Math.round(rect.y), 0), bounds.h - 1);
+    return {
+      x,
+      y,
+      w: Math.min(Math.max(Math.round(rect.w), 1), bounds.w - x),
+      h: Math.min(Math.max(Math.round(rect.h), 1), bounds.h - y)
+    };
+  }
 
-    this.ctx.imageSmoothingEnabled = true;
-    this.ctx.imageSmoothingQuality = 'high';
-    this.ctx.drawImage(sourceCanvas, 0, 0, this.canvas.width, this.canvas.height);
+  /**
+   * Converte o recorte percentual antigo (aplicado sobre o quadro já
+   * rotacionado) para um retângulo em pixels da original
+   */
+  _migrateCrop(state) {
+    if (state.crop !== undefined) return state.crop ? { ...state.crop } : null;
+    if (state.cropFraction) return this._cropFromFraction(state.cropFraction);
+    const exp = state.exportSettings || {};
+    const [top, bottom, left, right] = LEGACY_CROP_KEYS.map(k => (exp[k] || 0) / 100);
+    if (!top && !bottom && !left && !right) return null;
+
+    const PF     = window.PixelFilters;
+    const orient = this._orientation(this.origW, this.origH, state.rotation || 0, !!state.flipH, !!state.flipV);
+    const frameRect = {
+      x: orient.w * left,
+      y: orient.h * top,
+      w: orient.w * (1 - left - right),
+      h: orient.h * (1 - top - bottom)
+    };
+    if (frameRect.w <= 0 || frameRect.h <= 0) return null;
+    const bounds = { w: this.origW, h: this.origH };
+    return this._clampCrop(PF.affineRect(PF.affineInvert(orient.matrix), frameRect), bounds);
+  }
+
+  _stripLegacyCrop(exportSettings) {
+    LEGACY_CROP_KEYS.forEach(k => delete exportSettings[k]);
+    return exportSettings;
   }
 
   /* -------------------------------------------------------
-     TRANSFORMAÇÕES
+     PINTURA
   ------------------------------------------------------- */
 
-  rotate(degrees) {
-    this.rotation = (this.rotation + degrees + 360) % 360;
+  /**
+   * Registra um traço concluído
+   * @param {object} stroke  { tool, target, color, size, hardness, opacity, flow, points }
+   */
+  addStroke(stroke) {
+    if (!stroke.points.length) return;
+    ImageEditor._layerSeq += 1;
+    this.strokes.push({ ...stroke, id: `stroke_${Date.now().toString(36)}_${ImageEditor._layerSeq}` });
+    const where = stroke.target ? ` · ${this._findLayer(stroke.target)?.name || ''}` : '';
+    this._touch('strokes');
+    this._pushHistory(`${stroke.tool === 'eraser' ? 'Borracha' : 'Pincel'}${where}`);
     this.scheduleRender(0);
   }
 
-  flip(direction) {
-    if (direction === 'h') this.flipH = !this.flipH;
-    else                   this.flipV = !this.flipV;
+  /**
+   * Remove toda a pintura de uma superfície
+   */
+  clearStrokes(target) {
+    const before = this.strokes.length;
+    this.strokes = this.strokes.filter(st => st.target !== target);
+    if (this.strokes.length === before) return;
+    this._touch('strokes');
+    this._pushHistory('Limpar pintura');
     this.scheduleRender(0);
   }
 
   /* -------------------------------------------------------
-     PRESETS
+     TEXTOS
   ------------------------------------------------------- */
-  applyPreset(presetName) {
-    const preset = window.PixelFilters.PRESETS[presetName];
-    if (!preset) return;
 
-    // Reset apenas os campos de filtro (não as configurações geométricas)
-    const base = {
-      brightness: 0, contrast: 0, saturation: 0, exposure: 0,
-      hue: 0, sharpness: 0, noise: 0, blur: 0,
-      grayscale: false, blackwhite: false, sepia: false, invert: false,
-      vignette: 0, temperature: 0
+  /**
+   * Adiciona um texto (x/y normalizados no quadro final)
+   * @param {object} [props]  ex.: { x, y, text }
+   * @returns {object} texto criado
+   */
+  addText(props = {}) {
+    ImageEditor._layerSeq += 1;
+    const text = {
+      ...window.PixelFilters.defaultText(),
+      x: 0.5,
+      y: 0.5,
+      ...props,
+      id: `text_${Date.now().toString(36)}_${ImageEditor._layerSeq}`
     };
-    Object.assign(this.settings, base, preset.settings);
-    this.settings.preset = presetName;
+    this.texts.push(text);
+    this._touch('texts');
+    this._pushHistory(`Texto: adicionar ${this._textName(text)}`);
+    this.scheduleRender(0);
+    return text;
+  }
 
+  removeText(id) {
+    const text = this._findText(id);
+    if (!text) return;
+    this.texts = this.texts.filter(t => t !== text);
+    this._touch('texts');
+    this._pushHistory(`Texto: remover ${this._textName(text)}`);
     this.scheduleRender(0);
   }
 
+  /**
+   * Altera propriedades de um texto (conteúdo, fonte, posição…)
+   * @param {string} id
+   * @param {object} props
+   */
+  updateText(id, props) {
+    const text = this._findText(id);
+    if (!text) return;
+    Object.assign(text, props);
+    const keys  = Object.keys(props);
+    const label = keys.every(k => k === 'x' || k === 'y')
+      ? 'Mover'
+      : keys.map(k => window.PixelFilters.TEXT_PARAMS[k]?.label || k).join(', ');
+    this._touch('texts');
+    this._pushHistory(`${this._textName(text)} · ${label}`, `text:${id}:${keys.join(',')}`);
+    this.scheduleRender(16);
+  }
+
+  /**
+   * Texto mais acima sob um ponto do quadro final
+   */
+  textAt(x, y) {
+    const { w, h } = this.frameSize;
+    for (let i = this.texts.length - 1; i >= 0; i--) {
+      if (window.PixelFilters.hitTestText(this.texts[i], x, y, w, h)) return this.texts[i];
+    }
+    return null;
+  }
+
+  _findText(id) {
+    return this.texts.find(t => t.id === id) || null;
+  }
+
+  _textName(text) {
+    const first = String(text.text).split('\n')[0].trim();
+    return `"${first.length > 18 ? first.slice(0, 18) + '…' : first}"`;
+  }
+
   /* -------------------------------------------------------
-     GETTERS/SETTERS de configurações
+     AJUSTES LOCAIS
   ------------------------------------------------------- */
-  setSetting(key, value) {
-    this.settings[key] = value;
-    this.scheduleRender();
-  }
 
-  setExportSetting(key, value) {
-    this.exportSettings[key] = value;
-    this.scheduleRender(100);
+  /**
+   * Adiciona uma máscara de gradiente com geometria padrão
+   * @param {'linear'|'radial'} type
+   * @param {object} [props]
+   * @returns {object|null} máscara criada
+   */
+  addMask(type, props = {}) {
+    const PF = window.PixelFilters;
+    if (!PF.MASK_TYPES[type]) return null;
+    const { w, h } = this.frameSize;
+    ImageEditor._layerSeq += 1;
+    const mask = {
+      ...PF.defaultMask(type, w / h),
+      ...props,
+      type,
+      id: `mask_${Date.now().toString(36)}_${ImageEditor._layerSeq}`
+    };
+    this.masks.push(mask);
+    this._touch('masks');
+    this._pushHistory(`Ajuste local: adicionar ${this.maskName(mask)}`);
+    this.scheduleRender(0);
+    return mask;
   }
 
-  setZoom(zoom) {
-    this.zoom = Math.max(0.1, Math.min(5, zoom));
+  removeMask(id) {
+    const mask = this._findMask(id);
+    if (!mask) return;
+    const name = this.maskName(mask);
+    this.masks = this.masks.filter(m => m !== mask);
+    this._touch('masks');
+    this._pushHistory(`Ajuste local: remover ${name}`);
     this.scheduleRender(0);
   }
 
-  zoomIn()  { this.setZoom(this.zoom * 1.25); }
-  zoomOut() { this.setZoom(this.zoom * 0.8); }
-  zoomFit() { this.zoom = 1.0; this.scheduleRender(0); }
+  /**
+   * Altera efeitos ou geometria de uma máscara
+   * @param {string} id
+   * @param {object} props
+   */
+  updateMask(id, props) {
+    const mask = this._findMask(id);
+    if (!mask) return;
+    Object.assign(mask, props);
+    const PF    = window.PixelFilters;
+    const keys  = Object.keys(props);
+    const label = keys.every(k => PF.MASK_GEOMETRY[mask.type].includes(k))
+      ? 'Mover'
+      : keys.map(k => PF.MASK_PARAMS[k]?.label || (k === 'enabled' ? 'Visibilidade' : k)).join(', ');
+    this._touch('masks');
+    this._pushHistory(`${this.maskName(mask)} · ${label}`, `mask:${id}:${keys.join(',')}`);
+    this.scheduleRender(16);
+  }
+
+  _findMask(id) {
+    return this.masks.find(m => m.id === id) || null;
+  }
+
+  /**
+   * Nome exibido (numerado quando há mais de uma do mesmo tipo)
+   */
+  maskName(mask) {
+    const sameType = this.masks.filter(m => m.type === mask.type);
+    const index    = sameType.indexOf(mask);
+    const name     = window.PixelFilters.MASK_TYPES[mask.type].name;
+    return index > 0 ? `${name} ${index + 1}` : name;
+  }
 
   /* -------------------------------------------------------
      RESET
   ------------------------------------------------------- */
+  /**
+   * Volta a imagem ao original num único passo de histórico: ajustes,
+   * máscaras, camadas, textos, pintura, geometria e dimensões
+   */
   resetAll() {
-    this.settings = {
-      brightness: 0, contrast: 0, saturation: 0, exposure: 0,
-      hue: 0, sharpness: 0, noise: 0, blur: 0,
-      grayscale: false, blackwhite: false, sepia: false, invert: false,
-      vignette: 0, temperature: 0, preset: 'none'
-    };
-    this.exportSettings.width    = null;
-    this.exportSettings.height   = null;
-    this.exportSettings.cropTop  = 0;
-    this.exportSettings.cropBottom = 0;
-    this.exportSettings.cropLeft   = 0;
-    this.exportSettings.cropRight  = 0;
+    this.adjustments = [];
+    this.masks       = [];
+    this.layers      = [];
+    this.texts       = [];
+    this.strokes     = [];
+    this.preset      = 'none';
+    this.exportSettings.width  = null;
+    this.exportSettings.height = null;
+    this.perspective = { corners: null, vertical: 0, horizontal: 0 };
+    this.straighten = { ...this.straighten, angle: 0 };
+    this.crop     = null;
     this.rotation = 0;
     this.flipH    = false;
     this.flipV    = false;
     this.zoom     = 1.0;
+    this._touch(...Object.keys(STATE_SECTIONS));
+    this._pushHistory('Redefinir');
     this.scheduleRender(0);
   }
 
   /* -------------------------------------------------------
-     EXPORT / DOWNLOAD
+     HISTÓRICO (UNDO / REDO)
   ------------------------------------------------------- */
 
+  get canUndo() { return this.historyIndex > 0; }
+  get canRedo() { return this.historyIndex < this.history.length - 1; }
+
+  undo() {
+    if (this.canUndo) this.goToHistory(this.historyIndex - 1);
+  }
+
+  redo() {
+    if (this.canRedo) this.goToHistory(this.historyIndex + 1);
+  }
+
   /**
-   * Gera o canvas final para exportação (full resolution)
-   * @returns {Promise<HTMLCanvasElement>}
+   * Volta (ou avança) para qualquer passo da lista de histórico
+   * @param {number} index
    */
-  async getExportCanvas() {
-    // 1. Geometry
-    let srcCanvas = this._buildGeometryCanvas();
+  goToHistory(index) {
+    const entry = this.history[index];
+    if (!entry) return;
+    this.historyIndex = index;
+    this._historySealed = true;
+    this._applySnapshot(entry.state, entry.revisions);
+    this._notifyHistory();
+    this.scheduleRender(0);
+  }
 
-    // 2. Resize
-    const dims = window.PixelFilters.calcAspectRatio(
-      srcCanvas.width,
-      srcCanvas.height,
-      this.exportSettings.width  || null,
-      this.exportSettings.height || null
-    );
-    let exportCanvas = srcCanvas;
-    if (dims.w !== srcCanvas.width || dims.h !== srcCanvas.height) {
-      exportCanvas = window.PixelFilters.resizeImage(srcCanvas, dims.w, dims.h);
+  /**
+   * Encerra o gesto atual: a próxima alteração do mesmo controle
+   * cria um novo passo em vez de substituir o último
+   */
+  sealHistory() {
+    this._historySealed = true;
+  }
+
+  _resetHistory(label = 'Original') {
+    this.history = [{ label, key: null, time: 0, state: this._snapshot(), revisions: { ...this._revisions } }];
+    this.historyIndex = 0;
+    this._historySealed = true;
+    this._notifyHistory();
+  }
+
+  /**
+   * Registra o estado atual como um novo passo do histórico.
+   * Alterações contínuas com a mesma chave (ex.: arrastar um slider)
+   * substituem o último passo em vez de empilhar um novo.
+   * @param {string} label
+   * @param {string|null} coalesceKey
+   */
+  _pushHistory(label, coalesceKey = null) {
+    const now     = Date.now();
+    const state   = this._snapshot();
+    const current = this.history[this.historyIndex];
+
+    const coalesce = coalesceKey &&
+      current &&
+      current.key === coalesceKey &&
+      !this._historySealed &&
+      this.historyIndex === this.history.length - 1 &&
+      now - current.time < HISTORY_COALESCE_MS;
+
+    const revisions = { ...this._revisions };
+
+    if (coalesce) {
+      current.label     = label;
+      current.state     = state;
+      current.time      = now;
+      current.revisions = revisions;
+    } else {
+      // Nada mudou de fato (ex.: mesmo valor reaplicado)
+      if (current && this._sameState(current, state)) return;
+
+      // Descartar os passos desfeitos e empilhar o novo
+      this.history.splice(this.historyIndex + 1);
+      this.history.push({ label, key: coalesceKey, time: now, state, revisions });
+      if (this.history.length > HISTORY_LIMIT) this.history.shift();
+      this.historyIndex = this.history.length - 1;
+    }
+
+    this._historySealed = false;
+    this._notifyHistory();
+  }
+
+  /**
+   * O snapshot `state` tem o mesmo conteúdo do passo `entry`? Só compara
+   * as seções cuja revisão mudou; traços nunca são alterados depois de
+   * criados, então bastam os ids
+   */
+  _sameState(entry, state) {
+    return Object.entries(STATE_SECTIONS).every(([section, fields]) => {
+      if (entry.revisions?.[section] === this._revisions[section]) return true;
+      if (section === 'strokes') {
+        const a = entry.state.strokes || [], b = state.strokes;
+        return a.length === b.length && a.every((st, i) => st.id === b[i].id);
+      }
+      return fields.every(f => JSON.stringify(entry.state[f]) === JSON.stringify(state[f]));
+    });
+  }
+
+  _notifyHistory() {
+    if (typeof this.onHistoryChange === 'function') this.onHistoryChange(this);
+  }
+
+  /**
+   * Cópia do estado editável (sem o histórico). Seções que não mudaram
+   * desde o último snapshot são compartilhadas com ele em vez de copiadas
+   * de novo — o snapshot (e tudo dentro dele) não deve ser modificado.
+   */
+  _snapshot() {
+    const snap = {};
+    Object.keys(STATE_SECTIONS).forEach(section => {
+      const rev = this._revisions[section];
+      if (this._sectionCopies[section]?.rev !== rev) {
+        this._sectionCopies[section] = { rev, fields: this._copySection(section) };
+      }
+      Object.assign(snap, this._sectionCopies[section].fields);
+    });
+    return snap;
+  }
+
+  /**
+   * Cópia independente dos campos de uma seção do estado
+   */
+  _copySection(section) {
+    switch (section) {
+      case 'adjustments':    return { adjustments: window.PixelFilters.cloneStack(this.adjustments), preset: this.preset };
+      case 'layers':         return { layers: this.layers.map(l => ({ ...l })) };
+      case 'texts':          return { texts: this.texts.map(t => ({ ...t })) };
+      case 'masks':          return { masks: this.masks.map(m => ({ ...m })) };
+      // Traços não mudam depois de criados: basta copiar a lista
+      case 'strokes':        return { strokes: this.strokes.slice() };
+      case 'exportSettings': return { exportSettings: { ...this.exportSettings } };
+      case 'crop':           return { crop: this.crop ? { ...this.crop } : null };
+      case 'geometry':
+        return {
+          perspective: { ...this.perspective },
+          straighten:  { ...this.straighten },
+          rotation:    this.rotation,
+          flipH:       this.flipH,
+          flipV:       this.flipV
+        };
+    }
+  }
+
+  /**
+   * @param {object} snap
+   * @param {object} [revisions]  revisões do passo de histórico de `snap`;
+   *        sem elas todas as seções contam como alteradas
+   */
+  _applySnapshot(snap, revisions = null) {
+    if (revisions) {
+      // O estado volta a ser o daquele passo: caches e cópias dele valem de novo
+      this._revisions = { ...revisions };
+      Object.entries(STATE_SECTIONS).forEach(([section, fields]) => {
+        this._sectionCopies[section] = {
+          rev:    revisions[section],
+          fields: Object.fromEntries(fields.map(f => [f, snap[f]]))
+        };
+      });
+    } else {
+      this._touch(...Object.keys(STATE_SECTIONS));
     }
+    const { adjustments, preset } = this._migrateAdjustments(snap);
+    this.adjustments    = adjustments;
+    this.preset         = preset;
+    this.layers         = (snap.layers || []).map(l => ({ ...l }));
+    this.texts          = (snap.texts  || []).map(t => ({ ...t }));
+    this.masks          = this._migrateMasks(snap.masks);
+    this.strokes        = (snap.strokes || []).slice();
+    this.exportSettings = this._stripLegacyCrop({ ...snap.exportSettings });
+    this.perspective    = { corners: null, vertical: 0, horizontal: 0, ...snap.perspective };
+    this.straighten     = { angle: 0, mode: 'crop', color: '#ffffff', ...snap.straighten };
+    this.crop           = this._migrateCrop(snap);
+    this.rotation       = snap.rotation;
+    this.flipH          = snap.flipH;
+    this.flipV          = snap.flipV;
+  }
 
-    // 3. Crop
-    const crop = {
-      top:    this.exportSettings.cropTop,
-      bottom: this.exportSettings.cropBottom,
-      left:   this.exportSettings.cropLeft,
-      right:  this.exportSettings.cropRight
+  /**
+   * Lê a pilha de um estado salvo; estados antigos (objeto plano
+   * `settings`) são convertidos para a pilha equivalente
+   */
+  _migrateAdjustments(state) {
+    const PF = window.PixelFilters;
+    if (Array.isArray(state.adjustments)) {
+      return { adjustments: PF.normalizeStack(state.adjustments), preset: state.preset || 'none' };
+    }
+    return {
+      adjustments: PF.settingsToStack(state.settings || {}),
+      preset:      state.settings?.preset || 'none'
     };
-    if (Object.values(crop).some(v => v > 0)) {
-      exportCanvas = window.PixelFilters.cropImage(exportCanvas, crop);
-    }
-
-    // 4. Filtros
-    const ctx     = exportCanvas.getContext('2d', { willReadFrequently: true });
-    const imgData = ctx.getImageData(0, 0, exportCanvas.width, exportCanvas.height);
-    const processed = window.PixelFilters.processImage(
-      imgData,
-      this.settings,
-      exportCanvas.width,
-      exportCanvas.height
-    );
-    ctx.putImageData(processed, 0, 0);
+  }
+
+  /**
+   * Valida as máscaras de um estado salvo (estados antigos não têm)
+   */
+  _migrateMasks(masks) {
+    if (!Array.isArray(masks)) return [];
+    return masks.map(m => window.PixelFilters.normalizeMask(m)).filter(Boolean);
+  }
+
+  _describeSetting(key, value) {
+    const def   = window.PixelFilters.ADJUSTMENTS[key];
+    const label = def?.name || key;
+    if (typeof value === 'boolean') return `${label}: ${value ? 'ativado' : 'desativado'}`;
+    return `${label}: ${this._formatValue(value, def?.params[def.primary])}`;
+  }
+
+  _formatValue(value, spec) {
+    if (typeof value === 'boolean') return value ? 'sim' : 'não';
+    if (spec?.type === 'curves') {
+      const { CURVE_CHANNELS, normalizeCurves, isLinearCurve } = window.PixelFilters;
+      const edited = Object.entries(normalizeCurves(value))
+        .filter(([, pts]) => !isLinearCurve(pts))
+        .map(([ch]) => CURVE_CHANNELS[ch]);
+      return edited.length ? edited.join(', ') : 'linear';
+    }
+    if (spec?.type === 'levels') {
+      const { CURVE_CHANNELS, normalizeLevels, isIdentityLevels } = window.PixelFilters;
+      const edited = Object.entries(normalizeLevels(value))
+        .filter(([, l]) => !isIdentityLevels(l))
+        .map(([ch]) => CURVE_CHANNELS[ch]);
+      return edited.length ? edited.join(', ') : 'padrão';
+    }
+    if (spec?.type === 'hsl') {
+      const { HSL_BANDS, normalizeHsl, isNeutralHslBand } = window.PixelFilters;
+      const edited = Object.entries(normalizeHsl(value))
+        .filter(([, band]) => !isNeutralHslBand(band))
+        .map(([band]) => HSL_BANDS[band].label);
+      return edited.length ? edited.join(', ') : 'neutro';
+    }
+    if (spec?.type === 'gradient') {
+      const { GRADIENT_PRESETS, normalizeGradient } = window.PixelFilters;
+      const key    = JSON.stringify(normalizeGradient(value));
+      const preset = Object.values(GRADIENT_PRESETS).find(p => JSON.stringify(normalizeGradient(p.stops)) === key);
+      return preset ? preset.label : `${normalizeGradient(value).length} cores`;
+    }
+    if (spec?.type === 'mixer') {
+      const { MIXER_OUTPUTS, normalizeMixer, isIdentityMixerRow } = window.PixelFilters;
+      const edited = Object.entries(normalizeMixer(value))
+        .filter(([ch, row]) => !isIdentityMixerRow(ch, row))
+        .map(([ch]) => MIXER_OUTPUTS[ch].label);
+      return edited.length ? edited.join(', ') : 'neutro';
+    }
+    if (spec?.type === 'wheel') {
+      const w = window.PixelFilters.normalizeWheel(value);
+      if (!w.amount && !w.luminance) return 'neutro';
+      return `${w.hue}° · ${w.amount}` + (w.luminance ? ` · lum. ${w.luminance}` : '');
+    }
+    if (spec?.type === 'kernel') {
+      const k = window.PixelFilters.normalizeKernel(value);
+      return `${k.label ? k.label + ' ' : ''}${k.size}×${k.size}`;
+    }
+    if (spec?.type === 'select') {
+      return spec.options.find(o => o.value === value)?.label || `${value}`;
+    }
+    return `${value}${spec?.suffix || ''}`;
+  }
+
+  _exportGroup(key) {
+    if (key === 'width' || key === 'height') return 'dims';
+    return key;
+  }
+
+  _describeExport(group) {
+    const exp   = this.exportSettings;
+    const label = EXPORT_LABELS[group] || group;
+    switch (group) {
+      case 'dims':    return `${label}: ${exp.width || 'auto'}×${exp.height || 'auto'}`;
+      case 'format':  return `${label}: ${this._getExtension(exp.format).toUpperCase()}`;
+      case 'quality': return `${label}: ${Math.round(exp.quality * 100)}%`;
+      default:        return label;
+    }
+  }
+
+  /* -------------------------------------------------------
+     EXPORT / DOWNLOAD
+  ------------------------------------------------------- */
 
-    return exportCanvas;
+  /**
+   * Gera o canvas final para exportação (full resolution)
+   * @returns {Promise<HTMLCanvasElement>}
+   */
+  async getExportCanvas() {
+    return this._buildProcessedCanvas();
   }
 
   /**
@@ -545,26 +2204,63 @@ class ImageEditor {
    */
   getState() {
     return {
-      settings:       { ...this.settings },
-      exportSettings: { ...this.exportSettings },
-      rotation:       this.rotation,
-      flipH:          this.flipH,
-      flipV:          this.flipV
+      ...this._snapshot(),
+      history: {
+        index:   this.historyIndex,
+        entries: this.history.map(({ label, state }) => ({ label, state }))
+      }
     };
   }
 
   /**
-   * Restaura estado previamente salvo
+   * Restaura estado previamente salvo (incluindo o histórico, se houver)
    */
   restoreState(state) {
-    if (state.settings)       Object.assign(this.settings, state.settings);
-    if (state.exportSettings) Object.assign(this.exportSettings, state.exportSettings);
+    this._touch(...Object.keys(STATE_SECTIONS));
+    if (state.adjustments || state.settings) {
+      const { adjustments, preset } = this._migrateAdjustments(state);
+      this.adjustments = adjustments;
+      this.preset      = preset;
+    }
+    if (Array.isArray(state.layers)) this.layers = state.layers.map(l => ({ ...l }));
+    if (Array.isArray(state.texts))  this.texts  = state.texts.map(t => ({ ...t }));
+    if (Array.isArray(state.masks))  this.masks  = this._migrateMasks(state.masks);
+    if (Array.isArray(state.strokes)) this.strokes = state.strokes.slice();
+    if (state.exportSettings) {
+      Object.assign(this.exportSettings, this._stripLegacyCrop({ ...state.exportSettings }));
+    }
     if (state.rotation !== undefined) this.rotation = state.rotation;
     if (state.flipH !== undefined)    this.flipH    = state.flipH;
     if (state.flipV !== undefined)    this.flipV    = state.flipV;
+    if (state.perspective) this.perspective = { ...this.perspective, ...state.perspective };
+    if (state.straighten)  this.straighten  = { ...this.straighten, ...state.straighten };
+    this.crop = this._migrateCrop(state);
+
+    const saved = state.history;
+    if (saved && Array.isArray(saved.entries) && saved.entries.length) {
+      this.history = saved.entries.map(({ label, state: snap }) => ({
+        label, key: null, time: 0, state: snap
+      }));
+      this.historyIndex   = Math.min(Math.max(saved.index, 0), this.history.length - 1);
+      this._historySealed = true;
+      this._notifyHistory();
+    } else {
+      // Estado sem histórico (ex.: aplicado em lote): vira um passo desfazível
+      this._pushHistory('Edições restauradas');
+      this._historySealed = true;
+    }
+
     this.scheduleRender(0);
   }
 }
 
+/**
+ * Resolve o id de um imageRecord para o HTMLImageElement usado nas
+ * camadas do tipo 'image'. Definido pela aplicação (galeria).
+ * @type {((recordId: string) => HTMLImageElement|null)|null}
+ */
+ImageEditor.imageResolver = null;
+ImageEditor._layerSeq     = 0;
+
 /* Expõe globalmente */
 window.ImageEditor = ImageEditor;
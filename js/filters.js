@@ -8,8 +8,18 @@
  * - Matiz (Hue Rotation), Nitidez (Sharpening)
  * - Ruído aleatório, Desfoque (Gaussian Blur)
  * - Escala de cinza, P&B, Sépia, Inversão
- * - Temperatura de cor, Vinheta (Vignette)
+ * - Balanço de branco (Kelvin e matiz) com conta-gotas, Vinheta (Vignette)
  * - Filtros preset (Instagram-like)
+ * - Pilha de ajustes reordenável (ordem e repetição livres)
+ * - Composição de camadas com opacidade e modos de mesclagem
+ * - Texto vetorial (fonte, contorno, sombra, rotação, espaçamento)
+ * - Pincel e borracha com traços vetoriais e pressão
+ * - Rotação livre (endireitar) com recorte automático ou preenchimento
+ * - Correção de perspectiva (4 cantos e keystone) com interpolação bilinear
+ * - Curvas RGB e por canal (spline monotônica) e histograma com aviso de corte
+ * - Níveis (entrada/saída, gama) por canal com conta-gotas
+ * - Misturador HSL em oito faixas de cor com transição suave
+ * - Tonalização dividida e balanço de cores de três vias
  */
 
 'use strict';
@@ -23,6 +33,16 @@
  */
 const clamp = (v, min = 0, max = 255) => Math.max(min, Math.min(max, v));
 
+/**
+ * Luminância Rec. 709 (na mesma escala da entrada)
+ */
+const luma709 = (r, g, b) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+/**
+ * Interpolação suave de Hermite (t em 0–1)
+ */
+const smoothstep = t => t * t * (3 - 2 * t);
+
 /**
  * Converte RGB → HSL
  */
@@ -70,6 +90,23 @@ function hslToRgb(h, s, l) {
   return [Math.round(r * 255), Math.round(g * 255), Math.round(b * 255)];
 }
 
+/**
+ * Converte [r, g, b] → '#rrggbb'
+ */
+function rgbToHex(r, g, b) {
+  return '#' + [r, g, b].map(v => Math.round(clamp(v)).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Converte '#rrggbb' (ou '#rgb') → [r, g, b]
+ */
+function hexToRgb(hex) {
+  let h = String(hex).replace('#', '');
+  if (h.length === 3) h = h.split('').map(c => c + c).join('');
+  const n = parseInt(h, 16) || 0;
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
 /* =============================================================
    FILTROS INDIVIDUAIS — Pixel-level operations
    ============================================================= */
@@ -164,28 +201,10 @@ function applyGrayscale(data) {
 }
 
 /**
- * PRETO E BRANCO (limiar adaptativo)
- * @param {Uint8ClampedArray} data
- * @param {number} threshold  0-255 (default 128)
- */
-function applyBlackWhite(data, threshold = 128) {
-  for (let i = 0; i < data.length; i += 4) {
-    const luma = 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
-    const bw = luma >= threshold ? 255 : 0;
-    data[i] = data[i + 1] = data[i + 2] = bw;
-  }
-}
-
-/**
- * SÉPIA
+ * SÉPIA (matriz fixa — ver applyColorMatrix)
  */
 function applySepia(data) {
-  for (let i = 0; i < data.length; i += 4) {
-    const r = data[i], g = data[i + 1], b = data[i + 2];
-    data[i]     = clamp(r * 0.393 + g * 0.769 + b * 0.189);
-    data[i + 1] = clamp(r * 0.349 + g * 0.686 + b * 0.168);
-    data[i + 2] = clamp(r * 0.272 + g * 0.534 + b * 0.131);
-  }
+  applyColorMatrix(data, SEPIA_MATRIX);
 }
 
 /**
@@ -199,42 +218,90 @@ function applyInvert(data) {
   }
 }
 
+/* Balanço de branco: faixa em Kelvin (neutro no centro) e força do matiz */
+const KELVIN_NEUTRAL = 6500;
+const KELVIN_MIN     = 3000;
+const KELVIN_MAX     = 10000;
+const TINT_STRENGTH  = 0.3;
+
 /**
- * RUÍDO aleatório
- * @param {Uint8ClampedArray} data
- * @param {number} amount  0-100
+ * Cor (0–255) de um corpo negro na temperatura dada — aproximação de
+ * Tanner Helland, suficiente entre 1000 K e 40000 K
+ * @returns {number[]}  [r, g, b]
  */
-function applyNoise(data, amount) {
-  if (amount === 0) return;
-  const noise = (amount / 100) * 80;
-  for (let i = 0; i < data.length; i += 4) {
-    const n = (Math.random() - 0.5) * noise;
-    data[i]     = clamp(data[i]     + n);
-    data[i + 1] = clamp(data[i + 1] + n);
-    data[i + 2] = clamp(data[i + 2] + n);
+function kelvinToRgb(kelvin) {
+  const t = kelvin / 100;
+  const r = t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+  const g = t <= 66
+    ? 99.4708025861 * Math.log(t) - 161.1195681661
+    : 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+  const b = t >= 66 ? 255 : t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+  return [r, g, b].map(v => clamp(v, 1, 255));
+}
+
+/**
+ * Ganhos por canal do balanço de branco, com luminância média 1.
+ * Como nos reveladores de foto, `kelvin` é a luz que se está
+ * compensando: abaixo de 6500 K esfria a imagem, acima esquenta;
+ * matiz positivo puxa para magenta, negativo para verde
+ * @returns {number[]}  [r, g, b]
+ */
+function whiteBalanceGains(kelvin, tint) {
+  const ref  = kelvinToRgb(KELVIN_NEUTRAL);
+  const src  = kelvinToRgb(kelvin);
+  const gains = ref.map((v, k) => v / src[k]);
+  gains[1] *= 1 - (tint / 100) * TINT_STRENGTH;
+  const y = luma709(...gains);
+  return gains.map(v => v / y);
+}
+
+/**
+ * Valor da antiga "Temperatura" (-100 frio a +100 quente) em Kelvin
+ */
+function temperatureToKelvin(amount) {
+  const t = clamp(+amount || 0, -100, 100) / 100;
+  return Math.round((KELVIN_NEUTRAL + t * (t > 0 ? KELVIN_MAX - KELVIN_NEUTRAL : KELVIN_NEUTRAL - KELVIN_MIN)) / 50) * 50;
+}
+
+/**
+ * Kelvin e matiz que tornam cinza neutro uma cor amostrada: busca
+ * binária na temperatura (equilibra vermelho e azul) e o matiz
+ * iguala o verde à média dos dois
+ * @param {number[]} rgb
+ * @returns {{ kelvin: number, tint: number }}
+ */
+function whiteBalanceFromSample(rgb) {
+  const [r, g, b] = rgb.map(v => Math.max(1, v));
+  const ratio = k => {
+    const gains = whiteBalanceGains(k, 0);
+    return (gains[0] * r) / (gains[2] * b);
+  };
+  // A razão vermelho/azul cresce com a temperatura
+  let lo = KELVIN_MIN, hi = KELVIN_MAX;
+  for (let it = 0; it < 40; it++) {
+    const mid = (lo + hi) / 2;
+    if (ratio(mid) < 1) lo = mid; else hi = mid;
   }
+  const kelvin = Math.round((lo + hi) / 2 / 50) * 50;
+  const gains  = whiteBalanceGains(kelvin, 0);
+  const m      = ((gains[0] * r + gains[2] * b) / 2) / (gains[1] * g);
+  const tint   = Math.round(clamp(((1 - m) * 100) / TINT_STRENGTH, -100, 100));
+  return { kelvin, tint };
 }
 
 /**
- * TEMPERATURA de cor
+ * BALANÇO DE BRANCO (Kelvin e matiz verde ↔ magenta)
  * @param {Uint8ClampedArray} data
- * @param {number} amount  -100 (frio) a +100 (quente)
+ * @param {number} kelvin
+ * @param {number} tint  -100 (verde) a +100 (magenta)
  */
-function applyTemperature(data, amount) {
-  if (amount === 0) return;
-  const factor = amount / 100;
+function applyWhiteBalance(data, kelvin, tint) {
+  if (kelvin === KELVIN_NEUTRAL && !tint) return;
+  const [gr, gg, gb] = whiteBalanceGains(kelvin, tint);
   for (let i = 0; i < data.length; i += 4) {
-    if (factor > 0) {
-      // Quente: mais vermelho, menos azul
-      data[i]     = clamp(data[i]     + factor * 30);
-      data[i + 1] = clamp(data[i + 1] + factor * 10);
-      data[i + 2] = clamp(data[i + 2] - factor * 30);
-    } else {
-      // Frio: mais azul, menos vermelho
-      data[i]     = clamp(data[i]     + factor * 30);
-      data[i + 1] = clamp(data[i + 1] + factor * 5);
-      data[i + 2] = clamp(data[i + 2] - factor * 30);
-    }
+    data[i]     = clamp(data[i]     * gr);
+    data[i + 1] = clamp(data[i + 1] * gg);
+    data[i + 2] = clamp(data[i + 2] * gb);
   }
 }
 
@@ -290,312 +357,2841 @@ function applyBlur(data, width, height, radius) {
   }
 }
 
+/* Nitidez antiga (Laplaciano 3×3 × 0,3 por passo, 0–10) ≈ máscara de
+   raio 0,5 com esta quantidade (%) por passo; acima de ~3 passos o
+   resultado antigo já era saturado e fica limitado ao máximo */
+const LEGACY_SHARPEN_RADIUS = 0.5;
+const LEGACY_SHARPEN_GAIN   = 300;
+const SHARPEN_MAX           = 1000;
+
+/* Bordas para a opção "só bordas": gradiente Sobel da luminância
+   desfocada, com transição suave entre os dois limites */
+const SHARPEN_EDGE_LOW  = 16;
+const SHARPEN_EDGE_HIGH = 64;
+
 /**
- * NITIDEZ (Unsharp Mask)
- * @param {Uint8ClampedArray} data
+ * Desfoque gaussiano separável de um canal em ponto flutuante
+ * @param {Float32Array} src
  * @param {number} width
  * @param {number} height
- * @param {number} strength  0-10
+ * @param {number} sigma
+ * @returns {Float32Array}
  */
-function applySharpness(data, width, height, strength) {
-  if (strength <= 0) return;
-  const amount = strength * 0.3;
-
-  // Kernel de Laplaciano para realçar bordas
-  const kernel = [
-    0, -1, 0,
-    -1, 5, -1,
-    0, -1, 0
-  ];
+function gaussianBlurChannel(src, width, height, sigma) {
+  const r = Math.max(1, Math.ceil(sigma * 3));
+  const kernel = new Float32Array(r * 2 + 1);
+  let sum = 0;
+  for (let i = -r; i <= r; i++) {
+    kernel[i + r] = Math.exp(-(i * i) / (2 * sigma * sigma));
+    sum += kernel[i + r];
+  }
+  for (let i = 0; i < kernel.length; i++) kernel[i] /= sum;
 
-  const original = new Uint8ClampedArray(data);
-
-  for (let y = 1; y < height - 1; y++) {
-    for (let x = 1; x < width - 1; x++) {
-      let rSum = 0, gSum = 0, bSum = 0;
-      for (let ky = -1; ky <= 1; ky++) {
-        for (let kx = -1; kx <= 1; kx++) {
-          const kIdx = (ky + 1) * 3 + (kx + 1);
-          const idx = ((y + ky) * width + (x + kx)) * 4;
-          rSum += original[idx]     * kernel[kIdx];
-          gSum += original[idx + 1] * kernel[kIdx];
-          bSum += original[idx + 2] * kernel[kIdx];
-        }
-      }
-      const idx = (y * width + x) * 4;
-      const srcIdx = idx;
-      data[idx]     = clamp(original[srcIdx]     + (rSum - original[srcIdx])     * amount);
-      data[idx + 1] = clamp(original[srcIdx + 1] + (gSum - original[srcIdx + 1]) * amount);
-      data[idx + 2] = clamp(original[srcIdx + 2] + (bSum - original[srcIdx + 2]) * amount);
+  const tmp = new Float32Array(src.length);
+  const out = new Float32Array(src.length);
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width; x++) {
+      let acc = 0;
+      for (let k = -r; k <= r; k++) acc += src[row + clamp(x + k, 0, width - 1)] * kernel[k + r];
+      tmp[row + x] = acc;
+    }
+  }
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let acc = 0;
+      for (let k = -r; k <= r; k++) acc += tmp[clamp(y + k, 0, height - 1) * width + x] * kernel[k + r];
+      out[y * width + x] = acc;
     }
   }
+  return out;
+}
+
+/**
+ * Peso (0–1) de borda de cada pixel, pelo gradiente Sobel
+ * @param {Float32Array} lum  luminância (já desfocada, para ignorar ruído)
+ * @returns {Float32Array}
+ */
+function edgeWeights(lum, width, height) {
+  const { gx, gy } = gradientChannels(lum, width, height, 'sobel');
+  return gx.map((v, p) => {
+    const t = (Math.hypot(v, gy[p]) - SHARPEN_EDGE_LOW) / (SHARPEN_EDGE_HIGH - SHARPEN_EDGE_LOW);
+    return smoothstep(clamp(t, 0, 1));
+  });
 }
 
 /**
- * VINHETA (Vignette)
+ * NITIDEZ (Unsharp Mask): soma à imagem a diferença entre ela e uma
+ * cópia com desfoque gaussiano. Atua só na luminância, para não
+ * criar franjas coloridas nem realçar ruído de cor.
  * @param {Uint8ClampedArray} data
  * @param {number} width
  * @param {number} height
- * @param {number} amount  0-100
+ * @param {object} p
+ * @param {number} p.strength   quantidade, 0–1000 (%)
+ * @param {number} p.radius     sigma do desfoque, em pixels
+ * @param {number} p.threshold  diferenças menores (0–255) não são realçadas
+ * @param {boolean} p.edgeMask  realça só as bordas (poupa áreas lisas e ruído)
  */
-function applyVignette(data, width, height, amount) {
-  if (amount <= 0) return;
-  const cx = width / 2;
-  const cy = height / 2;
-  const maxDist = Math.sqrt(cx * cx + cy * cy);
-  const strength = amount / 100;
+function applyUnsharpMask(data, width, height, { strength, radius, threshold = 0, edgeMask: edgesOnly = false }) {
+  if (strength <= 0 || radius <= 0) return;
+  const amount = strength / 100;
 
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const dx = x - cx;
-      const dy = y - cy;
-      const dist = Math.sqrt(dx * dx + dy * dy) / maxDist;
-      const darkening = 1 - (strength * Math.pow(dist, 1.5));
-      const factor = clamp(darkening, 0, 1);
-      const idx = (y * width + x) * 4;
-      data[idx]     = clamp(data[idx]     * factor);
-      data[idx + 1] = clamp(data[idx + 1] * factor);
-      data[idx + 2] = clamp(data[idx + 2] * factor);
-    }
+  const lum     = lumaChannel(data);
+  const blurred = gaussianBlurChannel(lum, width, height, radius);
+  const edges   = edgesOnly ? edgeWeights(blurred, width, height) : null;
+
+  for (let p = 0, i = 0; p < lum.length; p++, i += 4) {
+    const diff = lum[p] - blurred[p];
+    if (Math.abs(diff) < threshold) continue;
+    const delta = diff * amount * (edges ? edges[p] : 1);
+    data[i]     = clamp(data[i]     + delta);
+    data[i + 1] = clamp(data[i + 1] + delta);
+    data[i + 2] = clamp(data[i + 2] + delta);
   }
 }
 
-/* =============================================================
-   FILTROS PRESET (Instagram-like)
-   ============================================================= */
+/* Quadro inteiro (frações 0–1) — ver processImage(…, frame) */
+const FULL_FRAME = { x: 0, y: 0, w: 1, h: 1 };
 
-const PRESETS = {
-  none: {
-    name: 'Original',
-    icon: '🎨',
-    settings: {}
-  },
-  vivid: {
-    name: 'Vívido',
-    icon: '🌈',
-    settings: { saturation: 50, contrast: 20, brightness: 10 }
-  },
-  cool: {
-    name: 'Frio',
-    icon: '❄️',
-    settings: { temperature: -60, saturation: 10, brightness: 5 }
-  },
-  warm: {
-    name: 'Quente',
-    icon: '🌅',
-    settings: { temperature: 60, saturation: 20, brightness: 5 }
-  },
-  vintage: {
-    name: 'Vintage',
-    icon: '📷',
-    settings: { sepia: true, contrast: -10, brightness: 5, saturation: -20 }
-  },
-  dramatic: {
-    name: 'Dramático',
-    icon: '🎭',
-    settings: { contrast: 60, saturation: -20, brightness: -10, vignette: 40 }
-  },
-  noir: {
-    name: 'Noir',
-    icon: '🎬',
-    settings: { grayscale: true, contrast: 50, brightness: -10, vignette: 50 }
-  },
-  fade: {
-    name: 'Desbotado',
-    icon: '🌫️',
-    settings: { contrast: -30, saturation: -30, brightness: 20 }
-  },
-  bloom: {
-    name: 'Bloom',
-    icon: '🌸',
-    settings: { brightness: 25, saturation: 20, contrast: -15, temperature: 20 }
-  },
-  sunset: {
-    name: 'Pôr do Sol',
-    icon: '🌇',
-    settings: { temperature: 80, saturation: 40, contrast: 20, hue: 10 }
-  },
-  forest: {
-    name: 'Floresta',
-    icon: '🌿',
-    settings: { hue: -20, saturation: 40, contrast: 10, brightness: -5 }
-  },
-  neon: {
-    name: 'Neon',
-    icon: '💜',
-    settings: { saturation: 80, contrast: 30, brightness: 5, hue: 20 }
-  }
-};
+/* Ponto médio e suavização (0–100) viram distância e largura da
+   transição na distância normalizada da vinheta (bordas do quadro = 1) */
+const VIGNETTE_MIDPOINT = [0.2, 1.4];
+const VIGNETTE_FEATHER  = [0.1, 2.0];
 
-/* =============================================================
-   PROCESSADOR PRINCIPAL
-   ============================================================= */
+/* Vinheta antiga (circular, 1 − amount·d^1.5): ajuste por mínimos
+   quadrados do ponto médio e da suavização sobre a curva original */
+const VIGNETTE_LEGACY = { roundness: 100, midpoint: 56, feather: 80 };
 
 /**
- * Aplica todos os ajustes em um ImageData e retorna novo ImageData
- * @param {ImageData} imageData  — ImageData original
- * @param {object} settings     — parâmetros de edição
+ * Geometria da vinheta em pixels da imagem atual. A distância é de
+ * superelipse, (|dx/rx|^p + |dy/ry|^p)^(1/p): arredondamento 0 acompanha
+ * a proporção do quadro, +100 é um círculo e negativo tende ao retângulo
+ * @param {object} params  ver ADJUSTMENTS.vignette
  * @param {number} width
  * @param {number} height
- * @returns {ImageData}
+ * @param {object} [frame]  posição da imagem no quadro original (frações),
+ *        usada quando `postCrop` é falso
+ * @returns {{ cx, cy, rx, ry, p, mid, start, span }}  a transição vai de
+ *          `start` a `start + span`, com metade do efeito em `mid`
  */
-function processImage(imageData, settings, width, height) {
-  // Copiar pixels originais
-  const result = new ImageData(
-    new Uint8ClampedArray(imageData.data),
-    width,
-    height
-  );
-  const d = result.data;
+function vignetteGeometry(params, width, height, frame = FULL_FRAME) {
+  const { midpoint, feather, roundness, centerX, centerY, postCrop } = params;
 
-  const s = Object.assign({
-    brightness: 0,
-    contrast: 0,
-    saturation: 0,
-    exposure: 0,
-    hue: 0,
-    sharpness: 0,
-    noise: 0,
-    blur: 0,
-    grayscale: false,
-    blackwhite: false,
-    sepia: false,
-    invert: false,
-    vignette: 0,
-    temperature: 0
-  }, settings);
+  // Quadro de referência em pixels da imagem atual
+  const f  = postCrop ? FULL_FRAME : frame;
+  const fw = width / f.w;
+  const fh = height / f.h;
+  const cx = (centerX / 100 - f.x) * fw;
+  const cy = (centerY / 100 - f.y) * fh;
 
-  // Ordem de aplicação importa!
+  let rx = fw / 2, ry = fh / 2, p = 2;
+  if (roundness > 0) {
+    // Círculo com a mesma distância normalizada nos cantos (√2)
+    const rc = Math.sqrt((rx * rx + ry * ry) / 2);
+    rx += (rc - rx) * roundness / 100;
+    ry += (rc - ry) * roundness / 100;
+  } else {
+    p = 2 - roundness * 0.06;
+  }
 
-  // 1. Blur (opera sobre vizinhos, melhor antes de pixel ops)
-  if (s.blur > 0) applyBlur(d, width, height, s.blur);
+  const mid  = VIGNETTE_MIDPOINT[0] + (VIGNETTE_MIDPOINT[1] - VIGNETTE_MIDPOINT[0]) * midpoint / 100;
+  const span = VIGNETTE_FEATHER[0] + (VIGNETTE_FEATHER[1] - VIGNETTE_FEATHER[0]) * feather / 100;
+  return { cx, cy, rx, ry, p, mid, start: mid - span / 2, span };
+}
 
-  // 2. Exposição (antes do brilho)
-  if (s.exposure !== 0) applyExposure(d, s.exposure);
+/**
+ * VINHETA paramétrica
+ * Intensidade positiva puxa as bordas para `color`; negativa clareia
+ * @param {Uint8ClampedArray} data
+ * @param {number} width
+ * @param {number} height
+ * @param {object} params  ver ADJUSTMENTS.vignette
+ * @param {object} [frame]  ver vignetteGeometry()
+ */
+function applyVignette(data, width, height, params, frame = FULL_FRAME) {
+  const { amount, color, highlights } = params;
+  if (!amount) return;
 
-  // 3. Brilho
-  if (s.brightness !== 0) applyBrightness(d, s.brightness);
+  const { cx, cy, rx, ry, p, start, span } = vignetteGeometry(params, width, height, frame);
+  const strength = Math.abs(amount) / 100;
+  const [tr, tg, tb] = amount > 0 ? hexToRgb(color) : [255, 255, 255];
+  const protect = amount > 0 ? highlights / 100 : 0;
 
-  // 4. Contraste
-  if (s.contrast !== 0) applyContrast(d, s.contrast);
+  const colTerm = new Float32Array(width);
+  for (let x = 0; x < width; x++) colTerm[x] = Math.pow(Math.abs(x + 0.5 - cx) / rx, p);
 
-  // 5. Temperatura
-  if (s.temperature !== 0) applyTemperature(d, s.temperature);
+  for (let y = 0; y < height; y++) {
+    const rowTerm = Math.pow(Math.abs(y + 0.5 - cy) / ry, p);
+    for (let x = 0; x < width; x++) {
+      const dist = p === 2 ? Math.sqrt(colTerm[x] + rowTerm) : Math.pow(colTerm[x] + rowTerm, 1 / p);
+      if (dist <= start) continue;
+      let w = strength * (dist >= start + span ? 1 : smoothstep((dist - start) / span));
+      const i = (y * width + x) * 4;
+      const r = data[i], g = data[i + 1], b = data[i + 2];
+      // Altas luzes protegidas escurecem menos (como luz atravessando a borda)
+      if (protect > 0) w *= 1 - protect * smoothstep(clamp(luma709(r, g, b) / 127.5 - 1, 0, 1));
+      data[i]     = r + (tr - r) * w;
+      data[i + 1] = g + (tg - g) * w;
+      data[i + 2] = b + (tb - b) * w;
+    }
+  }
+}
 
-  // 6. Saturação
-  if (s.saturation !== 0) applySaturation(d, s.saturation);
+/* =============================================================
+   CONVOLUÇÃO E DETECÇÃO DE BORDAS
+   Kernels N×N (N ímpar) em linha: values[ky * N + kx]. Saída =
+   soma / divisor + bias; divisor 0 = automático (soma do kernel,
+   ou 1 se a soma for zero)
+   ============================================================= */
 
-  // 7. Matiz
-  if (s.hue !== 0) applyHueRotation(d, s.hue);
+/* Tratamento dos pixels fora da imagem */
+const CONVOLUTION_EDGES = {
+  extend: 'Estender borda',
+  mirror: 'Espelhar',
+  wrap:   'Repetir',
+  zero:   'Preto'
+};
 
-  // 8. Nitidez
-  if (s.sharpness > 0) applySharpness(d, width, height, s.sharpness);
+const KERNEL_SIZES = [3, 5, 7];
 
-  // 9. Modos de cor (mutuamente exclusivos, a ordem determina precedência)
-  if (s.blackwhite) {
-    applyBlackWhite(d);
-  } else if (s.grayscale) {
-    applyGrayscale(d);
-  } else if (s.sepia) {
-    applySepia(d);
+const KERNEL_PRESETS = {
+  identity: { label: 'Identidade', size: 3, values: [0, 0, 0, 0, 1, 0, 0, 0, 0], divisor: 0, bias: 0 },
+  emboss:   { label: 'Relevo',     size: 3, values: [-2, -1, 0, -1, 1, 1, 0, 1, 2], divisor: 0, bias: 0 },
+  outline:  { label: 'Contorno',   size: 3, values: [-1, -1, -1, -1, 8, -1, -1, -1, -1], divisor: 1, bias: 0 },
+  sharpen:  { label: 'Realce 3×3', size: 3, values: [0, -1, 0, -1, 5, -1, 0, -1, 0], divisor: 0, bias: 0 },
+  boxBlur:  { label: 'Média 3×3',  size: 3, values: [1, 1, 1, 1, 1, 1, 1, 1, 1], divisor: 0, bias: 0 },
+  gaussian: {
+    label: 'Gaussiano 5×5', size: 5, divisor: 0, bias: 0,
+    values: [1, 4, 6, 4, 1].flatMap(a => [1, 4, 6, 4, 1].map(b => a * b))
   }
+};
 
-  // 10. Inversão (após modo de cor)
-  if (s.invert) applyInvert(d);
-
-  // 11. Ruído (após todos os outros)
-  if (s.noise > 0) applyNoise(d, s.noise);
-
-  // 12. Vinheta (por último — opera sobre posição)
-  if (s.vignette > 0) applyVignette(d, width, height, s.vignette);
+/* Operadores de gradiente (x, y) ou de segunda derivada (kernel) */
+const EDGE_OPERATORS = {
+  sobel:     { label: 'Sobel',      x: [-1, 0, 1, -2, 0, 2, -1, 0, 1], y: [-1, -2, -1, 0, 0, 0, 1, 2, 1] },
+  prewitt:   { label: 'Prewitt',    x: [-1, 0, 1, -1, 0, 1, -1, 0, 1], y: [-1, -1, -1, 0, 0, 0, 1, 1, 1] },
+  laplacian: { label: 'Laplaciano', kernel: [0, 1, 0, 1, -4, 1, 0, 1, 0] },
+  canny:     { label: 'Canny' }
+};
 
-  return result;
+/**
+ * Valida um kernel (tamanho ímpar, valores numéricos completos)
+ * @returns {{ size: number, values: number[], divisor: number, bias: number, label?: string }}
+ */
+function normalizeKernel(kernel) {
+  const size = KERNEL_SIZES.includes(kernel?.size) ? kernel.size : 3;
+  const src  = Array.isArray(kernel?.values) ? kernel.values : [];
+  const values = Array.from({ length: size * size }, (_, i) => {
+    const v = +src[i];
+    return Number.isFinite(v) ? v : 0;
+  });
+  const out = {
+    size,
+    values,
+    divisor: Number.isFinite(+kernel?.divisor) ? +kernel.divisor : 0,
+    bias:    Number.isFinite(+kernel?.bias) ? +kernel.bias : 0
+  };
+  if (kernel?.label) out.label = String(kernel.label);
+  return out;
 }
 
-/* =============================================================
-   REDIMENSIONAMENTO (via Canvas 2D)
-   ============================================================= */
-
 /**
- * Redimensiona uma imagem mantendo qualidade
- * @param {HTMLImageElement|HTMLCanvasElement} source
- * @param {number} targetW
- * @param {number} targetH
- * @param {number} [steps=2]  Passos de downscaling para melhor qualidade
- * @returns {HTMLCanvasElement}
+ * Redimensiona um kernel mantendo os valores centrais
  */
-function resizeImage(source, targetW, targetH, steps = 2) {
-  const srcW = source.width || source.naturalWidth;
-  const srcH = source.height || source.naturalHeight;
-
-  // Downscale em múltiplas etapas para melhor qualidade
-  if (steps > 1 && targetW < srcW * 0.5 && targetH < srcH * 0.5) {
-    const midW = Math.round(srcW * 0.5);
-    const midH = Math.round(srcH * 0.5);
-    const mid = resizeImage(source, midW, midH, steps - 1);
-    return resizeImage(mid, targetW, targetH, 1);
+function resizeKernel(kernel, size) {
+  const k   = normalizeKernel(kernel);
+  const off = (size - k.size) / 2;
+  const values = [];
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const sx = x - off, sy = y - off;
+      values.push(sx >= 0 && sy >= 0 && sx < k.size && sy < k.size ? k.values[sy * k.size + sx] : 0);
+    }
   }
+  return normalizeKernel({ ...k, size, values });
+}
 
-  const canvas = document.createElement('canvas');
-  canvas.width  = targetW;
-  canvas.height = targetH;
-  const ctx = canvas.getContext('2d');
-  ctx.imageSmoothingEnabled = true;
-  ctx.imageSmoothingQuality = 'high';
-  ctx.drawImage(source, 0, 0, targetW, targetH);
-  return canvas;
+function kernelDivisor(kernel) {
+  if (kernel.divisor) return kernel.divisor;
+  return kernel.values.reduce((a, b) => a + b, 0) || 1;
 }
 
 /**
- * Calcula dimensões mantendo aspect ratio
- * @param {number} origW
- * @param {number} origH
- * @param {number|null} newW
- * @param {number|null} newH
- * @returns {{ w: number, h: number }}
+ * Índice de origem para cada deslocamento do kernel: maps[k][i] é a
+ * coordenada lida para a posição i com deslocamento k − r (-1 = fora)
  */
-function calcAspectRatio(origW, origH, newW, newH) {
-  if (newW && newH) return { w: newW, h: newH };
-  if (newW)  return { w: newW,  h: Math.round(origH * (newW / origW)) };
-  if (newH)  return { w: Math.round(origW * (newH / origH)), h: newH };
-  return { w: origW, h: origH };
+function convolutionMaps(n, size, edge) {
+  const r = (size - 1) / 2;
+  const period = 2 * (n - 1) || 1;
+  const maps = [];
+  for (let k = 0; k < size; k++) {
+    const map = new Int32Array(n);
+    for (let i = 0; i < n; i++) {
+      const j = i + k - r;
+      if (j >= 0 && j < n)      map[i] = j;
+      else if (edge === 'zero') map[i] = -1;
+      else if (edge === 'wrap') map[i] = ((j % n) + n) % n;
+      else if (edge === 'mirror') {
+        const m = ((j % period) + period) % period;
+        map[i] = m < n ? m : period - m;
+      } else {
+        map[i] = j < 0 ? 0 : n - 1;
+      }
+    }
+    maps.push(map);
+  }
+  return maps;
 }
 
-/* =============================================================
-   RECORTE (Crop)
-   ============================================================= */
-
 /**
- * Aplica recorte percentual
- * @param {HTMLCanvasElement} canvas
- * @param {{ top, bottom, left, right }} crop  % de cada lado
- * @returns {HTMLCanvasElement}
+ * Convolução de um canal em ponto flutuante (sem divisor nem bias)
+ * @param {Float32Array} src
+ * @param {number} width
+ * @param {number} height
+ * @param {number[]} values  kernel size×size
+ * @param {number} size
+ * @param {string} [edge='extend']
+ * @returns {Float32Array}
  */
-function cropImage(canvas, crop) {
-  const { top = 0, bottom = 0, left = 0, right = 0 } = crop;
-  const cw = canvas.width;
-  const ch = canvas.height;
-  const sx = Math.round(cw * left   / 100);
-  const sy = Math.round(ch * top    / 100);
-  const sw = Math.round(cw * (1 - left / 100 - right  / 100));
-  const sh = Math.round(ch * (1 - top  / 100 - bottom / 100));
+function convolveChannel(src, width, height, values, size, edge = 'extend') {
+  const xMaps = convolutionMaps(width, size, edge);
+  const yMaps = convolutionMaps(height, size, edge);
+  const out = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let acc = 0;
+      for (let ky = 0; ky < size; ky++) {
+        const sy = yMaps[ky][y];
+        if (sy < 0) continue;
+        const row = sy * width;
+        for (let kx = 0; kx < size; kx++) {
+          const w = values[ky * size + kx];
+          if (w === 0) continue;
+          const sx = xMaps[kx][x];
+          if (sx >= 0) acc += src[row + sx] * w;
+        }
+      }
+      out[y * width + x] = acc;
+    }
+  }
+  return out;
+}
 
-  if (sw <= 0 || sh <= 0) return canvas;
+/**
+ * CONVOLUÇÃO: aplica um kernel N×N em R, G e B (alfa preservado)
+ * @param {Uint8ClampedArray} data
+ * @param {number} width
+ * @param {number} height
+ * @param {object} kernel  { size, values, divisor, bias }
+ * @param {string} [edge='extend']  chave de CONVOLUTION_EDGES
+ */
+function convolve(data, width, height, kernel, edge = 'extend') {
+  const k   = normalizeKernel(kernel);
+  const div = kernelDivisor(k);
+  const xMaps = convolutionMaps(width, k.size, edge);
+  const yMaps = convolutionMaps(height, k.size, edge);
+  const src = new Uint8ClampedArray(data);
 
-  const result = document.createElement('canvas');
-  result.width  = sw;
-  result.height = sh;
-  const ctx = result.getContext('2d');
-  ctx.drawImage(canvas, sx, sy, sw, sh, 0, 0, sw, sh);
-  return result;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0, g = 0, b = 0;
+      for (let ky = 0; ky < k.size; ky++) {
+        const sy = yMaps[ky][y];
+        if (sy < 0) continue;
+        for (let kx = 0; kx < k.size; kx++) {
+          const w  = k.values[ky * k.size + kx];
+          const sx = xMaps[kx][x];
+          if (w === 0 || sx < 0) continue;
+          const idx = (sy * width + sx) * 4;
+          r += src[idx]     * w;
+          g += src[idx + 1] * w;
+          b += src[idx + 2] * w;
+        }
+      }
+      const idx = (y * width + x) * 4;
+      data[idx]     = clamp(r / div + k.bias);
+      data[idx + 1] = clamp(g / div + k.bias);
+      data[idx + 2] = clamp(b / div + k.bias);
+    }
+  }
 }
 
-/* =============================================================
-   ROTAÇÃO E FLIP
-   ============================================================= */
-
 /**
- * Rotaciona um canvas em múltiplos de 90°
+ * Luminância (Rec. 709) de cada pixel
+ * @returns {Float32Array}
+ */
+function lumaChannel(data) {
+  const lum = new Float32Array(data.length / 4);
+  for (let p = 0, i = 0; p < lum.length; p++, i += 4) {
+    lum[p] = luma709(data[i], data[i + 1], data[i + 2]);
+  }
+  return lum;
+}
+
+/**
+ * Gradiente (Sobel ou Prewitt) de um canal
+ * @returns {{ gx: Float32Array, gy: Float32Array }}
+ */
+function gradientChannels(lum, width, height, operator = 'sobel') {
+  const op = EDGE_OPERATORS[operator]?.x ? EDGE_OPERATORS[operator] : EDGE_OPERATORS.sobel;
+  return {
+    gx: convolveChannel(lum, width, height, op.x, 3),
+    gy: convolveChannel(lum, width, height, op.y, 3)
+  };
+}
+
+/**
+ * CANNY: suavização gaussiana, gradiente Sobel, supressão de não
+ * máximos e histerese — bordas fracas (≥ low) só sobrevivem ligadas
+ * a uma forte (≥ high)
+ * @param {Float32Array} lum
+ * @param {number} width
+ * @param {number} height
+ * @param {{ sigma?: number, low?: number, high?: number }} [opts]
+ * @returns {Uint8Array}  255 nas bordas, 0 no resto
+ */
+function cannyEdges(lum, width, height, { sigma = 1.4, low = 40, high = 100 } = {}) {
+  const n = width * height;
+  const smooth = sigma > 0 ? gaussianBlurChannel(lum, width, height, sigma) : lum;
+  const { gx, gy } = gradientChannels(smooth, width, height, 'sobel');
+
+  const mag = new Float32Array(n);
+  for (let p = 0; p < n; p++) mag[p] = Math.hypot(gx[p], gy[p]);
+
+  // Supressão de não máximos na direção do gradiente (0°, 45°, 90°, 135°)
+  const at  = (x, y) => (x < 0 || y < 0 || x >= width || y >= height ? 0 : mag[y * width + x]);
+  const thin = new Float32Array(n);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = y * width + x;
+      const m = mag[p];
+      if (m < low) continue;
+      let angle = Math.atan2(gy[p], gx[p]) * 180 / Math.PI;
+      if (angle < 0) angle += 180;
+      let dx, dy;
+      if (angle < 22.5 || angle >= 157.5) { dx = 1; dy = 0; }
+      else if (angle < 67.5)              { dx = 1; dy = 1; }
+      else if (angle < 112.5)             { dx = 0; dy = 1; }
+      else                                { dx = -1; dy = 1; }
+      if (m >= at(x + dx, y + dy) && m >= at(x - dx, y - dy)) thin[p] = m;
+    }
+  }
+
+  // Histerese: propaga das bordas fortes pelas fracas vizinhas (8-conexas)
+  const out   = new Uint8Array(n);
+  const stack = new Int32Array(n);
+  let top = 0;
+  for (let p = 0; p < n; p++) {
+    if (thin[p] >= high) {
+      out[p] = 255;
+      stack[top++] = p;
+    }
+  }
+  while (top > 0) {
+    const p = stack[--top];
+    const x = p % width, y = (p - x) / width;
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const nx = x + dx, ny = y + dy;
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+        const q = ny * width + nx;
+        if (!out[q] && thin[q] >= low) {
+          out[q] = 255;
+          stack[top++] = q;
+        }
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * DETECÇÃO DE BORDAS: substitui a imagem pela intensidade das bordas
+ * @param {Uint8ClampedArray} data
+ * @param {number} width
+ * @param {number} height
+ * @param {object} p
+ * @param {string} p.operator  chave de EDGE_OPERATORS
+ * @param {number} p.low       limiar baixo (Canny)
+ * @param {number} p.high      limiar alto (Canny)
+ * @param {number} p.sigma     suavização antes do gradiente (Canny)
+ * @param {boolean} p.invert   traço escuro sobre fundo branco
+ * @param {number} p.mix       0–100 (%) sobre a imagem original
+ */
+function applyEdgeDetect(data, width, height, { operator = 'sobel', low, high, sigma, invert = false, mix = 100 }) {
+  if (mix <= 0) return;
+  const lum = lumaChannel(data);
+  let edges;
+
+  if (operator === 'canny') {
+    edges = cannyEdges(lum, width, height, { sigma, low, high: Math.max(low, high) });
+  } else if (operator === 'laplacian') {
+    edges = convolveChannel(lum, width, height, EDGE_OPERATORS.laplacian.kernel, 3).map(Math.abs);
+  } else {
+    const { gx, gy } = gradientChannels(lum, width, height, operator);
+    edges = gx.map((v, p) => Math.hypot(v, gy[p]));
+  }
+
+  const k = mix / 100;
+  for (let p = 0, i = 0; p < edges.length; p++, i += 4) {
+    const v = invert ? 255 - clamp(edges[p]) : clamp(edges[p]);
+    data[i]     += (v - data[i])     * k;
+    data[i + 1] += (v - data[i + 1]) * k;
+    data[i + 2] += (v - data[i + 2]) * k;
+  }
+}
+
+/**
+ * CONVOLUÇÃO com mistura sobre a original (nó "Convolução" da pilha)
+ */
+function applyConvolution(data, width, height, { kernel, edge = 'extend', mix = 100 }) {
+  if (mix <= 0) return;
+  const src = mix < 100 ? new Uint8ClampedArray(data) : null;
+  convolve(data, width, height, kernel, edge);
+  if (!src) return;
+  const k = mix / 100;
+  for (let i = 0; i < data.length; i += 4) {
+    data[i]     = src[i]     + (data[i]     - src[i])     * k;
+    data[i + 1] = src[i + 1] + (data[i + 1] - src[i + 1]) * k;
+    data[i + 2] = src[i + 2] + (data[i + 2] - src[i + 2]) * k;
+  }
+}
+
+/* =============================================================
+   REDUÇÃO DE RUÍDO
+   Luminância: filtro bilateral separável (suaviza sem atravessar
+   bordas). Cor: mediana 3×3 + bilateral guiado pela luminância, em
+   meia resolução — o ruído de cor é grosso e o olho tolera pouca
+   resolução de croma, então o custo cai a um quarto
+   ============================================================= */
+
+/* Raio máximo (px) e sigma de intensidade máximo (0–255) do bilateral */
+const DENOISE_LUMA_RADIUS  = 4;
+const DENOISE_LUMA_SIGMA   = 40;
+const DENOISE_COLOR_RADIUS = 6;
+const DENOISE_COLOR_SIGMA  = 30;
+
+/**
+ * Bilateral separável (horizontal e depois vertical). Os pesos vêm
+ * das diferenças no guia e valem também para os canais extras.
+ * @param {Float32Array} guide
+ * @param {Float32Array[]} extras  até dois canais filtrados com os pesos do guia
+ * @param {number} width
+ * @param {number} height
+ * @param {number} radius   em pixels
+ * @param {number} sigmaR   tolerância de intensidade no guia (0–255)
+ * @returns {Float32Array[]}  [guia, ...extras] filtrados
+ */
+function bilateralFilter(guide, extras, width, height, radius, sigmaR) {
+  const r = Math.max(1, Math.round(radius));
+  const sigmaS = r / 2 + 0.5;
+  const spatial = new Float32Array(r * 2 + 1);
+  for (let k = -r; k <= r; k++) spatial[k + r] = Math.exp(-(k * k) / (2 * sigmaS * sigmaS));
+  // Peso de intensidade tabelado por |diferença| inteira
+  const range = new Float32Array(256);
+  for (let d = 0; d < 256; d++) range[d] = Math.exp(-(d * d) / (2 * sigmaR * sigmaR));
+
+  // Laço especializado (sem arrays de canais no laço interno): é o trecho
+  // quente. Percorre a saída linha a linha também na passada vertical,
+  // para ler a memória em sequência.
+  const pass = (g, a, b, horizontal) => {
+    const size = g.length;
+    const og = new Float32Array(size);
+    const oa = a ? new Float32Array(size) : null;
+    const ob = b ? new Float32Array(size) : null;
+    const n    = horizontal ? width : height;
+    const step = horizontal ? 1 : width;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const p  = y * width + x;
+        const i  = horizontal ? x : y;
+        const gc = g[p];
+        const lo = i - r < 0 ? 0 : i - r;
+        const hi = i + r >= n ? n - 1 : i + r;
+        let wsum = 0, sg = 0, sa = 0, sb = 0;
+        for (let j = lo, q = p + (lo - i) * step; j <= hi; j++, q += step) {
+          let d = g[q] - gc;
+          if (d < 0) d = -d;
+          const w = spatial[j - i + r] * range[d > 255 ? 255 : d | 0];
+          wsum += w;
+          sg += g[q] * w;
+          if (a !== null) sa += a[q] * w;
+          if (b !== null) sb += b[q] * w;
+        }
+        og[p] = sg / wsum;
+        if (a !== null) oa[p] = sa / wsum;
+        if (b !== null) ob[p] = sb / wsum;
+      }
+    }
+    return [og, oa, ob];
+  };
+
+  const [a, b] = extras;
+  const h = pass(guide, a || null, b || null, true);
+  const v = pass(h[0], h[1], h[2], false);
+  return [v[0], ...extras.map((_, i) => v[i + 1])];
+}
+
+/**
+ * Mediana 3×3 (rede de ordenação de 19 trocas)
+ * @returns {Float32Array}
+ */
+function median3x3(src, width, height) {
+  const out = new Float32Array(src.length);
+  const v = new Float32Array(9);
+  const sort = (a, b) => {
+    if (v[a] > v[b]) { const t = v[a]; v[a] = v[b]; v[b] = t; }
+  };
+  for (let y = 0; y < height; y++) {
+    const r0 = (y > 0 ? y - 1 : 0) * width;
+    const r1 = y * width;
+    const r2 = (y < height - 1 ? y + 1 : y) * width;
+    for (let x = 0; x < width; x++) {
+      const x0 = x > 0 ? x - 1 : 0;
+      const x2 = x < width - 1 ? x + 1 : x;
+      v[0] = src[r0 + x0]; v[1] = src[r0 + x]; v[2] = src[r0 + x2];
+      v[3] = src[r1 + x0]; v[4] = src[r1 + x]; v[5] = src[r1 + x2];
+      v[6] = src[r2 + x0]; v[7] = src[r2 + x]; v[8] = src[r2 + x2];
+      sort(1, 2); sort(4, 5); sort(7, 8); sort(0, 1); sort(3, 4); sort(6, 7);
+      sort(1, 2); sort(4, 5); sort(7, 8); sort(0, 3); sort(5, 8); sort(4, 7);
+      sort(3, 6); sort(1, 4); sort(2, 5); sort(4, 7); sort(4, 2); sort(6, 4);
+      sort(4, 2);
+      out[r1 + x] = v[4];
+    }
+  }
+  return out;
+}
+
+/**
+ * Reduz um canal pela metade (média 2×2)
+ */
+function halveChannel(src, width, height) {
+  const hw = Math.ceil(width / 2), hh = Math.ceil(height / 2);
+  const out = new Float32Array(hw * hh);
+  for (let y = 0; y < hh; y++) {
+    const y0 = y * 2 * width, y1 = Math.min(height - 1, y * 2 + 1) * width;
+    for (let x = 0; x < hw; x++) {
+      const x0 = x * 2, x1 = Math.min(width - 1, x * 2 + 1);
+      out[y * hw + x] = (src[y0 + x0] + src[y0 + x1] + src[y1 + x0] + src[y1 + x1]) / 4;
+    }
+  }
+  return out;
+}
+
+/**
+ * Valor bilinear de um canal em meia resolução na posição (x, y) do canal cheio
+ */
+function sampleHalf(src, hw, hh, x, y) {
+  const fx = Math.min(hw - 1, Math.max(0, (x - 0.5) / 2));
+  const fy = Math.min(hh - 1, Math.max(0, (y - 0.5) / 2));
+  const x0 = fx | 0, y0 = fy | 0;
+  const x1 = Math.min(hw - 1, x0 + 1), y1 = Math.min(hh - 1, y0 + 1);
+  const tx = fx - x0, ty = fy - y0;
+  const a = src[y0 * hw + x0] + (src[y0 * hw + x1] - src[y0 * hw + x0]) * tx;
+  const b = src[y1 * hw + x0] + (src[y1 * hw + x1] - src[y1 * hw + x0]) * tx;
+  return a + (b - a) * ty;
+}
+
+/**
+ * REDUÇÃO DE RUÍDO
+ * @param {Uint8ClampedArray} data
+ * @param {number} width
+ * @param {number} height
+ * @param {object} p
+ * @param {number} p.luminance  0–100 — ruído de luminância (granulado)
+ * @param {number} p.color      0–100 — ruído de cor (manchas coloridas)
+ * @param {number} p.detail     0–100 — preserva textura fina (menos suavização nas diferenças pequenas)
+ */
+function applyNoiseReduction(data, width, height, { luminance = 0, color = 0, detail = 50 }) {
+  if (luminance <= 0 && color <= 0) return;
+  const n = width * height;
+  const keep = detail / 100;
+
+  // Luminância + diferenças de cor (Cb = B − Y, Cr = R − Y)
+  const Y = new Float32Array(n), Cb = new Float32Array(n), Cr = new Float32Array(n);
+  for (let p = 0, i = 0; p < n; p++, i += 4) {
+    const y = luma709(data[i], data[i + 1], data[i + 2]);
+    Y[p]  = y;
+    Cb[p] = data[i + 2] - y;
+    Cr[p] = data[i] - y;
+  }
+
+  let outY = Y;
+  if (luminance > 0) {
+    const t = luminance / 100;
+    // Detalhe alto estreita a tolerância (textura fica) e devolve parte do resíduo
+    const sigma = DENOISE_LUMA_SIGMA * t * (1 - 0.6 * keep) + 1;
+    const [smooth] = bilateralFilter(Y, [], width, height, 1 + (DENOISE_LUMA_RADIUS - 1) * t, sigma);
+    const residual = keep * 0.5;
+    outY = smooth.map((v, p) => v + (Y[p] - v) * residual);
+  }
+
+  let outCb = Cb, outCr = Cr;
+  if (color > 0) {
+    const t  = color / 100;
+    const hw = Math.ceil(width / 2), hh = Math.ceil(height / 2);
+    const [, cb, cr] = bilateralFilter(
+      halveChannel(Y, width, height),
+      [median3x3(halveChannel(Cb, width, height), hw, hh), median3x3(halveChannel(Cr, width, height), hw, hh)],
+      hw, hh,
+      1 + (DENOISE_COLOR_RADIUS - 1) * t,
+      DENOISE_COLOR_SIGMA * (1 - 0.5 * keep) + 1
+    );
+    outCb = new Float32Array(n);
+    outCr = new Float32Array(n);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const p = y * width + x;
+        outCb[p] = Cb[p] + (sampleHalf(cb, hw, hh, x, y) - Cb[p]) * t;
+        outCr[p] = Cr[p] + (sampleHalf(cr, hw, hh, x, y) - Cr[p]) * t;
+      }
+    }
+  }
+
+  for (let p = 0, i = 0; p < n; p++, i += 4) {
+    const r = outY[p] + outCr[p];
+    const b = outY[p] + outCb[p];
+    data[i]     = clamp(r);
+    data[i + 1] = clamp((outY[p] - 0.2126 * r - 0.0722 * b) / 0.7152);
+    data[i + 2] = clamp(b);
+  }
+}
+
+/* =============================================================
+   GRÃO DE FILME
+   Ruído de valor com semente: cada ponto da grade vem de um hash de
+   (x, y, semente), então o mesmo estado gera sempre o mesmo grão. A
+   grade é proporcional ao lado maior da imagem — preview, miniatura e
+   exportação em outra resolução mostram o mesmo grão em escala.
+   ============================================================= */
+
+const GRAIN_REFERENCE  = 1000; // lado maior (px) em que `size` 1 = grão de 1 px
+const GRAIN_STRENGTH   = 40;   // amplitude (0–255) com intensidade 100
+const GRAIN_LEGACY_SEED = 1;   // semente dos nós antigos (ruído por pixel sem semente)
+
+/**
+ * Semente nova para um nó de grão (única fonte de aleatoriedade do módulo)
+ * @returns {number}  inteiro de 1 a 999999
+ */
+function grainSeed() {
+  return 1 + Math.floor(Math.random() * 999999);
+}
+
+/**
+ * Hash inteiro de um ponto da grade → valor em [-1, 1]
+ */
+function grainHash(x, y, seed) {
+  let h = Math.imul(x, 0x27d4eb2d) ^ Math.imul(y, 0x165667b1) ^ Math.imul(seed, 0x9e3779b1);
+  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  h ^= h >>> 16;
+  return (h >>> 0) / 2147483647.5 - 1;
+}
+
+/**
+ * Campo de ruído de valor (interpolação suave entre pontos da grade),
+ * normalizado para ter a variância da grade em qualquer tamanho —
+ * interpolar atenua os valores entre os pontos
+ * @param {number} cell  espaçamento da grade em pixels (≥ 1)
+ * @returns {Float32Array}  um valor por pixel, aprox. em [-1, 1]
+ */
+function grainField(width, height, cell, seed) {
+  const gw = Math.ceil(width / cell) + 2;
+  const gh = Math.ceil(height / cell) + 2;
+  const grid = new Float32Array(gw * gh);
+  for (let gy = 0; gy < gh; gy++) {
+    for (let gx = 0; gx < gw; gx++) grid[gy * gw + gx] = grainHash(gx, gy, seed);
+  }
+
+  // Posição na grade e peso suavizado de cada coluna/linha, com a
+  // variância média que a interpolação preserva em cada eixo
+  const axis = (n) => {
+    const idx = new Int32Array(n), t = new Float32Array(n);
+    let keep = 0;
+    for (let k = 0; k < n; k++) {
+      const g = k / cell;
+      idx[k] = g | 0;
+      t[k]   = smoothstep(g - idx[k]);
+      keep  += (1 - t[k]) ** 2 + t[k] ** 2;
+    }
+    return { idx, t, keep: keep / n };
+  };
+  const cols = axis(width), rows = axis(height);
+  const norm = 1 / Math.sqrt(cols.keep * rows.keep);
+
+  const { idx: ix, t: tx } = cols;
+  const out = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const ty = rows.t[y];
+    const r0 = rows.idx[y] * gw, r1 = r0 + gw;
+    for (let x = 0; x < width; x++) {
+      const i = ix[x], t = tx[x];
+      const a = grid[r0 + i] + (grid[r0 + i + 1] - grid[r0 + i]) * t;
+      const b = grid[r1 + i] + (grid[r1 + i + 1] - grid[r1 + i]) * t;
+      out[y * width + x] = (a + (b - a) * ty) * norm;
+    }
+  }
+  return out;
+}
+
+/**
+ * Grão com aspereza: a rugosidade mistura uma oitava na metade do
+ * tamanho, mantendo a mesma energia
+ */
+function grainOctaves(width, height, cell, roughness, seed) {
+  const base = grainField(width, height, cell, seed);
+  if (roughness <= 0) return base;
+  const fine = grainField(width, height, Math.max(1, cell / 2), seed ^ 0x5bd1e995);
+  const norm = 1 / Math.sqrt(1 + roughness * roughness);
+  for (let p = 0; p < base.length; p++) base[p] = (base[p] + fine[p] * roughness) * norm;
+  return base;
+}
+
+/**
+ * GRÃO DE FILME determinístico
+ * @param {Uint8ClampedArray} data
+ * @param {number} width
+ * @param {number} height
+ * @param {object} p
+ * @param {number} p.amount     0–100
+ * @param {number} p.size       tamanho do grão (1 = 1 px num lado maior de GRAIN_REFERENCE)
+ * @param {number} p.roughness  0–100 — grão irregular (mistura de tamanhos)
+ * @param {number} p.color      0–100 — 0 monocromático, 100 grão independente por canal
+ * @param {number} p.midtones   0–100 — concentra o grão nos tons médios
+ * @param {number} p.seed
+ */
+function applyFilmGrain(data, width, height, { amount, size, roughness, color, midtones, seed }) {
+  if (!amount) return;
+
+  // Grão menor que 1 px: grade de 1 px e amplitude reduzida na mesma
+  // proporção (a média de vários grãos num pixel oscila menos)
+  const cellPx = size * Math.max(width, height) / GRAIN_REFERENCE;
+  const cell   = Math.max(1, cellPx);
+  const amp    = GRAIN_STRENGTH * (amount / 100) * Math.min(1, cellPx);
+  const rough  = roughness / 100;
+  const c      = color / 100;
+
+  // Grão de cor sem a oitava fina: o olho quase não resolve croma tão pequeno
+  const mono   = grainOctaves(width, height, cell, rough, seed);
+  const chroma = c > 0
+    ? [1, 2, 3].map(k => grainField(width, height, cell, seed + k * 0x3c6ef372))
+    : null;
+  const monoW   = (1 - c) / Math.hypot(1 - c, c);
+  const chromaW = c / Math.hypot(1 - c, c);
+  const mid     = midtones / 100;
+
+  for (let p = 0, i = 0; p < mono.length; p++, i += 4) {
+    const l = luma709(data[i], data[i + 1], data[i + 2]) / 255;
+    const a = amp * (1 - mid + mid * 4 * l * (1 - l));
+    if (!chroma) {
+      const n = mono[p] * a;
+      data[i]     = data[i] + n;
+      data[i + 1] = data[i + 1] + n;
+      data[i + 2] = data[i + 2] + n;
+    } else {
+      const m = mono[p] * monoW;
+      data[i]     = data[i]     + (m + chroma[0][p] * chromaW) * a;
+      data[i + 1] = data[i + 1] + (m + chroma[1][p] * chromaW) * a;
+      data[i + 2] = data[i + 2] + (m + chroma[2][p] * chromaW) * a;
+    }
+  }
+}
+
+/* =============================================================
+   PRETO E BRANCO E PONTILHADO
+   Limiar fixo, automático (Otsu) ou adaptativo (média local, para
+   documentos digitalizados), e pontilhado por difusão de erro ou
+   ordenado (Bayer) para 1 bit ou para uma paleta de N cores
+   ============================================================= */
+
+/* Difusão de erro: [dx, dy, peso] dos vizinhos ainda não visitados, ÷ divisor */
+const ERROR_DIFFUSION = {
+  floyd: {
+    divisor: 16,
+    taps: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]]
+  },
+  // Atkinson espalha só 6/8 do erro: contraste maior, visual de Mac antigo
+  atkinson: {
+    divisor: 8,
+    taps: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]]
+  },
+  stucki: {
+    divisor: 42,
+    taps: [
+      [1, 0, 8], [2, 0, 4],
+      [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2],
+      [-2, 2, 1], [-1, 2, 2], [0, 2, 4], [1, 2, 2], [2, 2, 1]
+    ]
+  }
+};
+
+const BW_METHODS = {
+  fixed:    'Limiar fixo',
+  otsu:     'Limiar automático (Otsu)',
+  adaptive: 'Limiar adaptativo (documentos)',
+  nearest:  'Paleta sem pontilhado',
+  floyd:    'Floyd–Steinberg',
+  atkinson: 'Atkinson',
+  stucki:   'Stucki',
+  bayer:    'Ordenado (Bayer 8×8)'
+};
+
+/* Métodos de limiar geram sempre 1 bit; os demais usam a paleta */
+const BW_THRESHOLD_METHODS = ['fixed', 'otsu', 'adaptive'];
+
+const DITHER_PALETTES = {
+  bw:      { label: 'Preto e branco (1 bit)', colors: ['#000000', '#ffffff'] },
+  gray:    { label: 'Tons de cinza (N)' },
+  image:   { label: 'Cores da imagem (N)' },
+  gameboy: { label: 'Game Boy', colors: ['#0f380f', '#306230', '#8bac0f', '#9bbc0f'] },
+  cga:     { label: 'CGA (ciano/magenta)', colors: ['#000000', '#55ffff', '#ff55ff', '#ffffff'] }
+};
+
+/* Matriz de Bayer 8×8 (0–63), construída recursivamente a partir da 2×2 */
+const BAYER_8 = (() => {
+  let m = [[0, 2], [3, 1]];
+  while (m.length < 8) {
+    const n = m.length;
+    m = Array.from({ length: n * 2 }, (_, y) => Array.from({ length: n * 2 }, (_, x) =>
+      4 * m[y % n][x % n] + [[0, 2], [3, 1]][(y / n) | 0][(x / n) | 0]));
+  }
+  return m.flat();
+})();
+
+/**
+ * Limiar de Otsu: maximiza a variância entre as duas classes
+ * @param {Uint32Array|number[]} hist  256 posições
+ * @returns {number}  0–255 (pixels ≥ limiar viram branco)
+ */
+function otsuThreshold(hist) {
+  let total = 0, sum = 0;
+  for (let v = 0; v < 256; v++) { total += hist[v]; sum += v * hist[v]; }
+  if (!total) return 128;
+  let wB = 0, sumB = 0, best = -1, threshold = 128;
+  for (let v = 0; v < 256; v++) {
+    wB += hist[v];
+    if (!wB) continue;
+    const wF = total - wB;
+    if (!wF) break;
+    sumB += v * hist[v];
+    const mB = sumB / wB, mF = (sum - sumB) / wF;
+    const between = wB * wF * (mB - mF) * (mB - mF);
+    if (between > best) { best = between; threshold = v + 1; }
+  }
+  return threshold;
+}
+
+/**
+ * Limiar adaptativo: branco se a luminância passa da média da janela
+ * (2·radius+1)² menos `offset` — imagem integral, custo fixo por pixel
+ * @param {Float32Array} lum
+ * @returns {Uint8Array}  1 = branco
+ */
+function adaptiveThreshold(lum, width, height, radius, offset) {
+  const W = width + 1;
+  const integral = new Float64Array(W * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let row = 0;
+    for (let x = 0; x < width; x++) {
+      row += lum[y * width + x];
+      integral[(y + 1) * W + x + 1] = integral[y * W + x + 1] + row;
+    }
+  }
+  const out = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - radius), y1 = Math.min(height, y + radius + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - radius), x1 = Math.min(width, x + radius + 1);
+      const sum = integral[y1 * W + x1] - integral[y0 * W + x1] - integral[y1 * W + x0] + integral[y0 * W + x0];
+      const mean = sum / ((x1 - x0) * (y1 - y0));
+      out[y * width + x] = lum[y * width + x] >= mean - offset ? 1 : 0;
+    }
+  }
+  return out;
+}
+
+/**
+ * Paleta de N cores da imagem por corte mediano (amostra de até ~16 mil pixels)
+ * @returns {number[][]}  [[r, g, b], …]
+ */
+function medianCutPalette(data, n) {
+  const step   = Math.max(1, Math.floor(data.length / 4 / 16384));
+  const pixels = [];
+  for (let i = 0; i < data.length; i += step * 4) {
+    if (data[i + 3] > 0) pixels.push([data[i], data[i + 1], data[i + 2]]);
+  }
+  if (!pixels.length) return [[0, 0, 0]];
+
+  const range = (box) => [0, 1, 2].map(c => {
+    let lo = 255, hi = 0;
+    box.forEach(p => { lo = Math.min(lo, p[c]); hi = Math.max(hi, p[c]); });
+    return hi - lo;
+  });
+
+  const boxes = [pixels];
+  while (boxes.length < n) {
+    // Dividir a caixa de maior extensão num canal, na mediana
+    let pick = -1, channel = 0, widest = 0;
+    boxes.forEach((box, k) => {
+      if (box.length < 2) return;
+      range(box).forEach((r, c) => { if (r > widest) { widest = r; pick = k; channel = c; } });
+    });
+    if (pick === -1) break;
+    const box = boxes[pick].sort((a, b) => a[channel] - b[channel]);
+    const mid = box.length >> 1;
+    boxes.splice(pick, 1, box.slice(0, mid), box.slice(mid));
+  }
+
+  return boxes.map(box => [0, 1, 2].map(c => Math.round(box.reduce((s, p) => s + p[c], 0) / box.length)));
+}
+
+/**
+ * Cores da paleta escolhida
+ * @returns {number[][]}
+ */
+function ditherPalette(data, palette, colors) {
+  const n = clamp(Math.round(colors), 2, 16);
+  if (palette === 'gray') {
+    return Array.from({ length: n }, (_, k) => Array(3).fill(Math.round((k * 255) / (n - 1))));
+  }
+  if (palette === 'image') return medianCutPalette(data, n);
+  return (DITHER_PALETTES[palette] || DITHER_PALETTES.bw).colors.map(hexToRgb);
+}
+
+/**
+ * Busca da cor mais próxima com cache em grade de 5 bits por canal
+ * @returns {(r: number, g: number, b: number) => number}  índice na paleta
+ */
+function nearestColorLookup(palette) {
+  const cache = new Int16Array(32768).fill(-1);
+  return (r, g, b) => {
+    const key = ((clamp(r) >> 3) << 10) | ((clamp(g) >> 3) << 5) | (clamp(b) >> 3);
+    if (cache[key] !== -1) return cache[key];
+    const cr = ((key >> 10) << 3) + 4, cg = (((key >> 5) & 31) << 3) + 4, cb = ((key & 31) << 3) + 4;
+    let best = 0, bestDist = Infinity;
+    palette.forEach(([pr, pg, pb], k) => {
+      const dist = (pr - cr) ** 2 + (pg - cg) ** 2 + (pb - cb) ** 2;
+      if (dist < bestDist) { bestDist = dist; best = k; }
+    });
+    cache[key] = best;
+    return best;
+  };
+}
+
+/**
+ * Pontilhado (ou só quantização) para a paleta
+ * @param {Float32Array} rgb  3 valores por pixel, modificado (recebe o erro)
+ * @param {string} method  'nearest' | chave de ERROR_DIFFUSION | 'bayer'
+ */
+function ditherToPalette(data, rgb, width, height, method, palette) {
+  const nearest   = nearestColorLookup(palette);
+  const diffusion = ERROR_DIFFUSION[method];
+  // Amplitude do Bayer: distância média de cada cor à vizinha mais próxima, por canal
+  const spread    = palette.length < 2 ? 0 : palette.reduce((sum, a) => sum + Math.min(...palette
+    .filter(b => b !== a)
+    .map(b => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]))), 0) / palette.length / Math.sqrt(3);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = y * width + x, j = p * 3;
+      let r = rgb[j], g = rgb[j + 1], b = rgb[j + 2];
+      if (method === 'bayer') {
+        const t = (BAYER_8[(y & 7) * 8 + (x & 7)] + 0.5) / 64 - 0.5;
+        r += t * spread; g += t * spread; b += t * spread;
+      }
+      const c = palette[nearest(r, g, b)];
+      const i = p * 4;
+      data[i] = c[0]; data[i + 1] = c[1]; data[i + 2] = c[2];
+
+      if (!diffusion) continue;
+      const er = rgb[j] - c[0], eg = rgb[j + 1] - c[1], eb = rgb[j + 2] - c[2];
+      for (const [dx, dy, w] of diffusion.taps) {
+        const nx = x + dx, ny = y + dy;
+        if (nx < 0 || nx >= width || ny >= height) continue;
+        const k = (ny * width + nx) * 3, f = w / diffusion.divisor;
+        rgb[k] += er * f; rgb[k + 1] += eg * f; rgb[k + 2] += eb * f;
+      }
+    }
+  }
+}
+
+/**
+ * PRETO E BRANCO: limiar (fixo, Otsu ou adaptativo) ou pontilhado
+ * @param {Uint8ClampedArray} data
+ * @param {number} width
+ * @param {number} height
+ * @param {object} p  ver ADJUSTMENTS.blackwhite
+ * @param {string} p.method     chave de BW_METHODS
+ * @param {number} p.threshold  0–255 — limiar fixo; no pontilhado, 128 é neutro
+ *                              (valores maiores escurecem)
+ * @param {number} p.radius     janela do limiar adaptativo (px)
+ * @param {number} p.offset     quanto abaixo da média local ainda é branco
+ * @param {string} p.palette    chave de DITHER_PALETTES
+ * @param {number} p.colors     2–16 — cores das paletas "cinza" e "da imagem"
+ */
+function applyBlackWhite(data, width, height, { method, threshold, radius, offset, palette, colors }) {
+  const n   = width * height;
+  const lum = new Float32Array(n);
+  for (let p = 0, i = 0; p < n; p++, i += 4) lum[p] = luma709(data[i], data[i + 1], data[i + 2]);
+
+  if (BW_THRESHOLD_METHODS.includes(method)) {
+    let white;
+    if (method === 'adaptive') {
+      white = adaptiveThreshold(lum, width, height, Math.max(1, Math.round(radius)), offset);
+    } else {
+      let t = threshold;
+      if (method === 'otsu') {
+        const hist = new Uint32Array(256);
+        for (let p = 0; p < n; p++) hist[Math.round(lum[p])]++;
+        t = otsuThreshold(hist);
+      }
+      white = new Uint8Array(n);
+      for (let p = 0; p < n; p++) white[p] = lum[p] >= t ? 1 : 0;
+    }
+    for (let p = 0, i = 0; p < n; p++, i += 4) data[i] = data[i + 1] = data[i + 2] = white[p] * 255;
+    return;
+  }
+
+  // Pontilhado: paletas neutras trabalham na luminância, as coloridas em RGB
+  const colorsOf = ditherPalette(data, palette, colors);
+  const neutral  = colorsOf.every(([r, g, b]) => r === g && g === b);
+  const bias     = 128 - threshold;
+  const rgb      = new Float32Array(n * 3);
+  for (let p = 0, i = 0; p < n; p++, i += 4) {
+    const j = p * 3;
+    if (neutral) {
+      rgb[j] = rgb[j + 1] = rgb[j + 2] = lum[p] + bias;
+    } else {
+      rgb[j] = data[i] + bias; rgb[j + 1] = data[i + 1] + bias; rgb[j + 2] = data[i + 2] + bias;
+    }
+  }
+  ditherToPalette(data, rgb, width, height, method, colorsOf);
+}
+
+/* =============================================================
+   CURVAS E HISTOGRAMA
+   Curvas são listas de pontos [entrada, saída] (0–255) ordenadas por
+   entrada, interpoladas por spline cúbica monotônica (sem overshoot)
+   ============================================================= */
+
+const CURVE_CHANNELS = {
+  rgb: 'RGB',
+  r:   'Vermelho',
+  g:   'Verde',
+  b:   'Azul'
+};
+
+const CURVE_LINEAR = [[0, 0], [255, 255]];
+
+const CURVE_PRESETS = {
+  linear: { name: 'Linear',           points: CURVE_LINEAR },
+  medium: { name: 'Contraste médio',  points: [[0, 0], [64, 54], [128, 128], [192, 202], [255, 255]] },
+  strong: { name: 'Contraste forte',  points: [[0, 0], [64, 40], [128, 128], [192, 216], [255, 255]] },
+  fade:   { name: 'Filme desbotado',  points: [[0, 36], [64, 76], [128, 132], [192, 192], [255, 232]] }
+};
+
+/**
+ * Curvas de todos os canais, completando os ausentes com a linear
+ * @param {object} [curves]  { rgb, r, g, b }
+ */
+function normalizeCurves(curves = {}) {
+  const out = {};
+  Object.keys(CURVE_CHANNELS).forEach(ch => {
+    const pts = Array.isArray(curves[ch]) && curves[ch].length >= 2 ? curves[ch] : CURVE_LINEAR;
+    out[ch] = pts.map(([x, y]) => [clamp(Math.round(x)), clamp(Math.round(y))]).sort((a, b) => a[0] - b[0]);
+  });
+  return out;
+}
+
+function isLinearCurve(points) {
+  return points.every(([x, y]) => x === y) && points[0][0] === 0 && points[points.length - 1][0] === 255;
+}
+
+/**
+ * Tabela de 256 valores da curva (Fritsch–Carlson); fora dos pontos
+ * extremos a saída fica constante
+ * @param {number[][]} points
+ * @returns {Uint8ClampedArray}
+ */
+function curveLUT(points) {
+  const n   = points.length;
+  const xs  = points.map(p => p[0]);
+  const ys  = points.map(p => p[1]);
+  const lut = new Uint8ClampedArray(256);
+
+  // Inclinações dos segmentos e tangentes nos pontos
+  const delta = [];
+  for (let i = 0; i < n - 1; i++) {
+    const dx = xs[i + 1] - xs[i];
+    delta.push(dx === 0 ? 0 : (ys[i + 1] - ys[i]) / dx);
+  }
+  const m = new Array(n);
+  m[0]     = delta[0];
+  m[n - 1] = delta[n - 2];
+  for (let i = 1; i < n - 1; i++) {
+    m[i] = delta[i - 1] * delta[i] <= 0 ? 0 : (delta[i - 1] + delta[i]) / 2;
+  }
+  for (let i = 0; i < n - 1; i++) {
+    if (delta[i] === 0) { m[i] = 0; m[i + 1] = 0; continue; }
+    const a = m[i] / delta[i];
+    const b = m[i + 1] / delta[i];
+    const s = a * a + b * b;
+    if (s > 9) {
+      const t = 3 / Math.sqrt(s);
+      m[i]     = t * a * delta[i];
+      m[i + 1] = t * b * delta[i];
+    }
+  }
+
+  let seg = 0;
+  for (let x = 0; x < 256; x++) {
+    if (x <= xs[0])     { lut[x] = ys[0];     continue; }
+    if (x >= xs[n - 1]) { lut[x] = ys[n - 1]; continue; }
+    while (x > xs[seg + 1]) seg++;
+    const h  = xs[seg + 1] - xs[seg];
+    const t  = (x - xs[seg]) / h;
+    const t2 = t * t;
+    const t3 = t2 * t;
+    lut[x] = Math.round(
+      (2 * t3 - 3 * t2 + 1) * ys[seg] +
+      (t3 - 2 * t2 + t) * h * m[seg] +
+      (-2 * t3 + 3 * t2) * ys[seg + 1] +
+      (t3 - t2) * h * m[seg + 1]
+    );
+  }
+  return lut;
+}
+
+/**
+ * CURVAS: canal individual primeiro, depois a curva RGB composta
+ * @param {Uint8ClampedArray} data
+ * @param {object} curves  { rgb, r, g, b }
+ */
+function applyCurves(data, curves) {
+  const c = normalizeCurves(curves);
+  if (Object.values(c).every(isLinearCurve)) return;
+  const master = curveLUT(c.rgb);
+  const luts   = ['r', 'g', 'b'].map(ch => {
+    const own = curveLUT(c[ch]);
+    return own.map(v => master[v]);
+  });
+  for (let i = 0; i < data.length; i += 4) {
+    data[i]     = luts[0][data[i]];
+    data[i + 1] = luts[1][data[i + 1]];
+    data[i + 2] = luts[2][data[i + 2]];
+  }
+}
+
+/**
+ * Histograma por canal e de luminância (Rec. 709), com a contagem de
+ * pixels cortados (algum canal em 0 ou em 255)
+ * @param {Uint8ClampedArray} data
+ * @param {number} [step]  amostra 1 a cada `step` pixels (mais rápido)
+ * @returns {{ r: Uint32Array, g: Uint32Array, b: Uint32Array, l: Uint32Array,
+ *             total: number, shadows: number, highlights: number }}
+ */
+function computeHistogram(data, step = 1) {
+  const r = new Uint32Array(256);
+  const g = new Uint32Array(256);
+  const b = new Uint32Array(256);
+  const l = new Uint32Array(256);
+  let total = 0, shadows = 0, highlights = 0;
+  const stride = Math.max(1, Math.floor(step)) * 4;
+  for (let i = 0; i < data.length; i += stride) {
+    if (data[i + 3] === 0) continue;
+    const rv = data[i], gv = data[i + 1], bv = data[i + 2];
+    r[rv]++;
+    g[gv]++;
+    b[bv]++;
+    l[Math.round(0.2126 * rv + 0.7152 * gv + 0.0722 * bv)]++;
+    if (rv === 0 || gv === 0 || bv === 0) shadows++;
+    if (rv === 255 || gv === 255 || bv === 255) highlights++;
+    total++;
+  }
+  return { r, g, b, l, total, shadows, highlights };
+}
+
+/* Cores do aviso de corte: altas luzes em vermelho, sombras em azul */
+const CLIPPING_COLORS = {
+  highlights: [255, 0, 0],
+  shadows:    [0, 96, 255]
+};
+
+/**
+ * Máscara dos pixels cortados, para desenhar sobre a imagem — altas
+ * luzes têm prioridade quando um pixel corta nos dois extremos
+ * @param {ImageData} imageData
+ * @returns {ImageData}  transparente fora das áreas cortadas
+ */
+function clippingMask(imageData) {
+  const src = imageData.data;
+  const out = new ImageData(imageData.width, imageData.height);
+  const d   = out.data;
+  const hi  = CLIPPING_COLORS.highlights;
+  const lo  = CLIPPING_COLORS.shadows;
+  for (let i = 0; i < src.length; i += 4) {
+    if (src[i + 3] === 0) continue;
+    const r = src[i], g = src[i + 1], b = src[i + 2];
+    const c = (r === 255 || g === 255 || b === 255) ? hi
+            : (r === 0 || g === 0 || b === 0) ? lo
+            : null;
+    if (!c) continue;
+    d[i] = c[0]; d[i + 1] = c[1]; d[i + 2] = c[2]; d[i + 3] = 255;
+  }
+  return out;
+}
+
+/* =============================================================
+   NÍVEIS (Levels)
+   Por canal: entrada preto/branco, gama dos tons médios e saída
+   preto/branco. Como nas curvas, o canal vem antes do RGB composto.
+   ============================================================= */
+
+const LEVELS_FIELDS = {
+  inBlack:  { label: 'Entrada · preto',  min: 0,   max: 253,  step: 1,    default: 0 },
+  gamma:    { label: 'Gama (tons médios)', min: 0.1, max: 9.99, step: 0.01, default: 1 },
+  inWhite:  { label: 'Entrada · branco', min: 2,   max: 255,  step: 1,    default: 255 },
+  outBlack: { label: 'Saída · preto',    min: 0,   max: 255,  step: 1,    default: 0 },
+  outWhite: { label: 'Saída · branco',   min: 0,   max: 255,  step: 1,    default: 255 }
+};
+
+function defaultLevelsChannel() {
+  const out = {};
+  Object.entries(LEVELS_FIELDS).forEach(([k, spec]) => { out[k] = spec.default; });
+  return out;
+}
+
+/**
+ * Níveis de todos os canais, completando valores ausentes com o padrão
+ * e mantendo entrada preto < entrada branco
+ * @param {object} [levels]  { rgb, r, g, b }
+ */
+function normalizeLevels(levels = {}) {
+  const out = {};
+  Object.keys(CURVE_CHANNELS).forEach(ch => {
+    const l = { ...defaultLevelsChannel(), ...(levels[ch] || {}) };
+    Object.entries(LEVELS_FIELDS).forEach(([k, spec]) => {
+      l[k] = clamp(Number.isFinite(+l[k]) ? +l[k] : spec.default, spec.min, spec.max);
+      if (k !== 'gamma') l[k] = Math.round(l[k]);
+    });
+    if (l.inWhite - l.inBlack < 2) l.inWhite = Math.min(255, l.inBlack + 2);
+    out[ch] = l;
+  });
+  return out;
+}
+
+function isIdentityLevels(l) {
+  return Object.entries(LEVELS_FIELDS).every(([k, spec]) => l[k] === spec.default);
+}
+
+/**
+ * Tabela de 256 valores de um canal de níveis
+ * @returns {Uint8ClampedArray}
+ */
+function levelsLUT(l) {
+  const lut = new Uint8ClampedArray(256);
+  const range = l.inWhite - l.inBlack;
+  for (let v = 0; v < 256; v++) {
+    const x = clamp((v - l.inBlack) / range, 0, 1);
+    lut[v] = Math.round(l.outBlack + (l.outWhite - l.outBlack) * Math.pow(x, 1 / l.gamma));
+  }
+  return lut;
+}
+
+/**
+ * NÍVEIS
+ * @param {Uint8ClampedArray} data
+ * @param {object} levels  { rgb, r, g, b }
+ */
+function applyLevels(data, levels) {
+  const l = normalizeLevels(levels);
+  if (Object.values(l).every(isIdentityLevels)) return;
+  const master = levelsLUT(l.rgb);
+  const luts   = ['r', 'g', 'b'].map(ch => levelsLUT(l[ch]).map(v => master[v]));
+  for (let i = 0; i < data.length; i += 4) {
+    data[i]     = luts[0][data[i]];
+    data[i + 1] = luts[1][data[i + 1]];
+    data[i + 2] = luts[2][data[i + 2]];
+  }
+}
+
+/**
+ * Conta-gotas dos níveis: a cor amostrada (entrada do ajuste) vira
+ * preto, branco ou cinza neutro — ajustando cada canal separadamente
+ * @param {object} levels
+ * @param {'black'|'gray'|'white'} point
+ * @param {number[]} rgb
+ * @returns {object}  novos níveis
+ */
+function levelsFromSample(levels, point, rgb) {
+  const l = normalizeLevels(levels);
+  const channels = ['r', 'g', 'b'];
+
+  if (point === 'black') {
+    channels.forEach((ch, i) => { l[ch].inBlack = Math.min(Math.round(rgb[i]), l[ch].inWhite - 2); });
+  } else if (point === 'white') {
+    channels.forEach((ch, i) => { l[ch].inWhite = Math.max(Math.round(rgb[i]), l[ch].inBlack + 2); });
+  } else {
+    // Gama de cada canal leva o valor amostrado à média dos três
+    const xs = channels.map((ch, i) => clamp((rgb[i] - l[ch].inBlack) / (l[ch].inWhite - l[ch].inBlack), 0, 1));
+    const target = xs.reduce((a, b) => a + b, 0) / 3;
+    if (target <= 0 || target >= 1) return l;
+    channels.forEach((ch, i) => {
+      if (xs[i] <= 0 || xs[i] >= 1) return;
+      const spec = LEVELS_FIELDS.gamma;
+      l[ch].gamma = +clamp(Math.log(xs[i]) / Math.log(target), spec.min, spec.max).toFixed(2);
+    });
+  }
+  return normalizeLevels(l);
+}
+
+/* =============================================================
+   AUTO AJUSTE
+   Analisa o histograma da imagem que entra na pilha e propõe pontos
+   preto/branco, balanço de branco, exposição, contraste e saturação.
+   Cada etapa é medida sobre o resultado das anteriores, na ordem em
+   que os nós são aplicados (ver DEFAULT_ORDER).
+   ============================================================= */
+
+/* Tipos que o auto ajuste define (nó principal de cada um) */
+const AUTO_ENHANCE_TYPES = ['levels', 'exposure', 'contrast', 'temperature', 'saturation'];
+
+const AUTO_CLIP            = 0.005; // fração cortada em cada extremo ao esticar os níveis
+const AUTO_MAX_BLACK       = 64;    // pontos preto/branco nunca passam destes limites
+const AUTO_MIN_WHITE       = 192;
+const AUTO_MIDTONE         = 118;   // mediana de luminância desejada (cinza médio)
+const AUTO_HEADROOM        = 0.01;  // fração de altas luzes que a exposição pode cortar
+const AUTO_EXPOSURE_MAX    = 50;
+const AUTO_GAMMA_RANGE     = [0.7, 1.8];
+const AUTO_CONTRAST_TARGET = 56;    // desvio-padrão de luminância desejado
+const AUTO_CONTRAST_RANGE  = [-25, 35];
+const AUTO_GRAY_CHROMA     = 24;    // max−min abaixo disto conta como quase neutro
+const AUTO_WB_STRENGTH     = 0.75;  // quanto da correção do mundo cinza aplicar
+const AUTO_SATURATION_TARGET = 42;  // croma médio desejado nos tons médios
+const AUTO_SATURATION_RANGE  = [-20, 35];
+
+/**
+ * Valor abaixo do qual fica a fração `fraction` da contagem
+ * @param {Uint32Array} hist
+ * @param {number} total
+ * @param {number} fraction  0–1
+ */
+function histogramPercentile(hist, total, fraction) {
+  const target = total * fraction;
+  let acc = 0;
+  for (let v = 0; v < 256; v++) {
+    acc += hist[v];
+    if (acc > target) return v;
+  }
+  return 255;
+}
+
+/**
+ * Parâmetros do auto ajuste para uma imagem
+ * @param {ImageData} imageData  entrada da pilha (uma miniatura basta)
+ * @returns {object}  params do nó principal de cada AUTO_ENHANCE_TYPES:
+ *          { levels: { levels }, exposure: { amount }, contrast: { amount },
+ *            temperature: { kelvin, tint }, saturation: { amount } }
+ */
+function autoEnhance(imageData) {
+  const d = new Uint8ClampedArray(imageData.data);
+
+  // 1. Pontos preto/branco: extremos dos três canais, sem cortar cor
+  const lows = new Uint32Array(256), highs = new Uint32Array(256);
+  let total = 0;
+  for (let i = 0; i < d.length; i += 4) {
+    if (d[i + 3] === 0) continue;
+    lows[Math.min(d[i], d[i + 1], d[i + 2])]++;
+    highs[Math.max(d[i], d[i + 1], d[i + 2])]++;
+    total++;
+  }
+  const levels = normalizeLevels();
+  if (total === 0) return autoEnhanceResult(levels, 0, 0, KELVIN_NEUTRAL, 0, 0);
+  levels.rgb.inBlack = Math.min(AUTO_MAX_BLACK, histogramPercentile(lows, total, AUTO_CLIP));
+  levels.rgb.inWhite = Math.max(AUTO_MIN_WHITE, histogramPercentile(highs, total, 1 - AUTO_CLIP));
+  applyLevels(d, levels);
+
+  // 2. Balanço de branco pelo mundo cinza, preferindo os pixels quase
+  //    neutros dos tons médios (cenas muito coloridas não viram cinza)
+  const gray = [0, 0, 0], mid = [0, 0, 0];
+  let grayCount = 0, midCount = 0;
+  for (let i = 0; i < d.length; i += 4) {
+    if (d[i + 3] === 0) continue;
+    const r = d[i], g = d[i + 1], b = d[i + 2];
+    const y = luma709(r, g, b);
+    if (y < 32 || y > 224) continue;
+    mid[0] += r; mid[1] += g; mid[2] += b; midCount++;
+    if (Math.max(r, g, b) - Math.min(r, g, b) < AUTO_GRAY_CHROMA) {
+      gray[0] += r; gray[1] += g; gray[2] += b; grayCount++;
+    }
+  }
+  let kelvin = KELVIN_NEUTRAL, tint = 0;
+  const ref = grayCount >= total * 0.05 ? gray.map(v => v / grayCount)
+            : midCount > 0             ? mid.map(v => v / midCount)
+            : null;
+  if (ref) {
+    const wb = whiteBalanceFromSample(ref);
+    // Interpolar em mired (1/K), que é perceptualmente uniforme
+    const mired = 1e6 / KELVIN_NEUTRAL + AUTO_WB_STRENGTH * (1e6 / wb.kelvin - 1e6 / KELVIN_NEUTRAL);
+    kelvin = Math.round(clamp(1e6 / mired, KELVIN_MIN, KELVIN_MAX) / 50) * 50;
+    tint   = Math.round(wb.tint * AUTO_WB_STRENGTH);
+    applyWhiteBalance(d, kelvin, tint);
+  }
+
+  // 3. Exposição leva a mediana ao cinza médio, sem estourar as altas
+  //    luzes; o que faltar vai para o gama dos níveis
+  let hist = computeHistogram(d);
+  const median = Math.max(1, histogramPercentile(hist.l, hist.total, 0.5));
+  const bright = Math.max(1, histogramPercentile(hist.l, hist.total, 1 - AUTO_HEADROOM));
+  let exposure = 50 * Math.log2(AUTO_MIDTONE / median);
+  if (exposure > 0) exposure = Math.min(exposure, Math.max(0, 50 * Math.log2(255 / bright)));
+  exposure = Math.round(clamp(exposure, -AUTO_EXPOSURE_MAX, AUTO_EXPOSURE_MAX));
+  const scale = Math.pow(2, exposure / 50);
+  const x = median / 255, y = AUTO_MIDTONE / 255 / scale;
+  if (x > 0 && x < 1 && y > 0 && y < 1) {
+    levels.rgb.gamma = +clamp(Math.log(x) / Math.log(y), ...AUTO_GAMMA_RANGE).toFixed(2);
+  }
+  // Simular na ordem do pipeline: níveis (com gama), exposição
+  d.set(imageData.data);
+  applyLevels(d, levels);
+  applyExposure(d, exposure);
+
+  // 4. Contraste pelo desvio-padrão da luminância (inverso do fator de applyContrast)
+  let sum = 0, sum2 = 0, n = 0;
+  for (let i = 0; i < d.length; i += 4) {
+    if (d[i + 3] === 0) continue;
+    const v = luma709(d[i], d[i + 1], d[i + 2]);
+    sum += v; sum2 += v * v; n++;
+  }
+  const sigma = Math.sqrt(Math.max(0, sum2 / n - (sum / n) ** 2));
+  const f = sigma > 1 ? AUTO_CONTRAST_TARGET / sigma : 1;
+  const contrast = Math.round(clamp((259 * 255 * (f - 1)) / (259 + 255 * f), ...AUTO_CONTRAST_RANGE));
+  applyContrast(d, contrast);
+  applyWhiteBalance(d, kelvin, tint);
+
+  // 5. Saturação pelo croma médio dos tons médios
+  let chroma = 0, count = 0;
+  for (let i = 0; i < d.length; i += 4) {
+    if (d[i + 3] === 0) continue;
+    const r = d[i], g = d[i + 1], b = d[i + 2];
+    const v = luma709(r, g, b);
+    if (v < 32 || v > 224) continue;
+    chroma += Math.max(r, g, b) - Math.min(r, g, b);
+    count++;
+  }
+  // Imagens quase monocromáticas ficam como estão
+  const meanChroma = count ? chroma / count : 0;
+  const saturation = meanChroma < 4 ? 0
+    : Math.round(clamp((AUTO_SATURATION_TARGET / meanChroma - 1) * 100, ...AUTO_SATURATION_RANGE));
+
+  return autoEnhanceResult(normalizeLevels(levels), exposure, contrast, kelvin, tint, saturation);
+}
+
+function autoEnhanceResult(levels, exposure, contrast, kelvin, tint, saturation) {
+  return {
+    levels:      { levels },
+    exposure:    { amount: exposure },
+    contrast:    { amount: contrast },
+    temperature: { kelvin, tint },
+    saturation:  { amount: saturation }
+  };
+}
+
+/* =============================================================
+   MISTURADOR HSL (por faixa de cor)
+   Oito faixas de matiz com deslocamento de matiz, saturação e
+   luminância. Entre dois centros vizinhos o peso cai em cosseno,
+   então cada pixel mistura as duas faixas mais próximas.
+   ============================================================= */
+
+const HSL_BANDS = {
+  red:     { label: 'Vermelho', hue: 0,   color: '#ff3b30' },
+  orange:  { label: 'Laranja',  hue: 30,  color: '#ff9500' },
+  yellow:  { label: 'Amarelo',  hue: 60,  color: '#ffcc00' },
+  green:   { label: 'Verde',    hue: 120, color: '#34c759' },
+  aqua:    { label: 'Água',     hue: 180, color: '#32d2dc' },
+  blue:    { label: 'Azul',     hue: 225, color: '#007aff' },
+  purple:  { label: 'Roxo',     hue: 270, color: '#8e44ff' },
+  magenta: { label: 'Magenta',  hue: 315, color: '#ff2d95' }
+};
+
+const HSL_FIELDS = {
+  hue:        { label: 'Matiz',      min: -30,  max: 30,  step: 1, default: 0, suffix: '°' },
+  saturation: { label: 'Saturação',  min: -100, max: 100, step: 1, default: 0 },
+  luminance:  { label: 'Luminância', min: -100, max: 100, step: 1, default: 0 }
+};
+
+/**
+ * Valores de todas as faixas, completando ausentes com 0
+ * @param {object} [hsl]  { red: { hue, saturation, luminance }, … }
+ */
+function normalizeHsl(hsl = {}) {
+  const out = {};
+  Object.keys(HSL_BANDS).forEach(band => {
+    const src = hsl[band] || {};
+    out[band] = {};
+    Object.entries(HSL_FIELDS).forEach(([k, spec]) => {
+      const v = +src[k];
+      out[band][k] = Math.round(clamp(Number.isFinite(v) ? v : spec.default, spec.min, spec.max));
+    });
+  });
+  return out;
+}
+
+function isNeutralHslBand(band) {
+  return Object.keys(HSL_FIELDS).every(k => band[k] === 0);
+}
+
+/**
+ * Tabela por grau de matiz (0–359) com o deslocamento de matiz e os
+ * fatores de saturação e luminância já misturados entre as faixas
+ * @returns {{ hue: Float32Array, saturation: Float32Array, luminance: Float32Array }}
+ */
+function hslBandTable(hsl) {
+  const bands = Object.keys(HSL_BANDS);
+  const table = {
+    hue:        new Float32Array(360),
+    saturation: new Float32Array(360),
+    luminance:  new Float32Array(360)
+  };
+  for (let deg = 0; deg < 360; deg++) {
+    // Faixa cujo centro vem imediatamente antes deste grau (circular)
+    let i = bands.length - 1;
+    while (i > 0 && HSL_BANDS[bands[i]].hue > deg) i--;
+    const a    = bands[i];
+    const b    = bands[(i + 1) % bands.length];
+    const from = HSL_BANDS[a].hue;
+    const to   = HSL_BANDS[b].hue + (i === bands.length - 1 ? 360 : 0);
+    const t    = (deg - from) / (to - from);
+    const wa   = (1 + Math.cos(Math.PI * t)) / 2;
+    const wb   = 1 - wa;
+    table.hue[deg]        = wa * hsl[a].hue + wb * hsl[b].hue;
+    table.saturation[deg] = (wa * hsl[a].saturation + wb * hsl[b].saturation) / 100;
+    table.luminance[deg]  = (wa * hsl[a].luminance + wb * hsl[b].luminance) / 100;
+  }
+  return table;
+}
+
+/**
+ * MISTURADOR HSL
+ * A luminância é ponderada pela saturação do pixel: cinzas não têm
+ * faixa de cor e ficam intactos
+ * @param {Uint8ClampedArray} data
+ * @param {object} hsl  ver normalizeHsl()
+ */
+function applyHslBands(data, hsl) {
+  const bands = normalizeHsl(hsl);
+  if (Object.values(bands).every(isNeutralHslBand)) return;
+  const table = hslBandTable(bands);
+
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i], g = data[i + 1], b = data[i + 2];
+    if (r === g && g === b) continue;
+    const [h, s, l] = rgbToHsl(r, g, b);
+    const deg = Math.round(h) % 360;
+    const ds  = table.saturation[deg];
+    const dl  = table.luminance[deg] * (s / 100);
+    const newS = clamp(s * (1 + ds), 0, 100);
+    const newL = clamp(l + dl * (dl > 0 ? 100 - l : l), 0, 100);
+    const [nr, ng, nb] = hslToRgb((h + table.hue[deg] + 360) % 360, newS, newL);
+    data[i]     = nr;
+    data[i + 1] = ng;
+    data[i + 2] = nb;
+  }
+}
+
+/* =============================================================
+   MISTURADOR DE CANAIS E MATRIZ DE COR
+   Matriz 4×5 genérica (linhas R, G, B, A; colunas r, g, b, a e
+   deslocamento), como o feColorMatrix do SVG mas em valores 0–255.
+   O misturador monta a matriz a partir de porcentagens.
+   ============================================================= */
+
+const IDENTITY_COLOR_MATRIX = [
+  1, 0, 0, 0, 0,
+  0, 1, 0, 0, 0,
+  0, 0, 1, 0, 0,
+  0, 0, 0, 1, 0
+];
+
+const SEPIA_MATRIX = [
+  0.393, 0.769, 0.189, 0, 0,
+  0.349, 0.686, 0.168, 0, 0,
+  0.272, 0.534, 0.131, 0, 0,
+  0,     0,     0,     1, 0
+];
+
+/**
+ * Aplica uma matriz de cor 4×5
+ * @param {Uint8ClampedArray} data
+ * @param {number[]} m  20 valores por linha; a 5ª coluna soma em unidades 0–255
+ */
+function applyColorMatrix(data, m) {
+  const alpha = m[15] !== 0 || m[16] !== 0 || m[17] !== 0 || m[18] !== 1 || m[19] !== 0;
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i], g = data[i + 1], b = data[i + 2], a = data[i + 3];
+    data[i]     = m[0]  * r + m[1]  * g + m[2]  * b + m[3]  * a + m[4];
+    data[i + 1] = m[5]  * r + m[6]  * g + m[7]  * b + m[8]  * a + m[9];
+    data[i + 2] = m[10] * r + m[11] * g + m[12] * b + m[13] * a + m[14];
+    if (alpha) data[i + 3] = m[15] * r + m[16] * g + m[17] * b + m[18] * a + m[19];
+  }
+}
+
+/* Saídas do misturador; `gray` é a única usada no modo monocromático */
+const MIXER_OUTPUTS = {
+  red:   { label: 'Vermelho',      identity: { r: 100, g: 0,   b: 0 } },
+  green: { label: 'Verde',         identity: { r: 0,   g: 100, b: 0 } },
+  blue:  { label: 'Azul',          identity: { r: 0,   g: 0,   b: 100 } },
+  gray:  { label: 'Monocromático', identity: { r: 21,  g: 72,  b: 7 } }   // ≈ BT.709
+};
+
+const MIXER_FIELDS = {
+  r:        { label: 'Vermelho',  min: -200, max: 200, step: 1, suffix: '%' },
+  g:        { label: 'Verde',     min: -200, max: 200, step: 1, suffix: '%' },
+  b:        { label: 'Azul',      min: -200, max: 200, step: 1, suffix: '%' },
+  constant: { label: 'Constante', min: -100, max: 100, step: 1, suffix: '%' }
+};
+
+/* Filtros de cor na frente de filme P&B (saída monocromática) */
+const MIXER_PRESETS = {
+  neutral:  { label: 'Luminância (BT.709)', gray: { r: 21,  g: 72,  b: 7 } },
+  red:      { label: 'Filtro vermelho',     gray: { r: 90,  g: 20,  b: -10 } },
+  orange:   { label: 'Filtro laranja',      gray: { r: 65,  g: 40,  b: -5 } },
+  yellow:   { label: 'Filtro amarelo',      gray: { r: 45,  g: 55,  b: 0 } },
+  green:    { label: 'Filtro verde',        gray: { r: -10, g: 100, b: 10 } },
+  infrared: { label: 'Infravermelho',       gray: { r: -70, g: 200, b: -30 } }
+};
+
+/**
+ * Linhas de todas as saídas, completando ausentes com a identidade
+ * @param {object} [mixer]  { red: { r, g, b, constant }, green, blue, gray }
+ */
+function normalizeMixer(mixer = {}) {
+  const out = {};
+  Object.entries(MIXER_OUTPUTS).forEach(([channel, def]) => {
+    const src = mixer[channel] || {};
+    out[channel] = {};
+    Object.entries(MIXER_FIELDS).forEach(([k, spec]) => {
+      const v = Number(src[k] ?? def.identity[k] ?? 0);
+      out[channel][k] = clamp(Number.isFinite(v) ? v : 0, spec.min, spec.max);
+    });
+  });
+  return out;
+}
+
+function isIdentityMixerRow(channel, row) {
+  const id = MIXER_OUTPUTS[channel].identity;
+  return row.r === id.r && row.g === id.g && row.b === id.b && row.constant === 0;
+}
+
+/**
+ * Matriz 4×5 do misturador
+ * @param {object} mixer  ver normalizeMixer()
+ * @param {boolean} monochrome  usa a linha `gray` nas três saídas
+ */
+function mixerMatrix(mixer, monochrome) {
+  const m = normalizeMixer(mixer);
+  const row = ({ r, g, b, constant }) => [r / 100, g / 100, b / 100, 0, constant * 2.55];
+  const rows = monochrome ? [m.gray, m.gray, m.gray] : [m.red, m.green, m.blue];
+  return [...rows.flatMap(row), ...IDENTITY_COLOR_MATRIX.slice(15)];
+}
+
+/**
+ * MISTURADOR DE CANAIS
+ * @param {Uint8ClampedArray} data
+ * @param {{ mixer: object, monochrome: boolean }} p
+ */
+function applyChannelMixer(data, { mixer, monochrome }) {
+  const m = normalizeMixer(mixer);
+  if (!monochrome && ['red', 'green', 'blue'].every(ch => isIdentityMixerRow(ch, m[ch]))) return;
+  applyColorMatrix(data, mixerMatrix(m, monochrome));
+}
+
+/* =============================================================
+   MAPA DE GRADIENTE (duotone / tritone)
+   A luminância (Rec. 709) de cada pixel escolhe uma cor num
+   gradiente de paradas { position (0–100), color }, interpolado
+   em RGB; a opacidade mistura o resultado com o original.
+   ============================================================= */
+
+const GRADIENT_MAX_STOPS = 8;
+
+const GRADIENT_PRESETS = {
+  mono: {
+    label: 'Preto → branco',
+    stops: [{ position: 0, color: '#000000' }, { position: 100, color: '#ffffff' }]
+  },
+  navy: {
+    label: 'Duotone marinho',
+    stops: [{ position: 0, color: '#14213d' }, { position: 100, color: '#e9ecef' }]
+  },
+  sepia: {
+    label: 'Duotone sépia',
+    stops: [{ position: 0, color: '#2b1a0e' }, { position: 100, color: '#f3e0c0' }]
+  },
+  teal: {
+    label: 'Duotone petróleo e pêssego',
+    stops: [{ position: 0, color: '#004e64' }, { position: 100, color: '#ffd6a5' }]
+  },
+  pop: {
+    label: 'Duotone anil e rosa',
+    stops: [{ position: 0, color: '#2d00f7' }, { position: 100, color: '#ff4fa3' }]
+  },
+  sunset: {
+    label: 'Tritone pôr do sol',
+    stops: [{ position: 0, color: '#1a0b3d' }, { position: 50, color: '#d1495b' }, { position: 100, color: '#ffd166' }]
+  },
+  forest: {
+    label: 'Tritone floresta',
+    stops: [{ position: 0, color: '#0b2419' }, { position: 50, color: '#4f7942' }, { position: 100, color: '#f0ead2' }]
+  },
+  cyanotype: {
+    label: 'Tritone cianotipia',
+    stops: [{ position: 0, color: '#061a40' }, { position: 50, color: '#0353a4' }, { position: 100, color: '#b9d6f2' }]
+  }
+};
+
+/**
+ * Paradas válidas e ordenadas por posição (2 a GRADIENT_MAX_STOPS;
+ * sem isso, volta ao gradiente preto → branco)
+ * @param {Array<{position: number, color: string}>} [stops]
+ * @returns {Array<{position: number, color: string}>}
+ */
+function normalizeGradient(stops) {
+  const valid = (Array.isArray(stops) ? stops : [])
+    .filter(s => s && Number.isFinite(Number(s.position)) && /^#[0-9a-f]{6}$/i.test(s.color))
+    .map(s => ({ position: clamp(Math.round(Number(s.position) * 10) / 10, 0, 100), color: s.color.toLowerCase() }))
+    .sort((a, b) => a.position - b.position)
+    .slice(0, GRADIENT_MAX_STOPS);
+  return valid.length >= 2 ? valid : normalizeGradient(GRADIENT_PRESETS.mono.stops);
+}
+
+/**
+ * Cor do gradiente em `position` (fora das pontas, repete a parada)
+ * @returns {number[]}  [r, g, b]
+ */
+function gradientColorAt(stops, position) {
+  return interpolateStops(gradientStopsRgb(normalizeGradient(stops)), position);
+}
+
+/* Paradas já normalizadas → [{ position, rgb }] */
+function gradientStopsRgb(g) {
+  return g.map(s => ({ position: s.position, rgb: hexToRgb(s.color) }));
+}
+
+/**
+ * Interpolação linear entre paradas { position, rgb } ordenadas
+ * @returns {number[]}  [r, g, b]
+ */
+function interpolateStops(g, position) {
+  if (position <= g[0].position) return g[0].rgb;
+  const last = g[g.length - 1];
+  if (position >= last.position) return last.rgb;
+  const k = g.findIndex(s => s.position > position);
+  const a = g[k - 1], b = g[k];
+  const t = (position - a.position) / ((b.position - a.position) || 1);
+  return a.rgb.map((v, c) => v + (b.rgb[c] - v) * t);
+}
+
+/**
+ * Tabela 256 × RGB do gradiente (índice = luminância); as paradas são
+ * normalizadas uma única vez
+ * @returns {Uint8ClampedArray}
+ */
+function gradientLUT(stops, reverse = false) {
+  const g   = gradientStopsRgb(normalizeGradient(stops));
+  const lut = new Uint8ClampedArray(256 * 3);
+  for (let v = 0; v < 256; v++) {
+    const rgb = interpolateStops(g, ((reverse ? 255 - v : v) / 255) * 100);
+    lut[v * 3] = rgb[0]; lut[v * 3 + 1] = rgb[1]; lut[v * 3 + 2] = rgb[2];
+  }
+  return lut;
+}
+
+/**
+ * MAPA DE GRADIENTE
+ * @param {Uint8ClampedArray} data
+ * @param {{ gradient: Array, opacity: number, reverse: boolean }} p
+ */
+function applyGradientMap(data, { gradient, opacity, reverse }) {
+  const o = clamp(opacity, 0, 100) / 100;
+  if (o === 0) return;
+  const lut = gradientLUT(gradient, reverse);
+  for (let i = 0; i < data.length; i += 4) {
+    const j = Math.round(luma709(data[i], data[i + 1], data[i + 2])) * 3;
+    data[i]     += (lut[j]     - data[i])     * o;
+    data[i + 1] += (lut[j + 1] - data[i + 1]) * o;
+    data[i + 2] += (lut[j + 2] - data[i + 2]) * o;
+  }
+}
+
+/* =============================================================
+   GRADAÇÃO DE COR (Tonalização dividida e balanço de três vias)
+   As tintas têm luminância zero (Rec. 709): mudam a cor sem mudar
+   o brilho; o que o clamp tirar é devolvido no fim
+   ============================================================= */
+
+/* Deslocamento máximo (0–1) de uma tinta com saturação/intensidade 100 */
+const SPLIT_TONE_STRENGTH = 0.25;
+const COLOR_BALANCE_STRENGTH = 0.3;
+const COLOR_BALANCE_LIFT = 0.25;
+
+/**
+ * Vetor de cor (0–1) de um matiz com luminância zero
+ * @param {number} hue  graus
+ * @returns {number[]}  [r, g, b]
+ */
+function toneVector(hue) {
+  const rgb = hslToRgb(((hue % 360) + 360) % 360, 100, 50).map(v => v / 255);
+  const y   = luma709(...rgb);
+  return rgb.map(v => v - y);
+}
+
+/**
+ * Soma um deslocamento por pixel e, se pedido, devolve ao pixel a
+ * luminância alvo (a original mais `lift`) depois do clamp
+ * @param {Uint8ClampedArray} data
+ * @param {(y: number) => { rgb: number[], lift: number }} offsetAt  y em 0–1
+ * @param {boolean} preserve
+ */
+function applyToneOffsets(data, offsetAt, preserve) {
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i] / 255, g = data[i + 1] / 255, b = data[i + 2] / 255;
+    const y = luma709(r, g, b);
+    const { rgb, lift } = offsetAt(y);
+    let nr = clamp(r + rgb[0] + lift, 0, 1);
+    let ng = clamp(g + rgb[1] + lift, 0, 1);
+    let nb = clamp(b + rgb[2] + lift, 0, 1);
+    if (preserve) {
+      const diff = clamp(y + lift, 0, 1) - luma709(nr, ng, nb);
+      nr = clamp(nr + diff, 0, 1);
+      ng = clamp(ng + diff, 0, 1);
+      nb = clamp(nb + diff, 0, 1);
+    }
+    data[i]     = nr * 255;
+    data[i + 1] = ng * 255;
+    data[i + 2] = nb * 255;
+  }
+}
+
+/**
+ * TONALIZAÇÃO DIVIDIDA
+ * Tinta nas sombras e nas altas luzes; o equilíbrio move o ponto que
+ * separa as duas (-100 favorece as sombras, +100 as altas luzes)
+ * @param {Uint8ClampedArray} data
+ * @param {object} p  { shadowHue, shadowSat, highlightHue, highlightSat, balance }
+ */
+function applySplitToning(data, p) {
+  if (!p.shadowSat && !p.highlightSat) return;
+  const shadow = toneVector(p.shadowHue).map(v => v * (p.shadowSat / 100) * SPLIT_TONE_STRENGTH);
+  const high   = toneVector(p.highlightHue).map(v => v * (p.highlightSat / 100) * SPLIT_TONE_STRENGTH);
+  const pivot  = clamp(0.5 + (p.balance || 0) / 200, 0.05, 0.95);
+
+  applyToneOffsets(data, (y) => {
+    const ws = smoothstep(clamp(1 - y / pivot, 0, 1));
+    const wh = smoothstep(clamp((y - pivot) / (1 - pivot), 0, 1));
+    return {
+      rgb:  [0, 1, 2].map(k => shadow[k] * ws + high[k] * wh),
+      lift: 0
+    };
+  }, true);
+}
+
+/* Faixas tonais do balanço de três vias */
+const COLOR_BALANCE_RANGES = {
+  shadows:    'Sombras',
+  midtones:   'Tons médios',
+  highlights: 'Altas luzes'
+};
+
+/**
+ * Roda de cor: matiz (graus), intensidade (0–100) e luminância (-100 a +100)
+ */
+function normalizeWheel(w = {}) {
+  const num = (v, min, max) => Math.round(clamp(Number.isFinite(+v) ? +v : 0, min, max));
+  return {
+    hue:       ((num(w.hue, -360, 720) % 360) + 360) % 360,
+    amount:    num(w.amount, 0, 100),
+    luminance: num(w.luminance, -100, 100)
+  };
+}
+
+/**
+ * BALANÇO DE CORES DE TRÊS VIAS
+ * Pesos das faixas somam 1 em todo o intervalo tonal: sombras (1-y)²,
+ * altas luzes y² e tons médios o restante
+ * @param {Uint8ClampedArray} data
+ * @param {object} p  { shadows, midtones, highlights, preserveLuminosity }
+ */
+function applyColorBalance(data, p) {
+  const wheels = Object.keys(COLOR_BALANCE_RANGES).map(range => normalizeWheel(p[range]));
+  if (wheels.every(w => !w.amount && !w.luminance)) return;
+  const tints = wheels.map(w => toneVector(w.hue).map(v => v * (w.amount / 100) * COLOR_BALANCE_STRENGTH));
+  const lifts = wheels.map(w => (w.luminance / 100) * COLOR_BALANCE_LIFT);
+
+  applyToneOffsets(data, (y) => {
+    const ws = (1 - y) * (1 - y);
+    const wh = y * y;
+    const weights = [ws, 1 - ws - wh, wh];
+    const rgb = [0, 0, 0];
+    let lift = 0;
+    weights.forEach((w, i) => {
+      rgb[0] += tints[i][0] * w;
+      rgb[1] += tints[i][1] * w;
+      rgb[2] += tints[i][2] * w;
+      lift   += lifts[i] * w;
+    });
+    return { rgb, lift };
+  }, p.preserveLuminosity !== false);
+}
+
+/* =============================================================
+   FILTROS PRESET (Instagram-like)
+   ============================================================= */
+
+const PRESETS = {
+  none: {
+    name: 'Original',
+    icon: '🎨',
+    settings: {}
+  },
+  vivid: {
+    name: 'Vívido',
+    icon: '🌈',
+    settings: { saturation: 50, contrast: 20, brightness: 10 }
+  },
+  cool: {
+    name: 'Frio',
+    icon: '❄️',
+    settings: { temperature: -60, saturation: 10, brightness: 5 }
+  },
+  warm: {
+    name: 'Quente',
+    icon: '🌅',
+    settings: { temperature: 60, saturation: 20, brightness: 5 }
+  },
+  vintage: {
+    name: 'Vintage',
+    icon: '📷',
+    adjustments: [
+      { type: 'saturation', params: { amount: -25 } },
+      { type: 'splitToning', params: { shadowHue: 190, shadowSat: 25, highlightHue: 40, highlightSat: 45, balance: 15 } },
+      { type: 'colorBalance', params: {
+        shadows:    { hue: 200, amount: 15, luminance: 12 },
+        highlights: { hue: 45, amount: 20, luminance: -6 }
+      } },
+      { type: 'contrast', params: { amount: -10 } },
+      { type: 'vignette', params: { amount: 25 } }
+    ]
+  },
+  dramatic: {
+    name: 'Dramático',
+    icon: '🎭',
+    settings: { contrast: 60, saturation: -20, brightness: -10, vignette: 40 }
+  },
+  noir: {
+    name: 'Noir',
+    icon: '🎬',
+    settings: { grayscale: true, contrast: 50, brightness: -10, vignette: 50 }
+  },
+  fade: {
+    name: 'Desbotado',
+    icon: '🌫️',
+    settings: { contrast: -30, saturation: -30, brightness: 20 }
+  },
+  bloom: {
+    name: 'Bloom',
+    icon: '🌸',
+    settings: { brightness: 25, saturation: 20, contrast: -15, temperature: 20 }
+  },
+  sunset: {
+    name: 'Pôr do Sol',
+    icon: '🌇',
+    adjustments: [
+      { type: 'colorBalance', params: {
+        shadows:    { hue: 280, amount: 30 },
+        midtones:   { hue: 25, amount: 35 },
+        highlights: { hue: 45, amount: 45, luminance: 5 }
+      } },
+      { type: 'splitToning', params: { shadowHue: 260, shadowSat: 20, highlightHue: 30, highlightSat: 40, balance: -10 } },
+      { type: 'saturation', params: { amount: 25 } },
+      { type: 'contrast', params: { amount: 20 } }
+    ]
+  },
+  forest: {
+    name: 'Floresta',
+    icon: '🌿',
+    settings: { hue: -20, saturation: 40, contrast: 10, brightness: -5 }
+  },
+  neon: {
+    name: 'Neon',
+    icon: '💜',
+    settings: { saturation: 80, contrast: 30, brightness: 5, hue: 20 }
+  },
+  film: {
+    name: 'Filme',
+    icon: '🎞️',
+    adjustments: [
+      { type: 'curves', params: { curves: {
+        rgb: [[0, 30], [64, 66], [128, 130], [192, 198], [255, 236]],
+        b:   [[0, 18], [255, 240]]
+      } } },
+      { type: 'saturation', params: { amount: -15 } },
+      { type: 'temperature', params: { kelvin: 6850 } }
+    ]
+  },
+  matte: {
+    name: 'Matte',
+    icon: '🪶',
+    adjustments: [
+      { type: 'levels', params: { levels: { rgb: { inBlack: 8, gamma: 1.1, outBlack: 34, outWhite: 238 } } } },
+      { type: 'saturation', params: { amount: -12 } }
+    ]
+  },
+  autumn: {
+    name: 'Outono',
+    icon: '🍂',
+    adjustments: [
+      { type: 'hsl', params: { hsl: {
+        orange: { saturation: 30, luminance: 5 },
+        yellow: { hue: -12, saturation: 20 },
+        green:  { hue: -25, saturation: -45, luminance: -10 },
+        aqua:   { saturation: -30 },
+        blue:   { saturation: -15, luminance: -10 }
+      } } },
+      { type: 'contrast', params: { amount: 10 } },
+      { type: 'temperature', params: { kelvin: 7050, tint: 5 } }
+    ]
+  },
+  duotone: {
+    name: 'Duotone',
+    icon: '🟦',
+    adjustments: [
+      { type: 'contrast', params: { amount: 15 } },
+      { type: 'gradientMap', params: { gradient: GRADIENT_PRESETS.navy.stops } }
+    ]
+  },
+  redFilter: {
+    name: 'P&B Filtro Vermelho',
+    icon: '🟥',
+    adjustments: [
+      { type: 'channelMixer', params: { monochrome: true, mixer: { gray: MIXER_PRESETS.red.gray } } },
+      { type: 'contrast', params: { amount: 15 } }
+    ]
+  }
+};
+
+/* =============================================================
+   PILHA DE AJUSTES (Adjustment stack)
+   ============================================================= */
+
+/**
+ * Catálogo de ajustes que podem compor a pilha.
+ * Cada tipo declara seus parâmetros (faixa, passo, padrão) e como
+ * aplicá-los sobre os pixels. `primary` é o parâmetro exposto pelos
+ * controles rápidos da aba "Ajustes" (null = ajuste liga/desliga).
+ */
+const ADJUSTMENTS = {
+  blur: {
+    name: 'Desfoque', icon: 'fa-eye-slash', primary: 'radius',
+    params: { radius: { label: 'Raio', min: 0, max: 20, step: 0.5, default: 0 } },
+    apply: (d, w, h, p) => applyBlur(d, w, h, p.radius)
+  },
+  exposure: {
+    name: 'Exposição', icon: 'fa-camera', primary: 'amount',
+    params: { amount: { label: 'Intensidade', min: -100, max: 100, step: 1, default: 0 } },
+    apply: (d, w, h, p) => applyExposure(d, p.amount)
+  },
+  brightness: {
+    name: 'Brilho', icon: 'fa-sun', primary: 'amount',
+    params: { amount: { label: 'Intensidade', min: -100, max: 100, step: 1, default: 0 } },
+    apply: (d, w, h, p) => applyBrightness(d, p.amount)
+  },
+  contrast: {
+    name: 'Contraste', icon: 'fa-adjust', primary: 'amount',
+    params: { amount: { label: 'Intensidade', min: -100, max: 100, step: 1, default: 0 } },
+    apply: (d, w, h, p) => applyContrast(d, p.amount)
+  },
+  temperature: {
+    name: 'Balanço de branco', icon: 'fa-thermometer-half', primary: 'kelvin',
+    params: {
+      kelvin: { label: 'Temperatura', min: KELVIN_MIN, max: KELVIN_MAX, step: 50, default: KELVIN_NEUTRAL, suffix: ' K', track: 'temp' },
+      tint:   { label: 'Matiz (verde ↔ magenta)', min: -100, max: 100, step: 1, default: 0, track: 'tint' }
+    },
+    // Antes: `amount` de -100 (frio) a +100 (quente)
+    legacyKey: 'amount',
+    migrate: (p) => {
+      if ('amount' in p) {
+        if (!('kelvin' in p)) p.kelvin = temperatureToKelvin(p.amount);
+        delete p.amount;
+      }
+      return p;
+    },
+    apply: (d, w, h, p) => applyWhiteBalance(d, p.kelvin, p.tint)
+  },
+  saturation: {
+    name: 'Saturação', icon: 'fa-tint', primary: 'amount',
+    params: { amount: { label: 'Intensidade', min: -100, max: 100, step: 1, default: 0 } },
+    apply: (d, w, h, p) => applySaturation(d, p.amount)
+  },
+  hue: {
+    name: 'Matiz', icon: 'fa-rainbow', primary: 'degrees',
+    params: { degrees: { label: 'Ângulo', min: -180, max: 180, step: 1, default: 0, suffix: '°' } },
+    apply: (d, w, h, p) => applyHueRotation(d, p.degrees)
+  },
+  sharpness: {
+    name: 'Nitidez', icon: 'fa-crosshairs', primary: 'strength',
+    params: {
+      strength:  { label: 'Quantidade', min: 0,   max: SHARPEN_MAX, step: 5,   default: 0, suffix: '%' },
+      radius:    { label: 'Raio',       min: 0.3, max: 10,          step: 0.1, default: 1, suffix: ' px' },
+      threshold: { label: 'Limiar',     min: 0,   max: 64,          step: 1,   default: 0 },
+      edgeMask:  { label: 'Só nas bordas', type: 'boolean', default: false }
+    },
+    // Antes: `amount` de 0 a 10 (Laplaciano 3×3)
+    legacyKey: 'amount',
+    migrate: (p) => {
+      if ('amount' in p) {
+        if (!('strength' in p)) {
+          p.strength = Math.min(SHARPEN_MAX, Math.round(p.amount * LEGACY_SHARPEN_GAIN));
+          p.radius   = LEGACY_SHARPEN_RADIUS;
+        }
+        delete p.amount;
+      }
+      return p;
+    },
+    apply: (d, w, h, p) => applyUnsharpMask(d, w, h, p)
+  },
+  blackwhite: {
+    name: 'Preto & Branco', icon: 'fa-circle', primary: null,
+    params: {
+      method: {
+        label: 'Método', type: 'select', default: 'fixed',
+        options: Object.entries(BW_METHODS).map(([value, label]) => ({ value, label }))
+      },
+      threshold: { label: 'Limiar',                       min: 0,   max: 255, step: 1, default: 128 },
+      radius:    { label: 'Raio (adaptativo)',            min: 1,   max: 100, step: 1, default: 15, suffix: ' px' },
+      offset:    { label: 'Tolerância (adaptativo)',      min: -50, max: 50,  step: 1, default: 10 },
+      palette: {
+        label: 'Paleta (pontilhado)', type: 'select', default: 'bw',
+        options: Object.entries(DITHER_PALETTES).map(([value, pal]) => ({ value, label: pal.label }))
+      },
+      colors:    { label: 'Cores (cinza / da imagem)',    min: 2,   max: 16,  step: 1, default: 4 }
+    },
+    apply: (d, w, h, p) => applyBlackWhite(d, w, h, p)
+  },
+  grayscale: {
+    name: 'Escala de cinza', icon: 'fa-adjust', primary: null,
+    params: {},
+    apply: (d) => applyGrayscale(d)
+  },
+  sepia: {
+    name: 'Sépia', icon: 'fa-coffee', primary: null,
+    params: {},
+    apply: (d) => applySepia(d)
+  },
+  invert: {
+    name: 'Inverter cores', icon: 'fa-adjust', primary: null,
+    params: {},
+    apply: (d) => applyInvert(d)
+  },
+  noise: {
+    name: 'Grão de filme', icon: 'fa-broadcast-tower', primary: 'amount',
+    params: {
+      amount:    { label: 'Intensidade', min: 0, max: 100, step: 1, default: 0 },
+      size:      { label: 'Tamanho', min: 0.25, max: 4, step: 0.05, default: 1 },
+      roughness: { label: 'Aspereza', min: 0, max: 100, step: 1, default: 50 },
+      color:     { label: 'Grão colorido', min: 0, max: 100, step: 1, default: 0 },
+      midtones:  { label: 'Foco nos tons médios', min: 0, max: 100, step: 1, default: 50 },
+      seed:      { label: 'Semente', type: 'seed', default: GRAIN_LEGACY_SEED }
+    },
+    // Antes: ruído por pixel com Math.random(), sem semente. Nós novos
+    // ganham semente própria; os antigos, uma fixa
+    migrate: (p) => {
+      if (!('seed' in p)) p.seed = 'amount' in p ? GRAIN_LEGACY_SEED : grainSeed();
+      return p;
+    },
+    apply: (d, w, h, p) => applyFilmGrain(d, w, h, p)
+  },
+  denoise: {
+    name: 'Redução de ruído', icon: 'fa-wand-magic-sparkles', primary: 'luminance',
+    params: {
+      luminance: { label: 'Luminância', min: 0, max: 100, step: 1, default: 0 },
+      color:     { label: 'Cor',        min: 0, max: 100, step: 1, default: 0 },
+      detail:    { label: 'Detalhe',    min: 0, max: 100, step: 1, default: 50 }
+    },
+    // Custa caro em imagens grandes: o editor guarda o resultado (ver _heavyPrefixLength)
+    heavy: true,
+    apply: (d, w, h, p) => applyNoiseReduction(d, w, h, p)
+  },
+  vignette: {
+    name: 'Vinheta', icon: 'fa-dot-circle', primary: 'amount',
+    params: {
+      amount:     { label: 'Intensidade', min: -100, max: 100, step: 1, default: 0 },
+      midpoint:   { label: 'Ponto médio', min: 0, max: 100, step: 1, default: 50 },
+      feather:    { label: 'Suavização', min: 0, max: 100, step: 1, default: 50 },
+      roundness:  { label: 'Arredondamento', min: -100, max: 100, step: 1, default: 0 },
+      centerX:    { label: 'Centro X', min: 0, max: 100, step: 0.5, default: 50, suffix: '%' },
+      centerY:    { label: 'Centro Y', min: 0, max: 100, step: 0.5, default: 50, suffix: '%' },
+      color:      { label: 'Cor', type: 'color', default: '#000000' },
+      highlights: { label: 'Proteger altas luzes', min: 0, max: 100, step: 1, default: 0 },
+      postCrop:   { label: 'Após o recorte', type: 'boolean', default: true }
+    },
+    // Antes só havia `amount` (0–100), com queda circular fixa
+    migrate: (p) => {
+      if ('amount' in p && !('midpoint' in p)) Object.assign(p, VIGNETTE_LEGACY);
+      return p;
+    },
+    apply: (d, w, h, p, frame) => applyVignette(d, w, h, p, frame)
+  },
+  curves: {
+    name: 'Curvas', icon: 'fa-bezier-curve', primary: null,
+    params: {
+      curves: { label: 'Curva', type: 'curves', default: normalizeCurves() }
+    },
+    apply: (d, w, h, p) => applyCurves(d, p.curves)
+  },
+  levels: {
+    name: 'Níveis', icon: 'fa-signal', primary: null,
+    params: {
+      levels: { label: 'Canais', type: 'levels', default: normalizeLevels() }
+    },
+    apply: (d, w, h, p) => applyLevels(d, p.levels)
+  },
+  hsl: {
+    name: 'Misturador HSL', icon: 'fa-palette', primary: null,
+    params: {
+      hsl: { label: 'Faixas', type: 'hsl', default: normalizeHsl() }
+    },
+    apply: (d, w, h, p) => applyHslBands(d, p.hsl)
+  },
+  channelMixer: {
+    name: 'Misturador de canais', icon: 'fa-blender', primary: null,
+    params: {
+      mixer:      { label: 'Canais', type: 'mixer', default: normalizeMixer() },
+      monochrome: { label: 'Monocromático', type: 'boolean', default: false }
+    },
+    migrate: (p) => {
+      if (p.mixer) p.mixer = normalizeMixer(p.mixer);
+      return p;
+    },
+    apply: (d, w, h, p) => applyChannelMixer(d, p)
+  },
+  gradientMap: {
+    name: 'Mapa de gradiente', icon: 'fa-fill-drip', primary: null,
+    params: {
+      gradient: { label: 'Gradiente', type: 'gradient', default: normalizeGradient() },
+      opacity:  { label: 'Opacidade', min: 0, max: 100, step: 1, default: 100, suffix: '%' },
+      reverse:  { label: 'Inverter gradiente', type: 'boolean', default: false }
+    },
+    migrate: (p) => {
+      if (p.gradient) p.gradient = normalizeGradient(p.gradient);
+      return p;
+    },
+    apply: (d, w, h, p) => applyGradientMap(d, p)
+  },
+  splitToning: {
+    name: 'Tonalização dividida', icon: 'fa-swatchbook', primary: null,
+    params: {
+      shadowHue:    { label: 'Sombras · matiz',         min: 0,    max: 360, step: 1, default: 220, suffix: '°', track: 'hue' },
+      shadowSat:    { label: 'Sombras · saturação',     min: 0,    max: 100, step: 1, default: 0 },
+      highlightHue: { label: 'Altas luzes · matiz',     min: 0,    max: 360, step: 1, default: 40, suffix: '°', track: 'hue' },
+      highlightSat: { label: 'Altas luzes · saturação', min: 0,    max: 100, step: 1, default: 0 },
+      balance:      { label: 'Equilíbrio',              min: -100, max: 100, step: 1, default: 0 }
+    },
+    apply: (d, w, h, p) => applySplitToning(d, p)
+  },
+  colorBalance: {
+    name: 'Balanço de cores', icon: 'fa-circle-half-stroke', primary: null,
+    params: {
+      shadows:            { label: 'Sombras',     type: 'wheel', default: normalizeWheel() },
+      midtones:           { label: 'Tons médios', type: 'wheel', default: normalizeWheel() },
+      highlights:         { label: 'Altas luzes', type: 'wheel', default: normalizeWheel() },
+      preserveLuminosity: { label: 'Preservar luminosidade', type: 'boolean', default: true }
+    },
+    apply: (d, w, h, p) => applyColorBalance(d, p)
+  },
+  edges: {
+    name: 'Detecção de bordas', icon: 'fa-draw-polygon', primary: null,
+    params: {
+      operator: {
+        label: 'Operador', type: 'select', default: 'sobel',
+        options: Object.entries(EDGE_OPERATORS).map(([value, op]) => ({ value, label: op.label }))
+      },
+      low:    { label: 'Limiar baixo (Canny)',  min: 0,   max: 400, step: 1,   default: 40 },
+      high:   { label: 'Limiar alto (Canny)',   min: 0,   max: 400, step: 1,   default: 100 },
+      sigma:  { label: 'Suavização (Canny)',    min: 0,   max: 5,   step: 0.1, default: 1.4, suffix: ' px' },
+      invert: { label: 'Traço escuro sobre branco', type: 'boolean', default: false },
+      mix:    { label: 'Intensidade', min: 0, max: 100, step: 1, default: 100, suffix: '%' }
+    },
+    apply: (d, w, h, p) => applyEdgeDetect(d, w, h, p)
+  },
+  convolution: {
+    name: 'Convolução', icon: 'fa-border-all', primary: null,
+    params: {
+      kernel: { label: 'Kernel', type: 'kernel', default: normalizeKernel(KERNEL_PRESETS.identity) },
+      edge: {
+        label: 'Bordas da imagem', type: 'select', default: 'extend',
+        options: Object.entries(CONVOLUTION_EDGES).map(([value, label]) => ({ value, label }))
+      },
+      mix:  { label: 'Intensidade', min: 0, max: 100, step: 1, default: 100, suffix: '%' }
+    },
+    migrate: (p) => {
+      if (p.kernel) p.kernel = normalizeKernel(p.kernel);
+      return p;
+    },
+    apply: (d, w, h, p) => applyConvolution(d, w, h, p)
+  }
+};
+
+/**
+ * Ordem clássica do antigo processImage — usada na migração de
+ * estados antigos e para posicionar ajustes criados pelos controles rápidos
+ */
+const DEFAULT_ORDER = [
+  'denoise', 'blur', 'levels', 'exposure', 'brightness', 'contrast', 'temperature', 'saturation',
+  'hue', 'sharpness', 'blackwhite', 'grayscale', 'sepia', 'invert',
+  'gradientMap', 'noise', 'vignette'
+];
+
+/* Modos de cor eram mutuamente exclusivos (nesta ordem de precedência) */
+const LEGACY_COLOR_MODES = ['blackwhite', 'grayscale', 'sepia'];
+
+let adjustmentSeq = 0;
+
+/**
+ * Cria um nó de ajuste com os parâmetros padrão do tipo
+ * @param {string} type    chave de ADJUSTMENTS
+ * @param {object} [params]
+ * @returns {{ id: string, type: string, enabled: boolean, params: object }}
+ */
+function createAdjustment(type, params = {}) {
+  const def = ADJUSTMENTS[type];
+  if (!def) throw new Error(`Ajuste desconhecido: ${type}`);
+  adjustmentSeq += 1;
+  const given = structuredClone(params);
+  return {
+    id:      `adj_${Date.now().toString(36)}_${adjustmentSeq}`,
+    type,
+    enabled: true,
+    params:  { ...defaultParams(type), ...(def.migrate ? def.migrate(given) : given) }
+  };
+}
+
+/**
+ * Parâmetros padrão de um tipo de ajuste
+ */
+function defaultParams(type) {
+  const out = {};
+  Object.entries(ADJUSTMENTS[type]?.params || {}).forEach(([key, spec]) => {
+    out[key] = structuredClone(spec.default);
+  });
+  return out;
+}
+
+/**
+ * Cópia profunda de uma pilha (para histórico e serialização)
+ */
+function cloneStack(stack) {
+  return stack.map(node => ({ ...node, params: structuredClone(node.params) }));
+}
+
+/**
+ * Valida uma pilha vinda de um estado salvo: descarta tipos
+ * desconhecidos e completa parâmetros ausentes com o padrão
+ */
+function normalizeStack(stack) {
+  if (!Array.isArray(stack)) return [];
+  return stack
+    .filter(node => node && ADJUSTMENTS[node.type])
+    .map(node => {
+      const fresh = createAdjustment(node.type, node.params || {});
+      if (node.id) fresh.id = node.id;
+      fresh.enabled = node.enabled !== false;
+      return fresh;
+    });
+}
+
+/**
+ * Converte o antigo objeto plano `settings` em pilha de ajustes,
+ * preservando a ordem fixa do processador anterior
+ * @param {object} settings
+ * @returns {Array}
+ */
+function settingsToStack(settings = {}) {
+  const colorMode = LEGACY_COLOR_MODES.find(key => settings[key]);
+  const stack = [];
+
+  DEFAULT_ORDER.forEach(type => {
+    const def = ADJUSTMENTS[type];
+    if (def.primary === null) {
+      const isColorMode = LEGACY_COLOR_MODES.includes(type);
+      if (isColorMode ? colorMode === type : settings[type]) {
+        stack.push(createAdjustment(type));
+      }
+      return;
+    }
+    // O valor plano antigo pode ser de um parâmetro já migrado (legacyKey)
+    const value = settings[type];
+    if (typeof value !== 'number') return;
+    const node = createAdjustment(type, { [def.legacyKey || def.primary]: value });
+    if (node.params[def.primary] !== def.params[def.primary].default) stack.push(node);
+  });
+
+  return stack;
+}
+
+/**
+ * Primeiro nó de um tipo (preferindo um ativo) — é o nó que os
+ * controles rápidos leem e editam
+ */
+function findPrimaryAdjustment(stack, type) {
+  return stack.find(n => n.type === type && n.enabled) ||
+         stack.find(n => n.type === type) ||
+         null;
+}
+
+/**
+ * Visão plana da pilha no formato antigo de `settings`
+ * (um valor por tipo, lido do nó principal de cada tipo)
+ */
+function stackToSettings(stack) {
+  const settings = {};
+  Object.entries(ADJUSTMENTS).forEach(([type, def]) => {
+    const node = findPrimaryAdjustment(stack, type);
+    const active = !!node && node.enabled;
+    if (def.primary === null) {
+      settings[type] = active;
+    } else {
+      settings[type] = active ? node.params[def.primary] : def.params[def.primary].default;
+    }
+  });
+  return settings;
+}
+
+/**
+ * Pilha correspondente a um preset (aceita `adjustments` ou o
+ * formato plano antigo em `settings`)
+ */
+function presetToStack(preset) {
+  if (!preset) return [];
+  if (Array.isArray(preset.adjustments)) return normalizeStack(preset.adjustments);
+  return settingsToStack(preset.settings);
+}
+
+/* =============================================================
+   AJUSTES LOCAIS (Máscaras de gradiente)
+   Geometria normalizada (0–1) no quadro final: a máscara acompanha
+   o redimensionamento. Aplicadas depois da pilha de ajustes.
+   ============================================================= */
+
+const MASK_TYPES = {
+  linear: { name: 'Gradiente linear', icon: 'fa-grip-lines' },
+  radial: { name: 'Gradiente radial', icon: 'fa-circle-dot' }
+};
+
+/**
+ * Efeitos da máscara: campo → [tipo de ajuste, parâmetro do nó]. Usam as
+ * mesmas escalas dos controles globais (balanço de branco em Kelvin e
+ * matiz, nitidez por máscara de nitidez)
+ */
+const MASK_EFFECTS = {
+  exposure:      ['exposure', 'amount'],
+  brightness:    ['brightness', 'amount'],
+  contrast:      ['contrast', 'amount'],
+  saturation:    ['saturation', 'amount'],
+  kelvin:        ['temperature', 'kelvin'],
+  tint:          ['temperature', 'tint'],
+  sharpen:       ['sharpness', 'strength'],
+  sharpenRadius: ['sharpness', 'radius']
+};
+
+const MASK_PARAMS = {
+  exposure:      { ...ADJUSTMENTS.exposure.params.amount,    label: 'Exposição' },
+  brightness:    { ...ADJUSTMENTS.brightness.params.amount,  label: 'Brilho' },
+  contrast:      { ...ADJUSTMENTS.contrast.params.amount,    label: 'Contraste' },
+  saturation:    { ...ADJUSTMENTS.saturation.params.amount,  label: 'Saturação' },
+  kelvin:        { ...ADJUSTMENTS.temperature.params.kelvin, label: 'Temperatura' },
+  tint:          { ...ADJUSTMENTS.temperature.params.tint,   label: 'Matiz' },
+  sharpen:       { ...ADJUSTMENTS.sharpness.params.strength, label: 'Nitidez' },
+  sharpenRadius: { ...ADJUSTMENTS.sharpness.params.radius,   label: 'Raio da nitidez' },
+  feather:       { label: 'Suavização',  min: 0,    max: 100, step: 1, default: 60, suffix: '%' },
+  invert:        { label: 'Inverter máscara', type: 'boolean', default: false }
+};
+
+/* Campos de geometria de cada tipo */
+const MASK_GEOMETRY = {
+  linear: ['x1', 'y1', 'x2', 'y2'],   // efeito total em (x1, y1), nenhum em (x2, y2)
+  radial: ['cx', 'cy', 'rx', 'ry']    // rx em frações da largura, ry da altura
+};
+
+/**
+ * Máscara nova com geometria padrão
+ * @param {'linear'|'radial'} type
+ * @param {number} [aspect]  largura/altura do quadro (para o radial nascer círculo)
+ */
+function defaultMask(type, aspect = 1) {
+  const mask = { type, enabled: true };
+  Object.entries(MASK_PARAMS).forEach(([key, spec]) => { mask[key] = spec.default; });
+  if (type === 'linear') Object.assign(mask, { x1: 0.5, y1: 0.1, x2: 0.5, y2: 0.45 });
+  else                   Object.assign(mask, { cx: 0.5, cy: 0.45, rx: 0.2, ry: 0.2 * aspect });
+  return mask;
+}
+
+/**
+ * Valida uma máscara vinda de um estado salvo
+ * @returns {object|null}
+ */
+function normalizeMask(mask) {
+  if (!mask || !MASK_TYPES[mask.type]) return null;
+  const out = { ...defaultMask(mask.type), ...migrateMaskEffects(mask), enabled: mask.enabled !== false };
+  MASK_GEOMETRY[mask.type].forEach(key => {
+    const v = +out[key];
+    out[key] = Number.isFinite(v) ? v : defaultMask(mask.type)[key];
+  });
+  if (out.type === 'radial') {
+    out.rx = Math.max(0.005, out.rx);
+    out.ry = Math.max(0.005, out.ry);
+  }
+  return out;
+}
+
+/**
+ * Máscaras antigas: `temperature` (-100 a +100) e `sharpness` (0–10)
+ * convertidos como nos nós globais (ver migrate de ADJUSTMENTS)
+ */
+function migrateMaskEffects(mask) {
+  const out = { ...mask };
+  if ('temperature' in out) {
+    if (!('kelvin' in out)) out.kelvin = ADJUSTMENTS.temperature.migrate({ amount: +out.temperature || 0 }).kelvin;
+    delete out.temperature;
+  }
+  if ('sharpness' in out) {
+    if (!('sharpen' in out)) {
+      const p = ADJUSTMENTS.sharpness.migrate({ amount: +out.sharpness || 0 });
+      out.sharpen       = p.strength;
+      out.sharpenRadius = p.radius;
+    }
+    delete out.sharpness;
+  }
+  return out;
+}
+
+/**
+ * Nós de ajuste equivalentes aos efeitos da máscara (na ordem clássica),
+ * sem os que ficariam neutros
+ */
+function maskStack(mask) {
+  const byType = {};
+  Object.entries(MASK_EFFECTS).forEach(([key, [type, param]]) => {
+    (byType[type] = byType[type] || {})[param] = mask[key];
+  });
+  return DEFAULT_ORDER
+    .filter(type => byType[type])
+    .map(type => createAdjustment(type, byType[type]))
+    .filter(node => {
+      const def = ADJUSTMENTS[node.type];
+      // O raio sozinho não tem efeito: a nitidez depende da quantidade
+      if (node.type === 'sharpness') return node.params.strength !== def.params.strength.default;
+      return Object.entries(byType[node.type]).some(([param, v]) => v !== def.params[param].default);
+    });
+}
+
+/**
+ * Peso (0–1) do efeito em cada pixel
+ * @returns {Float32Array}  w × h
+ */
+function maskWeights(mask, w, h) {
+  const weights = new Float32Array(w * h);
+  const f = clamp(mask.feather, 0, 100) / 100;
+  // Transição suave de largura f centrada em `edge` (f = 0: borda dura)
+  const fall = (t, edge) => f > 0 ? smoothstep(clamp((t - edge) / f + 0.5, 0, 1)) : (t >= edge ? 1 : 0);
+
+  if (mask.type === 'linear') {
+    const ax = mask.x1 * w, ay = mask.y1 * h;
+    const dx = (mask.x2 - mask.x1) * w, dy = (mask.y2 - mask.y1) * h;
+    const len2 = dx * dx + dy * dy || 1;
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const t = ((x + 0.5 - ax) * dx + (y + 0.5 - ay) * dy) / len2;
+        weights[y * w + x] = 1 - fall(t, 0.5);
+      }
+    }
+  } else {
+    const cx = mask.cx * w, cy = mask.cy * h;
+    const rx = mask.rx * w, ry = mask.ry * h;
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const d = Math.hypot((x + 0.5 - cx) / rx, (y + 0.5 - cy) / ry);
+        weights[y * w + x] = 1 - fall(d, 1 - f / 2);
+      }
+    }
+  }
+
+  if (mask.invert) {
+    for (let i = 0; i < weights.length; i++) weights[i] = 1 - weights[i];
+  }
+  return weights;
+}
+
+/**
+ * AJUSTE LOCAL: aplica os efeitos da máscara numa cópia e mistura
+ * com a imagem pelo peso de cada pixel
+ * @param {Uint8ClampedArray} data
+ * @param {number} w
+ * @param {number} h
+ * @param {object} mask
+ */
+function applyMask(data, w, h, mask) {
+  const nodes = maskStack(mask);
+  if (!nodes.length) return;
+
+  const local = new Uint8ClampedArray(data);
+  nodes.forEach(node => ADJUSTMENTS[node.type].apply(local, w, h, node.params));
+
+  const weights = maskWeights(mask, w, h);
+  for (let p = 0, i = 0; p < weights.length; p++, i += 4) {
+    const k = weights[p];
+    if (k === 0) continue;
+    data[i]     += (local[i]     - data[i])     * k;
+    data[i + 1] += (local[i + 1] - data[i + 1]) * k;
+    data[i + 2] += (local[i + 2] - data[i + 2]) * k;
+  }
+}
+
+/* =============================================================
+   PROCESSADOR PRINCIPAL
+   ============================================================= */
+
+/**
+ * Aplica a pilha de ajustes, na ordem, em um ImageData e retorna novo ImageData
+ * @param {ImageData} imageData     — ImageData original
+ * @param {Array|object} stack      — pilha de ajustes (ou `settings` no formato antigo)
+ * @param {number} width
+ * @param {number} height
+ * @param {Array} [masks]           — ajustes locais, aplicados depois da pilha
+ * @param {object} [frame]          — retângulo da imagem no quadro original sem
+ *                                    recorte, em frações (ex.: vinheta fora do modo pós-recorte)
+ * @returns {ImageData}
+ */
+function processImage(imageData, stack, width, height, masks = [], frame = FULL_FRAME) {
+  // Copiar pixels originais
+  const result = new ImageData(
+    new Uint8ClampedArray(imageData.data),
+    width,
+    height
+  );
+  const d = result.data;
+
+  const nodes = Array.isArray(stack) ? stack : settingsToStack(stack);
+
+  nodes.forEach(node => {
+    const def = ADJUSTMENTS[node.type];
+    if (!def || !node.enabled) return;
+    def.apply(d, width, height, { ...defaultParams(node.type), ...node.params }, frame);
+  });
+
+  masks.forEach(mask => {
+    if (mask && mask.enabled) applyMask(d, width, height, mask);
+  });
+
+  return result;
+}
+
+/* =============================================================
+   REDIMENSIONAMENTO (via Canvas 2D)
+   ============================================================= */
+
+/**
+ * Redimensiona uma imagem mantendo qualidade
+ * @param {HTMLImageElement|HTMLCanvasElement} source
+ * @param {number} targetW
+ * @param {number} targetH
+ * @param {number} [steps=2]  Passos de downscaling para melhor qualidade
+ * @returns {HTMLCanvasElement}
+ */
+function resizeImage(source, targetW, targetH, steps = 2) {
+  const srcW = source.width || source.naturalWidth;
+  const srcH = source.height || source.naturalHeight;
+
+  // Downscale em múltiplas etapas para melhor qualidade
+  if (steps > 1 && targetW < srcW * 0.5 && targetH < srcH * 0.5) {
+    const midW = Math.round(srcW * 0.5);
+    const midH = Math.round(srcH * 0.5);
+    const mid = resizeImage(source, midW, midH, steps - 1);
+    return resizeImage(mid, targetW, targetH, 1);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width  = targetW;
+  canvas.height = targetH;
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(source, 0, 0, targetW, targetH);
+  return canvas;
+}
+
+/**
+ * Calcula dimensões mantendo aspect ratio
+ * @param {number} origW
+ * @param {number} origH
+ * @param {number|null} newW
+ * @param {number|null} newH
+ * @returns {{ w: number, h: number }}
+ */
+function calcAspectRatio(origW, origH, newW, newH) {
+  if (newW && newH) return { w: newW, h: newH };
+  if (newW)  return { w: newW,  h: Math.round(origH * (newW / origW)) };
+  if (newH)  return { w: Math.round(origW * (newH / origH)), h: newH };
+  return { w: origW, h: origH };
+}
+
+/* =============================================================
+   RECORTE (Crop)
+   ============================================================= */
+
+/**
+ * Aplica recorte percentual
+ * @param {HTMLCanvasElement} canvas
+ * @param {{ top, bottom, left, right }} crop  % de cada lado
+ * @returns {HTMLCanvasElement}
+ */
+function cropImage(canvas, crop) {
+  const { top = 0, bottom = 0, left = 0, right = 0 } = crop;
+  const cw = canvas.width;
+  const ch = canvas.height;
+  const sx = Math.round(cw * left   / 100);
+  const sy = Math.round(ch * top    / 100);
+  const sw = Math.round(cw * (1 - left / 100 - right  / 100));
+  const sh = Math.round(ch * (1 - top  / 100 - bottom / 100));
+
+  if (sw <= 0 || sh <= 0) return canvas;
+  return cropToRect(canvas, { x: sx, y: sy, w: sw, h: sh });
+}
+
+/**
+ * Recorta um retângulo em pixels
+ * @param {HTMLCanvasElement} canvas
+ * @param {{ x, y, w, h }} rect
+ * @returns {HTMLCanvasElement}
+ */
+function cropToRect(canvas, rect) {
+  const result = document.createElement('canvas');
+  result.width  = Math.max(1, Math.round(rect.w));
+  result.height = Math.max(1, Math.round(rect.h));
+  const ctx = result.getContext('2d');
+  ctx.drawImage(canvas, rect.x, rect.y, rect.w, rect.h, 0, 0, result.width, result.height);
+  return result;
+}
+
+/* =============================================================
+   ROTAÇÃO E FLIP
+   ============================================================= */
+
+/**
+ * Rotaciona um canvas em múltiplos de 90°
  * @param {HTMLCanvasElement} canvas
  * @param {number} degrees  90 | -90 | 180
  * @returns {HTMLCanvasElement}
@@ -637,6 +3233,745 @@ function flipCanvas(canvas, direction) {
   return result;
 }
 
+/* =============================================================
+   MATRIZES AFINS (mapeamento de coordenadas)
+   Formato [a, b, c, d, e, f], o mesmo de ctx.setTransform():
+   x' = a·x + c·y + e   ·   y' = b·x + d·y + f
+   ============================================================= */
+
+const AFFINE_IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Composição m1 · m2 (aplica m2 primeiro)
+ */
+function affineMultiply(m1, m2) {
+  const [a1, b1, c1, d1, e1, f1] = m1;
+  const [a2, b2, c2, d2, e2, f2] = m2;
+  return [
+    a1 * a2 + c1 * b2,
+    b1 * a2 + d1 * b2,
+    a1 * c2 + c1 * d2,
+    b1 * c2 + d1 * d2,
+    a1 * e2 + c1 * f2 + e1,
+    b1 * e2 + d1 * f2 + f1
+  ];
+}
+
+function affineInvert(m) {
+  const [a, b, c, d, e, f] = m;
+  const det = a * d - b * c;
+  if (!det) return AFFINE_IDENTITY.slice();
+  return [
+    d / det,
+    -b / det,
+    -c / det,
+    a / det,
+    (c * f - d * e) / det,
+    (b * e - a * f) / det
+  ];
+}
+
+function affineApply(m, x, y) {
+  return { x: m[0] * x + m[2] * y + m[4], y: m[1] * x + m[3] * y + m[5] };
+}
+
+/**
+ * Retângulo envolvente de um retângulo transformado
+ * @returns {{ x, y, w, h }}
+ */
+function affineRect(m, rect) {
+  const corners = [
+    affineApply(m, rect.x,          rect.y),
+    affineApply(m, rect.x + rect.w, rect.y),
+    affineApply(m, rect.x,          rect.y + rect.h),
+    affineApply(m, rect.x + rect.w, rect.y + rect.h)
+  ];
+  const xs = corners.map(c => c.x);
+  const ys = corners.map(c => c.y);
+  const x  = Math.min(...xs);
+  const y  = Math.min(...ys);
+  return { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y };
+}
+
+/**
+ * Matriz equivalente a rotateCanvas() para um canvas w×h
+ */
+function rotationMatrix(w, h, degrees) {
+  const rad = (degrees * Math.PI) / 180;
+  const isOrthogonal = degrees % 180 !== 0;
+  const outW = isOrthogonal ? h : w;
+  const outH = isOrthogonal ? w : h;
+  const cos = Math.round(Math.cos(rad) * 1e12) / 1e12;
+  const sin = Math.round(Math.sin(rad) * 1e12) / 1e12;
+  const center = [1, 0, 0, 1, outW / 2, outH / 2];
+  const rotate = [cos, sin, -sin, cos, 0, 0];
+  return affineMultiply(affineMultiply(center, rotate), [1, 0, 0, 1, -w / 2, -h / 2]);
+}
+
+/* =============================================================
+   ROTAÇÃO LIVRE (Endireitar)
+   ============================================================= */
+
+/**
+ * Como tratar os cantos expostos pela rotação
+ */
+const STRAIGHTEN_MODES = {
+  crop:        'Recorte automático',
+  color:       'Preencher com cor',
+  transparent: 'Transparente'
+};
+
+const STRAIGHTEN_LIMIT = 45;
+
+/**
+ * Maior retângulo alinhado aos eixos contido em um retângulo w×h
+ * rotacionado (solução fechada para a área máxima)
+ * @returns {{ w: number, h: number }}
+ */
+function inscribedRectSize(w, h, degrees) {
+  const rad = (degrees * Math.PI) / 180;
+  const sin = Math.abs(Math.sin(rad));
+  const cos = Math.abs(Math.cos(rad));
+  if (sin < 1e-10) return { w, h };
+
+  const widthIsLonger = w >= h;
+  const long  = widthIsLonger ? w : h;
+  const short = widthIsLonger ? h : w;
+
+  // Retângulo fino: limitado por dois cantos no lado longo
+  if (short <= 2 * sin * cos * long || Math.abs(sin - cos) < 1e-10) {
+    const x = short / 2;
+    return widthIsLonger ? { w: x / sin, h: x / cos } : { w: x / cos, h: x / sin };
+  }
+
+  const cos2a = cos * cos - sin * sin;
+  return { w: (w * cos - h * sin) / cos2a, h: (h * cos - w * sin) / cos2a };
+}
+
+/**
+ * Tamanho e matriz (origem → quadro endireitado) de uma rotação livre
+ * @param {number} w
+ * @param {number} h
+ * @param {number} degrees  positivo = horário
+ * @param {'crop'|'color'|'transparent'} mode  'crop' reduz ao maior retângulo interno
+ * @returns {{ matrix: number[], w: number, h: number }}
+ */
+function straightenTransform(w, h, degrees, mode) {
+  let outW = w;
+  let outH = h;
+  if (mode === 'crop' && degrees) {
+    // 2 px de margem para não pegar a borda suavizada
+    const size = inscribedRectSize(w, h, degrees);
+    outW = Math.max(1, Math.floor(size.w) - 2);
+    outH = Math.max(1, Math.floor(size.h) - 2);
+  }
+  const rad = (degrees * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const matrix = affineMultiply(
+    affineMultiply([1, 0, 0, 1, outW / 2, outH / 2], [cos, sin, -sin, cos, 0, 0]),
+    [1, 0, 0, 1, -w / 2, -h / 2]
+  );
+  return { matrix, w: outW, h: outH };
+}
+
+/**
+ * Rotaciona em qualquer ângulo (interpolação do próprio canvas)
+ * @param {HTMLCanvasElement} canvas
+ * @param {number} degrees
+ * @param {'crop'|'color'|'transparent'} [mode]
+ * @param {string} [color]  preenchimento dos cantos no modo 'color'
+ * @returns {HTMLCanvasElement}
+ */
+function rotateFree(canvas, degrees, mode = 'crop', color = '#ffffff') {
+  const t = straightenTransform(canvas.width, canvas.height, degrees, mode);
+  const result = document.createElement('canvas');
+  result.width  = t.w;
+  result.height = t.h;
+  const ctx = result.getContext('2d');
+  if (mode === 'color') {
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, t.w, t.h);
+  }
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+  ctx.setTransform(...t.matrix);
+  ctx.drawImage(canvas, 0, 0);
+  return result;
+}
+
+/* =============================================================
+   PERSPECTIVA (Homografia)
+   Matriz 3×3 em linha: [h0..h8], (x, y) → ((h0x+h1y+h2)/w, (h3x+h4y+h5)/w)
+   com w = h6x+h7y+h8
+   ============================================================= */
+
+/* Cantos padrão (normalizados): superior esq., superior dir., inferior dir., inferior esq. */
+const PERSPECTIVE_CORNERS = [[0, 0], [1, 0], [1, 1], [0, 1]];
+
+/* Keystone em ±100 recolhe até 25% de cada lado da borda afetada */
+const KEYSTONE_MAX_INSET = 0.25;
+
+const PERSPECTIVE_PARAMS = {
+  vertical:   { label: 'Vertical',   min: -100, max: 100, step: 1, default: 0 },
+  horizontal: { label: 'Horizontal', min: -100, max: 100, step: 1, default: 0 }
+};
+
+/**
+ * Homografia que leva os 4 pontos `src` aos 4 pontos `dst`
+ * (sistema 8×8 resolvido por eliminação de Gauss)
+ * @param {number[][]} src  [[x, y] ×4]
+ * @param {number[][]} dst  [[x, y] ×4]
+ * @returns {number[]|null}  null se os pontos forem degenerados
+ */
+function homographyFromPoints(src, dst) {
+  const A = [];
+  for (let i = 0; i < 4; i++) {
+    const [x, y] = src[i];
+    const [u, v] = dst[i];
+    A.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+    A.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+  }
+
+  for (let col = 0; col < 8; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < 8; r++) {
+      if (Math.abs(A[r][col]) > Math.abs(A[pivot][col])) pivot = r;
+    }
+    if (Math.abs(A[pivot][col]) < 1e-12) return null;
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    for (let r = 0; r < 8; r++) {
+      if (r === col) continue;
+      const f = A[r][col] / A[col][col];
+      for (let c = col; c < 9; c++) A[r][c] -= f * A[col][c];
+    }
+  }
+  return [...A.map((row, i) => row[8] / row[i]), 1];
+}
+
+function homographyInvert(H) {
+  const [a, b, c, d, e, f, g, h, i] = H;
+  const A = e * i - f * h;
+  const B = f * g - d * i;
+  const C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+  return [
+    A, c * h - b * i, b * f - c * e,
+    B, a * i - c * g, c * d - a * f,
+    C, b * g - a * h, a * e - b * d
+  ].map(v => v / det);
+}
+
+function homographyMultiply(H1, H2) {
+  const out = new Array(9);
+  for (let r = 0; r < 3; r++) {
+    for (let c = 0; c < 3; c++) {
+      out[r * 3 + c] = H1[r * 3] * H2[c] + H1[r * 3 + 1] * H2[3 + c] + H1[r * 3 + 2] * H2[6 + c];
+    }
+  }
+  return out;
+}
+
+function homographyApply(H, x, y) {
+  const w = H[6] * x + H[7] * y + H[8];
+  return { x: (H[0] * x + H[1] * y + H[2]) / w, y: (H[3] * x + H[4] * y + H[5]) / w };
+}
+
+/**
+ * Quadrilátero do keystone dentro de um quadro w×h. vertical > 0 estreita
+ * o topo (corrige verticais convergindo para cima); horizontal > 0 encurta
+ * a borda direita.
+ */
+function keystoneQuad(w, h, vertical, horizontal) {
+  const i = (Math.abs(vertical)   / 100) * KEYSTONE_MAX_INSET * w;
+  const j = (Math.abs(horizontal) / 100) * KEYSTONE_MAX_INSET * h;
+  const top    = vertical   > 0 ? i : 0;
+  const bottom = vertical   < 0 ? i : 0;
+  const left   = horizontal < 0 ? j : 0;
+  const right  = horizontal > 0 ? j : 0;
+  return [[top, left], [w - top, right], [w - bottom, h - right], [bottom, h - left]];
+}
+
+/**
+ * Homografia (origem → retificado) e tamanho de saída da correção de
+ * perspectiva. Os cantos marcados viram um retângulo com os lados mais
+ * longos do quadrilátero; o keystone atua em seguida sobre esse retângulo.
+ * @param {number} w
+ * @param {number} h
+ * @param {{ corners: number[][]|null, vertical: number, horizontal: number }} p
+ * @returns {{ matrix: number[], w: number, h: number }|null}  null = sem correção
+ */
+function perspectiveTransform(w, h, p) {
+  if (!p || (!p.corners && !p.vertical && !p.horizontal)) return null;
+
+  let H    = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+  let outW = w;
+  let outH = h;
+  if (p.corners) {
+    const q = p.corners.map(([x, y]) => [x * w, y * h]);
+    const dist = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+    outW = Math.max(1, Math.round(Math.max(dist(q[0], q[1]), dist(q[3], q[2]))));
+    outH = Math.max(1, Math.round(Math.max(dist(q[0], q[3]), dist(q[1], q[2]))));
+    const rect = [[0, 0], [outW, 0], [outW, outH], [0, outH]];
+    H = homographyFromPoints(q, rect);
+    if (!H) return null;
+  }
+
+  if (p.vertical || p.horizontal) {
+    const rect = [[0, 0], [outW, 0], [outW, outH], [0, outH]];
+    const K = homographyFromPoints(keystoneQuad(outW, outH, p.vertical, p.horizontal), rect);
+    if (K) H = homographyMultiply(K, H);
+  }
+
+  return { matrix: H, w: outW, h: outH };
+}
+
+/**
+ * Aplica a homografia por mapeamento inverso com interpolação bilinear
+ * (pixels que caem fora da origem ficam transparentes)
+ * @param {HTMLCanvasElement} canvas
+ * @param {{ matrix: number[], w: number, h: number }} t  ver perspectiveTransform()
+ * @returns {HTMLCanvasElement}
+ */
+function warpPerspective(canvas, t) {
+  const sw  = canvas.width;
+  const sh  = canvas.height;
+  const src = canvas.getContext('2d').getImageData(0, 0, sw, sh).data;
+
+  const result = document.createElement('canvas');
+  result.width  = t.w;
+  result.height = t.h;
+  const rCtx = result.getContext('2d');
+  const out  = rCtx.createImageData(t.w, t.h);
+  const dst  = out.data;
+  const [a, b, c, d, e, f, g, h, k] = homographyInvert(t.matrix);
+
+  for (let y = 0; y < t.h; y++) {
+    const py = y + 0.5;
+    for (let x = 0; x < t.w; x++) {
+      const px = x + 0.5;
+      const w  = g * px + h * py + k;
+      const sx = (a * px + b * py + c) / w - 0.5;
+      const sy = (d * px + e * py + f) / w - 0.5;
+      if (sx < -0.5 || sy < -0.5 || sx > sw - 0.5 || sy > sh - 0.5) continue;
+
+      const x0 = Math.max(0, Math.floor(sx));
+      const y0 = Math.max(0, Math.floor(sy));
+      const x1 = Math.min(sw - 1, x0 + 1);
+      const y1 = Math.min(sh - 1, y0 + 1);
+      const fx = Math.min(Math.max(sx - x0, 0), 1);
+      const fy = Math.min(Math.max(sy - y0, 0), 1);
+      const i00 = (y0 * sw + x0) * 4;
+      const i10 = (y0 * sw + x1) * 4;
+      const i01 = (y1 * sw + x0) * 4;
+      const i11 = (y1 * sw + x1) * 4;
+      const o   = (y * t.w + x) * 4;
+      for (let ch = 0; ch < 4; ch++) {
+        const top    = src[i00 + ch] + (src[i10 + ch] - src[i00 + ch]) * fx;
+        const bottom = src[i01 + ch] + (src[i11 + ch] - src[i01 + ch]) * fx;
+        dst[o + ch]  = top + (bottom - top) * fy;
+      }
+    }
+  }
+
+  rCtx.putImageData(out, 0, 0);
+  return result;
+}
+
+/* =============================================================
+   CAMADAS (Composição com modos de mesclagem)
+   ============================================================= */
+
+/**
+ * Modos de mesclagem suportados — valores de globalCompositeOperation
+ */
+const BLEND_MODES = {
+  'normal':      'Normal',
+  'multiply':    'Multiplicar',
+  'screen':      'Tela',
+  'overlay':     'Sobrepor',
+  'soft-light':  'Luz suave',
+  'hard-light':  'Luz forte',
+  'darken':      'Escurecer',
+  'lighten':     'Clarear',
+  'color-dodge': 'Subexposição de cor',
+  'color-burn':  'Superexposição de cor',
+  'difference':  'Diferença',
+  'exclusion':   'Exclusão',
+  'hue':         'Matiz',
+  'saturation':  'Saturação',
+  'color':       'Cor',
+  'luminosity':  'Luminosidade'
+};
+
+/**
+ * Retângulo ocupado por uma camada sobre a base
+ * @param {object} layer   { type, x, y, scale } — x/y normalizados (centro)
+ * @param {HTMLImageElement|HTMLCanvasElement|null} source
+ * @param {number} baseW
+ * @param {number} baseH
+ * @returns {{ x: number, y: number, w: number, h: number }}
+ */
+function layerRect(layer, source, baseW, baseH) {
+  const w = baseW * layer.scale;
+  let h = baseH * layer.scale;
+  if (source && layer.type === 'image') {
+    const srcW = source.naturalWidth  || source.width;
+    const srcH = source.naturalHeight || source.height;
+    h = w * (srcH / srcW);
+  }
+  return {
+    x: layer.x * baseW - w / 2,
+    y: layer.y * baseH - h / 2,
+    w,
+    h
+  };
+}
+
+/**
+ * Desenha uma camada sobre o contexto da base com opacidade e mesclagem
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} layer
+ * @param {HTMLImageElement|HTMLCanvasElement|null} source  imagem da camada (tipo 'image')
+ *        ou pintura da camada (tipo 'blank', ver renderStrokes)
+ * @param {number} baseW
+ * @param {number} baseH
+ */
+function drawLayer(ctx, layer, source, baseW, baseH) {
+  const rect = layerRect(layer, source, baseW, baseH);
+  ctx.save();
+  ctx.globalAlpha = clamp(layer.opacity, 0, 1);
+  ctx.globalCompositeOperation = layer.blendMode === 'normal' || !BLEND_MODES[layer.blendMode]
+    ? 'source-over'
+    : layer.blendMode;
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+
+  if (layer.type === 'image' && source) {
+    ctx.drawImage(source, rect.x, rect.y, rect.w, rect.h);
+  } else if (layer.type === 'solid') {
+    ctx.fillStyle = layer.color;
+    ctx.fillRect(rect.x, rect.y, rect.w, rect.h);
+  } else if (layer.type === 'blank' && source) {
+    ctx.drawImage(source, rect.x, rect.y, rect.w, rect.h);
+  }
+  ctx.restore();
+}
+
+/* =============================================================
+   TEXTO (legendas e títulos vetoriais)
+   ============================================================= */
+
+const FONT_FAMILIES = {
+  'Inter':           'Inter, sans-serif',
+  'Space Grotesk':   '"Space Grotesk", sans-serif',
+  'Arial':           'Arial, Helvetica, sans-serif',
+  'Verdana':         'Verdana, Geneva, sans-serif',
+  'Trebuchet MS':    '"Trebuchet MS", sans-serif',
+  'Impact':          'Impact, "Arial Black", sans-serif',
+  'Georgia':         'Georgia, serif',
+  'Times New Roman': '"Times New Roman", Times, serif',
+  'Courier New':     '"Courier New", Courier, monospace'
+};
+
+/**
+ * Parâmetros editáveis de um texto. Tamanhos são relativos à imagem
+ * (size = % da altura; traço, sombra e espaçamento relativos ao tamanho),
+ * para que o texto seja redesenhado nítido em qualquer resolução.
+ */
+const TEXT_PARAMS = {
+  text:          { label: 'Conteúdo', type: 'textarea', default: 'Seu texto' },
+  font:          { label: 'Fonte', type: 'select', default: 'Inter',
+                   options: Object.keys(FONT_FAMILIES).map(f => ({ value: f, label: f })) },
+  weight:        { label: 'Peso', type: 'select', default: '700',
+                   options: [
+                     { value: '300', label: 'Leve' },
+                     { value: '400', label: 'Normal' },
+                     { value: '600', label: 'Semi-negrito' },
+                     { value: '700', label: 'Negrito' },
+                     { value: '800', label: 'Extra-negrito' }
+                   ] },
+  align:         { label: 'Alinhamento', type: 'select', default: 'center',
+                   options: [
+                     { value: 'left',   label: 'Esquerda' },
+                     { value: 'center', label: 'Centro' },
+                     { value: 'right',  label: 'Direita' }
+                   ] },
+  size:          { label: 'Tamanho (% da altura)', min: 1, max: 40, step: 0.5, default: 8, suffix: '%' },
+  color:         { label: 'Cor', type: 'color', default: '#ffffff' },
+  opacity:       { label: 'Opacidade', min: 0, max: 100, step: 1, default: 100, suffix: '%' },
+  letterSpacing: { label: 'Espaçamento', min: -20, max: 100, step: 1, default: 0, suffix: '%' },
+  rotation:      { label: 'Rotação', min: -180, max: 180, step: 1, default: 0, suffix: '°' },
+  strokeColor:   { label: 'Cor do contorno', type: 'color', default: '#000000' },
+  strokeWidth:   { label: 'Contorno', min: 0, max: 20, step: 0.5, default: 0, suffix: '%' },
+  shadowColor:   { label: 'Cor da sombra', type: 'color', default: '#000000' },
+  shadowBlur:    { label: 'Desfoque da sombra', min: 0, max: 50, step: 1, default: 0, suffix: '%' },
+  shadowOffset:  { label: 'Distância da sombra', min: 0, max: 30, step: 0.5, default: 0, suffix: '%' }
+};
+
+const TEXT_LINE_HEIGHT = 1.2;
+
+/* Contexto auxiliar só para medir texto */
+let measureCtx = null;
+
+/**
+ * Valores padrão de um novo texto
+ */
+function defaultText() {
+  const out = {};
+  Object.entries(TEXT_PARAMS).forEach(([key, spec]) => { out[key] = spec.default; });
+  return out;
+}
+
+function textFont(t, px) {
+  return `${t.weight} ${px}px ${FONT_FAMILIES[t.font] || FONT_FAMILIES.Inter}`;
+}
+
+/**
+ * Largura de uma linha considerando o espaçamento entre letras
+ */
+function measureTextLine(ctx, line, spacingPx) {
+  if (!spacingPx) return ctx.measureText(line).width;
+  const chars = Array.from(line);
+  const base  = chars.reduce((sum, ch) => sum + ctx.measureText(ch).width, 0);
+  return base + spacingPx * Math.max(chars.length - 1, 0);
+}
+
+/**
+ * Geometria de um texto no quadro de saída (em pixels)
+ * @param {object} t  texto (ver TEXT_PARAMS) com x/y normalizados
+ * @param {number} width   largura do quadro
+ * @param {number} height  altura do quadro
+ * @returns {{ px, lines, lineH, spacing, widths, box: { x, y, w, h }, cx, cy, angle }}
+ *          box é relativo à âncora (cx, cy) antes da rotação
+ */
+function layoutText(t, width, height) {
+  if (!measureCtx) measureCtx = document.createElement('canvas').getContext('2d');
+  const px      = Math.max(1, (t.size / 100) * height);
+  const lines   = String(t.text).split('\n');
+  const lineH   = px * TEXT_LINE_HEIGHT;
+  const spacing = (t.letterSpacing / 100) * px;
+
+  measureCtx.font = textFont(t, px);
+  const widths = lines.map(line => measureTextLine(measureCtx, line, spacing));
+  const maxW   = Math.max(...widths, px * 0.5);
+  const totalH = lineH * lines.length;
+  const boxX   = t.align === 'left' ? 0 : t.align === 'right' ? -maxW : -maxW / 2;
+
+  return {
+    px, lines, lineH, spacing, widths,
+    box:   { x: boxX, y: -totalH / 2, w: maxW, h: totalH },
+    cx:    t.x * width,
+    cy:    t.y * height,
+    angle: (t.rotation * Math.PI) / 180
+  };
+}
+
+/**
+ * Verifica se um ponto (pixels do quadro) está sobre o texto
+ */
+function hitTestText(t, px, py, width, height) {
+  const L   = layoutText(t, width, height);
+  const cos = Math.cos(-L.angle);
+  const sin = Math.sin(-L.angle);
+  const dx  = px - L.cx;
+  const dy  = py - L.cy;
+  const lx  = dx * cos - dy * sin;
+  const ly  = dx * sin + dy * cos;
+  const pad = L.px * 0.15;
+  return lx >= L.box.x - pad && lx <= L.box.x + L.box.w + pad &&
+         ly >= L.box.y - pad && ly <= L.box.y + L.box.h + pad;
+}
+
+/**
+ * Desenha um texto no contexto, na resolução do próprio canvas
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} t
+ * @param {number} width
+ * @param {number} height
+ */
+function drawText(ctx, t, width, height) {
+  if (!String(t.text).trim() || t.opacity <= 0) return;
+  const L = layoutText(t, width, height);
+
+  ctx.save();
+  ctx.translate(L.cx, L.cy);
+  ctx.rotate(L.angle);
+  ctx.font         = textFont(t, L.px);
+  ctx.textBaseline = 'middle';
+  ctx.textAlign    = 'left';
+  ctx.lineJoin     = 'round';
+  ctx.globalAlpha  = clamp(t.opacity / 100, 0, 1);
+
+  const strokeW = (t.strokeWidth / 100) * L.px;
+  const hasShadow = t.shadowBlur > 0 || t.shadowOffset > 0;
+
+  const paintLine = (line, x, y, mode) => {
+    if (!L.spacing) {
+      if (mode === 'stroke') ctx.strokeText(line, x, y);
+      else                   ctx.fillText(line, x, y);
+      return;
+    }
+    // Espaçamento manual, caractere a caractere
+    let cx = x;
+    Array.from(line).forEach(ch => {
+      if (mode === 'stroke') ctx.strokeText(ch, cx, y);
+      else                   ctx.fillText(ch, cx, y);
+      cx += ctx.measureText(ch).width + L.spacing;
+    });
+  };
+
+  const lineX = (w) => t.align === 'left' ? 0 : t.align === 'right' ? -w : -w / 2;
+  const lineY = (i) => L.box.y + L.lineH * (i + 0.5);
+
+  const setShadow = (on) => {
+    ctx.shadowColor   = on ? t.shadowColor : 'transparent';
+    ctx.shadowBlur    = on ? (t.shadowBlur / 100) * L.px : 0;
+    ctx.shadowOffsetX = on ? (t.shadowOffset / 100) * L.px : 0;
+    ctx.shadowOffsetY = on ? (t.shadowOffset / 100) * L.px : 0;
+  };
+
+  // Contorno primeiro (carrega a sombra), preenchimento por cima
+  if (strokeW > 0) {
+    setShadow(hasShadow);
+    ctx.strokeStyle = t.strokeColor;
+    ctx.lineWidth   = strokeW * 2;
+    L.lines.forEach((line, i) => paintLine(line, lineX(L.widths[i]), lineY(i), 'stroke'));
+  }
+
+  setShadow(hasShadow && strokeW <= 0);
+  ctx.fillStyle = t.color;
+  L.lines.forEach((line, i) => paintLine(line, lineX(L.widths[i]), lineY(i), 'fill'));
+
+  ctx.restore();
+}
+
+/* =============================================================
+   PINTURA (pincel e borracha)
+   Traços vetoriais: pontos normalizados (0–1) na superfície pintada
+   (imagem original ou camada vazia), redesenhados em qualquer resolução
+   ============================================================= */
+
+/**
+ * Configurações do pincel. size em pixels da superfície; o traço salvo
+ * guarda o tamanho normalizado pela largura da superfície.
+ */
+const BRUSH_PARAMS = {
+  size:     { label: 'Tamanho',  min: 1, max: 500, step: 1, default: 40,  suffix: ' px' },
+  hardness: { label: 'Dureza',   min: 0, max: 100, step: 1, default: 80,  suffix: '%' },
+  opacity:  { label: 'Opacidade', min: 1, max: 100, step: 1, default: 100, suffix: '%' },
+  flow:     { label: 'Fluxo',    min: 1, max: 100, step: 1, default: 100, suffix: '%' },
+  color:    { label: 'Cor',      type: 'color', default: '#ff4757' }
+};
+
+/* Raio mínimo relativo quando a caneta quase não pressiona */
+const MIN_PRESSURE = 0.05;
+
+/**
+ * Carimbo circular com borda suave (dureza 0–100)
+ */
+function createDab(radius, hardness, color) {
+  const size = Math.max(1, Math.ceil(radius * 2));
+  const dab  = document.createElement('canvas');
+  dab.width  = size;
+  dab.height = size;
+  const ctx = dab.getContext('2d');
+  const [r, g, b] = hexToRgb(color);
+  const inner = radius * clamp(hardness / 100, 0, 0.999);
+  const grad  = ctx.createRadialGradient(size / 2, size / 2, inner, size / 2, size / 2, size / 2);
+  grad.addColorStop(0, `rgba(${r}, ${g}, ${b}, 1)`);
+  grad.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
+  ctx.fillStyle = grad;
+  ctx.beginPath();
+  ctx.arc(size / 2, size / 2, size / 2, 0, Math.PI * 2);
+  ctx.fill();
+  return dab;
+}
+
+/**
+ * Desenha um traço na superfície. Os carimbos acumulam com o fluxo numa
+ * tela própria, que entra uma vez com a opacidade do traço — assim a
+ * sobreposição dentro do mesmo traço nunca passa da opacidade.
+ * A borracha usa a mesma máscara com 'destination-out'.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{ tool, color, size, hardness, opacity, flow, points: number[][] }} stroke
+ * @param {number} width   largura da superfície (px)
+ * @param {number} height  altura da superfície (px)
+ */
+function drawStroke(ctx, stroke, width, height) {
+  const pts = stroke.points;
+  if (!pts || !pts.length) return;
+  const radius = Math.max(0.5, (stroke.size * width) / 2);
+
+  // Área ocupada pelo traço, para não alocar a superfície inteira
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  pts.forEach(([x, y]) => {
+    minX = Math.min(minX, x * width);  maxX = Math.max(maxX, x * width);
+    minY = Math.min(minY, y * height); maxY = Math.max(maxY, y * height);
+  });
+  minX = Math.floor(Math.max(0, minX - radius));
+  minY = Math.floor(Math.max(0, minY - radius));
+  maxX = Math.ceil(Math.min(width,  maxX + radius));
+  maxY = Math.ceil(Math.min(height, maxY + radius));
+  if (maxX <= minX || maxY <= minY) return;
+
+  const mask = document.createElement('canvas');
+  mask.width  = maxX - minX;
+  mask.height = maxY - minY;
+  const mCtx = mask.getContext('2d');
+  mCtx.globalAlpha = clamp(stroke.flow / 100, 0.01, 1);
+
+  const dab   = createDab(radius, stroke.hardness, stroke.tool === 'eraser' ? '#000000' : stroke.color);
+  const stamp = (x, y, p) => {
+    const r = radius * Math.max(MIN_PRESSURE, p);
+    mCtx.drawImage(dab, x - r - minX, y - r - minY, r * 2, r * 2);
+  };
+
+  // Carimbos espaçados ao longo do caminho (pressão interpolada)
+  let [px, py, pp] = pts[0];
+  px *= width; py *= height;
+  stamp(px, py, pp);
+  let carry = 0;
+  for (let i = 1; i < pts.length; i++) {
+    const x = pts[i][0] * width;
+    const y = pts[i][1] * height;
+    const p = pts[i][2];
+    const dist = Math.hypot(x - px, y - py);
+    if (dist === 0) continue;
+    let   step = Math.max(0.5, radius * Math.max(MIN_PRESSURE, pp) * 0.25);
+    let   t    = Math.max(0, step - carry);
+    while (t <= dist) {
+      const k = t / dist;
+      const kp = pp + (p - pp) * k;
+      stamp(px + (x - px) * k, py + (y - py) * k, kp);
+      step = Math.max(0.5, radius * Math.max(MIN_PRESSURE, kp) * 0.25);
+      t += step;
+    }
+    carry = dist - (t - step);
+    px = x; py = y; pp = p;
+  }
+
+  ctx.save();
+  ctx.globalAlpha = clamp(stroke.opacity / 100, 0, 1);
+  ctx.globalCompositeOperation = stroke.tool === 'eraser' ? 'destination-out' : 'source-over';
+  ctx.drawImage(mask, minX, minY);
+  ctx.restore();
+}
+
+/**
+ * Pintura de uma superfície (traços na ordem; a borracha apaga só a pintura)
+ * @returns {HTMLCanvasElement|null}  null quando não há traços
+ */
+function renderStrokes(strokes, width, height) {
+  if (!strokes.length) return null;
+  const canvas = document.createElement('canvas');
+  canvas.width  = Math.max(1, Math.round(width));
+  canvas.height = Math.max(1, Math.round(height));
+  const ctx = canvas.getContext('2d');
+  strokes.forEach(stroke => drawStroke(ctx, stroke, canvas.width, canvas.height));
+  return canvas;
+}
+
 /* =============================================================
    ESTIMATIVA DE TAMANHO
    ============================================================= */
@@ -670,14 +4005,67 @@ function formatBytes(bytes) {
    ============================================================= */
 window.PixelFilters = {
   processImage,
+  FULL_FRAME,
   resizeImage,
   calcAspectRatio,
   cropImage,
+  cropToRect,
   rotateCanvas,
   flipCanvas,
+  STRAIGHTEN_MODES,
+  STRAIGHTEN_LIMIT,
+  inscribedRectSize,
+  straightenTransform,
+  rotateFree,
+  PERSPECTIVE_CORNERS,
+  PERSPECTIVE_PARAMS,
+  homographyFromPoints,
+  homographyInvert,
+  homographyMultiply,
+  homographyApply,
+  keystoneQuad,
+  perspectiveTransform,
+  warpPerspective,
   estimateFileSize,
   formatBytes,
   PRESETS,
+  hexToRgb,
+  rgbToHex,
+  rgbToHsl,
+  // Camadas
+  BLEND_MODES,
+  layerRect,
+  drawLayer,
+  // Coordenadas
+  AFFINE_IDENTITY,
+  affineMultiply,
+  affineInvert,
+  affineApply,
+  affineRect,
+  rotationMatrix,
+  // Pintura
+  BRUSH_PARAMS,
+  drawStroke,
+  renderStrokes,
+  // Texto
+  FONT_FAMILIES,
+  TEXT_PARAMS,
+  defaultText,
+  layoutText,
+  hitTestText,
+  drawText,
+  // Pilha de ajustes
+  ADJUSTMENTS,
+  DEFAULT_ORDER,
+  createAdjustment,
+  defaultParams,
+  cloneStack,
+  normalizeStack,
+  settingsToStack,
+  stackToSettings,
+  findPrimaryAdjustment,
+  presetToStack,
+  LEGACY_COLOR_MODES,
   // Filtros individuais expostos
   applyBrightness,
   applyContrast,
@@ -685,7 +4073,95 @@ window.PixelFilters = {
   applyGrayscale,
   applySepia,
   applyInvert,
-  applyNoise,
+  applyFilmGrain,
+  grainSeed,
   applyBlur,
-  applyVignette
+  applyUnsharpMask,
+  applyVignette,
+  vignetteGeometry,
+  // Preto e branco e pontilhado
+  BW_METHODS,
+  DITHER_PALETTES,
+  otsuThreshold,
+  medianCutPalette,
+  applyBlackWhite,
+  // Convolução e bordas
+  CONVOLUTION_EDGES,
+  KERNEL_SIZES,
+  KERNEL_PRESETS,
+  EDGE_OPERATORS,
+  normalizeKernel,
+  resizeKernel,
+  convolve,
+  convolveChannel,
+  cannyEdges,
+  applyEdgeDetect,
+  applyConvolution,
+  // Redução de ruído
+  bilateralFilter,
+  median3x3,
+  applyNoiseReduction,
+  // Curvas e histograma
+  CURVE_CHANNELS,
+  CURVE_PRESETS,
+  normalizeCurves,
+  isLinearCurve,
+  curveLUT,
+  applyCurves,
+  computeHistogram,
+  CLIPPING_COLORS,
+  clippingMask,
+  // Níveis
+  LEVELS_FIELDS,
+  normalizeLevels,
+  isIdentityLevels,
+  levelsLUT,
+  applyLevels,
+  levelsFromSample,
+  AUTO_ENHANCE_TYPES,
+  autoEnhance,
+  // Misturador de canais e matriz de cor
+  IDENTITY_COLOR_MATRIX,
+  SEPIA_MATRIX,
+  applyColorMatrix,
+  MIXER_OUTPUTS,
+  MIXER_FIELDS,
+  MIXER_PRESETS,
+  normalizeMixer,
+  isIdentityMixerRow,
+  mixerMatrix,
+  applyChannelMixer,
+  // Mapa de gradiente
+  GRADIENT_MAX_STOPS,
+  GRADIENT_PRESETS,
+  normalizeGradient,
+  gradientColorAt,
+  gradientLUT,
+  applyGradientMap,
+  // Misturador HSL
+  HSL_BANDS,
+  HSL_FIELDS,
+  normalizeHsl,
+  isNeutralHslBand,
+  applyHslBands,
+  // Gradação de cor
+  COLOR_BALANCE_RANGES,
+  normalizeWheel,
+  applySplitToning,
+  applyColorBalance,
+  // Balanço de branco
+  KELVIN_NEUTRAL,
+  temperatureToKelvin,
+  whiteBalanceFromSample,
+  applyWhiteBalance,
+  // Ajustes locais
+  MASK_TYPES,
+  MASK_PARAMS,
+  MASK_GEOMETRY,
+  MASK_EFFECTS,
+  defaultMask,
+  normalizeMask,
+  maskStack,
+  maskWeights,
+  applyMask
 };